@@ -1,55 +1,165 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect, useRef, useCallback, useMemo } from 'react';
 import { Canvas } from '@react-three/fiber';
-import { OrbitControls, PerspectiveCamera } from '@react-three/drei';
+import { PerspectiveCamera } from '@react-three/drei';
 import MilkyWayVisualization from './components/MilkyWayVisualization';
+import { CameraRig } from './components/CameraRig';
+import { RangeParam, CheckboxParam, ColorParam, SelectParam, hintStyle } from './components/ParamControls';
+import PresetPanel from './components/PresetPanel';
+import RotationCurve from './components/RotationCurve';
+import TrajectoryEditor from './components/TrajectoryEditor';
+import ZoneEditor from './components/ZoneEditor';
+import MigrationHistogram from './components/MigrationHistogram';
+import ComparePanel from './components/ComparePanel';
+import ExportPanel from './components/ExportPanel';
+import QualityPanel from './components/QualityPanel';
+import CatalogPanel from './components/CatalogPanel';
+import DataExportPanel from './components/DataExportPanel';
+import PlaybackBar from './components/PlaybackBar';
+import { SimulationClockProvider } from './components/SimulationClock';
+import { FrameExporter } from './components/FrameExporter';
+import { DataExporter } from './components/DataExporter';
+import { ScaleBar, ScaleBarProbe } from './components/ScaleBar';
+import { ZoneLegend } from './components/ZoneLegend';
+import { CameraMirror } from './components/CameraMirror';
+import { CompareWipe } from './components/CompareWipe';
+import { QualityMonitor } from './components/QualityMonitor';
+import { PerfHud, PerfProbe } from './components/PerfHud';
+import { PARAM_DEFS } from './core/params';
+import { createHaloProfile } from './core/darkMatter';
+import { encodeState, decodeState, DEFAULT_CAMERA } from './core/urlState';
+import { keyframeFromView } from './core/cameraTour';
+import { createSimulationClock } from './core/clock';
+import { createUnitSystem, SOLAR_RADIUS_KPC } from './core/units';
+import { buildCatalogLayer } from './core/catalog';
+import { SHARED_PARAM_KEYS, withSharedParams } from './core/compare';
+import {
+  QUALITY_TIERS,
+  applyQuality,
+  tierIndex,
+  createQualityGovernor,
+  loadQualitySettings
+} from './core/quality';
 import './App.css';
 
+// Restore whatever the URL hash describes; anything rejected is listed in
+// `errors` for the URL notice
+function readUrlState() {
+  return decodeState(window.location.hash);
+}
+
 function App() {
   const [showControls, setShowControls] = useState(false);
-  
-  // Galaxy parameters
-  const [galaxyParticleCount, setGalaxyParticleCount] = useState(8000);
-  const [galaxyRadius, setGalaxyRadius] = useState(25);
-  const [galaxyRotationSpeed, setGalaxyRotationSpeed] = useState(0.2);
-  const [armCount, setArmCount] = useState(4);
-  const [barLength, setBarLength] = useState(8);
-  const [bulgeSize, setBulgeSize] = useState(3);
-  const [coreGlow, setCoreGlow] = useState(0.3);
-  const [spiralTightness, setSpiralTightness] = useState(0.5);
-  
-  // Wave field parameters
-  const [waveFieldSegments, setWaveFieldSegments] = useState(60);
-  const [waveIntensity, setWaveIntensity] = useState(0.5);
-  const [waveSpeed, setWaveSpeed] = useState(0.5);
-  const [waveOpacity, setWaveOpacity] = useState(0.6);
-  
-  // Wave particles parameters
-  const [waveParticleCount, setWaveParticleCount] = useState(2000);
-  const [connectionDistance, setConnectionDistance] = useState(8);
-  const [maxConnections, setMaxConnections] = useState(500);
-  const [particleWaveIntensity, setParticleWaveIntensity] = useState(5);
-  const [particleWaveSpeed, setParticleWaveSpeed] = useState(0.5);
-  const [connectionOpacity, setConnectionOpacity] = useState(0.15);
-  
-  // Other parameters
-  const [starCount, setStarCount] = useState(5000);
-  const [movementSpeed, setMovementSpeed] = useState(0.1);
-  const [enableMovement, setEnableMovement] = useState(true);
-  
-  // Orbital zones parameters
-  const [showOrbitalZones, setShowOrbitalZones] = useState(true);
-  const [showZoneSeparators, setShowZoneSeparators] = useState(true);
-  const [showGalacticCenter, setShowGalacticCenter] = useState(true);
-  const [showSunMarker, setShowSunMarker] = useState(true);
-  
-  // Great Wave parameters (from IFLScience article)
-  const [showGreatWave, setShowGreatWave] = useState(true);
-  const [greatWaveAmplitude, setGreatWaveAmplitude] = useState(0.65);
-  const [greatWaveLength, setGreatWaveLength] = useState(30);
-  const [greatWaveSpeed, setGreatWaveSpeed] = useState(0.05);
-  const [showGreatWaveSurface, setShowGreatWaveSurface] = useState(false);
-
-  const params = {
+
+  // All visualization parameters, restored from the URL hash on load
+  const [initialState] = useState(readUrlState);
+  const [params, setParams] = useState(initialState.params);
+  const [urlErrors, setUrlErrors] = useState(initialState.errors);
+  // An imported star catalog; too large for the URL, so it isn't shared
+  const [catalog, setCatalog] = useState(null);
+  const initialCamera = initialState.camera || DEFAULT_CAMERA;
+
+  // Compare mode: a second parameter set B, drawn beside A or over it behind
+  // a wipe. B isn't part of the shared link.
+  const [compareMode, setCompareMode] = useState('off');
+  const [compareParams, setCompareParams] = useState(null);
+  const [editingSide, setEditingSide] = useState('A');
+  const [wipePosition, setWipePosition] = useState(0.5);
+
+  // Rendering quality suits this device, not the view, so it's kept in the
+  // browser rather than in links and presets
+  const [quality, setQuality] = useState(() => loadQualitySettings());
+  const [adapted, setAdapted] = useState({ governor: null, level: 0 });
+
+  // One clock drives every animation, so exports can step it frame by frame
+  const [clock] = useState(createSimulationClock);
+  const cameraRigRef = useRef();
+  const galaxyFrameRef = useRef();
+  const exporterRef = useRef();
+  const dataExporterRef = useRef();
+  const scaleBarRef = useRef();
+  const migrationHistogramRef = useRef();
+  const perfHudRef = useRef();
+  const paramsRef = useRef(params);
+  const lastHashRef = useRef(null);
+
+  const setParam = useCallback((key, value) => {
+    setParams((current) => ({ ...current, [key]: value }));
+  }, []);
+
+  const setCompareParam = useCallback((key, value) => {
+    setCompareParams((current) => ({ ...current, [key]: value }));
+  }, []);
+
+  // B starts out as a copy of A
+  const changeCompareMode = (mode) => {
+    if (mode !== 'off' && !compareParams) setCompareParams(params);
+    setCompareMode(mode);
+  };
+
+  const paramsB = useMemo(
+    () => compareParams && withSharedParams(compareParams, params),
+    [compareParams, params]
+  );
+  const comparing = compareMode !== 'off' && paramsB !== null;
+
+  // The chosen tier, or the one the governor has stepped down to
+  const maxQualityLevel = tierIndex(quality.tier);
+  const governor = useMemo(
+    () => (quality.adaptive ? createQualityGovernor({ targetFps: quality.targetFps, maxLevel: maxQualityLevel }) : null),
+    [quality.adaptive, quality.targetFps, maxQualityLevel]
+  );
+  const qualityLevel = governor && adapted.governor === governor ? adapted.level : maxQualityLevel;
+  const qualityTier = QUALITY_TIERS[qualityLevel];
+  const onQualityLevelChange = useCallback((level) => setAdapted({ governor, level }), [governor]);
+
+  const sceneParams = useMemo(() => applyQuality(params, qualityTier), [params, qualityTier]);
+  const sceneParamsB = useMemo(() => paramsB && applyQuality(paramsB, qualityTier), [paramsB, qualityTier]);
+  const dpr = useMemo(() => [1, qualityTier.maxDpr], [qualityTier]);
+  const editingB = comparing && editingSide === 'B';
+
+  // The panel edits whichever set is selected; camera settings are A's
+  const panelParams = editingB ? paramsB : params;
+  const editParam = useCallback((key, value) => {
+    if (editingB && !SHARED_PARAM_KEYS.includes(key)) {
+      setCompareParam(key, value);
+    } else {
+      setParam(key, value);
+    }
+  }, [editingB, setParam, setCompareParam]);
+
+  // Mirror parameters and camera pose into the hash without adding history entries
+  const writeHash = useCallback(() => {
+    const rig = cameraRigRef.current;
+    const camera = rig && rig.getView();
+    const hash = `#${encodeState({ params: paramsRef.current, camera })}`;
+    if (hash !== window.location.hash) {
+      lastHashRef.current = hash;
+      window.history.replaceState(null, '', hash);
+    }
+  }, []);
+
+  useEffect(() => {
+    paramsRef.current = params;
+    writeHash();
+  }, [params, writeHash]);
+
+  // Follow links pasted into the address bar of an already open tab
+  useEffect(() => {
+    const onHashChange = () => {
+      if (window.location.hash === lastHashRef.current) return;
+      const { params: next, camera, errors } = readUrlState();
+      setParams(next);
+      setUrlErrors(errors);
+      if (camera && cameraRigRef.current) {
+        cameraRigRef.current.setView(camera);
+      }
+    };
+    window.addEventListener('hashchange', onHashChange);
+    return () => window.removeEventListener('hashchange', onHashChange);
+  }, []);
+
+  const {
+    seed,
     galaxyParticleCount,
     galaxyRadius,
     galaxyRotationSpeed,
@@ -58,67 +168,263 @@ function App() {
     bulgeSize,
     coreGlow,
     spiralTightness,
+    galaxyModel,
+    diskScaleLength,
+    diskScaleHeight,
+    bulgeEffectiveRadius,
+    sersicIndex,
+    bulgeFraction,
+    barFraction,
+    barAxisRatio,
+    barVerticalRatio,
+    barAngle,
+    pitchAngle,
+    armWidth,
+    armFraction,
+    motionModel,
+    bulgeMass,
+    bulgeScaleRadius,
+    diskMass,
+    diskPotentialLength,
+    diskPotentialHeight,
+    haloPotential,
+    haloVelocity,
+    haloCoreRadius,
+    velocityDispersion,
+    orbitTimeScale,
+    showDarkMatterHalo,
+    haloProfile,
+    haloMass,
+    haloScaleRadius,
+    haloConcentration,
+    haloFlattening,
+    einastoAlpha,
+    haloParticleCount,
+    haloColor,
+    haloOpacity,
+    showHaloShell,
+    haloShellRadius,
+    showWaveField,
     waveFieldSegments,
     waveIntensity,
     waveSpeed,
+    waveColor,
     waveOpacity,
+    showWaveParticles,
     waveParticleCount,
     connectionDistance,
     maxConnections,
     particleWaveIntensity,
     particleWaveSpeed,
+    particleColor,
     connectionOpacity,
+    connectionRefreshInterval,
     starCount,
+    starColor,
     movementSpeed,
     enableMovement,
+    trajectoryModel,
+    trajectoryPath,
+    trajectoryClosed,
+    showTrajectory,
+    cameraMode,
+    flySpeed,
+    tourKeyframes,
+    tourSegmentDuration,
     showOrbitalZones,
+    orbitalZones,
     showZoneSeparators,
+    showZoneLegend,
+    zoneMigration,
+    migrationStrength,
+    showMigrationTrails,
+    migrationTrailLength,
+    showVelocityField,
+    velocityFieldMode,
+    velocityFieldDensity,
+    velocityColorBySpeed,
     showGalacticCenter,
     showSunMarker,
     showGreatWave,
+    greatWaveParticleCount,
     greatWaveAmplitude,
     greatWaveLength,
     greatWaveSpeed,
-    showGreatWaveSurface
+    showGreatWaveSurface,
+    greatWaveModel,
+    diskWaveInnerLy,
+    diskWaveOuterLy,
+    diskWarp,
+    warpAmplitudeLy,
+    warpNodesAngle,
+    diskFlare,
+    flareScaleLengthLy,
+    diskCorrugation,
+    corrugationAmplitudeLy,
+    corrugationWavelengthLy,
+    corrugationPatternSpeed,
+    kpcPerUnit,
+    distanceUnit,
+    showGrid,
+    gridRingSpacing,
+    showScaleBar,
+    postProcessing,
+    bloomStrength,
+    bloomRadius,
+    bloomThreshold,
+    toneMapping,
+    exposure,
+    dustLanes,
+    dustOpacity,
+    chromaticAberration,
+    vignette
+  } = panelParams;
+
+  // Panel labels show lengths in the edited set's units; the overlays and
+  // catalog follow A's
+  const units = useMemo(() => createUnitSystem({ kpcPerUnit, distanceUnit }), [kpcPerUnit, distanceUnit]);
+  const formatLength = units.format;
+  const sceneUnits = useMemo(
+    () => createUnitSystem({ kpcPerUnit: params.kpcPerUnit, distanceUnit: params.distanceUnit }),
+    [params.kpcPerUnit, params.distanceUnit]
+  );
+  const formatLightYears = (ly) => `${ly.toLocaleString('en-US')} ly`;
+
+  // Catalog stars in scene coordinates, rebuilt when the mapping or units change
+  const catalogLayer = useMemo(() => {
+    if (!catalog) return null;
+    try {
+      return buildCatalogLayer(catalog, sceneUnits);
+    } catch (err) {
+      return { error: err.message };
+    }
+  }, [catalog, sceneUnits]);
+  const catalogStars = catalog && catalog.visible && !catalogLayer.error
+    ? { layer: catalogLayer, pointSize: catalog.pointSize }
+    : null;
+
+  const maxKeyframes = PARAM_DEFS.tourKeyframes.maxPoints;
+  const minKeyframes = PARAM_DEFS.tourKeyframes.minPoints;
+
+  // Append the current view to the tour, relative to the galaxy frame
+  const recordKeyframe = () => {
+    const rig = cameraRigRef.current;
+    if (!rig || tourKeyframes.length >= maxKeyframes) return;
+    editParam('tourKeyframes', [...tourKeyframes, keyframeFromView(rig.getView(), rig.getGalaxyOrigin())]);
   };
 
   return (
     <div className="App">
-      <div className="canvas-container">
+      <div className={`canvas-container${compareMode === 'split' && comparing ? ' compare-split-a' : ''}`}>
         <Canvas
           gl={{ antialias: true, alpha: true }}
-          dpr={[1, 2]}
+          dpr={dpr}
+          // Pick radius around each star, in scene units
+          raycaster={{ params: { Points: { threshold: 0.3 } } }}
           style={{ background: 'radial-gradient(circle at center, #0a0a1a 0%, #000000 100%)' }}
         >
-          <PerspectiveCamera makeDefault position={[0, 15, 40]} fov={60} />
-          <OrbitControls
-            enablePan={true}
-            enableZoom={true}
-            enableRotate={true}
-            minDistance={20}
-            maxDistance={100}
-            autoRotate={false}
-            autoRotateSpeed={0.5}
-          />
-          <MilkyWayVisualization params={params} />
+          <PerspectiveCamera makeDefault position={initialCamera.position} fov={60} />
+          <SimulationClockProvider clock={clock}>
+            <MilkyWayVisualization
+              params={sceneParams}
+              frameRef={galaxyFrameRef}
+              catalog={catalogStars}
+              migrationHistogramRef={migrationHistogramRef}
+            />
+            {/* After the visualization, so following cameras see this frame's galaxy position */}
+            <CameraRig
+              ref={cameraRigRef}
+              mode={cameraMode}
+              galaxyFrameRef={galaxyFrameRef}
+              initialTarget={initialCamera.target}
+              flySpeed={flySpeed}
+              tourKeyframes={tourKeyframes}
+              tourSegmentDuration={tourSegmentDuration}
+              onViewChange={writeHash}
+            />
+          </SimulationClockProvider>
+          <FrameExporter ref={exporterRef} clock={clock} />
+          <DataExporter ref={dataExporterRef} clock={clock} galaxyFrameRef={galaxyFrameRef} />
+          {params.showScaleBar && <ScaleBarProbe scaleBarRef={scaleBarRef} galaxyFrameRef={galaxyFrameRef} />}
+          <QualityMonitor governor={governor} clock={clock} onLevelChange={onQualityLevelChange} />
+          {quality.showHud && <PerfProbe hudRef={perfHudRef} />}
         </Canvas>
+        {compareMode === 'split' && comparing && <span className="compare-badge">A</span>}
       </div>
-      
+
+      {/* B shares A's clock, which A's canvas advances, and follows A's camera */}
+      {comparing && (
+        <div
+          className={`canvas-container compare-b compare-${compareMode}`}
+          style={compareMode === 'overlay' ? { clipPath: `inset(0 0 0 ${wipePosition * 100}%)` } : undefined}
+        >
+          <Canvas
+            gl={{ antialias: true, alpha: true }}
+            dpr={dpr}
+            raycaster={{ params: { Points: { threshold: 0.3 } } }}
+            style={{ background: 'radial-gradient(circle at center, #0a0a1a 0%, #000000 100%)' }}
+          >
+            <PerspectiveCamera makeDefault position={initialCamera.position} fov={60} />
+            <SimulationClockProvider clock={clock} advance={false}>
+              <MilkyWayVisualization params={sceneParamsB} />
+            </SimulationClockProvider>
+            <CameraMirror
+              rigRef={cameraRigRef}
+              interactive={compareMode === 'split' && (cameraMode === 'orbit' || cameraMode === 'follow')}
+              onViewChange={writeHash}
+            />
+          </Canvas>
+          {compareMode === 'split' && <span className="compare-badge">B</span>}
+        </div>
+      )}
+      {compareMode === 'overlay' && comparing && <CompareWipe position={wipePosition} onChange={setWipePosition} />}
+
+      {params.showScaleBar && <ScaleBar ref={scaleBarRef} units={sceneUnits} />}
+      {quality.showHud && (
+        <PerfHud ref={perfHudRef} tier={`${qualityTier.label}${quality.adaptive ? ' (adaptive)' : ''}`} />
+      )}
+      {params.showOrbitalZones && params.showZoneLegend && (
+        <ZoneLegend zones={params.orbitalZones} galaxyRadius={params.galaxyRadius} formatLength={sceneUnits.format} />
+      )}
+
+      <PlaybackBar clock={clock} />
+
       <div className="info-panel">
         <h1>Milky Way Through Dark Matter</h1>
         <p>
-          A 3D visualization of the Milky Way galaxy traveling through 
+          A 3D visualization of the Milky Way galaxy traveling through
           dark matter and gravitational wave fields.
         </p>
         <div className="controls-info">
           <p><strong>Controls:</strong></p>
           <ul>
-            <li>Click and drag to rotate</li>
-            <li>Scroll to zoom</li>
-            <li>Right-click and drag to pan</li>
+            {cameraMode === 'fly' ? (
+              <>
+                <li>W/S/A/D to fly, R/F to rise and sink</li>
+                <li>Q/E to roll, arrow keys or drag to look</li>
+              </>
+            ) : cameraMode === 'tour' ? (
+              <li>Playing the camera tour</li>
+            ) : (
+              <>
+                <li>Click and drag to rotate</li>
+                <li>Scroll to zoom</li>
+                <li>Right-click and drag to pan</li>
+              </>
+            )}
+            <li>Copy the page URL to share this exact view</li>
           </ul>
         </div>
-        <button 
+        {urlErrors.length > 0 && (
+          <div className="notice">
+            <p><strong>Some link values were ignored:</strong></p>
+            <ul>
+              {urlErrors.map((error) => <li key={error}>{error}</li>)}
+            </ul>
+            <button className="param-btn" onClick={() => setUrlErrors([])}>Dismiss</button>
+          </div>
+        )}
+        <button
           className="toggle-controls-btn"
           onClick={() => setShowControls(!showControls)}
         >
@@ -126,298 +432,402 @@ function App() {
         </button>
       </div>
 
+      {/* Keep typing in panel inputs from reaching the fly controls' window key listener */}
       {showControls && (
-        <div className="parameters-panel">
+        <div className="parameters-panel" onKeyDown={(e) => e.stopPropagation()} onKeyUp={(e) => e.stopPropagation()}>
           <h2>Visualization Parameters</h2>
-          
+
+          <ComparePanel
+            mode={compareMode}
+            onModeChange={changeCompareMode}
+            editing={editingSide}
+            onEditingChange={setEditingSide}
+            paramsA={params}
+            paramsB={paramsB}
+            onChangeA={setParam}
+            onChangeB={setCompareParam}
+            onLoadA={setParams}
+            onLoadB={setCompareParams}
+          />
+
+          <PresetPanel params={panelParams} onLoad={editingB ? setCompareParams : setParams} />
+
+          <QualityPanel settings={quality} onChange={setQuality} level={qualityLevel} />
+
+          <ExportPanel exporterRef={exporterRef} />
+
+          <DataExportPanel exporterRef={dataExporterRef} params={sceneParams} qualityTier={qualityTier.name} />
+
+          <CatalogPanel catalog={catalog} layer={catalogLayer} onChange={setCatalog} />
+
           <div className="param-section">
-            <h3>🌌 Galaxy</h3>
-            <div className="param-group">
-              <label>Particle Count: {galaxyParticleCount}</label>
-              <input
-                type="range"
-                min="2000"
-                max="15000"
-                step="500"
-                value={galaxyParticleCount}
-                onChange={(e) => setGalaxyParticleCount(Number(e.target.value))}
-              />
-            </div>
-            <div className="param-group">
-              <label>Radius: {galaxyRadius}</label>
-              <input
-                type="range"
-                min="10"
-                max="50"
-                step="1"
-                value={galaxyRadius}
-                onChange={(e) => setGalaxyRadius(Number(e.target.value))}
-              />
-            </div>
-            <div className="param-group">
-              <label>Rotation Speed: {galaxyRotationSpeed.toFixed(2)}</label>
-              <input
-                type="range"
-                min="0"
-                max="1"
-                step="0.05"
-                value={galaxyRotationSpeed}
-                onChange={(e) => setGalaxyRotationSpeed(Number(e.target.value))}
-              />
-            </div>
-            <div className="param-group">
-              <label>Spiral Arms: {armCount}</label>
-              <input
-                type="range"
-                min="2"
-                max="6"
-                step="1"
-                value={armCount}
-                onChange={(e) => setArmCount(Number(e.target.value))}
-              />
-            </div>
+            <h3>🎲 Seed</h3>
             <div className="param-group">
-              <label>Bar Length: {barLength}</label>
-              <input
-                type="range"
-                min="0"
-                max="15"
-                step="1"
-                value={barLength}
-                onChange={(e) => setBarLength(Number(e.target.value))}
-              />
+              <label>Random Seed: {seed}</label>
+              <div className="seed-controls">
+                <input
+                  type="number"
+                  min={PARAM_DEFS.seed.min}
+                  max={PARAM_DEFS.seed.max}
+                  step="1"
+                  value={seed}
+                  onChange={(e) => editParam('seed', Math.min(PARAM_DEFS.seed.max, Math.max(0, Math.floor(Number(e.target.value) || 0))))}
+                />
+                <button
+                  className="param-btn"
+                  onClick={() => editParam('seed', Math.floor(Math.random() * 4294967296))}
+                >
+                  Randomize
+                </button>
+              </div>
+              <span style={hintStyle}>Same seed and parameters always give the same galaxy</span>
             </div>
+          </div>
+
+          <div className="param-section">
+            <h3>🎥 Camera</h3>
+            <SelectParam
+              name="cameraMode"
+              label="Mode"
+              value={cameraMode}
+              onChange={editParam}
+              labels={{ orbit: 'Orbit', follow: 'Follow galaxy', fly: 'Fly-through', tour: 'Tour' }}
+            />
+            {cameraMode === 'fly' && (
+              <RangeParam name="flySpeed" label="Fly Speed" value={flySpeed} onChange={editParam} />
+            )}
+            <RangeParam name="tourSegmentDuration" label="Seconds per Keyframe" value={tourSegmentDuration} onChange={editParam} />
             <div className="param-group">
-              <label>Bulge Size: {bulgeSize}</label>
-              <input
-                type="range"
-                min="1"
-                max="8"
-                step="0.5"
-                value={bulgeSize}
-                onChange={(e) => setBulgeSize(Number(e.target.value))}
-              />
+              <label>Tour: {tourKeyframes.length} keyframes</label>
+              <div className="seed-controls">
+                <button className="param-btn" onClick={recordKeyframe} disabled={cameraMode === 'tour' || tourKeyframes.length >= maxKeyframes}>
+                  Record view
+                </button>
+                <button
+                  className="param-btn"
+                  onClick={() => editParam('tourKeyframes', tourKeyframes.slice(0, -1))}
+                  disabled={tourKeyframes.length <= minKeyframes}
+                >
+                  Remove last
+                </button>
+                <button className="param-btn" onClick={() => editParam('tourKeyframes', PARAM_DEFS.tourKeyframes.default)}>
+                  Reset
+                </button>
+              </div>
+              <span style={hintStyle}>Keyframes are stored relative to the galaxy, so tours follow it as it moves</span>
             </div>
-            <div className="param-group">
-              <label>Core Glow: {coreGlow.toFixed(2)}</label>
-              <input
-                type="range"
-                min="0"
-                max="1"
-                step="0.05"
-                value={coreGlow}
-                onChange={(e) => setCoreGlow(Number(e.target.value))}
-              />
+          </div>
+
+          <div className="param-section">
+            <h3>🌌 Galaxy</h3>
+            <SelectParam
+              name="galaxyModel"
+              label="Model"
+              value={galaxyModel}
+              onChange={editParam}
+              labels={{ stylized: 'Stylized', physical: 'Physical (disk, bulge, bar, arms)' }}
+            />
+            <RangeParam name="galaxyParticleCount" label="Particle Count" value={galaxyParticleCount} onChange={editParam} />
+            <RangeParam name="galaxyRadius" label="Radius" value={galaxyRadius} onChange={editParam} format={formatLength} />
+            {motionModel === 'rigid' && (
+              <RangeParam name="galaxyRotationSpeed" label="Rotation Speed" value={galaxyRotationSpeed} onChange={editParam} format={(v) => v.toFixed(2)} />
+            )}
+            <RangeParam name="armCount" label="Spiral Arms" value={armCount} onChange={editParam} />
+            <RangeParam name="barLength" label="Bar Length" value={barLength} onChange={editParam} format={formatLength} />
+            <RangeParam name="coreGlow" label="Core Glow" value={coreGlow} onChange={editParam} format={(v) => v.toFixed(2)} />
+            {galaxyModel === 'stylized' && (
+              <>
+                <RangeParam name="bulgeSize" label="Bulge Size" value={bulgeSize} onChange={editParam} format={formatLength} />
+                <RangeParam name="spiralTightness" label="Spiral Tightness" value={spiralTightness} onChange={editParam} format={(v) => v.toFixed(2)} />
+              </>
+            )}
+          </div>
+
+          {galaxyModel === 'physical' && (
+            <div className="param-section">
+              <h3>🔭 Physical Model</h3>
+              <RangeParam name="diskScaleLength" label="Disk Scale Length" value={diskScaleLength} onChange={editParam} format={formatLength} hint="Exponential disk: density falls by e every scale length" />
+              <RangeParam name="diskScaleHeight" label="Disk Scale Height" value={diskScaleHeight} onChange={editParam} format={formatLength} />
+              <RangeParam name="bulgeEffectiveRadius" label="Bulge Effective Radius" value={bulgeEffectiveRadius} onChange={editParam} format={formatLength} hint="Radius enclosing half the bulge light" />
+              <RangeParam name="sersicIndex" label="Sérsic Index" value={sersicIndex} onChange={editParam} hint="1 = exponential, 4 = de Vaucouleurs" />
+              <RangeParam name="bulgeFraction" label="Bulge Fraction" value={bulgeFraction} onChange={editParam} format={(v) => v.toFixed(2)} />
+              <RangeParam name="barFraction" label="Bar Fraction" value={barFraction} onChange={editParam} format={(v) => v.toFixed(2)} />
+              <RangeParam name="barAxisRatio" label="Bar Axis Ratio (b/a)" value={barAxisRatio} onChange={editParam} format={(v) => v.toFixed(2)} />
+              <RangeParam name="barVerticalRatio" label="Bar Vertical Ratio (c/a)" value={barVerticalRatio} onChange={editParam} format={(v) => v.toFixed(2)} />
+              <RangeParam name="barAngle" label="Bar Angle" value={barAngle} onChange={editParam} format={(v) => `${v}°`} />
+              <RangeParam name="pitchAngle" label="Arm Pitch Angle" value={pitchAngle} onChange={editParam} format={(v) => `${v}°`} hint="Milky Way arms are pitched at roughly 12°" />
+              <RangeParam name="armWidth" label="Arm Width" value={armWidth} onChange={editParam} format={formatLength} />
+              <RangeParam name="armFraction" label="Stars in Arms" value={armFraction} onChange={editParam} format={(v) => `${Math.round(v * 100)}%`} />
             </div>
-            <div className="param-group">
-              <label>Spiral Tightness: {spiralTightness.toFixed(2)}</label>
-              <input
-                type="range"
-                min="0.1"
-                max="2"
-                step="0.1"
-                value={spiralTightness}
-                onChange={(e) => setSpiralTightness(Number(e.target.value))}
+          )}
+
+          <div className="param-section">
+            <h3>🪐 Stellar Motion</h3>
+            <SelectParam
+              name="motionModel"
+              label="Motion"
+              value={motionModel}
+              onChange={editParam}
+              labels={{ rigid: 'Rigid rotation', orbits: 'Integrated orbits' }}
+            />
+            {motionModel === 'orbits' && (
+              <>
+                <RangeParam name="orbitTimeScale" label="Time Scale" value={orbitTimeScale} onChange={editParam} format={(v) => `${v.toFixed(1)}×`} />
+                <RangeParam name="velocityDispersion" label="Velocity Dispersion" value={velocityDispersion} onChange={editParam} format={(v) => v.toFixed(2)} hint="Random motion as a fraction of the circular speed" />
+                <RangeParam name="bulgeMass" label="Bulge Mass" value={bulgeMass} onChange={editParam} />
+                <RangeParam name="bulgeScaleRadius" label="Bulge Scale Radius" value={bulgeScaleRadius} onChange={editParam} format={formatLength} />
+                <RangeParam name="diskMass" label="Disk Mass" value={diskMass} onChange={editParam} />
+                <RangeParam name="diskPotentialLength" label="Disk Scale Length" value={diskPotentialLength} onChange={editParam} format={formatLength} />
+                <RangeParam name="diskPotentialHeight" label="Disk Scale Height" value={diskPotentialHeight} onChange={editParam} format={formatLength} />
+                <SelectParam
+                  name="haloPotential"
+                  label="Halo Potential"
+                  value={haloPotential}
+                  onChange={editParam}
+                  labels={{ profile: 'Dark matter halo profile', logarithmic: 'Logarithmic (flat)' }}
+                />
+                {haloPotential === 'logarithmic' ? (
+                  <>
+                    <RangeParam name="haloVelocity" label="Halo Circular Speed" value={haloVelocity} onChange={editParam} format={(v) => v.toFixed(1)} hint="Sets the flat outer rotation curve" />
+                    <RangeParam name="haloCoreRadius" label="Halo Core Radius" value={haloCoreRadius} onChange={editParam} format={formatLength} />
+                  </>
+                ) : (
+                  <span style={hintStyle}>Set by the 🌑 Dark Matter Halo section</span>
+                )}
+              </>
+            )}
+          </div>
+
+          <div className="param-section">
+            <h3>🌑 Dark Matter Halo</h3>
+            <CheckboxParam name="showDarkMatterHalo" label="Show Halo Particles" value={showDarkMatterHalo} onChange={editParam} />
+            <SelectParam
+              name="haloProfile"
+              label="Profile"
+              value={haloProfile}
+              onChange={editParam}
+              labels={{ nfw: 'NFW', einasto: 'Einasto' }}
+            />
+            <RangeParam name="haloMass" label="Virial Mass" value={haloMass} onChange={editParam} hint="Feeds the halo term of the rotation curve" />
+            <RangeParam name="haloScaleRadius" label="Scale Radius" value={haloScaleRadius} onChange={editParam} format={formatLength} />
+            <RangeParam name="haloConcentration" label="Concentration" value={haloConcentration} onChange={editParam} format={(v) => v.toFixed(1)} hint={`Virial radius ${formatLength(haloConcentration * haloScaleRadius)}`} />
+            <RangeParam name="haloFlattening" label="Flattening (q)" value={haloFlattening} onChange={editParam} format={(v) => v.toFixed(2)} />
+            {haloProfile === 'einasto' && (
+              <RangeParam name="einastoAlpha" label="Einasto α" value={einastoAlpha} onChange={editParam} format={(v) => v.toFixed(2)} />
+            )}
+            <RangeParam name="haloParticleCount" label="Particles" value={haloParticleCount} onChange={editParam} />
+            <ColorParam name="haloColor" label="Halo Color" value={haloColor} onChange={editParam} />
+            <RangeParam name="haloOpacity" label="Opacity" value={haloOpacity} onChange={editParam} format={(v) => v.toFixed(2)} />
+            <CheckboxParam name="showHaloShell" label="Show Isodensity Shell" value={showHaloShell} onChange={editParam} />
+            {showHaloShell && (
+              <RangeParam
+                name="haloShellRadius"
+                label="Shell Radius (scale radii)"
+                value={haloShellRadius}
+                onChange={editParam}
+                format={(v) => v.toFixed(2)}
+                hint={`Density ${createHaloProfile({
+                  profile: haloProfile,
+                  scaleRadius: haloScaleRadius,
+                  alpha: einastoAlpha
+                }).density(haloShellRadius * haloScaleRadius).toPrecision(3)} × ρ(rₛ)`}
               />
-            </div>
+            )}
+            <RotationCurve params={panelParams} maxRadius={galaxyRadius * 1.5} formatLength={formatLength} />
           </div>
 
           <div className="param-section">
             <h3>🌊 Wave Field</h3>
-            <div className="param-group">
-              <label>Segments: {waveFieldSegments}</label>
-              <input
-                type="range"
-                min="30"
-                max="100"
-                step="5"
-                value={waveFieldSegments}
-                onChange={(e) => setWaveFieldSegments(Number(e.target.value))}
-              />
-            </div>
-            <div className="param-group">
-              <label>Wave Intensity: {waveIntensity.toFixed(2)}</label>
-              <input
-                type="range"
-                min="0"
-                max="2"
-                step="0.1"
-                value={waveIntensity}
-                onChange={(e) => setWaveIntensity(Number(e.target.value))}
-              />
-            </div>
-            <div className="param-group">
-              <label>Wave Speed: {waveSpeed.toFixed(2)}</label>
-              <input
-                type="range"
-                min="0"
-                max="2"
-                step="0.1"
-                value={waveSpeed}
-                onChange={(e) => setWaveSpeed(Number(e.target.value))}
-              />
-            </div>
-            <div className="param-group">
-              <label>Opacity: {waveOpacity.toFixed(2)}</label>
-              <input
-                type="range"
-                min="0"
-                max="1"
-                step="0.05"
-                value={waveOpacity}
-                onChange={(e) => setWaveOpacity(Number(e.target.value))}
-              />
-            </div>
+            <CheckboxParam name="showWaveField" label="Show Wave Field" value={showWaveField} onChange={editParam} />
+            <RangeParam name="waveFieldSegments" label="Segments" value={waveFieldSegments} onChange={editParam} />
+            <RangeParam name="waveIntensity" label="Wave Intensity" value={waveIntensity} onChange={editParam} format={(v) => v.toFixed(2)} />
+            <RangeParam name="waveSpeed" label="Wave Speed" value={waveSpeed} onChange={editParam} format={(v) => v.toFixed(2)} />
+            <RangeParam name="waveOpacity" label="Opacity" value={waveOpacity} onChange={editParam} format={(v) => v.toFixed(2)} />
+            <ColorParam name="waveColor" label="Color" value={waveColor} onChange={editParam} />
           </div>
 
           <div className="param-section">
             <h3>✨ Wave Particles</h3>
-            <div className="param-group">
-              <label>Particle Count: {waveParticleCount}</label>
-              <input
-                type="range"
-                min="500"
-                max="5000"
-                step="100"
-                value={waveParticleCount}
-                onChange={(e) => setWaveParticleCount(Number(e.target.value))}
-              />
-            </div>
-            <div className="param-group">
-              <label>Connection Distance: {connectionDistance}</label>
-              <input
-                type="range"
-                min="3"
-                max="15"
-                step="1"
-                value={connectionDistance}
-                onChange={(e) => setConnectionDistance(Number(e.target.value))}
-              />
-            </div>
-            <div className="param-group">
-              <label>Max Connections: {maxConnections}</label>
-              <input
-                type="range"
-                min="100"
-                max="1000"
-                step="50"
-                value={maxConnections}
-                onChange={(e) => setMaxConnections(Number(e.target.value))}
-              />
-            </div>
-            <div className="param-group">
-              <label>Wave Intensity: {particleWaveIntensity.toFixed(1)}</label>
-              <input
-                type="range"
-                min="1"
-                max="15"
-                step="0.5"
-                value={particleWaveIntensity}
-                onChange={(e) => setParticleWaveIntensity(Number(e.target.value))}
-              />
-            </div>
-            <div className="param-group">
-              <label>Wave Speed: {particleWaveSpeed.toFixed(2)}</label>
-              <input
-                type="range"
-                min="0"
-                max="2"
-                step="0.1"
-                value={particleWaveSpeed}
-                onChange={(e) => setParticleWaveSpeed(Number(e.target.value))}
-              />
-            </div>
-            <div className="param-group">
-              <label>Connection Opacity: {connectionOpacity.toFixed(2)}</label>
-              <input
-                type="range"
-                min="0"
-                max="1"
-                step="0.05"
-                value={connectionOpacity}
-                onChange={(e) => setConnectionOpacity(Number(e.target.value))}
-              />
-            </div>
+            <CheckboxParam name="showWaveParticles" label="Show Wave Particles" value={showWaveParticles} onChange={editParam} />
+            <RangeParam name="waveParticleCount" label="Particle Count" value={waveParticleCount} onChange={editParam} />
+            <RangeParam name="connectionDistance" label="Connection Distance" value={connectionDistance} onChange={editParam} format={formatLength} />
+            <RangeParam name="maxConnections" label="Max Connections" value={maxConnections} onChange={editParam} />
+            <RangeParam name="particleWaveIntensity" label="Wave Intensity" value={particleWaveIntensity} onChange={editParam} format={(v) => v.toFixed(1)} />
+            <RangeParam name="particleWaveSpeed" label="Wave Speed" value={particleWaveSpeed} onChange={editParam} format={(v) => v.toFixed(2)} />
+            <RangeParam name="connectionOpacity" label="Connection Opacity" value={connectionOpacity} onChange={editParam} format={(v) => v.toFixed(2)} />
+            <RangeParam
+              name="connectionRefreshInterval"
+              label="Relink Every"
+              value={connectionRefreshInterval}
+              onChange={editParam}
+              format={(v) => `${v} frame${v === 1 ? '' : 's'}`}
+              hint="Links are rebuilt from a spatial grid as particles move"
+            />
+            <ColorParam name="particleColor" label="Color" value={particleColor} onChange={editParam} />
           </div>
 
           <div className="param-section">
             <h3>⭐ Other</h3>
-            <div className="param-group">
-              <label>Star Count: {starCount}</label>
-              <input
-                type="range"
-                min="1000"
-                max="10000"
-                step="500"
-                value={starCount}
-                onChange={(e) => setStarCount(Number(e.target.value))}
-              />
-            </div>
-            <div className="param-group">
-              <label>Movement Speed: {movementSpeed.toFixed(2)}</label>
-              <input
-                type="range"
-                min="0"
-                max="0.5"
-                step="0.01"
-                value={movementSpeed}
-                onChange={(e) => setMovementSpeed(Number(e.target.value))}
-              />
-            </div>
-            <div className="param-group">
-              <label>
-                <input
-                  type="checkbox"
-                  checked={enableMovement}
-                  onChange={(e) => setEnableMovement(e.target.checked)}
+            <RangeParam name="starCount" label="Star Count" value={starCount} onChange={editParam} />
+            <ColorParam name="starColor" label="Star Color" value={starColor} onChange={editParam} />
+          </div>
+
+          <div className="param-section">
+            <h3>🎨 Post-Processing</h3>
+            <CheckboxParam name="postProcessing" label="Enable Post-Processing" value={postProcessing} onChange={editParam} />
+            {postProcessing && (
+              <>
+                <RangeParam name="bloomStrength" label="Bloom Strength" value={bloomStrength} onChange={editParam} format={(v) => v.toFixed(2)} />
+                {bloomStrength > 0 && (
+                  <>
+                    <RangeParam name="bloomRadius" label="Bloom Radius" value={bloomRadius} onChange={editParam} format={(v) => v.toFixed(2)} />
+                    <RangeParam
+                      name="bloomThreshold"
+                      label="Bloom Threshold"
+                      value={bloomThreshold}
+                      onChange={editParam}
+                      format={(v) => v.toFixed(2)}
+                      hint="Brightness above which light blooms, so the bulge and blue arm stars glow first"
+                    />
+                  </>
+                )}
+                <SelectParam
+                  name="toneMapping"
+                  label="Tone Mapping"
+                  value={toneMapping}
+                  onChange={editParam}
+                  labels={{ aces: 'ACES filmic', agx: 'AgX', neutral: 'Neutral', reinhard: 'Reinhard', none: 'None (clip)' }}
                 />
-                Enable Galaxy Movement
-              </label>
-            </div>
+                <RangeParam name="exposure" label="Exposure" value={exposure} onChange={editParam} format={(v) => `${v.toFixed(2)}×`} />
+                <CheckboxParam name="dustLanes" label="Dust Lanes" value={dustLanes} onChange={editParam} />
+                {dustLanes && (
+                  <RangeParam
+                    name="dustOpacity"
+                    label="Dust Optical Depth"
+                    value={dustOpacity}
+                    onChange={editParam}
+                    format={(v) => v.toFixed(1)}
+                    hint="Face-on, at the middle of a lane; lanes darken and redden more seen edge-on"
+                  />
+                )}
+                <RangeParam name="chromaticAberration" label="Chromatic Aberration" value={chromaticAberration} onChange={editParam} format={(v) => v.toFixed(2)} />
+                <RangeParam name="vignette" label="Vignette" value={vignette} onChange={editParam} format={(v) => v.toFixed(2)} />
+              </>
+            )}
+          </div>
+
+          <div className="param-section">
+            <h3>🧭 Galaxy Movement</h3>
+            <CheckboxParam name="enableMovement" label="Enable Galaxy Movement" value={enableMovement} onChange={editParam} />
+            <RangeParam name="movementSpeed" label="Movement Speed" value={movementSpeed} onChange={editParam} format={(v) => v.toFixed(2)} />
+            <SelectParam
+              name="trajectoryModel"
+              label="Trajectory"
+              value={trajectoryModel}
+              onChange={editParam}
+              labels={{ sinusoid: 'Sinusoid with drift', spline: 'Spline path' }}
+            />
+            {trajectoryModel === 'spline' && (
+              <>
+                <CheckboxParam name="trajectoryClosed" label="Closed Loop" value={trajectoryClosed} onChange={editParam} />
+                <CheckboxParam name="showTrajectory" label="Show Path" value={showTrajectory} onChange={editParam} />
+                <TrajectoryEditor name="trajectoryPath" value={trajectoryPath} onChange={editParam} />
+                <span style={hintStyle}>The wave field spans ±50 on x and z</span>
+              </>
+            )}
           </div>
 
           <div className="param-section">
             <h3>🌍 Orbital Zones & Markers</h3>
-            <div className="param-group">
-              <label>
-                <input
-                  type="checkbox"
-                  checked={showOrbitalZones}
-                  onChange={(e) => setShowOrbitalZones(e.target.checked)}
-                />
-                Show Orbital Zones
-              </label>
-            </div>
-            <div className="param-group">
-              <label>
-                <input
-                  type="checkbox"
-                  checked={showZoneSeparators}
-                  onChange={(e) => setShowZoneSeparators(e.target.checked)}
-                />
-                Show Zone Separators
-              </label>
-            </div>
-            <div className="param-group">
-              <label>
-                <input
-                  type="checkbox"
-                  checked={showGalacticCenter}
-                  onChange={(e) => setShowGalacticCenter(e.target.checked)}
+            <CheckboxParam name="showOrbitalZones" label="Show Orbital Zones" value={showOrbitalZones} onChange={editParam} />
+            {showOrbitalZones && (
+              <>
+                <ZoneEditor
+                  name="orbitalZones"
+                  value={orbitalZones}
+                  onChange={editParam}
+                  galaxyRadius={galaxyRadius}
+                  formatLength={formatLength}
                 />
-                Show Galactic Center (GC)
-              </label>
-            </div>
-            <div className="param-group">
-              <label>
-                <input
-                  type="checkbox"
-                  checked={showSunMarker}
-                  onChange={(e) => setShowSunMarker(e.target.checked)}
-                />
-                Show Sun Marker
-              </label>
-            </div>
+                <span style={hintStyle}>
+                  Speed multiplies the galaxy's rigid rotation; with integrated orbits each zone follows the rotation curve instead.
+                </span>
+                <CheckboxParam name="showZoneLegend" label="Show Zone Legend" value={showZoneLegend} onChange={editParam} />
+                <CheckboxParam name="zoneMigration" label="Radial Migration" value={zoneMigration} onChange={editParam} />
+                {zoneMigration && (
+                  <>
+                    <RangeParam
+                      name="migrationStrength"
+                      label="Churning Strength"
+                      value={migrationStrength}
+                      onChange={editParam}
+                      format={(v) => v.toFixed(1)}
+                      hint={`Transient ${armCount}-armed spirals push stars near their corotation radius inwards or outwards`}
+                    />
+                    <CheckboxParam name="showMigrationTrails" label="Show Trails" value={showMigrationTrails} onChange={editParam} />
+                    {showMigrationTrails && (
+                      <RangeParam name="migrationTrailLength" label="Trail Length" value={migrationTrailLength} onChange={editParam} format={(v) => `${v} samples`} />
+                    )}
+                    {!editingB && <MigrationHistogram ref={migrationHistogramRef} zones={orbitalZones} />}
+                  </>
+                )}
+                <CheckboxParam name="showVelocityField" label="Show Velocity Field" value={showVelocityField} onChange={editParam} />
+                {showVelocityField && (
+                  <>
+                    <SelectParam
+                      name="velocityFieldMode"
+                      label="Velocity Field Style"
+                      value={velocityFieldMode}
+                      onChange={editParam}
+                      labels={{ arrows: 'Arrows', streamlines: 'Streamlines' }}
+                    />
+                    <RangeParam
+                      name="velocityFieldDensity"
+                      label="Density"
+                      value={velocityFieldDensity}
+                      onChange={editParam}
+                      format={(v) => `${v} rings`}
+                      hint="Rings of arrows across the galaxy radius; longer arrows and lines move faster"
+                    />
+                    <CheckboxParam name="velocityColorBySpeed" label="Color by Speed" value={velocityColorBySpeed} onChange={editParam} />
+                  </>
+                )}
+              </>
+            )}
+            <CheckboxParam name="showZoneSeparators" label="Show Zone Separators" value={showZoneSeparators} onChange={editParam} />
+            <CheckboxParam name="showGalacticCenter" label="Show Galactic Center (GC)" value={showGalacticCenter} onChange={editParam} />
+            <CheckboxParam name="showSunMarker" label="Show Sun Marker" value={showSunMarker} onChange={editParam} />
+          </div>
+
+          <div className="param-section">
+            <h3>📏 Units & Grid</h3>
+            <RangeParam
+              name="kpcPerUnit"
+              label="Scene Unit"
+              value={kpcPerUnit}
+              onChange={editParam}
+              format={(v) => `${v.toFixed(2)} kpc`}
+              hint={`Physical size of one scene unit; the Sun marker sits at ${formatLength(units.fromKpc(SOLAR_RADIUS_KPC))}`}
+            />
+            <SelectParam
+              name="distanceUnit"
+              label="Show Lengths In"
+              value={distanceUnit}
+              onChange={editParam}
+              labels={{ kpc: 'Kiloparsecs', ly: 'Light-years' }}
+            />
+            <CheckboxParam name="showGrid" label="Show Galactocentric Grid" value={showGrid} onChange={editParam} />
+            {showGrid && (
+              <RangeParam
+                name="gridRingSpacing"
+                label="Ring Spacing"
+                value={gridRingSpacing}
+                onChange={editParam}
+                format={(v) => `${v} kpc`}
+                hint="Spokes every 30° of longitude, 0° through the Sun"
+              />
+            )}
+            <CheckboxParam name="showScaleBar" label="Show Scale Bar" value={showScaleBar} onChange={editParam} />
           </div>
 
           <div className="param-section">
@@ -425,68 +835,123 @@ function App() {
             <p style={{ fontSize: '11px', color: '#a0a0a0', marginBottom: '10px', fontStyle: 'italic' }}>
               A massive ripple traveling across the Milky Way, shifting stars by up to 650 light-years vertically.
               <br />
-              <a href="https://www.iflscience.com/there-is-a-great-wave-traveling-across-the-milky-way-shifting-stars-by-100s-of-light-years-80992" 
-                 target="_blank" 
+              <a href="https://www.iflscience.com/there-is-a-great-wave-traveling-across-the-milky-way-shifting-stars-by-100s-of-light-years-80992"
+                 target="_blank"
                  rel="noopener noreferrer"
                  style={{ color: '#667eea' }}>
                 Learn more
               </a>
             </p>
-            <div className="param-group">
-              <label>
-                <input
-                  type="checkbox"
-                  checked={showGreatWave}
-                  onChange={(e) => setShowGreatWave(e.target.checked)}
+            <CheckboxParam name="showGreatWave" label="Show Great Wave (Star Displacement)" value={showGreatWave} onChange={editParam} />
+            <CheckboxParam name="showGreatWaveSurface" label="Show Wave Surface (Wireframe)" value={showGreatWaveSurface} onChange={editParam} />
+            <SelectParam
+              name="greatWaveModel"
+              label="Wave Model"
+              value={greatWaveModel}
+              onChange={editParam}
+              labels={{ ripple: 'Stylized ripple', disk: 'Warp, flare & corrugation' }}
+            />
+            {greatWaveModel === 'ripple' ? (
+              <>
+                <RangeParam
+                  name="greatWaveAmplitude"
+                  label="Wave Amplitude"
+                  value={greatWaveAmplitude}
+                  onChange={editParam}
+                  format={formatLength}
+                  hint="Peak vertical shift (observed up to about 650 light-years)"
                 />
-                Show Great Wave (Star Displacement)
-              </label>
-            </div>
-            <div className="param-group">
-              <label>
-                <input
-                  type="checkbox"
-                  checked={showGreatWaveSurface}
-                  onChange={(e) => setShowGreatWaveSurface(e.target.checked)}
+                <RangeParam
+                  name="greatWaveLength"
+                  label="Wave Length"
+                  value={greatWaveLength}
+                  onChange={editParam}
+                  format={formatLength}
+                  hint="Horizontal extent (observed 30,000-65,000 light-years)"
                 />
-                Show Wave Surface (Wireframe)
-              </label>
-            </div>
-            <div className="param-group">
-              <label>Wave Amplitude: {greatWaveAmplitude.toFixed(2)}</label>
-              <input
-                type="range"
-                min="0"
-                max="2"
-                step="0.05"
-                value={greatWaveAmplitude}
-                onChange={(e) => setGreatWaveAmplitude(Number(e.target.value))}
-              />
-              <span style={{ fontSize: '11px', color: '#a0a0a0' }}>Vertical shift (650 light-years max)</span>
-            </div>
-            <div className="param-group">
-              <label>Wave Length: {greatWaveLength.toFixed(1)}</label>
-              <input
-                type="range"
-                min="10"
-                max="50"
-                step="1"
-                value={greatWaveLength}
-                onChange={(e) => setGreatWaveLength(Number(e.target.value))}
-              />
-              <span style={{ fontSize: '11px', color: '#a0a0a0' }}>Horizontal extent (30k-65k light-years)</span>
-            </div>
-            <div className="param-group">
-              <label>Wave Speed: {greatWaveSpeed.toFixed(3)}</label>
-              <input
-                type="range"
-                min="0"
-                max="0.2"
-                step="0.005"
-                value={greatWaveSpeed}
-                onChange={(e) => setGreatWaveSpeed(Number(e.target.value))}
-              />
-            </div>
+                <RangeParam name="greatWaveSpeed" label="Wave Speed" value={greatWaveSpeed} onChange={editParam} format={(v) => v.toFixed(3)} />
+              </>
+            ) : (
+              <>
+                <span style={hintStyle}>Displaces the galaxy's own outer disk stars as well as the wave stars.</span>
+                <RangeParam name="diskWaveInnerLy" label="Region Inner Radius" value={diskWaveInnerLy} onChange={editParam} format={formatLightYears} />
+                <RangeParam
+                  name="diskWaveOuterLy"
+                  label="Region Outer Radius"
+                  value={diskWaveOuterLy}
+                  onChange={editParam}
+                  format={formatLightYears}
+                  hint="Observed 30,000-65,000 light-years from the center"
+                />
+                <CheckboxParam name="diskWarp" label="Warp" value={diskWarp} onChange={editParam} />
+                {diskWarp && (
+                  <>
+                    <RangeParam
+                      name="warpAmplitudeLy"
+                      label="Warp Height"
+                      value={warpAmplitudeLy}
+                      onChange={editParam}
+                      format={formatLightYears}
+                      hint="At the outer radius; S-shaped, up on one side and down on the other"
+                    />
+                    <RangeParam
+                      name="warpNodesAngle"
+                      label="Line of Nodes"
+                      value={warpNodesAngle}
+                      onChange={editParam}
+                      format={(v) => `${v}°`}
+                      hint="Galactocentric longitude where the warp crosses the midplane, 0° through the Sun"
+                    />
+                  </>
+                )}
+                <CheckboxParam name="diskFlare" label="Flare" value={diskFlare} onChange={editParam} />
+                {diskFlare && (
+                  <RangeParam
+                    name="flareScaleLengthLy"
+                    label="Flare Scale Length"
+                    value={flareScaleLengthLy}
+                    onChange={editParam}
+                    format={formatLightYears}
+                    hint="The disk thickens by e over this distance beyond the inner radius"
+                  />
+                )}
+                <CheckboxParam name="diskCorrugation" label="Corrugation" value={diskCorrugation} onChange={editParam} />
+                {diskCorrugation && (
+                  <>
+                    <RangeParam
+                      name="corrugationAmplitudeLy"
+                      label="Corrugation Amplitude"
+                      value={corrugationAmplitudeLy}
+                      onChange={editParam}
+                      format={formatLightYears}
+                      hint="Observed up to about 650 light-years"
+                    />
+                    <RangeParam
+                      name="corrugationWavelengthLy"
+                      label="Corrugation Wavelength"
+                      value={corrugationWavelengthLy}
+                      onChange={editParam}
+                      format={formatLightYears}
+                    />
+                    <RangeParam
+                      name="corrugationPatternSpeed"
+                      label="Pattern Speed"
+                      value={corrugationPatternSpeed}
+                      onChange={editParam}
+                      format={(v) => `${v.toFixed(2)} rad/s`}
+                      hint="The ripple turns with the disk, so its crests travel outwards"
+                    />
+                  </>
+                )}
+              </>
+            )}
+            <RangeParam
+              name="greatWaveParticleCount"
+              label="Displaced Stars"
+              value={greatWaveParticleCount}
+              onChange={editParam}
+              hint="Displaced on the GPU, so large counts stay cheap"
+            />
           </div>
         </div>
       )}
@@ -0,0 +1,59 @@
+import React, { useRef } from 'react';
+import { useFrame, useThree } from '@react-three/fiber';
+import { OrbitControls } from '@react-three/drei';
+
+// Holds this canvas's camera on the pose of a CameraRig in another canvas
+// (`rigRef`), so both viewports show the same view. With `interactive`,
+// orbiting here moves the rig's camera through setView, and this one
+// follows it on the next frame; `onViewChange` runs when a drag ends.
+function CameraMirror({ rigRef, interactive = false, onViewChange }) {
+  const camera = useThree((state) => state.camera);
+  const controlsRef = useRef();
+  const dragging = useRef(false);
+
+  useFrame(() => {
+    const rig = rigRef.current;
+    if (!rig) return;
+    const source = rig.getCamera();
+    camera.position.copy(source.position);
+    camera.quaternion.copy(source.quaternion);
+    // Aspect stays this viewport's own
+    if (camera.fov !== source.fov || camera.near !== source.near || camera.far !== source.far) {
+      camera.fov = source.fov;
+      camera.near = source.near;
+      camera.far = source.far;
+      camera.updateProjectionMatrix();
+    }
+    if (controlsRef.current) {
+      controlsRef.current.target.fromArray(rig.getView().target);
+    }
+  });
+
+  if (!interactive) return null;
+
+  // Only the user's own moves go back to the rig, not this camera catching up
+  const pushView = () => {
+    const rig = rigRef.current;
+    if (dragging.current && rig && controlsRef.current) {
+      rig.setView({ position: camera.position.toArray(), target: controlsRef.current.target.toArray() });
+    }
+  };
+
+  // Damping would keep moving this camera after the rig's had settled
+  return (
+    <OrbitControls
+      ref={controlsRef}
+      enableDamping={false}
+      minDistance={20}
+      maxDistance={100}
+      onStart={() => { dragging.current = true; }}
+      onChange={pushView}
+      onEnd={() => {
+        dragging.current = false;
+        if (onViewChange) onViewChange();
+      }}
+    />
+  );
+}
+
+export { CameraMirror };
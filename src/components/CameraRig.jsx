@@ -0,0 +1,132 @@
+import React, { useRef, useMemo, useEffect, useCallback, useImperativeHandle, forwardRef } from 'react';
+import { useFrame, useThree } from '@react-three/fiber';
+import { OrbitControls, FlyControls } from '@react-three/drei';
+import * as THREE from 'three';
+import { createTour, tourView } from '../core/cameraTour';
+import { useSimulationClock } from './SimulationClock';
+
+// How far ahead of a flying camera its look-at target sits
+const FLY_TARGET_DISTANCE = 20;
+
+const framePosition = new THREE.Vector3();
+const frameDelta = new THREE.Vector3();
+
+// Camera controls for every camera mode:
+// - orbit: OrbitControls around a fixed target
+// - follow: OrbitControls whose camera and target ride along with the galaxy frame
+// - fly: first-person FlyControls (WASD, R/F, Q/E, drag to look)
+// - tour: plays the keyframed tour, relative to the galaxy frame
+// The look-at target survives mode switches, so each mode picks up the view
+// the previous one left behind. Exposes getView/setView/getGalaxyOrigin and
+// getCamera.
+const CameraRig = forwardRef(function CameraRig({
+  mode = 'orbit',
+  galaxyFrameRef,
+  initialTarget = [0, 0, 0],
+  flySpeed = 15,
+  tourKeyframes,
+  tourSegmentDuration = 6,
+  onViewChange
+}, ref) {
+  const camera = useThree((state) => state.camera);
+  const clock = useSimulationClock();
+  const orbitRef = useRef();
+  const target = useRef(new THREE.Vector3().fromArray(initialTarget));
+  const lastFramePosition = useRef(null);
+  const tourTime = useRef(0);
+
+  const tour = useMemo(() => tourKeyframes && createTour(tourKeyframes), [tourKeyframes]);
+
+  const getGalaxyOrigin = useCallback(() => (galaxyFrameRef && galaxyFrameRef.current
+    ? galaxyFrameRef.current.position
+    : framePosition.set(0, 0, 0)), [galaxyFrameRef]);
+
+  useImperativeHandle(ref, () => ({
+    getView: () => ({
+      position: camera.position.toArray(),
+      target: target.current.toArray()
+    }),
+    setView: ({ position, target: lookAt }) => {
+      camera.position.fromArray(position);
+      target.current.fromArray(lookAt);
+      camera.lookAt(target.current);
+      if (orbitRef.current) {
+        orbitRef.current.target.copy(target.current);
+        orbitRef.current.update();
+      }
+    },
+    getGalaxyOrigin: () => getGalaxyOrigin().toArray(),
+    getCamera: () => camera
+  }));
+
+  // Hand the shared target to whichever mode just started
+  useEffect(() => {
+    lastFramePosition.current = null;
+    tourTime.current = 0;
+
+    if (mode === 'follow') {
+      // Re-center on the galaxy, keeping the current viewing offset
+      const origin = getGalaxyOrigin();
+      camera.position.sub(target.current).add(origin);
+      target.current.copy(origin);
+    }
+    camera.lookAt(target.current);
+    if (orbitRef.current) {
+      orbitRef.current.target.copy(target.current);
+      orbitRef.current.update();
+    }
+  }, [mode, camera, getGalaxyOrigin]);
+
+  useFrame((state, delta) => {
+    const controls = orbitRef.current;
+
+    if (mode === 'follow' && controls) {
+      const origin = getGalaxyOrigin();
+      if (lastFramePosition.current) {
+        frameDelta.subVectors(origin, lastFramePosition.current);
+        camera.position.add(frameDelta);
+        controls.target.add(frameDelta);
+        controls.update();
+      } else {
+        lastFramePosition.current = new THREE.Vector3();
+      }
+      lastFramePosition.current.copy(origin);
+    }
+
+    if ((mode === 'orbit' || mode === 'follow') && controls) {
+      target.current.copy(controls.target);
+    } else if (mode === 'fly') {
+      camera.getWorldDirection(target.current).multiplyScalar(FLY_TARGET_DISTANCE).add(camera.position);
+    } else if (mode === 'tour' && tour) {
+      // Tours run on simulation time so they can be exported frame by frame
+      tourTime.current += clock ? clock.delta : delta;
+      const origin = getGalaxyOrigin();
+      tourView(tour, tourTime.current, tourSegmentDuration, camera.position, target.current);
+      camera.position.add(origin);
+      target.current.add(origin);
+      camera.lookAt(target.current);
+    }
+  });
+
+  if (mode === 'fly') {
+    return <FlyControls movementSpeed={flySpeed} rollSpeed={0.5} dragToLook />;
+  }
+
+  if (mode === 'tour') return null;
+
+  return (
+    <OrbitControls
+      ref={orbitRef}
+      enablePan={true}
+      enableZoom={true}
+      enableRotate={true}
+      minDistance={20}
+      maxDistance={100}
+      autoRotate={false}
+      autoRotateSpeed={0.5}
+      onEnd={onViewChange}
+    />
+  );
+});
+
+export { CameraRig };
@@ -0,0 +1,163 @@
+import React, { useState, useRef } from 'react';
+import { CatalogError, MAX_CATALOG_STARS, parseCatalog, guessColumnMapping } from '../core/catalog';
+import { readFileAsText } from '../utils/download';
+import { hintStyle } from './ParamControls';
+
+const COORDINATE_COLUMNS = {
+  equatorial: [['ra', 'RA (deg)'], ['dec', 'Dec (deg)'], ['parallax', 'Parallax (mas)']],
+  galactocentric: [['x', 'X (kpc)'], ['y', 'Y (kpc)'], ['z', 'Z (kpc)']]
+};
+
+function ColumnSelect({ label, value, columns, onChange, allowNone = false }) {
+  return (
+    <div className="param-group">
+      <label>{label}</label>
+      <select value={value} onChange={(e) => onChange(e.target.value)}>
+        {(allowNone || !value) && <option value="">{allowNone ? 'None' : 'Choose a column'}</option>}
+        {columns.map((name) => (
+          <option key={name} value={name}>{name}</option>
+        ))}
+      </select>
+    </div>
+  );
+}
+
+// Import of a star catalog (CSV or JSON) as a point layer, with the column
+// mapping and coloring. `catalog` is the imported table and its settings,
+// `layer` what buildCatalogLayer made of it (or { error }).
+function CatalogPanel({ catalog, layer, onChange }) {
+  const [error, setError] = useState('');
+  const fileInputRef = useRef();
+
+  const update = (changes) => onChange({ ...catalog, ...changes });
+  const setMapping = (key, value) => update({
+    mapping: { ...catalog.mapping, [key]: value },
+    // A new color column gets its own range
+    colorRange: key === 'color' ? null : catalog.colorRange
+  });
+  const setRangeEnd = (end, value) => {
+    if (!Number.isFinite(value)) return;
+    const range = [...layer.colorRange];
+    range[end] = value;
+    update({ colorRange: range });
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      const format = /\.json$/i.test(file.name) ? 'json' : /\.(csv|txt)$/i.test(file.name) ? 'csv' : undefined;
+      const table = parseCatalog(await readFileAsText(file), format);
+      setError('');
+      onChange({
+        name: file.name,
+        table,
+        mapping: guessColumnMapping(table.columns),
+        colorRange: null,
+        pointSize: 0.15,
+        visible: true
+      });
+    } catch (err) {
+      setError(err instanceof CatalogError ? `${file.name} was not loaded: ${err.message}` : err.message);
+    }
+  };
+
+  const ready = layer && !layer.error;
+
+  return (
+    <div className="param-section">
+      <h3>🛰️ Star Catalog</h3>
+      <div className="param-group">
+        <div className="seed-controls">
+          <button className="param-btn" onClick={() => fileInputRef.current.click()}>Import CSV/JSON…</button>
+          <button className="param-btn" onClick={() => onChange(null)} disabled={!catalog}>Remove</button>
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept=".csv,.json,.txt,text/csv,application/json"
+            style={{ display: 'none' }}
+            onChange={handleImport}
+          />
+        </div>
+        {!catalog && (
+          <span style={hintStyle}>
+            RA/Dec/parallax (e.g. a Gaia archive export) or galactocentric X/Y/Z in kpc, one star per row
+          </span>
+        )}
+        {ready && (
+          <span style={hintStyle}>
+            {catalog.name}: {layer.count.toLocaleString('en-US')} stars shown
+            {layer.skipped > 0 && `, ${layer.skipped.toLocaleString('en-US')} skipped`}
+            {catalog.table.rowCount > MAX_CATALOG_STARS && ` (at most ${MAX_CATALOG_STARS.toLocaleString('en-US')})`}
+          </span>
+        )}
+      </div>
+
+      {catalog && (
+        <>
+          <div className="param-group">
+            <label>
+              <input type="checkbox" checked={catalog.visible} onChange={(e) => update({ visible: e.target.checked })} />
+              Show Catalog Stars
+            </label>
+          </div>
+          <div className="param-group">
+            <label>Coordinates</label>
+            <select value={catalog.mapping.frame} onChange={(e) => setMapping('frame', e.target.value)}>
+              <option value="equatorial">RA / Dec / parallax</option>
+              <option value="galactocentric">Galactocentric X / Y / Z</option>
+            </select>
+          </div>
+          {COORDINATE_COLUMNS[catalog.mapping.frame].map(([key, label]) => (
+            <ColumnSelect
+              key={key}
+              label={label}
+              value={catalog.mapping[key]}
+              columns={catalog.table.columns}
+              onChange={(value) => setMapping(key, value)}
+            />
+          ))}
+          <ColumnSelect
+            label="Color By"
+            value={catalog.mapping.color}
+            columns={catalog.table.columns}
+            onChange={(value) => setMapping('color', value)}
+            allowNone
+          />
+          {ready && catalog.mapping.color && (
+            <div className="param-group">
+              <label>Color Range (blue → white → red)</label>
+              <div className="seed-controls">
+                <input type="number" value={Number(layer.colorRange[0].toPrecision(4))} onChange={(e) => setRangeEnd(0, Number(e.target.value))} aria-label="Color range minimum" />
+                <input type="number" value={Number(layer.colorRange[1].toPrecision(4))} onChange={(e) => setRangeEnd(1, Number(e.target.value))} aria-label="Color range maximum" />
+                <button className="param-btn" onClick={() => update({ colorRange: null })} disabled={!catalog.colorRange}>Auto</button>
+              </div>
+            </div>
+          )}
+          <div className="param-group">
+            <label>Point Size: {catalog.pointSize.toFixed(2)}</label>
+            <input
+              type="range"
+              min="0.05"
+              max="1"
+              step="0.05"
+              value={catalog.pointSize}
+              onChange={(e) => update({ pointSize: Number(e.target.value) })}
+            />
+          </div>
+        </>
+      )}
+
+      {(error || (layer && layer.error)) && (
+        <div className="notice">
+          <p>{error || layer.error}</p>
+          {error && <button className="param-btn" onClick={() => setError('')}>Dismiss</button>}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default CatalogPanel;
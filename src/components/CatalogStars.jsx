@@ -0,0 +1,33 @@
+import React from 'react';
+import { Points, PointMaterial } from '@react-three/drei';
+import { usePickHandlers } from './StarPicking';
+
+// Stars imported from a catalog (see core/catalog.js), drawn in the galaxy
+// frame so the Sun in the catalog sits on the Sun marker. `layer` comes from
+// buildCatalogLayer. The stars hold still; they are a snapshot of the sky.
+function CatalogStars({ layer, pointSize = 0.15, opacity = 0.9 }) {
+  const { positions, colors, rows, count } = layer;
+
+  const pickHandlers = usePickHandlers((index) => (index < count ? {
+    source: 'catalog',
+    position: [positions[index * 3], positions[index * 3 + 1], positions[index * 3 + 2]],
+    row: rows[index],
+    velocity: null
+  } : null));
+
+  return (
+    // A new point cloud for a new catalog, since GPU buffers can't grow
+    <Points key={count} positions={positions} colors={colors} stride={3} {...pickHandlers}>
+      <PointMaterial
+        transparent
+        vertexColors
+        size={pointSize}
+        sizeAttenuation={true}
+        opacity={opacity}
+        depthWrite={false}
+      />
+    </Points>
+  );
+}
+
+export { CatalogStars };
@@ -0,0 +1,99 @@
+import React, { useMemo } from 'react';
+import { diffParams, paramLabel, describeParamValue } from '../core/compare';
+import { PARAM_DEFS } from '../core/params';
+import { hintStyle } from './ParamControls';
+
+const MODES = [
+  { value: 'off', label: 'Off' },
+  { value: 'split', label: 'Side by side' },
+  { value: 'overlay', label: 'Overlay with wipe' }
+];
+
+function DiffValue({ name, value }) {
+  const text = describeParamValue(name, value);
+  if (PARAM_DEFS[name].type !== 'color') return text;
+  return (
+    <>
+      <span className="compare-diff-swatch" style={{ background: value }} />
+      {text}
+    </>
+  );
+}
+
+// Comparison of parameter set A (the shared link's) with a second set B:
+// how to show them, which one the rest of the panel edits, and every
+// parameter that differs, with buttons to copy single values across.
+function ComparePanel({ mode, onModeChange, editing, onEditingChange, paramsA, paramsB, onChangeA, onChangeB, onLoadA, onLoadB }) {
+  const diff = useMemo(() => (paramsB ? diffParams(paramsA, paramsB) : []), [paramsA, paramsB]);
+
+  return (
+    <div className="param-section">
+      <h3>⚖️ Compare</h3>
+      <div className="param-group">
+        <label>Mode</label>
+        <select value={mode} onChange={(e) => onModeChange(e.target.value)}>
+          {MODES.map((m) => (
+            <option key={m.value} value={m.value}>{m.label}</option>
+          ))}
+        </select>
+      </div>
+      {mode !== 'off' && paramsB && (
+        <>
+          <div className="param-group">
+            <label>Panel edits</label>
+            <select value={editing} onChange={(e) => onEditingChange(e.target.value)}>
+              <option value="A">A (left)</option>
+              <option value="B">B (right)</option>
+            </select>
+            <span style={hintStyle}>B follows A's camera; camera settings always edit A.</span>
+          </div>
+          <div className="param-group">
+            <div className="seed-controls">
+              <button className="param-btn" onClick={() => onLoadB(paramsA)}>Copy A → B</button>
+              <button className="param-btn" onClick={() => onLoadA(paramsB)}>Copy B → A</button>
+              <button
+                className="param-btn"
+                onClick={() => {
+                  onLoadA(paramsB);
+                  onLoadB(paramsA);
+                }}
+              >
+                Swap
+              </button>
+            </div>
+          </div>
+          <div className="param-group">
+            <label>{diff.length === 0 ? 'A and B are identical' : `${diff.length} ${diff.length === 1 ? 'difference' : 'differences'}`}</label>
+            {diff.length > 0 && (
+              <table className="compare-diff">
+                <thead>
+                  <tr>
+                    <th>Parameter</th>
+                    <th>A</th>
+                    <th>B</th>
+                    <th />
+                  </tr>
+                </thead>
+                <tbody>
+                  {diff.map(({ key, a, b }) => (
+                    <tr key={key}>
+                      <td>{paramLabel(key)}</td>
+                      <td><DiffValue name={key} value={a} /></td>
+                      <td><DiffValue name={key} value={b} /></td>
+                      <td className="compare-diff-actions">
+                        <button className="param-btn" title="Use A's value in B" onClick={() => onChangeB(key, a)}>→B</button>
+                        <button className="param-btn" title="Use B's value in A" onClick={() => onChangeA(key, b)}>→A</button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default ComparePanel;
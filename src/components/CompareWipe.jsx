@@ -0,0 +1,43 @@
+import React, { useRef } from 'react';
+
+// Draggable divider for the overlay comparison: A shows left of it, B right.
+// `position` is the divider's place across the window, from 0 to 1.
+function CompareWipe({ position, onChange }) {
+  const dragging = useRef(false);
+
+  const moveTo = (e) => {
+    onChange(Math.min(1, Math.max(0, e.clientX / window.innerWidth)));
+  };
+
+  return (
+    <div className="compare-wipe" style={{ left: `${position * 100}%` }}>
+      <span className="compare-badge compare-badge-a">A</span>
+      <span className="compare-badge compare-badge-b">B</span>
+      <div
+        className="compare-wipe-handle"
+        role="slider"
+        aria-label="Comparison wipe"
+        aria-valuemin={0}
+        aria-valuemax={100}
+        aria-valuenow={Math.round(position * 100)}
+        tabIndex={0}
+        onPointerDown={(e) => {
+          dragging.current = true;
+          e.currentTarget.setPointerCapture(e.pointerId);
+        }}
+        onPointerMove={(e) => dragging.current && moveTo(e)}
+        onPointerUp={() => { dragging.current = false; }}
+        onKeyDown={(e) => {
+          const step = e.key === 'ArrowLeft' ? -0.02 : e.key === 'ArrowRight' ? 0.02 : 0;
+          if (step) {
+            // Keep the fly controls from turning the camera too
+            e.stopPropagation();
+            onChange(Math.min(1, Math.max(0, position + step)));
+          }
+        }}
+      />
+    </div>
+  );
+}
+
+export { CompareWipe };
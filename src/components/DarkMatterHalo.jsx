@@ -0,0 +1,65 @@
+import React, { useMemo } from 'react';
+import { Points, PointMaterial } from '@react-three/drei';
+import * as THREE from 'three';
+import { DEFAULT_SEED } from '../core/random';
+import { generateHaloParticles } from '../core/darkMatter';
+
+// Dark matter halo sampled from an NFW or Einasto profile out to the virial
+// radius, with an optional translucent isodensity shell. A flattened halo's
+// isodensity surfaces are oblate spheroids with axis ratio q.
+function DarkMatterHalo({
+  profile = 'nfw',
+  scaleRadius = 10,
+  concentration = 6,
+  flattening = 0.8,
+  alpha = 0.17,
+  particleCount = 4000,
+  color = '#7a5cff',
+  opacity = 0.35,
+  showShell = false,
+  shellRadius = 1, // In scale radii
+  position = [0, 0, 0],
+  seed = DEFAULT_SEED
+}) {
+  const { positions } = useMemo(() => generateHaloParticles({
+    profile,
+    scaleRadius,
+    concentration,
+    flattening,
+    alpha,
+    particleCount,
+    seed
+  }), [profile, scaleRadius, concentration, flattening, alpha, particleCount, seed]);
+
+  const shell = shellRadius * scaleRadius;
+
+  return (
+    <group position={position}>
+      <Points positions={positions} stride={3} frustumCulled={false}>
+        <PointMaterial
+          transparent
+          color={color}
+          opacity={opacity}
+          size={0.15}
+          sizeAttenuation={true}
+          depthWrite={false}
+          blending={THREE.AdditiveBlending}
+        />
+      </Points>
+      {showShell && (
+        <mesh scale={[shell, shell * flattening, shell]}>
+          <sphereGeometry args={[1, 48, 32]} />
+          <meshBasicMaterial
+            color={color}
+            transparent
+            opacity={0.08}
+            depthWrite={false}
+            side={THREE.DoubleSide}
+          />
+        </mesh>
+      )}
+    </group>
+  );
+}
+
+export { DarkMatterHalo };
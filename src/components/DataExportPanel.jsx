@@ -0,0 +1,76 @@
+import React, { useState } from 'react';
+import { downloadFile } from '../utils/download';
+import { hintStyle } from './ParamControls';
+
+const FORMATS = [
+  { value: 'csv', label: 'CSV points (.csv)', extension: 'csv' },
+  { value: 'json', label: 'JSON points (.json)', extension: 'json' },
+  { value: 'ply', label: 'PLY point cloud (.ply)', extension: 'ply' },
+  { value: 'gltf', label: 'glTF scene (.glb)', extension: 'glb' }
+];
+
+// Point and scene data exports through a DataExporter in the scene. Every
+// file carries the parameters as drawn, i.e. with the counts of the quality
+// tier named by `qualityTier`, so they match the exported data.
+function DataExportPanel({ exporterRef, params, qualityTier }) {
+  const [format, setFormat] = useState('csv');
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+
+  const { extension } = FORMATS.find((f) => f.value === format);
+
+  const handleExport = async () => {
+    const exporter = exporterRef.current;
+    if (!exporter || busy) return;
+    setBusy(true);
+    setError('');
+    setMessage('');
+    try {
+      const blob = await exporter.exportData({
+        format,
+        metadata: { exportedAt: new Date().toISOString(), qualityTier, params }
+      });
+      downloadFile(`milky-way.${extension}`, blob);
+      setMessage(`Saved ${(blob.size / 1048576).toFixed(1)} MB`);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="param-section">
+      <h3>📦 Data Export</h3>
+      <div className="param-group">
+        <label>Format</label>
+        <select value={format} onChange={(e) => setFormat(e.target.value)} disabled={busy}>
+          {FORMATS.map((f) => (
+            <option key={f.value} value={f.value}>{f.label}</option>
+          ))}
+        </select>
+      </div>
+      <div className="param-group">
+        <button className="param-btn" onClick={handleExport} disabled={busy}>
+          {busy ? 'Exporting…' : 'Export data'}
+        </button>
+        {message && <span style={hintStyle}>{message}</span>}
+        <span style={hintStyle}>
+          {format === 'gltf'
+            ? 'Every visible mesh, line and point cloud, as drawn right now, for Blender and other 3D tools.'
+            : 'Galaxy, Great Wave, orbital zone and background stars with their colors and component labels.'}
+          {' '}Positions are in scene units around the galactic center.
+        </span>
+      </div>
+      {error && (
+        <div className="notice">
+          <p>{error}</p>
+          <button className="param-btn" onClick={() => setError('')}>Dismiss</button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default DataExportPanel;
@@ -0,0 +1,112 @@
+import { forwardRef, useImperativeHandle } from 'react';
+import { useThree } from '@react-three/fiber';
+import * as THREE from 'three';
+import { GLTFExporter } from 'three/examples/jsm/exporters/GLTFExporter.js';
+import { pointsToCsv, pointsToJson, pointsToPly } from '../core/pointExport';
+import { exportCopy } from '../core/sceneExport';
+
+// Scene objects opt in to data exports through `userData.dataExport`:
+//   layer  name of the object's point layer in CSV/JSON/PLY exports (Points only)
+//   label  (index) => component label of each point
+//   bake   () => ({ position, normal }) local-space attributes as drawn, for
+//          objects displaced on the GPU; `normal` is optional
+// `userData.dataExport = false` leaves an object and its children out of
+// every export, e.g. for UI markers.
+
+const POINT_FORMATS = {
+  csv: { serialize: pointsToCsv, type: 'text/csv' },
+  json: { serialize: pointsToJson, type: 'application/json' },
+  ply: { serialize: pointsToPly, type: 'application/octet-stream' }
+};
+
+const point = new THREE.Vector3();
+const color = new THREE.Color();
+
+// Visible objects, skipping hidden and excluded subtrees
+function visitShown(object, visit) {
+  if (!object.visible || object.userData.dataExport === false) return;
+  visit(object);
+  object.children.forEach((child) => visitShown(child, visit));
+}
+
+function bakedPositions(object) {
+  const { dataExport } = object.userData;
+  return dataExport && dataExport.bake ? dataExport.bake().position : object.geometry.attributes.position.array;
+}
+
+// A point layer in the galaxy frame, with each point's color as drawn:
+// its vertex color, if the material uses them, times the material color
+function pointLayer(object, toFrame) {
+  const { layer, label } = object.userData.dataExport;
+  const { geometry, material } = object;
+  const source = bakedPositions(object);
+  const vertexColors = material.vertexColors && geometry.attributes.color;
+  const count = geometry.attributes.position.count;
+  const matrix = new THREE.Matrix4().multiplyMatrices(toFrame, object.matrixWorld);
+  const positions = new Float32Array(count * 3);
+  const colors = new Float32Array(count * 3);
+  const labels = new Array(count);
+
+  for (let i = 0; i < count; i++) {
+    point.fromArray(source, i * 3).applyMatrix4(matrix).toArray(positions, i * 3);
+    if (vertexColors) {
+      color.fromBufferAttribute(vertexColors, i).multiply(material.color);
+    } else {
+      color.copy(material.color);
+    }
+    color.toArray(colors, i * 3);
+    labels[i] = label ? label(i) : layer;
+  }
+  return { name: layer, positions, colors, labels };
+}
+
+// Data exports of the scene as it is drawn right now. Must be rendered inside
+// the <Canvas>. Positions are relative to the galaxy frame, so the galactic
+// center sits at the origin wherever the galaxy has travelled.
+//   csv, json, ply  every point layer (galaxy, Great Wave, orbital zones,
+//                   background stars) with per-point component labels
+//   gltf            a binary glTF (.glb) of every visible mesh, line and
+//                   point cloud, including the wave field and zone rings
+// `metadata` is written into each file, along with the simulation time.
+const DataExporter = forwardRef(function DataExporter({ clock, galaxyFrameRef }, ref) {
+  const scene = useThree((state) => state.scene);
+
+  const toGalaxyFrame = () => {
+    scene.updateMatrixWorld();
+    const frame = galaxyFrameRef && galaxyFrameRef.current;
+    return frame ? frame.matrixWorld.clone().invert() : new THREE.Matrix4();
+  };
+
+  useImperativeHandle(ref, () => ({
+    exportData: async ({ format, metadata = {} }) => {
+      const toFrame = toGalaxyFrame();
+      const fullMetadata = { simulationTime: clock ? clock.time : null, ...metadata };
+
+      if (format === 'gltf') {
+        const root = new THREE.Group();
+        root.name = 'milky-way';
+        root.userData = fullMetadata;
+        visitShown(scene, (object) => {
+          if ((object.isMesh || object.isLine || object.isPoints) && object.geometry && object.geometry.attributes.position) {
+            root.add(exportCopy(object, toFrame));
+          }
+        });
+        const glb = await new GLTFExporter().parseAsync(root, { binary: true });
+        return new Blob([glb], { type: 'model/gltf-binary' });
+      }
+
+      const layers = [];
+      visitShown(scene, (object) => {
+        if (object.isPoints && object.userData.dataExport && object.userData.dataExport.layer) {
+          layers.push(pointLayer(object, toFrame));
+        }
+      });
+      const { serialize, type } = POINT_FORMATS[format];
+      return new Blob([serialize(layers, fullMetadata)], { type });
+    }
+  }));
+
+  return null;
+});
+
+export { DataExporter };
@@ -0,0 +1,143 @@
+import React, { useState, useRef } from 'react';
+import { downloadFile } from '../utils/download';
+import { hintStyle } from './ParamControls';
+
+const RESOLUTIONS = [
+  { label: '1280 × 720 (720p)', width: 1280, height: 720 },
+  { label: '1920 × 1080 (1080p)', width: 1920, height: 1080 },
+  { label: '2560 × 1440 (1440p)', width: 2560, height: 1440 },
+  { label: '3840 × 2160 (4K)', width: 3840, height: 2160 },
+  { label: '1080 × 1920 (vertical)', width: 1080, height: 1920 },
+  { label: '1080 × 1080 (square)', width: 1080, height: 1080 }
+];
+
+const FRAME_RATES = [24, 30, 60];
+
+// Video, image-sequence and still export through a FrameExporter in the scene
+function ExportPanel({ exporterRef }) {
+  const [resolution, setResolution] = useState(1);
+  const [fps, setFps] = useState(30);
+  const [duration, setDuration] = useState(10);
+  const [format, setFormat] = useState('png');
+  const [transparent, setTransparent] = useState(true);
+  const [progress, setProgress] = useState(null);
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+  // True while a sequence is rendering, which is when Cancel applies
+  const [exporting, setExporting] = useState(false);
+  const abortRef = useRef(null);
+
+  const { width, height } = RESOLUTIONS[resolution];
+  const frameCount = Math.max(1, Math.round(duration * fps));
+  const busy = progress !== null;
+
+  const run = async (label, task) => {
+    const exporter = exporterRef.current;
+    if (!exporter || busy) return;
+    setError('');
+    setMessage('');
+    setProgress({ done: 0, total: 1, label });
+    try {
+      await task(exporter);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      abortRef.current = null;
+      setExporting(false);
+      setProgress(null);
+    }
+  };
+
+  const handleStill = () => run('Rendering still', async (exporter) => {
+    const blob = await exporter.captureStill({ width, height, background: transparent ? null : '#000000' });
+    downloadFile(`milky-way-${width}x${height}.png`, blob);
+    setMessage(`Saved a ${width}×${height} still`);
+  });
+
+  const handleSequence = () => run('Rendering frame', async (exporter) => {
+    abortRef.current = new AbortController();
+    setExporting(true);
+    const blob = await exporter.exportSequence({
+      width,
+      height,
+      fps,
+      duration,
+      format,
+      signal: abortRef.current.signal,
+      onProgress: (done, total) => setProgress({ done, total, label: 'Rendering frame' })
+    });
+    const extension = format === 'webm' ? 'webm' : 'zip';
+    downloadFile(`milky-way-${width}x${height}-${fps}fps.${extension}`, blob);
+    setMessage(`Saved ${frameCount} frames (${(blob.size / 1048576).toFixed(1)} MB)`);
+  });
+
+  return (
+    <div className="param-section">
+      <h3>🎬 Export</h3>
+      <div className="param-group">
+        <label>Resolution</label>
+        <select value={resolution} onChange={(e) => setResolution(Number(e.target.value))} disabled={busy}>
+          {RESOLUTIONS.map((r, i) => (
+            <option key={r.label} value={i}>{r.label}</option>
+          ))}
+        </select>
+      </div>
+      <div className="param-group">
+        <label>
+          <input type="checkbox" checked={transparent} onChange={(e) => setTransparent(e.target.checked)} disabled={busy} />
+          Transparent background (stills)
+        </label>
+        <button className="param-btn" onClick={handleStill} disabled={busy}>Capture still</button>
+      </div>
+      <div className="param-group">
+        <label>Format</label>
+        <select value={format} onChange={(e) => setFormat(e.target.value)} disabled={busy}>
+          <option value="png">PNG sequence (.zip)</option>
+          <option value="webm">WebM video</option>
+        </select>
+      </div>
+      <div className="param-group">
+        <label>Frame Rate</label>
+        <select value={fps} onChange={(e) => setFps(Number(e.target.value))} disabled={busy}>
+          {FRAME_RATES.map((rate) => (
+            <option key={rate} value={rate}>{rate} fps</option>
+          ))}
+        </select>
+      </div>
+      <div className="param-group">
+        <label>Duration: {duration}s ({frameCount} frames)</label>
+        <input
+          type="range"
+          min="1"
+          max="120"
+          step="1"
+          value={duration}
+          onChange={(e) => setDuration(Number(e.target.value))}
+          disabled={busy}
+        />
+      </div>
+      <div className="param-group">
+        <div className="seed-controls">
+          <button className="param-btn" onClick={handleSequence} disabled={busy}>Export sequence</button>
+          <button className="param-btn" onClick={() => abortRef.current && abortRef.current.abort()} disabled={!exporting}>
+            Cancel
+          </button>
+        </div>
+        {busy && <span style={hintStyle}>{progress.label} {progress.done} / {progress.total}</span>}
+        {message && <span style={hintStyle}>{message}</span>}
+        <span style={hintStyle}>
+          Frames are rendered one at a time on a fixed timestep, so nothing is dropped.
+          WebM is recorded in real time and may stutter on slow machines; PNG sequences never do.
+        </span>
+      </div>
+      {error && (
+        <div className="notice">
+          <p>{error}</p>
+          <button className="param-btn" onClick={() => setError('')}>Dismiss</button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default ExportPanel;
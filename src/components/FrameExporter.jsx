@@ -0,0 +1,166 @@
+import { forwardRef, useImperativeHandle } from 'react';
+import { useThree, advance } from '@react-three/fiber';
+import * as THREE from 'three';
+import { createZipWriter } from '../core/zip';
+
+// Preferred WebM codecs, best first
+const WEBM_TYPES = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
+
+function canvasToBlob(canvas, type = 'image/png') {
+  return new Promise((resolve, reject) => {
+    canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error('Could not read the rendered frame'))), type);
+  });
+}
+
+function wait(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function checkCancelled(signal) {
+  if (signal && signal.aborted) {
+    throw new Error('Export cancelled');
+  }
+}
+
+// Offline rendering of the scene. Must be rendered inside the <Canvas>, with
+// the same simulation clock the scene animates from.
+// While exporting, the render loop is stopped and every frame is rendered on
+// demand at the requested size with the clock on a fixed timestep, so the
+// result doesn't depend on how long each frame takes to render. Exports
+// continue from the current moment of the simulation. HTML labels are DOM
+// overlays, not part of the canvas, so they don't appear in exports.
+const FrameExporter = forwardRef(function FrameExporter({ clock }, ref) {
+  const get = useThree((state) => state.get);
+
+  // Run `render` with the canvas at width x height and the render loop
+  // stopped, restoring the live view afterwards
+  const withExportSize = async (width, height, render) => {
+    const state = get();
+    const { gl, camera, size, frameloop } = state;
+    const context = gl.getContext();
+    const maxSize = Math.min(
+      context.getParameter(context.MAX_RENDERBUFFER_SIZE),
+      ...context.getParameter(context.MAX_VIEWPORT_DIMS)
+    );
+    if (width > maxSize || height > maxSize) {
+      throw new Error(`This GPU renders at most ${maxSize}×${maxSize} pixels`);
+    }
+
+    const pixelRatio = gl.getPixelRatio();
+    const fixedStep = clock.fixedStep;
+    state.setFrameloop('never');
+    gl.setPixelRatio(1);
+    // Leave the CSS size alone so the page layout doesn't jump
+    gl.setSize(width, height, false);
+    camera.aspect = width / height;
+    camera.updateProjectionMatrix();
+
+    try {
+      return await render(gl.domElement, state);
+    } finally {
+      clock.fixedStep = fixedStep;
+      gl.setPixelRatio(pixelRatio);
+      gl.setSize(size.width, size.height, false);
+      camera.aspect = size.width / size.height;
+      camera.updateProjectionMatrix();
+      state.setFrameloop(frameloop);
+    }
+  };
+
+  // Step every animation by exactly one frame and draw it. Reads the store
+  // afresh, since advance() only honors `time` once frameloop is 'never'.
+  const renderFrame = (time) => {
+    advance(time, true, get());
+  };
+
+  useImperativeHandle(ref, () => ({
+    // One frame at the current simulation time, as a PNG. The canvas clears
+    // to transparent; pass `background` to fill behind the scene instead.
+    captureStill: ({ width, height, background = null }) => withExportSize(width, height, async (canvas, state) => {
+      const { gl } = state;
+      const clearColor = gl.getClearColor(new THREE.Color());
+      const clearAlpha = gl.getClearAlpha();
+      clock.fixedStep = 0;
+      if (background) gl.setClearColor(background, 1);
+      try {
+        renderFrame(state.clock.elapsedTime);
+        return await canvasToBlob(canvas);
+      } finally {
+        gl.setClearColor(clearColor, clearAlpha);
+      }
+    }),
+
+    // `duration` seconds at `fps`, as a zip of numbered PNGs or a WebM video.
+    // PNG frames are exact. WebM goes through MediaRecorder, which timestamps
+    // frames as they arrive, so frames are handed over in real time and the
+    // video only plays evenly if each frame renders within 1/fps seconds.
+    exportSequence: ({ width, height, fps, duration, format, onProgress, signal }) => withExportSize(width, height, async (canvas, state) => {
+      const frameCount = Math.max(1, Math.round(duration * fps));
+      const startTime = state.clock.elapsedTime;
+      clock.fixedStep = 1 / fps;
+
+      if (format === 'webm') {
+        return recordWebm(canvas, frameCount, fps, (i) => {
+          checkCancelled(signal);
+          renderFrame(startTime + (i + 1) / fps);
+          if (onProgress) onProgress(i + 1, frameCount);
+        });
+      }
+
+      const zip = createZipWriter();
+      const parts = [];
+      const digits = String(frameCount).length;
+      for (let i = 0; i < frameCount; i++) {
+        checkCancelled(signal);
+        renderFrame(startTime + (i + 1) / fps);
+        // Read the drawing buffer before yielding, while it still holds this frame
+        const blob = await canvasToBlob(canvas);
+        const name = `frame_${String(i).padStart(Math.max(5, digits), '0')}.png`;
+        parts.push(zip.addFile(name, new Uint8Array(await blob.arrayBuffer())), blob);
+        if (onProgress) onProgress(i + 1, frameCount);
+      }
+      parts.push(zip.finish());
+      return new Blob(parts, { type: 'application/zip' });
+    })
+  }));
+
+  return null;
+});
+
+async function recordWebm(canvas, frameCount, fps, drawFrame) {
+  const mimeType = typeof MediaRecorder !== 'undefined' && WEBM_TYPES.find((type) => MediaRecorder.isTypeSupported(type));
+  if (!mimeType || !canvas.captureStream) {
+    throw new Error('This browser cannot record WebM video; export a PNG sequence instead');
+  }
+
+  // A frame rate of 0 means frames are only captured on requestFrame()
+  const stream = canvas.captureStream(0);
+  const [track] = stream.getVideoTracks();
+  const recorder = new MediaRecorder(stream, { mimeType, videoBitsPerSecond: 25e6 });
+  const chunks = [];
+  recorder.ondataavailable = (e) => {
+    if (e.data.size > 0) chunks.push(e.data);
+  };
+  const stopped = new Promise((resolve) => {
+    recorder.onstop = resolve;
+  });
+
+  recorder.start();
+  const frameTime = 1000 / fps;
+  let next = performance.now();
+  try {
+    for (let i = 0; i < frameCount; i++) {
+      drawFrame(i);
+      (track.requestFrame ? track : stream).requestFrame();
+      next += frameTime;
+      await wait(Math.max(0, next - performance.now()));
+    }
+  } finally {
+    recorder.stop();
+    track.stop();
+  }
+  await stopped;
+  return new Blob(chunks, { type: 'video/webm' });
+}
+
+export { FrameExporter };
@@ -0,0 +1,76 @@
+import React, { useMemo } from 'react';
+import { Html } from '@react-three/drei';
+import { buildPolarGrid } from '../core/generators';
+import { SUN_AZIMUTH } from '../core/units';
+
+const SPOKE_COUNT = 12;
+
+// At most this many rings carry a distance label
+const MAX_RING_LABELS = 6;
+
+const labelStyle = {
+  color: 'rgba(160, 190, 255, 0.9)',
+  fontSize: '11px',
+  whiteSpace: 'nowrap',
+  pointerEvents: 'none'
+};
+
+// Galactocentric polar grid in the galactic plane: a ring every
+// `ringSpacingKpc` kiloparsecs out to `radius`, and spokes every 30° of
+// galactocentric longitude, with 0° through the Sun marker and longitude
+// increasing in the direction of rotation.
+function GalacticGrid({ radius, ringSpacingKpc = 1, units, color = '#6688ff', opacity = 0.25 }) {
+  const ringSpacing = units.fromKpc(ringSpacingKpc);
+
+  const { positions, ringRadii } = useMemo(
+    () => buildPolarGrid({ radius, ringSpacing, spokeCount: SPOKE_COUNT, spokeOffset: SUN_AZIMUTH }),
+    [radius, ringSpacing]
+  );
+
+  const ringLabels = useMemo(() => {
+    const every = Math.ceil(ringRadii.length / MAX_RING_LABELS);
+    return ringRadii.filter((r, i) => (i + 1) % every === 0);
+  }, [ringRadii]);
+
+  // Spokes run from SUN_AZIMUTH in increasing azimuth, which is against the
+  // direction of rotation, so their longitudes count down from 360°
+  const spokeLabels = useMemo(() => Array.from({ length: SPOKE_COUNT }, (_, k) => {
+    const angle = SUN_AZIMUTH + (k / SPOKE_COUNT) * Math.PI * 2;
+    return {
+      longitude: (360 - (k * 360) / SPOKE_COUNT) % 360,
+      position: [Math.cos(angle) * radius * 1.04, 0, Math.sin(angle) * radius * 1.04]
+    };
+  }), [radius]);
+
+  // Ring labels sit halfway between the 0° and 330° spokes
+  const ringLabelAngle = SUN_AZIMUTH + Math.PI / SPOKE_COUNT;
+
+  return (
+    <group>
+      <lineSegments>
+        {/* A new geometry when the line count changes, since GPU buffers can't grow */}
+        <bufferGeometry key={positions.length}>
+          <bufferAttribute
+            attach="attributes-position"
+            count={positions.length / 3}
+            array={positions}
+            itemSize={3}
+          />
+        </bufferGeometry>
+        <lineBasicMaterial color={color} transparent opacity={opacity} depthWrite={false} />
+      </lineSegments>
+      {ringLabels.map((r) => (
+        <Html key={`ring-${r}`} position={[Math.cos(ringLabelAngle) * r, 0, Math.sin(ringLabelAngle) * r]} center style={labelStyle}>
+          {units.format(r)}
+        </Html>
+      ))}
+      {spokeLabels.map(({ longitude, position }) => (
+        <Html key={`spoke-${longitude}`} position={position} center style={labelStyle}>
+          {longitude}°
+        </Html>
+      ))}
+    </group>
+  );
+}
+
+export { GalacticGrid };
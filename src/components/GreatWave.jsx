@@ -1,82 +1,105 @@
-import React, { useRef, useMemo } from 'react';
+import React, { useRef, useMemo, useEffect } from 'react';
 import { useFrame } from '@react-three/fiber';
-import { Points, PointMaterial } from '@react-three/drei';
+import { Points, PointMaterialImpl } from '@react-three/drei';
 import * as THREE from 'three';
+import { DEFAULT_SEED } from '../core/random';
+import { generateGreatWaveParticles, buildGreatWaveSurface, greatWaveDisplacement } from '../core/generators';
+import { diskWaveDisplacement } from '../core/diskWave';
+import {
+  createGreatWaveUniforms,
+  updateGreatWaveUniforms,
+  patchGreatWaveShader
+} from '../shaders/greatWave';
+import { createDiskWaveUniforms, updateDiskWaveUniforms, patchDiskWaveShader } from '../shaders/diskWave';
+import { useSimulationClock } from './SimulationClock';
+import { usePickHandlers, useDisplacedRaycast } from './StarPicking';
 
 // The Great Wave - A massive ripple traveling across the Milky Way
 // Based on: https://www.iflscience.com/there-is-a-great-wave-traveling-across-the-milky-way-shifting-stars-by-100s-of-light-years-80992
-// The wave shifts stars vertically by up to 650 light-years and extends 30,000-65,000 light-years horizontally
+// The wave shifts stars vertically by up to 650 light-years (the default 0.4-unit amplitude) and extends
+// 30,000-65,000 light-years horizontally
+// (lengths are in scene units; see core/units.js for their physical size)
+// Given a `diskWave` model from core/diskWave.js, the stars follow its warp,
+// flare and corrugation instead of the stylized ripple.
 function GreatWave({ 
   galaxyRadius = 25,
-  waveAmplitude = 0.65, // 650 light-years in scaled units (relative to 1000 light-year disk thickness)
-  waveLength = 30, // Horizontal extent in scaled units
+  waveAmplitude = 0.4, // Peak vertical shift in scene units
+  waveLength = 30, // Horizontal extent in scene units
   waveSpeed = 0.05,
   particleCount = 2000,
   showWave = true,
-  position = [0, 0, 0]
+  diskWave = null,
+  position = [0, 0, 0],
+  seed = DEFAULT_SEED
 }) {
+  const clock = useSimulationClock();
   const groupRef = useRef();
   const particlesRef = useRef();
 
-  const { positions, colors } = useMemo(() => {
-    const positions = new Float32Array(particleCount * 3);
-    const colors = new Float32Array(particleCount * 3);
-
-    for (let i = 0; i < particleCount; i++) {
-      // Distribute particles along the wave region (30,000-65,000 light-years horizontally)
-      // In our scaled model, this is roughly 0.6 to 1.3 times galaxy radius
-      const angle = Math.random() * Math.PI * 2;
-      const radius = (0.6 + Math.random() * 0.7) * galaxyRadius; // Outer disk region
-      
-      const x = Math.cos(angle) * radius;
-      const z = Math.sin(angle) * radius;
-      const y = 0; // Will be animated by wave
-
-      positions[i * 3] = x;
-      positions[i * 3 + 1] = y;
-      positions[i * 3 + 2] = z;
-
-      // Color: stars affected by the wave (reddish for stars above disk, bluish for below)
-      const color = new THREE.Color();
-      // Mix of colors to show the wave effect
-      color.setHSL(0.05 + Math.random() * 0.1, 0.7, 0.5 + Math.random() * 0.3);
-      colors[i * 3] = color.r;
-      colors[i * 3 + 1] = color.g;
-      colors[i * 3 + 2] = color.b;
-    }
+  const { positions, colors } = useMemo(
+    () => generateGreatWaveParticles({ particleCount, galaxyRadius, seed }),
+    [particleCount, galaxyRadius, seed]
+  );
 
-    return { positions, colors };
-  }, [particleCount, galaxyRadius]);
-
-  useFrame((state) => {
-    if (particlesRef.current && showWave) {
-      const positions = particlesRef.current.geometry.attributes.position.array;
-      const time = state.clock.elapsedTime;
-      
-      // Create a traveling wave effect
-      // The wave travels across the galaxy, shifting stars vertically
-      for (let i = 0; i < particleCount; i++) {
-        const i3 = i * 3;
-        const x = positions[i3];
-        const z = positions[i3 + 2];
-        
-        // Calculate distance from center
-        const distance = Math.sqrt(x * x + z * z);
-        
-        // Wave propagates outward/around the galaxy
-        // Create a wave pattern that travels
-        const wavePhase = (distance / waveLength) - (time * waveSpeed);
-        const waveValue = Math.sin(wavePhase * Math.PI * 2) * waveAmplitude;
-        
-        // Add some angular component to make it spiral-like
-        const angle = Math.atan2(z, x);
-        const angularWave = Math.sin(angle * 2 + time * waveSpeed * 0.5) * waveAmplitude * 0.3;
-        
-        // Vertical displacement (the "wave" effect)
-        positions[i3 + 1] = waveValue + angularWave;
+  // Displacement happens in the vertex shader, so the CPU only updates uniforms
+  const uniforms = useMemo(() => createGreatWaveUniforms(), []);
+  const diskUniforms = useMemo(() => createDiskWaveUniforms(), []);
+  const diskMode = Boolean(diskWave);
+
+  const material = useMemo(() => {
+    const material = new PointMaterialImpl();
+    const roundPoints = material.onBeforeCompile;
+    material.onBeforeCompile = (shader, renderer) => {
+      roundPoints(shader, renderer);
+      if (diskMode) {
+        patchDiskWaveShader(shader, diskUniforms);
+      } else {
+        patchGreatWaveShader(shader, uniforms);
       }
+    };
+    material.customProgramCacheKey = () => (diskMode ? 'great-wave-points-disk' : 'great-wave-points');
+    return material;
+  }, [uniforms, diskUniforms, diskMode]);
+
+  useEffect(() => () => material.dispose(), [material]);
+
+  const displacedY = (index) => {
+    const x = positions[index * 3];
+    const y = positions[index * 3 + 1];
+    const z = positions[index * 3 + 2];
+    return y + (diskWave
+      ? diskWaveDisplacement(x, y, z, diskUniforms.uDiskWaveTime.value, diskWave)
+      : greatWaveDisplacement(x, z, uniforms.uGreatWaveTime.value, { waveAmplitude, waveLength, waveSpeed }));
+  };
+
+  // Stars are displaced on the GPU, so picking raycasts a CPU copy
+  const raycastDisplaced = useDisplacedRaycast(positions, displacedY);
+
+  // The stars as currently drawn, for exports
+  const bake = () => {
+    const position = positions.slice();
+    for (let i = 0; i < position.length / 3; i++) position[i * 3 + 1] = displacedY(i);
+    return { position };
+  };
+
+  const pickHandlers = usePickHandlers((index) => {
+    if (index >= positions.length / 3) return null;
+    const y = displacedY(index);
+    return {
+      source: 'greatWave',
+      position: [positions[index * 3], y, positions[index * 3 + 2]],
+      waveDisplacement: y - positions[index * 3 + 1],
+      velocity: null
+    };
+  });
 
-      particlesRef.current.geometry.attributes.position.needsUpdate = true;
+  useFrame(() => {
+    if (!showWave) return;
+    // The wave travels across the galaxy, shifting stars vertically
+    if (diskWave) {
+      updateDiskWaveUniforms(diskUniforms, diskWave, clock.time);
+    } else {
+      updateGreatWaveUniforms(uniforms, clock.time, { waveAmplitude, waveLength, waveSpeed });
     }
   });
 
@@ -84,8 +107,19 @@ function GreatWave({
 
   return (
     <group ref={groupRef} position={position}>
-      <Points ref={particlesRef} positions={positions} colors={colors} stride={3}>
-        <PointMaterial
+      <Points
+        ref={particlesRef}
+        positions={positions}
+        colors={colors}
+        stride={3}
+        frustumCulled={false}
+        raycast={raycastDisplaced}
+        userData={{ dataExport: { layer: 'greatWave', label: () => 'Great Wave star', bake } }}
+        {...pickHandlers}
+      >
+        <primitive
+          object={material}
+          attach="material"
           transparent
           vertexColors
           size={0.15}
@@ -98,82 +132,64 @@ function GreatWave({
   );
 }
 
-// Visual representation of the wave as a surface
+const surfaceProgramKey = () => 'great-wave-surface';
+const diskSurfaceProgramKey = () => 'great-wave-surface-disk';
+
+// Visual representation of the wave as a surface: the ripple, or the
+// displaced midplane of a `diskWave` model
 function GreatWaveSurface({
   galaxyRadius = 25,
-  waveAmplitude = 0.65,
+  waveAmplitude = 0.4,
   waveLength = 30,
   waveSpeed = 0.05,
   segments = 100,
   showSurface = false,
+  diskWave = null,
   position = [0, 0, 0]
 }) {
+  const clock = useSimulationClock();
   const meshRef = useRef();
+  const uniforms = useMemo(() => createGreatWaveUniforms(), []);
+  const diskUniforms = useMemo(() => createDiskWaveUniforms(), []);
+  const diskMode = Boolean(diskWave);
 
-  const { positions, normals, indices } = useMemo(() => {
-    const positions = [];
-    const normals = [];
-    const indices = [];
-
-    for (let i = 0; i <= segments; i++) {
-      for (let j = 0; j <= segments; j++) {
-        const angle = (i / segments) * Math.PI * 2;
-        const radius = (0.6 + (j / segments) * 0.7) * galaxyRadius;
-        
-        const x = Math.cos(angle) * radius;
-        const z = Math.sin(angle) * radius;
-        const y = 0;
-
-        positions.push(x, y, z);
-        normals.push(0, 1, 0);
-      }
-    }
+  const { positions, normals, indices } = useMemo(
+    () => buildGreatWaveSurface(segments, galaxyRadius),
+    [segments, galaxyRadius]
+  );
 
-    for (let i = 0; i < segments; i++) {
-      for (let j = 0; j < segments; j++) {
-        const a = i * (segments + 1) + j;
-        const b = a + segments + 1;
+  // Displacement and normals are computed in the vertex shader
+  const onBeforeCompile = useMemo(
+    () => (diskMode
+      ? (shader) => patchDiskWaveShader(shader, diskUniforms, { normals: true })
+      : (shader) => patchGreatWaveShader(shader, uniforms, { normals: true })),
+    [uniforms, diskUniforms, diskMode]
+  );
 
-        indices.push(a, b, a + 1);
-        indices.push(b, b + 1, a + 1);
-      }
+  useFrame(() => {
+    if (!showSurface) return;
+    if (diskWave) {
+      updateDiskWaveUniforms(diskUniforms, diskWave, clock.time);
+    } else {
+      updateGreatWaveUniforms(uniforms, clock.time, { waveAmplitude, waveLength, waveSpeed });
     }
+  });
 
-    return {
-      positions: new Float32Array(positions),
-      normals: new Float32Array(normals),
-      indices: new Uint16Array(indices),
-    };
-  }, [segments, galaxyRadius]);
-
-  useFrame((state) => {
-    if (meshRef.current && meshRef.current.geometry && showSurface) {
-      const positions = meshRef.current.geometry.attributes.position.array;
-      const time = state.clock.elapsedTime;
-
-      for (let i = 0; i < positions.length; i += 3) {
-        const x = positions[i];
-        const z = positions[i + 2];
-        const distance = Math.sqrt(x * x + z * z);
-        
-        const wavePhase = (distance / waveLength) - (time * waveSpeed);
-        const waveValue = Math.sin(wavePhase * Math.PI * 2) * waveAmplitude;
-        
-        const angle = Math.atan2(z, x);
-        const angularWave = Math.sin(angle * 2 + time * waveSpeed * 0.5) * waveAmplitude * 0.3;
-        
-        positions[i + 1] = waveValue + angularWave;
-      }
-
-      meshRef.current.geometry.attributes.position.needsUpdate = true;
-      meshRef.current.geometry.computeVertexNormals();
+  // The surface as currently drawn, for exports; normals are recomputed
+  const bake = () => {
+    const displaced = positions.slice();
+    for (let i = 0; i < displaced.length; i += 3) {
+      displaced[i + 1] += diskWave
+        ? diskWaveDisplacement(displaced[i], 0, displaced[i + 2], diskUniforms.uDiskWaveTime.value, diskWave)
+        : greatWaveDisplacement(displaced[i], displaced[i + 2], uniforms.uGreatWaveTime.value, { waveAmplitude, waveLength, waveSpeed });
     }
-  });
+    return { position: displaced };
+  };
 
   if (!showSurface) return null;
 
   return (
-    <mesh ref={meshRef} position={position}>
+    <mesh ref={meshRef} position={position} frustumCulled={false} userData={{ dataExport: { bake } }}>
       <bufferGeometry>
         <bufferAttribute
           attach="attributes-position"
@@ -194,7 +210,9 @@ function GreatWaveSurface({
           itemSize={1}
         />
       </bufferGeometry>
+      {/* A new material when the model changes, so the shader is recompiled */}
       <meshStandardMaterial
+        key={diskMode ? 'disk' : 'ripple'}
         color="#ff6b6b"
         transparent
         opacity={0.3}
@@ -202,6 +220,8 @@ function GreatWaveSurface({
         side={THREE.DoubleSide}
         emissive="#ff4444"
         emissiveIntensity={0.2}
+        onBeforeCompile={onBeforeCompile}
+        customProgramCacheKey={diskMode ? diskSurfaceProgramKey : surfaceProgramKey}
       />
     </mesh>
   );
@@ -0,0 +1,52 @@
+import React, { forwardRef, useImperativeHandle, useState } from 'react';
+import { hintStyle } from './ParamControls';
+
+// Live population mix of the orbital zones while stars migrate. The scene
+// calls `update(counts)` with counts[current][origin] from zonePopulations,
+// whose last row holds the stars between or beyond every zone. Each zone's
+// bar is split by origin zone color.
+const MigrationHistogram = forwardRef(function MigrationHistogram({ zones }, ref) {
+  const [counts, setCounts] = useState(null);
+
+  useImperativeHandle(ref, () => ({ update: setCounts }), []);
+
+  // Counts from before the zones changed no longer line up with them
+  if (!counts || counts.length !== zones.length + 1) return null;
+
+  const totals = counts.map((row) => row.reduce((sum, n) => sum + n, 0));
+  const largest = Math.max(1, ...totals);
+  const rows = counts
+    .map((row, index) => ({
+      index,
+      row,
+      total: totals[index],
+      label: index < zones.length ? zones[index].name || `Zone ${index + 1}` : 'Between zones'
+    }))
+    .filter((entry, index) => index < zones.length || entry.total > 0);
+
+  return (
+    <div className="param-group migration-histogram">
+      <label>Population by origin zone</label>
+      {rows.map(({ index, row, total, label }) => (
+        <div className="migration-histogram-row" key={index}>
+          <span className="migration-histogram-label" title={label}>{label}</span>
+          <div className="migration-histogram-track">
+            <div className="migration-histogram-bar" style={{ width: `${(total / largest) * 100}%` }}>
+              {row.map((n, origin) => n > 0 && (
+                <span
+                  key={origin}
+                  style={{ flexGrow: n, background: zones[origin].color }}
+                  title={`${n} from ${zones[origin].name || `Zone ${origin + 1}`}`}
+                />
+              ))}
+            </div>
+          </div>
+          <span className="migration-histogram-count">{total}</span>
+        </div>
+      ))}
+      <span style={hintStyle}>Bar colors show where each zone's stars started.</span>
+    </div>
+  );
+});
+
+export default MigrationHistogram;
@@ -1,9 +1,54 @@
-import React, { useRef, useMemo } from 'react';
+import React, { useRef, useMemo, useEffect, useCallback } from 'react';
 import { useFrame } from '@react-three/fiber';
-import { Points, PointMaterial, Sphere, MeshDistortMaterial } from '@react-three/drei';
+import { Points, PointMaterial, PointMaterialImpl, Sphere, MeshDistortMaterial } from '@react-three/drei';
 import * as THREE from 'three';
-import { OrbitalZone, ZoneSeparator, GalacticCenter, SunMarker } from './OrbitalZones';
+import { OrbitalZone, MigratingZones, VelocityField, ZoneSeparator, GalacticCenter, SunMarker } from './OrbitalZones';
 import { GreatWave, GreatWaveSurface } from './GreatWave';
+import { DarkMatterHalo } from './DarkMatterHalo';
+import { TrajectoryPath } from './TrajectoryPath';
+import { SimulationClockProvider, useSimulationClock } from './SimulationClock';
+import { StarPickingProvider, usePickHandlers, raycastMovingPoints, useDisplacedRaycast } from './StarPicking';
+import { GalacticGrid } from './GalacticGrid';
+import { CatalogStars } from './CatalogStars';
+import { PostProcessing } from './PostProcessing';
+import { createRandom, DEFAULT_SEED } from '../core/random';
+import {
+  generateGalaxy,
+  buildWaveFieldGrid,
+  waveFieldHeight,
+  waveFieldGradient,
+  generateWaveParticles,
+  waveParticleHeight,
+  generateStars
+} from '../core/generators';
+import { buildSpatialHash, createNeighborLinks, updateNeighborLinks } from '../core/spatialHash';
+import {
+  createWaveFieldUniforms,
+  updateWaveFieldUniforms,
+  patchWaveFieldShader
+} from '../shaders/waveField';
+import { createDiskWaveUniforms, updateDiskWaveUniforms, patchDiskWaveShader } from '../shaders/diskWave';
+import {
+  createPotential,
+  angularVelocity,
+  circularVelocity,
+  createOrbitState,
+  stepOrbits
+} from '../core/potential';
+import { createTrajectory, trajectoryPosition } from '../core/trajectory';
+import { componentLabel } from '../core/starInfo';
+import { createDiskWave, diskWaveDisplacement } from '../core/diskWave';
+import { DEFAULT_PARAMS } from '../core/params';
+import { zoneBoundaries, zoneSpeedAt } from '../core/zones';
+import { createUnitSystem, DEFAULT_KPC_PER_UNIT, SOLAR_RADIUS_KPC } from '../core/units';
+import { dustLanePattern } from '../core/dustLanes';
+
+// Marker stars in each orbital zone
+const ZONE_PARTICLE_COUNT = 150;
+
+// Orbit integration step, and the most substeps one frame may take
+const ORBIT_STEP = 0.05;
+const MAX_ORBIT_SUBSTEPS = 400;
 
 // Enhanced Galaxy component with more accurate Milky Way structure
 function Galaxy({ 
@@ -15,106 +60,134 @@ function Galaxy({
   barLength = 8,
   bulgeSize = 3,
   coreGlow = 0.3,
-  spiralTightness = 0.5
+  spiralTightness = 0.5,
+  model = 'stylized',
+  physical,
+  potential = null,
+  velocityDispersion = 0.08,
+  orbitTimeScale = 1,
+  diskWave = null,
+  seed = DEFAULT_SEED,
+  diskRef
 }) {
-  const galaxyRef = useRef();
+  const clock = useSimulationClock();
+  const ownRef = useRef();
+  // The turning group, optionally shared, e.g. for the dust lanes
+  const galaxyRef = diskRef || ownRef;
   const particlesRef = useRef();
 
   // Generate more accurate Milky Way galaxy particles
-  const particles = useMemo(() => {
-    const count = particleCount;
-    const positions = new Float32Array(count * 3);
-    const colors = new Float32Array(count * 3);
-
-    for (let i = 0; i < count; i++) {
-      // Create barred spiral structure
-      const angle = Math.random() * Math.PI * 2;
-      const radius = Math.random() * galaxyRadius;
-      
-      // Central bulge (dense core)
-      let x, y, z;
-      if (radius < bulgeSize) {
-        // Bulge: spherical distribution
-        const phi = Math.acos(2 * Math.random() - 1);
-        const theta = Math.random() * Math.PI * 2;
-        const r = radius * (0.3 + Math.random() * 0.7);
-        x = r * Math.sin(phi) * Math.cos(theta);
-        y = r * Math.sin(phi) * Math.sin(theta) * 0.3; // Flattened
-        z = r * Math.cos(phi);
-      } else {
-        // Spiral arms with bar structure
-        const normalizedRadius = (radius - bulgeSize) / (galaxyRadius - bulgeSize);
-        
-        // Bar structure in center
-        let barInfluence = 0;
-        if (radius < barLength) {
-          barInfluence = Math.cos(angle * 2) * (1 - normalizedRadius);
-        }
-        
-        // Spiral arm structure (4 main arms like Milky Way)
-        const armIndex = Math.floor((angle / (Math.PI * 2)) * armCount);
-        const armAngle = (armIndex / armCount) * Math.PI * 2;
-        const spiralAngle = armAngle + Math.log(radius / bulgeSize) * spiralTightness;
-        
-        // Combine bar and spiral
-        const finalAngle = spiralAngle + barInfluence * 0.3;
-        
-        x = Math.cos(finalAngle) * radius;
-        z = Math.sin(finalAngle) * radius;
-        y = (Math.random() - 0.5) * 0.4 * (1 - normalizedRadius * 0.5); // Thinner at edges
-      }
-
-      // Add some randomness
-      x += (Math.random() - 0.5) * 0.3;
-      y += (Math.random() - 0.5) * 0.2;
-      z += (Math.random() - 0.5) * 0.3;
-
-      positions[i * 3] = x;
-      positions[i * 3 + 1] = y;
-      positions[i * 3 + 2] = z;
-
-      // More realistic star colors
-      const distanceFromCenter = Math.sqrt(x * x + z * z);
-      const normalizedDistance = Math.min(distanceFromCenter / galaxyRadius, 1);
-      
-      // Center: yellow/white (older stars), edges: blue/white (younger stars)
-      const color = new THREE.Color();
-      if (normalizedDistance < 0.3) {
-        // Bulge: yellow/orange (old stars)
-        color.setHSL(0.1 + Math.random() * 0.05, 0.7 + Math.random() * 0.2, 0.6 + Math.random() * 0.3);
-      } else if (normalizedDistance < 0.6) {
-        // Mid: white/yellow
-        color.setHSL(0.08 + Math.random() * 0.1, 0.3 + Math.random() * 0.3, 0.7 + Math.random() * 0.2);
-      } else {
-        // Outer arms: blue/white (young hot stars)
-        color.setHSL(0.55 + Math.random() * 0.1, 0.6 + Math.random() * 0.3, 0.5 + Math.random() * 0.3);
-      }
-      
-      colors[i * 3] = color.r;
-      colors[i * 3 + 1] = color.g;
-      colors[i * 3 + 2] = color.b;
-
-    }
+  const particles = useMemo(() => generateGalaxy({
+    galaxyModel: model,
+    particleCount,
+    galaxyRadius,
+    armCount,
+    barLength,
+    bulgeSize,
+    spiralTightness,
+    seed,
+    ...physical
+  }), [model, physical, particleCount, galaxyRadius, armCount, barLength, bulgeSize, spiralTightness, seed]);
+
+  // The physical model sizes its bulge by the Sérsic effective radius
+  const coreRadius = model === 'physical' && physical ? physical.bulgeEffectiveRadius : bulgeSize;
+
+  // With a potential every star follows its own orbit instead of the whole
+  // galaxy turning rigidly; the integrator owns the position buffer
+  const orbits = useMemo(() => potential && createOrbitState(particles.positions, potential, {
+    dispersion: velocityDispersion,
+    random: createRandom(seed, 'orbits')
+  }), [particles, potential, velocityDispersion, seed]);
+
+  // The outer disk's warp, flare and corrugation are applied in the vertex
+  // shader; with no disk wave its uniforms leave every star in place
+  const diskUniforms = useMemo(() => createDiskWaveUniforms(), []);
+
+  const material = useMemo(() => {
+    const material = new PointMaterialImpl();
+    const roundPoints = material.onBeforeCompile;
+    material.onBeforeCompile = (shader, renderer) => {
+      roundPoints(shader, renderer);
+      patchDiskWaveShader(shader, diskUniforms);
+    };
+    material.customProgramCacheKey = () => 'galaxy-points';
+    return material;
+  }, [diskUniforms]);
+
+  useEffect(() => () => material.dispose(), [material]);
+
+  const source = orbits ? orbits.positions : particles.positions;
+
+  // The disk wave is fixed in the galaxy frame while a rigid galaxy turns
+  // through it
+  const waveShift = (index) => diskWaveDisplacement(
+    source[index * 3],
+    source[index * 3 + 1],
+    source[index * 3 + 2],
+    diskUniforms.uDiskWaveTime.value,
+    diskWave,
+    diskUniforms.uDiskWaveRotation.value
+  );
+  const displacedY = (index) => source[index * 3 + 1] + (diskWave ? waveShift(index) : 0);
+  const raycastDisplaced = useDisplacedRaycast(source, displacedY);
+
+  const pickHandlers = usePickHandlers((index) => {
+    if (index >= particles.components.length) return null;
+    const position = [source[index * 3], displacedY(index), source[index * 3 + 2]];
+    const velocity = orbits
+      ? [0, 1, 2].map((k) => orbits.velocities[index * 3 + k] * orbitTimeScale)
+      : [rotationSpeed * position[2], 0, -rotationSpeed * position[0]];
+    return {
+      source: 'galaxy',
+      position,
+      component: particles.components[index],
+      arm: particles.arms[index],
+      ...(diskWave && { waveDisplacement: waveShift(index) }),
+      velocity
+    };
+  });
 
-    return { positions, colors };
-  }, [particleCount, galaxyRadius, armCount, barLength, bulgeSize, spiralTightness]);
+  // The stars as currently drawn, for exports, when the disk wave moves them
+  const bake = () => {
+    const position = source.slice();
+    for (let i = 0; i < position.length / 3; i++) position[i * 3 + 1] = displacedY(i);
+    return { position };
+  };
+
+  const exportLabel = (index) => componentLabel({
+    source: 'galaxy',
+    component: particles.components[index],
+    arm: particles.arms[index]
+  });
 
-  useFrame((state, delta) => {
-    if (galaxyRef.current) {
-      galaxyRef.current.rotation.y += rotationSpeed * delta;
+  useFrame(() => {
+    if (orbits) {
+      // Seeking far along the timeline takes coarser steps rather than
+      // stalling the page on thousands of substeps
+      const dt = clock.delta * orbitTimeScale;
+      stepOrbits(orbits, dt, Math.max(ORBIT_STEP, Math.abs(dt) / MAX_ORBIT_SUBSTEPS));
+    } else if (galaxyRef.current) {
+      galaxyRef.current.rotation.y += rotationSpeed * clock.delta;
     }
+    const rotation = !orbits && galaxyRef.current ? galaxyRef.current.rotation.y : 0;
+    updateDiskWaveUniforms(diskUniforms, diskWave, clock.time, rotation);
   });
 
   return (
     <group ref={galaxyRef} position={position}>
       <Points 
         ref={particlesRef} 
-        positions={particles.positions} 
+        positions={source} 
         colors={particles.colors} 
         stride={3} 
         frustumCulled={false}
+        raycast={diskWave ? raycastDisplaced : orbits ? raycastMovingPoints : THREE.Points.prototype.raycast}
+        userData={{ dataExport: { layer: 'galaxy', label: exportLabel, ...(diskWave && { bake }) } }}
+        {...pickHandlers}
       >
-        <PointMaterial
+        <primitive
+          object={material}
+          attach="material"
           transparent
           vertexColors
           size={0.12}
@@ -124,7 +197,7 @@ function Galaxy({
         />
       </Points>
       {/* Central core glow */}
-      <Sphere args={[bulgeSize * 0.8, 32, 32]} position={[0, 0, 0]}>
+      <Sphere args={[coreRadius * 0.8, 32, 32]} position={[0, 0, 0]}>
         <MeshDistortMaterial
           color="#ffaa00"
           transparent
@@ -137,6 +210,8 @@ function Galaxy({
   );
 }
 
+const waveFieldProgramKey = () => 'wave-field';
+
 // Wave field representing dark matter/gravitational pockets
 function WaveField({ 
   count = 60, 
@@ -147,87 +222,57 @@ function WaveField({
 }) {
   const meshRef = useRef();
 
-  // Create wave geometry
-  const { positions, normals, indices } = useMemo(() => {
-    const segments = count;
-    const positions = [];
-    const normals = [];
-    const indices = [];
-
-    for (let i = 0; i <= segments; i++) {
-      for (let j = 0; j <= segments; j++) {
-        const x = (i / segments - 0.5) * 100;
-        const z = (j / segments - 0.5) * 100;
-        const y = 0;
-
-        positions.push(x, y, z);
-        normals.push(0, 1, 0);
-      }
-    }
+  // Create wave geometry; the height itself is computed in the vertex shader
+  const geometry = useMemo(() => {
+    const { positions, normals, indices } = buildWaveFieldGrid(count);
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+    geometry.setAttribute('normal', new THREE.BufferAttribute(normals, 3));
+    geometry.setIndex(new THREE.BufferAttribute(indices, 1));
+    return geometry;
+  }, [count]);
 
-    for (let i = 0; i < segments; i++) {
-      for (let j = 0; j < segments; j++) {
-        const a = i * (segments + 1) + j;
-        const b = a + segments + 1;
+  useEffect(() => () => geometry.dispose(), [geometry]);
 
-        indices.push(a, b, a + 1);
-        indices.push(b, b + 1, a + 1);
-      }
-    }
+  const clock = useSimulationClock();
+  const uniforms = useMemo(() => createWaveFieldUniforms(), []);
+  const onBeforeCompile = useMemo(
+    () => (shader) => patchWaveFieldShader(shader, uniforms),
+    [uniforms]
+  );
 
-    return {
-      positions: new Float32Array(positions),
-      normals: new Float32Array(normals),
-      indices: new Uint16Array(indices),
-    };
-  }, [count]);
+  useFrame(() => {
+    updateWaveFieldUniforms(uniforms, clock.time * waveSpeed, waveIntensity);
+  });
 
-  useFrame((state) => {
-    if (meshRef.current && meshRef.current.geometry) {
-      const positions = meshRef.current.geometry.attributes.position.array;
-      const time = state.clock.elapsedTime * waveSpeed;
-
-      for (let i = 0; i < positions.length; i += 3) {
-        const x = positions[i];
-        const z = positions[i + 2];
-        
-        const wave1 = Math.sin((x * 0.1) + time) * 2;
-        const wave2 = Math.sin((z * 0.1) + time * 0.6) * 2;
-        const wave3 = Math.sin((x * 0.05 + z * 0.05) + time * 0.8) * 3;
-        const wave4 = Math.sin(Math.sqrt(x * x + z * z) * 0.1 - time * 1.2) * 1.5;
-        
-        positions[i + 1] = (wave1 + wave2 + wave3 + wave4) * waveIntensity;
-      }
-
-      meshRef.current.geometry.attributes.position.needsUpdate = true;
-      meshRef.current.geometry.computeVertexNormals();
+  // The surface as currently drawn, for exports
+  const bake = () => {
+    const rest = geometry.attributes.position.array;
+    const position = new Float32Array(rest.length);
+    const normal = new Float32Array(rest.length);
+    const time = uniforms.uWaveFieldTime.value;
+    for (let i = 0; i < rest.length; i += 3) {
+      const x = rest[i];
+      const z = rest[i + 2];
+      const [dx, dz] = waveFieldGradient(x, z, time, waveIntensity);
+      const length = Math.hypot(dx, 1, dz);
+      position.set([x, waveFieldHeight(x, z, time, waveIntensity), z], i);
+      normal.set([-dx / length, 1 / length, -dz / length], i);
     }
-  });
+    return { position, normal };
+  };
 
   const color = new THREE.Color(waveColor);
 
   return (
-    <mesh ref={meshRef} rotation={[-Math.PI / 2, 0, 0]} position={[0, -10, 0]}>
-      <bufferGeometry>
-        <bufferAttribute
-          attach="attributes-position"
-          count={positions.length / 3}
-          array={positions}
-          itemSize={3}
-        />
-        <bufferAttribute
-          attach="attributes-normal"
-          count={normals.length / 3}
-          array={normals}
-          itemSize={3}
-        />
-        <bufferAttribute
-          attach="index"
-          count={indices.length}
-          array={indices}
-          itemSize={1}
-        />
-      </bufferGeometry>
+    <mesh
+      ref={meshRef}
+      geometry={geometry}
+      rotation={[-Math.PI / 2, 0, 0]}
+      position={[0, -10, 0]}
+      frustumCulled={false}
+      userData={{ dataExport: { bake } }}
+    >
       <meshStandardMaterial
         color={color}
         transparent
@@ -236,6 +281,8 @@ function WaveField({
         side={THREE.DoubleSide}
         emissive={color}
         emissiveIntensity={0.3}
+        onBeforeCompile={onBeforeCompile}
+        customProgramCacheKey={waveFieldProgramKey}
       />
     </mesh>
   );
@@ -249,107 +296,97 @@ function WaveParticles({
   waveIntensity = 5,
   waveSpeed = 0.5,
   particleColor = "#4a4aff",
-  connectionOpacity = 0.15
+  connectionOpacity = 0.15,
+  refreshInterval = 1,
+  seed = DEFAULT_SEED
 }) {
+  const clock = useSimulationClock();
   const particlesRef = useRef();
   const groupRef = useRef();
+  const lineRef = useRef();
+  const frameRef = useRef(0);
+  const hashRef = useRef(null);
 
-  const { positions, colors, connections } = useMemo(() => {
-    const positions = new Float32Array(count * 3);
-    const colors = new Float32Array(count * 3);
-    const particlePositions = [];
-    const colorObj = new THREE.Color(particleColor);
-
-    for (let i = 0; i < count; i++) {
-      const x = (Math.random() - 0.5) * 100;
-      const y = (Math.random() - 0.5) * 30;
-      const z = (Math.random() - 0.5) * 100;
-
-      positions[i * 3] = x;
-      positions[i * 3 + 1] = y;
-      positions[i * 3 + 2] = z;
-
-      particlePositions.push(new THREE.Vector3(x, y, z));
-
-      // Use provided color with variation
-      const hue = colorObj.getHSL({}).h;
-      const color = new THREE.Color();
-      color.setHSL(hue + (Math.random() - 0.5) * 0.1, 0.8, 0.3 + Math.random() * 0.2);
-      colors[i * 3] = color.r;
-      colors[i * 3 + 1] = color.g;
-      colors[i * 3 + 2] = color.b;
-    }
-
-    // Create connections between nearby particles
-    const connectionLines = [];
-    
-    for (let i = 0; i < count; i++) {
-      for (let j = i + 1; j < count; j++) {
-        const distance = particlePositions[i].distanceTo(particlePositions[j]);
-        if (distance < connectionDistance) {
-          connectionLines.push([i, j]);
-          if (connectionLines.length >= maxConnections) break;
-        }
-      }
-      if (connectionLines.length >= maxConnections) break;
-    }
-
-    return { positions, colors, connections: connectionLines };
-  }, [count, connectionDistance, maxConnections, particleColor]);
-
-  useFrame((state) => {
-    if (particlesRef.current) {
-      const positions = particlesRef.current.geometry.attributes.position.array;
-      const time = state.clock.elapsedTime * waveSpeed;
-
-      for (let i = 0; i < count; i++) {
-        const i3 = i * 3;
-        const x = positions[i3];
-        const z = positions[i3 + 2];
-
-        const wave1 = Math.sin((x * 0.1 + z * 0.1) + time) * waveIntensity;
-        const wave2 = Math.sin((x * 0.05 - z * 0.05) + time * 0.6) * (waveIntensity * 0.6);
-        const wave3 = Math.sin(Math.sqrt(x * x + z * z) * 0.1 - time * 0.8) * (waveIntensity * 0.4);
-        
-        positions[i3 + 1] = wave1 + wave2 + wave3;
-      }
+  const { positions, colors } = useMemo(
+    () => generateWaveParticles({ count, particleColor, seed }),
+    [count, particleColor, seed]
+  );
 
-      particlesRef.current.geometry.attributes.position.needsUpdate = true;
-    }
-  });
+  // Links between nearby particles are rebuilt from a spatial hash as the
+  // particles bob, instead of being fixed at creation
+  const links = useMemo(
+    () => createNeighborLinks(count, maxConnections, createRandom(seed, 'waveLinks')),
+    [count, maxConnections, seed]
+  );
 
-  // Create line geometry for connections
+  // Create line geometry for connections; alpha fades each line by its length
   const lineGeometry = useMemo(() => {
-    const linePositions = new Float32Array(connections.length * 6);
-    return new THREE.BufferGeometry().setAttribute('position', new THREE.BufferAttribute(linePositions, 3));
-  }, [connections.length]);
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(maxConnections * 6), 3));
+    geometry.setAttribute('color', new THREE.BufferAttribute(new Float32Array(maxConnections * 8).fill(1), 4));
+    geometry.setDrawRange(0, 0);
+    return geometry;
+  }, [maxConnections]);
 
-  const lineRef = useRef();
-  const colorObj = new THREE.Color(particleColor);
+  useEffect(() => () => lineGeometry.dispose(), [lineGeometry]);
 
   useFrame(() => {
-    if (particlesRef.current && lineRef.current) {
-      const particlePositions = particlesRef.current.geometry.attributes.position.array;
-      const linePositions = lineRef.current.geometry.attributes.position.array;
+    if (!particlesRef.current) return;
+
+    const particlePositions = particlesRef.current.geometry.attributes.position.array;
+    const time = clock.time * waveSpeed;
 
-      connections.forEach(([i, j], idx) => {
-        const i3 = i * 3;
-        const j3 = j * 3;
-        const lineIdx = idx * 6;
+    for (let i = 0; i < count; i++) {
+      const i3 = i * 3;
+      particlePositions[i3 + 1] = waveParticleHeight(particlePositions[i3], particlePositions[i3 + 2], time, waveIntensity);
+    }
 
-        linePositions[lineIdx] = particlePositions[i3];
-        linePositions[lineIdx + 1] = particlePositions[i3 + 1];
-        linePositions[lineIdx + 2] = particlePositions[i3 + 2];
+    particlesRef.current.geometry.attributes.position.needsUpdate = true;
 
-        linePositions[lineIdx + 3] = particlePositions[j3];
-        linePositions[lineIdx + 4] = particlePositions[j3 + 1];
-        linePositions[lineIdx + 5] = particlePositions[j3 + 2];
-      });
+    if (!lineRef.current) return;
 
-      lineRef.current.geometry.attributes.position.needsUpdate = true;
+    if (frameRef.current % refreshInterval === 0) {
+      hashRef.current = buildSpatialHash(particlePositions, connectionDistance, hashRef.current);
+      updateNeighborLinks(links, particlePositions, hashRef.current, connectionDistance);
+    }
+    frameRef.current++;
+
+    const linePositions = lineGeometry.attributes.position.array;
+    const lineColors = lineGeometry.attributes.color.array;
+    const { pairs, linkCount } = links;
+
+    for (let c = 0; c < linkCount; c++) {
+      const i3 = pairs[c * 2] * 3;
+      const j3 = pairs[c * 2 + 1] * 3;
+      const lineIdx = c * 6;
+
+      linePositions[lineIdx] = particlePositions[i3];
+      linePositions[lineIdx + 1] = particlePositions[i3 + 1];
+      linePositions[lineIdx + 2] = particlePositions[i3 + 2];
+
+      linePositions[lineIdx + 3] = particlePositions[j3];
+      linePositions[lineIdx + 4] = particlePositions[j3 + 1];
+      linePositions[lineIdx + 5] = particlePositions[j3 + 2];
+
+      // Distance is re-measured every frame, so links stretched between
+      // rebuilds fade out instead of spanning the field
+      const distance = Math.hypot(
+        particlePositions[i3] - particlePositions[j3],
+        particlePositions[i3 + 1] - particlePositions[j3 + 1],
+        particlePositions[i3 + 2] - particlePositions[j3 + 2]
+      );
+      const fade = Math.max(0, 1 - distance / connectionDistance);
+      lineColors[c * 8 + 3] = fade;
+      lineColors[c * 8 + 7] = fade;
     }
+
+    lineGeometry.setDrawRange(0, linkCount * 2);
+    lineGeometry.attributes.position.needsUpdate = true;
+    lineGeometry.attributes.color.needsUpdate = true;
   });
 
+  const colorObj = new THREE.Color(particleColor);
+
   return (
     <group ref={groupRef}>
       <Points ref={particlesRef} positions={positions} colors={colors} stride={3}>
@@ -362,28 +399,34 @@ function WaveParticles({
           blending={THREE.AdditiveBlending}
         />
       </Points>
-      <lineSegments ref={lineRef} geometry={lineGeometry}>
-        <lineBasicMaterial color={colorObj} transparent opacity={connectionOpacity} />
+      <lineSegments ref={lineRef} geometry={lineGeometry} frustumCulled={false}>
+        <lineBasicMaterial
+          color={colorObj}
+          vertexColors
+          transparent
+          opacity={connectionOpacity}
+          depthWrite={false}
+        />
       </lineSegments>
     </group>
   );
 }
 
 // Background stars
-function Stars({ count = 5000, starColor = "#ffffff" }) {
+function Stars({ count = 5000, starColor = "#ffffff", seed = DEFAULT_SEED }) {
   const starsRef = useRef();
   const colorObj = new THREE.Color(starColor);
 
-  const positions = useMemo(() => {
-    const positions = new Float32Array(count * 3);
-    for (let i = 0; i < count * 3; i++) {
-      positions[i] = (Math.random() - 0.5) * 200;
-    }
-    return positions;
-  }, [count]);
+  const { positions } = useMemo(() => generateStars({ count, seed }), [count, seed]);
 
   return (
-    <Points ref={starsRef} positions={positions} stride={3} frustumCulled={false}>
+    <Points
+      ref={starsRef}
+      positions={positions}
+      stride={3}
+      frustumCulled={false}
+      userData={{ dataExport: { layer: 'stars', label: () => 'Background star' } }}
+    >
       <PointMaterial
         transparent
         color={colorObj}
@@ -396,10 +439,17 @@ function Stars({ count = 5000, starColor = "#ffffff" }) {
 }
 
 // Main visualization component
-export default function MilkyWayVisualization({ params = {} }) {
-  const galaxyPosition = useRef([0, 0, 0]);
+function MilkyWayScene({ params = {}, frameRef, catalog = null, migrationHistogramRef }) {
+  const clock = useSimulationClock();
+  const ownFrameRef = useRef();
+  const galaxyFrameRef = frameRef || ownFrameRef;
+  // Seconds the galaxy has spent moving; pausing movement freezes it in place
+  const travelTime = useRef(0);
   
   const {
+    // Shared seed for every particle generator
+    seed = DEFAULT_SEED,
+
     // Galaxy params
     galaxyParticleCount = 8000,
     galaxyRadius = 25,
@@ -409,8 +459,51 @@ export default function MilkyWayVisualization({ params = {} }) {
     bulgeSize = 3,
     coreGlow = 0.3,
     spiralTightness = 0.5,
+
+    // Physical galaxy model params
+    galaxyModel = 'stylized',
+    diskScaleLength = 8,
+    diskScaleHeight = 0.3,
+    bulgeEffectiveRadius = 2,
+    sersicIndex = 2,
+    bulgeFraction = 0.15,
+    barFraction = 0.1,
+    barAxisRatio = 0.4,
+    barVerticalRatio = 0.3,
+    barAngle = 27,
+    pitchAngle = 12,
+    armWidth = 1.2,
+    armFraction = 0.6,
+
+    // Stellar motion params
+    motionModel = 'rigid',
+    bulgeMass = 20,
+    bulgeScaleRadius = 1,
+    diskMass = 60,
+    diskPotentialLength = 5,
+    diskPotentialHeight = 0.3,
+    haloPotential = 'profile',
+    haloVelocity = 2,
+    haloCoreRadius = 3,
+    velocityDispersion = 0.08,
+    orbitTimeScale = 1,
+
+    // Dark matter halo params
+    showDarkMatterHalo = false,
+    haloProfile = 'nfw',
+    haloMass = 400,
+    haloScaleRadius = 10,
+    haloConcentration = 6,
+    haloFlattening = 0.8,
+    einastoAlpha = 0.17,
+    haloParticleCount = 4000,
+    haloColor = '#7a5cff',
+    haloOpacity = 0.35,
+    showHaloShell = false,
+    haloShellRadius = 1,
     
     // Wave field params
+    showWaveField = true,
     waveFieldSegments = 60,
     waveIntensity = 0.5,
     waveSpeed = 0.5,
@@ -418,6 +511,7 @@ export default function MilkyWayVisualization({ params = {} }) {
     waveOpacity = 0.6,
     
     // Wave particles params
+    showWaveParticles = true,
     waveParticleCount = 2000,
     connectionDistance = 8,
     maxConnections = 500,
@@ -425,6 +519,7 @@ export default function MilkyWayVisualization({ params = {} }) {
     particleWaveSpeed = 0.5,
     particleColor = "#4a4aff",
     connectionOpacity = 0.15,
+    connectionRefreshInterval = 1,
     
     // Stars params
     starCount = 5000,
@@ -433,163 +528,380 @@ export default function MilkyWayVisualization({ params = {} }) {
     // Movement params
     movementSpeed = 0.1,
     enableMovement = true,
+    trajectoryModel = 'sinusoid',
+    trajectoryPath = DEFAULT_PARAMS.trajectoryPath,
+    trajectoryClosed = true,
+    showTrajectory = false,
     
     // Orbital zones params
     showOrbitalZones = true,
+    orbitalZones = DEFAULT_PARAMS.orbitalZones,
     showZoneSeparators = true,
+    zoneMigration = false,
+    migrationStrength = 1,
+    showMigrationTrails = true,
+    migrationTrailLength = 20,
+    showVelocityField = true,
+    velocityFieldMode = 'arrows',
+    velocityFieldDensity = 12,
+    velocityColorBySpeed = false,
     showGalacticCenter = true,
     showSunMarker = true,
     
     // Great Wave params (from IFLScience article)
     showGreatWave = true,
-    greatWaveAmplitude = 0.65, // 650 light-years vertical shift
-    greatWaveLength = 30, // Horizontal extent
+    greatWaveParticleCount = 2000,
+    greatWaveAmplitude = 0.4, // Peak vertical shift, in scene units
+    greatWaveLength = 30, // Horizontal extent, in scene units
     greatWaveSpeed = 0.05,
-    showGreatWaveSurface = false
+    showGreatWaveSurface = false,
+    greatWaveModel = 'ripple',
+    diskWarp = true,
+    diskFlare = true,
+    diskCorrugation = true,
+    diskWaveInnerLy = 30000,
+    diskWaveOuterLy = 65000,
+    warpAmplitudeLy = 5000,
+    warpNodesAngle = 0,
+    flareScaleLengthLy = 15000,
+    corrugationAmplitudeLy = 650,
+    corrugationWavelengthLy = 15000,
+    corrugationPatternSpeed = 0.05,
+
+    // Units and overlays
+    kpcPerUnit = DEFAULT_KPC_PER_UNIT,
+    distanceUnit = 'kpc',
+    showGrid = false,
+    gridRingSpacing = 1,
+
+    // Post-processing params
+    postProcessing = false,
+    bloomStrength = 0.8,
+    bloomRadius = 0.4,
+    bloomThreshold = 0.7,
+    toneMapping = 'aces',
+    exposure = 1,
+    dustLanes = true,
+    dustOpacity = 1.5,
+    chromaticAberration = 0,
+    vignette = 0
   } = params;
 
-  useFrame((state) => {
+  const units = useMemo(() => createUnitSystem({ kpcPerUnit, distanceUnit }), [kpcPerUnit, distanceUnit]);
+
+  const physicalModel = useMemo(() => ({
+    diskScaleLength,
+    diskScaleHeight,
+    bulgeEffectiveRadius,
+    sersicIndex,
+    bulgeFraction,
+    barFraction,
+    barAxisRatio,
+    barVerticalRatio,
+    barAngle,
+    pitchAngle,
+    armWidth,
+    armFraction
+  }), [
+    diskScaleLength, diskScaleHeight, bulgeEffectiveRadius, sersicIndex, bulgeFraction, barFraction,
+    barAxisRatio, barVerticalRatio, barAngle, pitchAngle, armWidth, armFraction
+  ]);
+
+  const potential = useMemo(() => (motionModel === 'orbits' ? createPotential({
+    bulgeMass,
+    bulgeScaleRadius,
+    diskMass,
+    diskPotentialLength,
+    diskPotentialHeight,
+    haloPotential,
+    haloVelocity,
+    haloCoreRadius,
+    haloProfile,
+    haloMass,
+    haloScaleRadius,
+    haloConcentration,
+    haloFlattening,
+    einastoAlpha
+  }) : null), [
+    motionModel, bulgeMass, bulgeScaleRadius, diskMass, diskPotentialLength, diskPotentialHeight,
+    haloPotential, haloVelocity, haloCoreRadius, haloProfile, haloMass, haloScaleRadius,
+    haloConcentration, haloFlattening, einastoAlpha
+  ]);
+
+  // Zones turn at the circular angular speed of their mid radius when orbits
+  // are integrated, otherwise at their own multiple of the rigid rotation
+  const zoneSpeed = useCallback((minRadius, maxRadius, multiplier) => (potential
+    ? angularVelocity(potential, (minRadius + maxRadius) / 2) * orbitTimeScale
+    : galaxyRotationSpeed * multiplier), [potential, orbitTimeScale, galaxyRotationSpeed]);
+
+  // Migrating stars turn at the speed of wherever they've got to
+  const migrationSpeed = useCallback((R) => (potential
+    ? angularVelocity(potential, R) * orbitTimeScale
+    : galaxyRotationSpeed * zoneSpeedAt(orbitalZones, R / galaxyRadius)), [
+    potential, orbitTimeScale, galaxyRotationSpeed, orbitalZones, galaxyRadius
+  ]);
+
+  // Velocity arrows turn with their zone, or with migrating stars at their radius
+  const velocityFieldSpeed = useCallback((R, index) => {
+    if (zoneMigration) return migrationSpeed(R);
+    const zone = orbitalZones[index];
+    return zoneSpeed(zone.innerFraction * galaxyRadius, zone.outerFraction * galaxyRadius, zone.speed);
+  }, [zoneMigration, migrationSpeed, zoneSpeed, orbitalZones, galaxyRadius]);
+
+  const trajectory = useMemo(
+    () => createTrajectory({ trajectoryModel, trajectoryPath, trajectoryClosed }),
+    [trajectoryModel, trajectoryPath, trajectoryClosed]
+  );
+
+  // Move the galaxy frame every frame; its children follow without re-rendering
+  useFrame(() => {
     if (enableMovement) {
-      const time = state.clock.elapsedTime;
-      galaxyPosition.current[0] = Math.sin(time * movementSpeed) * 10;
-      galaxyPosition.current[2] = time * movementSpeed * 5;
+      travelTime.current += clock.delta;
+    }
+    if (galaxyFrameRef.current) {
+      trajectoryPosition(trajectory, travelTime.current, movementSpeed, galaxyFrameRef.current.position);
     }
   });
 
+  // The realistic model moves the galaxy's own stars, while shown, and shapes
+  // the wave surface
+  const diskWaveModel = useMemo(() => (greatWaveModel === 'disk' ? createDiskWave({
+    diskWarp,
+    diskFlare,
+    diskCorrugation,
+    diskWaveInnerLy,
+    diskWaveOuterLy,
+    warpAmplitudeLy,
+    warpNodesAngle,
+    flareScaleLengthLy,
+    corrugationAmplitudeLy,
+    corrugationWavelengthLy,
+    corrugationPatternSpeed
+  }, units) : null), [
+    greatWaveModel, diskWarp, diskFlare, diskCorrugation, diskWaveInnerLy, diskWaveOuterLy,
+    warpAmplitudeLy, warpNodesAngle, flareScaleLengthLy, corrugationAmplitudeLy, corrugationWavelengthLy,
+    corrugationPatternSpeed, units
+  ]);
+  const diskWave = showGreatWave ? diskWaveModel : null;
+
+  // Dust lanes follow the arms of whichever model is drawn, and are only
+  // drawn through post-processing
+  const galaxyDiskRef = useRef();
+  const showDust = postProcessing && dustLanes;
+  const dustPattern = useMemo(() => (showDust ? dustLanePattern({
+    galaxyModel,
+    galaxyRadius,
+    armCount,
+    barLength,
+    bulgeSize,
+    spiralTightness,
+    bulgeEffectiveRadius,
+    pitchAngle,
+    armWidth
+  }) : null), [
+    showDust, galaxyModel, galaxyRadius, armCount, barLength, bulgeSize, spiralTightness,
+    bulgeEffectiveRadius, pitchAngle, armWidth
+  ]);
+
+  // Readouts for the star inspector
+  const pickedGreatWave = useMemo(() => (showGreatWave && greatWaveModel === 'ripple'
+    ? { waveAmplitude: greatWaveAmplitude, waveLength: greatWaveLength, waveSpeed: greatWaveSpeed }
+    : null), [showGreatWave, greatWaveModel, greatWaveAmplitude, greatWaveLength, greatWaveSpeed]);
+  const circularSpeed = useCallback((R) => (potential
+    ? circularVelocity(potential, R) * orbitTimeScale
+    : galaxyRotationSpeed * R), [potential, orbitTimeScale, galaxyRotationSpeed]);
+
   return (
-    <>
+    <StarPickingProvider greatWave={pickedGreatWave} circularSpeed={circularSpeed} units={units}>
       <ambientLight intensity={0.3} />
       <pointLight position={[10, 10, 10]} intensity={0.5} />
       <pointLight position={[-10, -10, -10]} intensity={0.3} color="#4a4aff" />
 
-      <Galaxy 
-        position={galaxyPosition.current} 
-        rotationSpeed={galaxyRotationSpeed}
-        particleCount={galaxyParticleCount}
-        galaxyRadius={galaxyRadius}
-        armCount={armCount}
-        barLength={barLength}
-        bulgeSize={bulgeSize}
-        coreGlow={coreGlow}
-        spiralTightness={spiralTightness}
-      />
-
-      {/* Orbital zones and markers */}
-      {showGalacticCenter && <GalacticCenter position={galaxyPosition.current} />}
-      {showSunMarker && <SunMarker position={galaxyPosition.current} galaxyRadius={galaxyRadius} />}
-      
-      {showOrbitalZones && (
-        <group position={galaxyPosition.current}>
-          {/* Red zone - innermost */}
-          <OrbitalZone 
-            color="#ff4444" 
-            minRadius={bulgeSize} 
-            maxRadius={galaxyRadius * 0.25} 
-            particleCount={150}
-            galaxyRadius={galaxyRadius}
-            rotationSpeed={galaxyRotationSpeed * 1.5}
-            showArrows={true}
+      {/* userData.perfSection names each part in the performance HUD */}
+      {showWaveField && (
+        <group userData={{ perfSection: 'Wave field' }}>
+          <WaveField 
+            count={waveFieldSegments}
+            waveIntensity={waveIntensity}
+            waveSpeed={waveSpeed}
+            waveColor={waveColor}
+            opacity={waveOpacity}
           />
-          {/* Purple zone */}
-          <OrbitalZone 
-            color="#aa44ff" 
-            minRadius={galaxyRadius * 0.25} 
-            maxRadius={galaxyRadius * 0.4} 
-            particleCount={150}
-            galaxyRadius={galaxyRadius}
-            rotationSpeed={galaxyRotationSpeed * 1.2}
-            showArrows={true}
+        </group>
+      )}
+
+      {showWaveParticles && (
+        <group userData={{ perfSection: 'Wave particles' }}>
+          <WaveParticles 
+            count={waveParticleCount}
+            connectionDistance={connectionDistance}
+            maxConnections={maxConnections}
+            waveIntensity={particleWaveIntensity}
+            waveSpeed={particleWaveSpeed}
+            particleColor={particleColor}
+            connectionOpacity={connectionOpacity}
+            refreshInterval={connectionRefreshInterval}
+            seed={seed}
           />
-          {/* Pink zone */}
-          <OrbitalZone 
-            color="#ff44aa" 
-            minRadius={galaxyRadius * 0.4} 
-            maxRadius={galaxyRadius * 0.55} 
-            particleCount={150}
-            galaxyRadius={galaxyRadius}
+        </group>
+      )}
+
+      <group userData={{ perfSection: 'Background stars' }}>
+        <Stars count={starCount} starColor={starColor} seed={seed} />
+      </group>
+
+      {showTrajectory && trajectoryModel === 'spline' && (
+        <group userData={{ perfSection: 'Trajectory' }}>
+          <TrajectoryPath trajectory={trajectory} />
+        </group>
+      )}
+
+      {/* Everything below belongs to the galaxy and moves with its frame */}
+      <group ref={galaxyFrameRef}>
+        <group userData={{ perfSection: 'Galaxy' }}>
+          <Galaxy 
             rotationSpeed={galaxyRotationSpeed}
-            showArrows={true}
-          />
-          {/* Green zone - Sun's zone */}
-          <OrbitalZone 
-            color="#44ff44" 
-            minRadius={galaxyRadius * 0.55} 
-            maxRadius={galaxyRadius * 0.7} 
-            particleCount={150}
+            particleCount={galaxyParticleCount}
             galaxyRadius={galaxyRadius}
-            rotationSpeed={galaxyRotationSpeed * 0.9}
-            showArrows={true}
+            armCount={armCount}
+            barLength={barLength}
+            bulgeSize={bulgeSize}
+            coreGlow={coreGlow}
+            spiralTightness={spiralTightness}
+            model={galaxyModel}
+            physical={physicalModel}
+            potential={potential}
+            velocityDispersion={velocityDispersion}
+            orbitTimeScale={orbitTimeScale}
+            diskWave={diskWave}
+            seed={seed}
+            diskRef={galaxyDiskRef}
           />
-          {/* Orange zone */}
-          <OrbitalZone 
-            color="#ffaa44" 
-            minRadius={galaxyRadius * 0.7} 
-            maxRadius={galaxyRadius * 0.85} 
-            particleCount={150}
+        </group>
+
+        {/* Orbital zones and markers */}
+        <group userData={{ perfSection: 'Markers & grid' }}>
+          {showGalacticCenter && <GalacticCenter />}
+          {showSunMarker && <SunMarker distance={units.fromKpc(SOLAR_RADIUS_KPC)} />}
+          {showGrid && <GalacticGrid radius={galaxyRadius * 1.2} ringSpacingKpc={gridRingSpacing} units={units} />}
+          {showZoneSeparators && zoneBoundaries(orbitalZones).map((fraction) => (
+            <ZoneSeparator key={fraction} radius={fraction * galaxyRadius} />
+          ))}
+        </group>
+
+        <group userData={{ perfSection: 'Orbital zones' }}>
+          {showOrbitalZones && zoneMigration && (
+            <MigratingZones
+              zones={orbitalZones}
+              galaxyRadius={galaxyRadius}
+              starsPerZone={ZONE_PARTICLE_COUNT}
+              angularSpeed={migrationSpeed}
+              strength={migrationStrength}
+              armCount={armCount}
+              showTrails={showMigrationTrails}
+              trailLength={migrationTrailLength}
+              histogramRef={migrationHistogramRef}
+              seed={seed}
+            />
+          )}
+          {showOrbitalZones && !zoneMigration && orbitalZones.map((zone, index) => (
+            // Zones have no identity beyond their place in the list
+            <OrbitalZone
+              key={index}
+              name={zone.name}
+              color={zone.color}
+              minRadius={zone.innerFraction * galaxyRadius}
+              maxRadius={zone.outerFraction * galaxyRadius}
+              particleCount={ZONE_PARTICLE_COUNT}
+              galaxyRadius={galaxyRadius}
+              rotationSpeed={zoneSpeed(zone.innerFraction * galaxyRadius, zone.outerFraction * galaxyRadius, zone.speed)}
+              seed={seed}
+            />
+          ))}
+          {showOrbitalZones && showVelocityField && (
+            <VelocityField
+              zones={orbitalZones}
+              galaxyRadius={galaxyRadius}
+              density={velocityFieldDensity}
+              angularSpeed={velocityFieldSpeed}
+              mode={velocityFieldMode}
+              colorBySpeed={velocityColorBySpeed}
+            />
+          )}
+        </group>
+
+        {/* The Great Wave - A massive ripple traveling across the Milky Way */}
+        {/* Based on: https://www.iflscience.com/there-is-a-great-wave-traveling-across-the-milky-way-shifting-stars-by-100s-of-light-years-80992 */}
+        <group userData={{ perfSection: 'Great Wave' }}>
+          <GreatWave
             galaxyRadius={galaxyRadius}
-            rotationSpeed={galaxyRotationSpeed * 0.8}
-            showArrows={true}
+            waveAmplitude={greatWaveAmplitude}
+            waveLength={greatWaveLength}
+            waveSpeed={greatWaveSpeed}
+            particleCount={greatWaveParticleCount}
+            showWave={showGreatWave}
+            diskWave={diskWave}
+            seed={seed}
           />
-          {/* Yellow zone - outermost */}
-          <OrbitalZone 
-            color="#ffff44" 
-            minRadius={galaxyRadius * 0.85} 
-            maxRadius={galaxyRadius} 
-            particleCount={150}
+          <GreatWaveSurface
             galaxyRadius={galaxyRadius}
-            rotationSpeed={galaxyRotationSpeed * 0.7}
-            showArrows={true}
+            waveAmplitude={greatWaveAmplitude}
+            waveLength={greatWaveLength}
+            waveSpeed={greatWaveSpeed}
+            showSurface={showGreatWaveSurface}
+            diskWave={diskWaveModel}
           />
         </group>
-      )}
 
-      {showZoneSeparators && (
-        <group position={galaxyPosition.current}>
-          <ZoneSeparator radius={galaxyRadius * 0.4} />
-          <ZoneSeparator radius={galaxyRadius * 0.55} />
-          <ZoneSeparator radius={galaxyRadius * 0.7} />
-          <ZoneSeparator radius={galaxyRadius * 0.85} />
-        </group>
+        {showDarkMatterHalo && (
+          <group userData={{ perfSection: 'Dark matter halo' }}>
+            <DarkMatterHalo
+              profile={haloProfile}
+              scaleRadius={haloScaleRadius}
+              concentration={haloConcentration}
+              flattening={haloFlattening}
+              alpha={einastoAlpha}
+              particleCount={haloParticleCount}
+              color={haloColor}
+              opacity={haloOpacity}
+              showShell={showHaloShell}
+              shellRadius={haloShellRadius}
+              seed={seed}
+            />
+          </group>
+        )}
+
+        {catalog && (
+          <group userData={{ perfSection: 'Catalog' }}>
+            <CatalogStars layer={catalog.layer} pointSize={catalog.pointSize} />
+          </group>
+        )}
+      </group>
+
+      {postProcessing && (
+        <PostProcessing
+          galaxyRef={galaxyDiskRef}
+          bloomStrength={bloomStrength}
+          bloomRadius={bloomRadius}
+          bloomThreshold={bloomThreshold}
+          toneMapping={toneMapping}
+          exposure={exposure}
+          dustPattern={dustPattern}
+          dustOpacity={dustOpacity}
+          chromaticAberration={chromaticAberration}
+          vignette={vignette}
+        />
       )}
-
-      <WaveField 
-        count={waveFieldSegments}
-        waveIntensity={waveIntensity}
-        waveSpeed={waveSpeed}
-        waveColor={waveColor}
-        opacity={waveOpacity}
-      />
-
-      <WaveParticles 
-        count={waveParticleCount}
-        connectionDistance={connectionDistance}
-        maxConnections={maxConnections}
-        waveIntensity={particleWaveIntensity}
-        waveSpeed={particleWaveSpeed}
-        particleColor={particleColor}
-        connectionOpacity={connectionOpacity}
-      />
-
-      <Stars count={starCount} starColor={starColor} />
-
-      {/* The Great Wave - A massive ripple traveling across the Milky Way */}
-      {/* Based on: https://www.iflscience.com/there-is-a-great-wave-traveling-across-the-milky-way-shifting-stars-by-100s-of-light-years-80992 */}
-      <GreatWave
-        galaxyRadius={galaxyRadius}
-        waveAmplitude={greatWaveAmplitude}
-        waveLength={greatWaveLength}
-        waveSpeed={greatWaveSpeed}
-        showWave={showGreatWave}
-        position={galaxyPosition.current}
-      />
-      <GreatWaveSurface
-        galaxyRadius={galaxyRadius}
-        waveAmplitude={greatWaveAmplitude}
-        waveLength={greatWaveLength}
-        waveSpeed={greatWaveSpeed}
-        showSurface={showGreatWaveSurface}
-        position={galaxyPosition.current}
-      />
-    </>
+    </StarPickingProvider>
   );
 }
+
+// `frameRef` optionally receives the galaxy-frame group, e.g. for a camera
+// that follows the galaxy. `catalog` ({ layer, pointSize }) overlays stars
+// from an imported catalog. Animations run on the surrounding simulation
+// clock, or on a clock of their own when there is none.
+export default function MilkyWayVisualization(props) {
+  const clock = useSimulationClock();
+  const scene = <MilkyWayScene {...props} />;
+  return clock ? scene : <SimulationClockProvider>{scene}</SimulationClockProvider>;
+}
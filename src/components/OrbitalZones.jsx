@@ -1,88 +1,325 @@
-import React, { useRef, useMemo } from 'react';
+import React, { useRef, useMemo, useEffect, useLayoutEffect } from 'react';
 import { useFrame } from '@react-three/fiber';
 import { Points, PointMaterial, Html, Sphere } from '@react-three/drei';
 import * as THREE from 'three';
+import { mergeGeometries } from 'three/examples/jsm/utils/BufferGeometryUtils.js';
+import { DEFAULT_SEED } from '../core/random';
+import { generateOrbitalZone } from '../core/generators';
+import { componentLabel } from '../core/starInfo';
+import {
+  createMigration,
+  stepMigration,
+  zonePopulations,
+  createTrails,
+  recordTrails,
+  clearTrails,
+  buildTrailSegments
+} from '../core/migration';
+import { zoneAt } from '../core/zones';
+import {
+  STREAMLINE_SEGMENTS,
+  createVelocityField,
+  setFieldSpeeds,
+  advanceField,
+  fieldColors,
+  arrowPose,
+  buildStreamlines
+} from '../core/velocityField';
+import { useSimulationClock } from './SimulationClock';
+import { usePickHandlers, raycastMovingPoints } from './StarPicking';
+import { SOLAR_RADIUS_KPC, SUN_AZIMUTH, DEFAULT_KPC_PER_UNIT } from '../core/units';
 
-// Orbital zone particles with directional indicators
+// Orbital zone particles; VelocityField draws their motion
 function OrbitalZone({ 
+  name = '',
   color, 
   minRadius, 
   maxRadius, 
   particleCount = 200,
   galaxyRadius = 25,
   rotationSpeed = 0.2,
-  showArrows = true
+  seed = DEFAULT_SEED
 }) {
+  const clock = useSimulationClock();
   const groupRef = useRef();
   const particlesRef = useRef();
-  const arrowsGroupRef = useRef();
-
-  const { positions, colors, arrowData } = useMemo(() => {
-    const positions = new Float32Array(particleCount * 3);
-    const colors = new Float32Array(particleCount * 3);
-    const arrows = [];
-    const colorObj = new THREE.Color(color);
-
-    for (let i = 0; i < particleCount; i++) {
-      const angle = Math.random() * Math.PI * 2;
-      const radius = minRadius + Math.random() * (maxRadius - minRadius);
-      
-      const x = Math.cos(angle) * radius;
-      const z = Math.sin(angle) * radius;
-      const y = (Math.random() - 0.5) * 0.2;
-
-      positions[i * 3] = x;
-      positions[i * 3 + 1] = y;
-      positions[i * 3 + 2] = z;
-
-      colors[i * 3] = colorObj.r;
-      colors[i * 3 + 1] = colorObj.g;
-      colors[i * 3 + 2] = colorObj.b;
-
-      // Calculate orbital velocity direction (tangential + slight radial component)
-      const tangentAngle = angle + Math.PI / 2; // Perpendicular to radius
-      const radialComponent = (Math.random() - 0.5) * 0.3; // Some radial motion
-      
-      arrows.push({
-        position: [x, y, z],
-        direction: [
-          Math.cos(tangentAngle) * (1 - Math.abs(radialComponent)) + Math.cos(angle) * radialComponent,
-          0,
-          Math.sin(tangentAngle) * (1 - Math.abs(radialComponent)) + Math.sin(angle) * radialComponent
-        ]
-      });
+
+  const { positions, colors } = useMemo(
+    () => generateOrbitalZone({ color, minRadius, maxRadius, particleCount, seed }),
+    [particleCount, minRadius, maxRadius, color, seed]
+  );
+
+  const pickHandlers = usePickHandlers((index) => {
+    if (index >= positions.length / 3) return null;
+    const position = [positions[index * 3], positions[index * 3 + 1], positions[index * 3 + 2]];
+    return {
+      source: 'zone',
+      position,
+      zoneName: name,
+      zoneColor: color,
+      velocity: [rotationSpeed * position[2], 0, -rotationSpeed * position[0]]
+    };
+  });
+
+  useFrame(() => {
+    if (groupRef.current) {
+      groupRef.current.rotation.y += rotationSpeed * clock.delta;
     }
+  });
+
+  return (
+    <group ref={groupRef}>
+      <Points
+        ref={particlesRef}
+        positions={positions}
+        colors={colors}
+        stride={3}
+        userData={{ dataExport: { layer: 'orbitalZone', label: () => componentLabel({ source: 'zone', zoneName: name }) } }}
+        {...pickHandlers}
+      >
+        <PointMaterial
+          transparent
+          vertexColors
+          size={0.2}
+          sizeAttenuation={true}
+          depthWrite={false}
+          blending={THREE.AdditiveBlending}
+        />
+      </Points>
+    </group>
+  );
+}
+
+// One arrow along +x, centered on the origin, a unit long and a unit of
+// lattice spacing across; instances stretch it to their length
+function createArrowGeometry() {
+  const shaft = new THREE.CylinderGeometry(0.025, 0.025, 0.7, 6);
+  shaft.translate(0, -0.15, 0);
+  const head = new THREE.ConeGeometry(0.08, 0.3, 8);
+  head.translate(0, 0.35, 0);
+  const arrow = mergeGeometries([shaft, head]);
+  arrow.rotateZ(-Math.PI / 2);
+  shaft.dispose();
+  head.dispose();
+  return arrow;
+}
+
+const arrowMatrix = new THREE.Matrix4();
+const arrowPosition = new THREE.Vector3();
+const arrowRotation = new THREE.Quaternion();
+const arrowScale = new THREE.Vector3();
+const UP = new THREE.Vector3(0, 1, 0);
 
-    return { positions, colors, arrowData: arrows.slice(0, Math.min(50, arrows.length)) };
-  }, [particleCount, minRadius, maxRadius, color]);
+// Velocity field of every orbital zone (core/velocityField.js) as one
+// instanced mesh of arrows, or as streamlines in `mode` 'streamlines'.
+// `density` rings of sites span the galaxy radius; `angularSpeed(R, zone)`
+// is the angular speed of a site at radius R in zone index `zone`, and the
+// arrows' lengths follow the resulting orbital speeds. `colorBySpeed`
+// colors sites by speed rather than by zone.
+function VelocityField({ zones, galaxyRadius = 25, density = 12, angularSpeed, mode = 'arrows', colorBySpeed = false }) {
+  const clock = useSimulationClock();
+  const arrowsRef = useRef();
+  const colorsRef = useRef(null);
 
-  // Create arrows
-  useMemo(() => {
-    if (arrowsGroupRef.current && showArrows) {
-      // Clear existing arrows
-      while (arrowsGroupRef.current.children.length > 0) {
-        arrowsGroupRef.current.remove(arrowsGroupRef.current.children[0]);
+  const field = useMemo(
+    () => createVelocityField({ zones, galaxyRadius, density }),
+    [zones, galaxyRadius, density]
+  );
+
+  const arrowGeometry = useMemo(createArrowGeometry, []);
+  useEffect(() => () => arrowGeometry.dispose(), [arrowGeometry]);
+
+  const lineGeometry = useMemo(() => {
+    const vertices = field.count * STREAMLINE_SEGMENTS * 2;
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(vertices * 3), 3));
+    geometry.setAttribute('color', new THREE.BufferAttribute(new Float32Array(vertices * 3), 3));
+    geometry.setDrawRange(0, 0);
+    return geometry;
+  }, [field]);
+  useEffect(() => () => lineGeometry.dispose(), [lineGeometry]);
+
+  // Speeds change without moving the sites, e.g. when a zone's speed does
+  useLayoutEffect(() => {
+    setFieldSpeeds(field, angularSpeed);
+    const colors = fieldColors(field, zones, colorBySpeed);
+    colorsRef.current = colors;
+    const arrows = arrowsRef.current;
+    if (arrows) {
+      const color = new THREE.Color();
+      for (let i = 0; i < field.count; i++) {
+        arrows.setColorAt(i, color.fromArray(colors, i * 3));
       }
-      
-      // Create new arrows
-      arrowData.forEach((arrow) => {
-        const dir = new THREE.Vector3(...arrow.direction).normalize();
-        const origin = new THREE.Vector3(...arrow.position);
-        const arrowHelper = new THREE.ArrowHelper(dir, origin, 1.5, color, 0.3, 0.15);
-        arrowsGroupRef.current.add(arrowHelper);
+      arrows.instanceColor.needsUpdate = true;
+    }
+  }, [field, angularSpeed, zones, colorBySpeed, mode]);
+
+  useFrame(() => {
+    advanceField(field, clock.delta);
+
+    if (mode === 'streamlines') {
+      const { position, color } = lineGeometry.attributes;
+      lineGeometry.setDrawRange(0, buildStreamlines(field, colorsRef.current, position.array, color.array));
+      position.needsUpdate = true;
+      color.needsUpdate = true;
+      return;
+    }
+
+    const arrows = arrowsRef.current;
+    if (!arrows) return;
+    for (let i = 0; i < field.count; i++) {
+      const pose = arrowPose(field, i);
+      arrowPosition.set(pose.x, 0, pose.z);
+      arrowRotation.setFromAxisAngle(UP, pose.heading);
+      arrowScale.set(pose.length, field.spacing, field.spacing);
+      arrows.setMatrixAt(i, arrowMatrix.compose(arrowPosition, arrowRotation, arrowScale));
+    }
+    arrows.instanceMatrix.needsUpdate = true;
+  });
+
+  if (mode === 'streamlines') {
+    return (
+      <lineSegments geometry={lineGeometry} frustumCulled={false}>
+        <lineBasicMaterial vertexColors transparent depthWrite={false} blending={THREE.AdditiveBlending} />
+      </lineSegments>
+    );
+  }
+
+  // GPU buffers can't grow, so a new site count needs a new mesh
+  return (
+    <instancedMesh key={field.count} ref={arrowsRef} args={[arrowGeometry, undefined, field.count]} frustumCulled={false}>
+      <meshBasicMaterial />
+    </instancedMesh>
+  );
+}
+
+// Migration step, and the most substeps one frame may take
+const MIGRATION_STEP = 0.1;
+const MAX_MIGRATION_SUBSTEPS = 400;
+
+// Simulated seconds between trail samples
+const TRAIL_INTERVAL = 0.5;
+
+// Wall-clock seconds between population histogram updates
+const HISTOGRAM_INTERVAL = 0.25;
+
+// Every zone's stars migrating radially between zones (core/migration.js),
+// in place of the rigidly turning OrbitalZone rings. Stars keep their origin
+// zone's color and can leave fading trails. `angularSpeed(R)` is the
+// circular angular speed at radius R, and `histogramRef.current.update`
+// receives the zones' populations a few times a second.
+function MigratingZones({
+  zones,
+  galaxyRadius = 25,
+  starsPerZone = 150,
+  angularSpeed,
+  strength = 1,
+  armCount = 4,
+  showTrails = true,
+  trailLength = 20,
+  histogramRef,
+  seed = DEFAULT_SEED
+}) {
+  const clock = useSimulationClock();
+  const lastSample = useRef(0);
+  const lastHistogram = useRef(-Infinity);
+
+  // Stars start from their zones whenever the zones change
+  const migration = useMemo(
+    () => createMigration({ zones, galaxyRadius, starsPerZone, seed, time: clock.time }),
+    [zones, galaxyRadius, starsPerZone, seed, clock]
+  );
+
+  const trails = useMemo(() => createTrails(migration.count, trailLength), [migration, trailLength]);
+
+  // Trails start afresh whenever they're shown again
+  useEffect(() => {
+    clearTrails(trails);
+  }, [trails, showTrails]);
+
+  const trailGeometry = useMemo(() => {
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(trails.positions, 3));
+    geometry.setAttribute('color', new THREE.BufferAttribute(trails.colors, 3));
+    geometry.setDrawRange(0, 0);
+    return geometry;
+  }, [trails]);
+
+  useEffect(() => () => trailGeometry.dispose(), [trailGeometry]);
+
+  const pickHandlers = usePickHandlers((index) => {
+    if (index >= migration.count) return null;
+    const { positions, radialVelocity } = migration;
+    const position = [positions[index * 3], positions[index * 3 + 1], positions[index * 3 + 2]];
+    const omega = angularSpeed(migration.radius[index]);
+    const radial = radialVelocity[index] / migration.radius[index];
+    const current = zoneAt(zones, migration.radius[index] / galaxyRadius);
+    const origin = zones[migration.origin[index]];
+    return {
+      source: 'zone',
+      position,
+      zoneName: current === -1 ? '' : zones[current].name,
+      birthZoneName: origin.name,
+      zoneColor: origin.color,
+      velocity: [
+        omega * position[2] + radial * position[0],
+        0,
+        -omega * position[0] + radial * position[2]
+      ]
+    };
+  });
+
+  const exportLabel = (index) => componentLabel({
+    source: 'zone',
+    zoneName: zones[migration.origin[index]].name
+  });
+
+  useFrame((state) => {
+    if (clock.delta !== 0) {
+      // Seeking far along the timeline takes coarser steps
+      stepMigration(migration, clock.delta, {
+        angularSpeed,
+        strength,
+        armCount,
+        maxStep: Math.max(MIGRATION_STEP, Math.abs(clock.delta) / MAX_MIGRATION_SUBSTEPS)
       });
     }
-  }, [arrowData, color, showArrows]);
 
-  useFrame((state, delta) => {
-    if (groupRef.current) {
-      groupRef.current.rotation.y += rotationSpeed * delta;
+    if (showTrails) {
+      const elapsed = Math.abs(clock.time - lastSample.current);
+      // A jump longer than the trail restarts it rather than drawing a streak
+      if (trails.filled === 0 || elapsed > TRAIL_INTERVAL * trails.length) {
+        recordTrails(clearTrails(trails), migration.positions);
+        lastSample.current = clock.time;
+      } else if (elapsed >= TRAIL_INTERVAL) {
+        recordTrails(trails, migration.positions);
+        lastSample.current = clock.time;
+      }
+      trailGeometry.setDrawRange(0, buildTrailSegments(trails, migration.positions, migration.colors));
+      trailGeometry.attributes.position.needsUpdate = true;
+      trailGeometry.attributes.color.needsUpdate = true;
+    }
+
+    const now = state.clock.elapsedTime;
+    if (histogramRef && histogramRef.current && now - lastHistogram.current >= HISTOGRAM_INTERVAL) {
+      lastHistogram.current = now;
+      histogramRef.current.update(zonePopulations(migration, zones));
     }
   });
 
   return (
-    <group ref={groupRef}>
-      <Points ref={particlesRef} positions={positions} colors={colors} stride={3}>
+    <group>
+      {/* GPU buffers can't grow, so a new star count needs a new cloud */}
+      <Points
+        key={migration.count}
+        positions={migration.positions}
+        colors={migration.colors}
+        stride={3}
+        frustumCulled={false}
+        raycast={raycastMovingPoints}
+        userData={{ dataExport: { layer: 'orbitalZone', label: exportLabel } }}
+        {...pickHandlers}
+      >
         <PointMaterial
           transparent
           vertexColors
@@ -92,12 +329,15 @@ function OrbitalZone({
           blending={THREE.AdditiveBlending}
         />
       </Points>
-      {showArrows && <group ref={arrowsGroupRef} />}
+      {showTrails && (
+        <lineSegments geometry={trailGeometry} frustumCulled={false}>
+          <lineBasicMaterial vertexColors transparent depthWrite={false} blending={THREE.AdditiveBlending} />
+        </lineSegments>
+      )}
     </group>
   );
 }
 
-
 // Zone separator lines
 function ZoneSeparator({ radius, segments = 64 }) {
   const points = useMemo(() => {
@@ -153,17 +393,14 @@ function GalacticCenter({ position = [0, 0, 0] }) {
   );
 }
 
-// Sun's position marker
+// Sun's position marker, `distance` scene units from the center at the
+// azimuth galactocentric longitudes are measured from
 function SunMarker({ 
   position = [0, 0, 0],
-  galaxyRadius = 25 
+  distance = SOLAR_RADIUS_KPC / DEFAULT_KPC_PER_UNIT
 }) {
-  // Sun is about 2/3 from center in one of the spiral arms
-  const sunDistance = galaxyRadius * 0.65;
-  const sunAngle = Math.PI * 0.3; // Position in a spiral arm
-  
-  const sunX = Math.cos(sunAngle) * sunDistance;
-  const sunZ = Math.sin(sunAngle) * sunDistance;
+  const sunX = Math.cos(SUN_AZIMUTH) * distance;
+  const sunZ = Math.sin(SUN_AZIMUTH) * distance;
   
   return (
     <group position={[sunX + position[0], position[1], sunZ + position[2]]}>
@@ -188,5 +425,5 @@ function SunMarker({
   );
 }
 
-export { OrbitalZone, ZoneSeparator, GalacticCenter, SunMarker };
+export { OrbitalZone, MigratingZones, VelocityField, ZoneSeparator, GalacticCenter, SunMarker };
 
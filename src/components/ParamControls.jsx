@@ -0,0 +1,72 @@
+import React from 'react';
+import { PARAM_DEFS } from '../core/params';
+
+// Panel inputs bound to a parameter definition, so each slider's range comes
+// from the same table that URL state and presets are validated against.
+
+const hintStyle = { fontSize: '11px', color: '#a0a0a0' };
+
+function RangeParam({ name, label, value, onChange, format = (v) => v, hint }) {
+  const def = PARAM_DEFS[name];
+  return (
+    <div className="param-group">
+      <label>{label}: {format(value)}</label>
+      <input
+        type="range"
+        min={def.min}
+        max={def.max}
+        step={def.step}
+        value={value}
+        onChange={(e) => onChange(name, Number(e.target.value))}
+      />
+      {hint && <span style={hintStyle}>{hint}</span>}
+    </div>
+  );
+}
+
+function CheckboxParam({ name, label, value, onChange }) {
+  return (
+    <div className="param-group">
+      <label>
+        <input
+          type="checkbox"
+          checked={value}
+          onChange={(e) => onChange(name, e.target.checked)}
+        />
+        {label}
+      </label>
+    </div>
+  );
+}
+
+function ColorParam({ name, label, value, onChange }) {
+  return (
+    <div className="param-group param-color">
+      <label>
+        <input
+          type="color"
+          value={value}
+          onChange={(e) => onChange(name, e.target.value)}
+        />
+        {label}
+      </label>
+    </div>
+  );
+}
+
+// `labels` maps each option of an enum parameter to its display text
+function SelectParam({ name, label, value, onChange, labels = {} }) {
+  const def = PARAM_DEFS[name];
+  return (
+    <div className="param-group">
+      <label>{label}</label>
+      <select value={value} onChange={(e) => onChange(name, e.target.value)}>
+        {def.options.map((option) => (
+          <option key={option} value={option}>{labels[option] || option}</option>
+        ))}
+      </select>
+    </div>
+  );
+}
+
+export { RangeParam, CheckboxParam, ColorParam, SelectParam, hintStyle };
@@ -0,0 +1,241 @@
+import React, { forwardRef, useEffect, useImperativeHandle, useRef, useState } from 'react';
+import { useFrame, useThree, addEffect, addAfterEffect } from '@react-three/fiber';
+
+// Seconds between HUD updates; each shows the average over that time
+const HUD_INTERVAL = 0.5;
+
+// The profiler the draw hooks report to, while a PerfProbe is mounted
+let activeProfiler = null;
+
+// Objects whose onBeforeRender/onAfterRender already report to it
+const hookedObjects = new WeakSet();
+
+// Vertices one draw of `object` processes
+function renderedVertices(object) {
+  const { geometry } = object;
+  if (!geometry || !geometry.attributes.position) return 0;
+  const available = geometry.index ? geometry.index.count : geometry.attributes.position.count;
+  const { start, count } = geometry.drawRange;
+  const vertices = Math.max(0, Math.min(available - start, count));
+  return object.isInstancedMesh ? vertices * object.count : vertices;
+}
+
+function hookObject(object) {
+  if (hookedObjects.has(object)) return;
+  hookedObjects.add(object);
+  const before = object.onBeforeRender;
+  const after = object.onAfterRender;
+  object.onBeforeRender = function onBeforeRender(...args) {
+    if (activeProfiler) activeProfiler.begin(this);
+    before.apply(this, args);
+  };
+  object.onAfterRender = function onAfterRender(...args) {
+    after.apply(this, args);
+    if (activeProfiler) activeProfiler.end(this);
+  };
+}
+
+// Per-section draw calls, vertices and time. With WebGL2's
+// EXT_disjoint_timer_query_webgl2 each draw is timed on the GPU; otherwise
+// only the CPU time spent submitting it is known.
+function createProfiler(gl) {
+  const context = gl.getContext();
+  const timer = typeof WebGL2RenderingContext !== 'undefined' && context instanceof WebGL2RenderingContext
+    ? context.getExtension('EXT_disjoint_timer_query_webgl2')
+    : null;
+  const sections = new Map();
+  const sectionOf = new WeakMap();
+  const pending = [];
+  const pool = [];
+  let current = null;
+  let submitStart = 0;
+
+  const statsFor = (name) => {
+    if (!sections.has(name)) sections.set(name, { draws: 0, vertices: 0, gpuMs: 0, cpuMs: 0 });
+    return sections.get(name);
+  };
+
+  return {
+    gpuTimer: timer !== null,
+    sections,
+    sectionOf,
+    begin(object) {
+      const stats = statsFor(sectionOf.get(object) || 'Other');
+      stats.draws += 1;
+      stats.vertices += renderedVertices(object);
+      // Queries can't nest, e.g. for a draw inside another's callbacks
+      if (timer && !current) {
+        const query = pool.pop() || context.createQuery();
+        context.beginQuery(timer.TIME_ELAPSED_EXT, query);
+        current = { query, stats };
+      }
+      submitStart = performance.now();
+    },
+    end(object) {
+      const stats = statsFor(sectionOf.get(object) || 'Other');
+      stats.cpuMs += performance.now() - submitStart;
+      if (current) {
+        context.endQuery(timer.TIME_ELAPSED_EXT);
+        pending.push(current);
+        current = null;
+      }
+    },
+    // Collect finished GPU timings; results arrive a few frames late
+    poll() {
+      if (!timer) return;
+      const disjoint = context.getParameter(timer.GPU_DISJOINT_EXT);
+      while (pending.length > 0 && context.getQueryParameter(pending[0].query, context.QUERY_RESULT_AVAILABLE)) {
+        const { query, stats } = pending.shift();
+        if (!disjoint) stats.gpuMs += context.getQueryParameter(query, context.QUERY_RESULT) / 1e6;
+        pool.push(query);
+      }
+    },
+    // Zeroes the counts in place, so timings still pending land in the next ones
+    reset() {
+      sections.forEach((stats) => {
+        stats.draws = 0;
+        stats.vertices = 0;
+        stats.gpuMs = 0;
+        stats.cpuMs = 0;
+      });
+    },
+    dispose() {
+      pending.forEach(({ query }) => context.deleteQuery(query));
+      pool.forEach((query) => context.deleteQuery(query));
+    }
+  };
+}
+
+// Label every drawable object with the perf section of its nearest tagged
+// ancestor (`userData.perfSection`) and hook it up to the profiler
+function tagSections(object, section, profiler) {
+  const own = object.userData.perfSection || section;
+  if (object.isMesh || object.isPoints || object.isLine || object.isSprite) {
+    profiler.sectionOf.set(object, own);
+    hookObject(object);
+  }
+  object.children.forEach((child) => tagSections(child, own, profiler));
+}
+
+// Measures the frame rate, CPU frame time, draw calls and per-section cost
+// of this canvas and reports an average every HUD_INTERVAL to a PerfHud
+// through `update(stats)`. Must be rendered inside the <Canvas>.
+function PerfProbe({ hudRef }) {
+  const gl = useThree((state) => state.gl);
+  const scene = useThree((state) => state.scene);
+  const profilerRef = useRef(null);
+  const totals = useRef({ elapsed: 0, frames: 0, cpuMs: 0, drawCalls: 0 });
+
+  useEffect(() => {
+    const profiler = createProfiler(gl);
+    profilerRef.current = profiler;
+    activeProfiler = profiler;
+
+    // CPU time of each whole frame: every canvas's frame callbacks and draws
+    let tickStart = 0;
+    const removeEffect = addEffect(() => {
+      tickStart = performance.now();
+    });
+    const removeAfterEffect = addAfterEffect(() => {
+      totals.current.cpuMs += performance.now() - tickStart;
+    });
+
+    return () => {
+      removeEffect();
+      removeAfterEffect();
+      if (activeProfiler === profiler) activeProfiler = null;
+      profiler.dispose();
+    };
+  }, [gl]);
+
+  useFrame((state, delta) => {
+    const profiler = profilerRef.current;
+    if (!profiler) return;
+    tagSections(scene, 'Other', profiler);
+    profiler.poll();
+
+    // Counts since the last reset still hold the previous frame's draws
+    const sum = totals.current;
+    sum.elapsed += delta;
+    sum.frames += 1;
+    sum.drawCalls += gl.info.render.calls;
+    if (sum.elapsed < HUD_INTERVAL || !hudRef.current) return;
+
+    const frames = sum.frames;
+    const sections = [...profiler.sections.entries()]
+      .filter(([, stats]) => stats.draws > 0)
+      .map(([name, stats]) => ({
+        name,
+        draws: stats.draws / frames,
+        vertices: stats.vertices / frames,
+        ms: (profiler.gpuTimer ? stats.gpuMs : stats.cpuMs) / frames
+      }))
+      .sort((a, b) => b.ms - a.ms || b.vertices - a.vertices);
+    hudRef.current.update({
+      fps: frames / sum.elapsed,
+      frameMs: (sum.elapsed / frames) * 1000,
+      cpuMs: sum.cpuMs / frames,
+      drawCalls: sum.drawCalls / frames,
+      vertices: sections.reduce((total, section) => total + section.vertices, 0),
+      gpuTimer: profiler.gpuTimer,
+      sections
+    });
+    profiler.reset();
+    totals.current = { elapsed: 0, frames: 0, cpuMs: 0, drawCalls: 0 };
+  });
+
+  return null;
+}
+
+const formatCount = (n) => Math.round(n).toLocaleString('en-US');
+
+// Performance overlay. Call `update(stats)` with PerfProbe's averages;
+// `tier` names the quality tier being drawn.
+const PerfHud = forwardRef(function PerfHud({ tier }, ref) {
+  const [stats, setStats] = useState(null);
+
+  useImperativeHandle(ref, () => ({ update: setStats }), []);
+
+  return (
+    <div className="perf-hud">
+      <div className="perf-hud-summary">
+        <span>{stats ? `${stats.fps.toFixed(0)} fps` : '– fps'}</span>
+        <span>{stats ? `${stats.frameMs.toFixed(1)} ms` : ''}</span>
+        <span>{tier}</span>
+      </div>
+      {stats && (
+        <>
+          <div className="perf-hud-summary">
+            <span>CPU {stats.cpuMs.toFixed(1)} ms</span>
+            <span>{formatCount(stats.drawCalls)} draws</span>
+            <span>{formatCount(stats.vertices)} vertices</span>
+          </div>
+          <table>
+            <thead>
+              <tr>
+                <th>Component</th>
+                <th>Draws</th>
+                <th>Vertices</th>
+                <th title={stats.gpuTimer ? 'GPU time' : 'CPU time to submit the draws; GPU timing is unavailable here'}>
+                  {stats.gpuTimer ? 'GPU ms' : 'Submit ms'}
+                </th>
+              </tr>
+            </thead>
+            <tbody>
+              {stats.sections.map((section) => (
+                <tr key={section.name}>
+                  <td>{section.name}</td>
+                  <td>{formatCount(section.draws)}</td>
+                  <td>{formatCount(section.vertices)}</td>
+                  <td>{section.ms.toFixed(2)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </>
+      )}
+    </div>
+  );
+});
+
+export { PerfHud, PerfProbe };
@@ -0,0 +1,76 @@
+import React, { useState, useEffect } from 'react';
+import { seekClock } from '../core/clock';
+
+const SPEEDS = [0.25, 0.5, 1, 2, 4, 8];
+
+// The scrubber spans at least this many seconds, growing a minute at a time
+const MIN_TIMELINE = 120;
+
+// How often the readout catches up with the running clock, in ms
+const POLL_INTERVAL = 100;
+
+function formatTime(seconds) {
+  const minutes = Math.floor(seconds / 60);
+  return `${minutes}:${(seconds - minutes * 60).toFixed(1).padStart(4, '0')}`;
+}
+
+// Play/pause, reverse, speed and a timeline scrubber for the simulation clock.
+// Every animation reads the same clock, so seeking keeps them all in step.
+function PlaybackBar({ clock }) {
+  const [time, setTime] = useState(clock.time);
+  const [paused, setPaused] = useState(clock.paused);
+  const [speed, setSpeed] = useState(Math.abs(clock.speed));
+  const [reverse, setReverse] = useState(clock.speed < 0);
+
+  // The clock lives outside React; poll it for the readout
+  useEffect(() => {
+    const id = setInterval(() => setTime(clock.seekTo !== null ? clock.seekTo : clock.time), POLL_INTERVAL);
+    return () => clearInterval(id);
+  }, [clock]);
+
+  useEffect(() => {
+    clock.paused = paused;
+    clock.speed = reverse ? -speed : speed;
+  }, [clock, paused, speed, reverse]);
+
+  const timelineLength = Math.max(MIN_TIMELINE, Math.ceil(time / 60) * 60);
+
+  const seek = (value) => {
+    seekClock(clock, value);
+    setTime(value);
+  };
+
+  return (
+    // Keep keys from reaching the fly controls' window listener
+    <div className="playback-bar" onKeyDown={(e) => e.stopPropagation()} onKeyUp={(e) => e.stopPropagation()}>
+      <button className="param-btn" onClick={() => seek(0)} title="Back to start">⏮</button>
+      <button className="param-btn" onClick={() => setPaused(!paused)} title={paused ? 'Play' : 'Pause'}>
+        {paused ? '▶' : '⏸'}
+      </button>
+      <button
+        className={`param-btn${reverse ? ' active' : ''}`}
+        onClick={() => setReverse(!reverse)}
+        title={reverse ? 'Play forward' : 'Play in reverse'}
+      >
+        ⇄
+      </button>
+      <input
+        type="range"
+        min="0"
+        max={timelineLength}
+        step="0.1"
+        value={time}
+        onChange={(e) => seek(Number(e.target.value))}
+        aria-label="Simulation time"
+      />
+      <span className="playback-time">{formatTime(time)}</span>
+      <select value={speed} onChange={(e) => setSpeed(Number(e.target.value))} aria-label="Playback speed">
+        {SPEEDS.map((s) => (
+          <option key={s} value={s}>{s}×</option>
+        ))}
+      </select>
+    </div>
+  );
+}
+
+export default PlaybackBar;
@@ -0,0 +1,118 @@
+import { useEffect, useMemo } from 'react';
+import { useFrame, useThree } from '@react-three/fiber';
+import * as THREE from 'three';
+import { EffectComposer } from 'three/examples/jsm/postprocessing/EffectComposer.js';
+import { RenderPass } from 'three/examples/jsm/postprocessing/RenderPass.js';
+import { ShaderPass } from 'three/examples/jsm/postprocessing/ShaderPass.js';
+import { UnrealBloomPass } from 'three/examples/jsm/postprocessing/UnrealBloomPass.js';
+import { OutputPass } from 'three/examples/jsm/postprocessing/OutputPass.js';
+import { DustLaneShader, FinishShader, brightPassFragment, updateDustLaneUniforms } from '../shaders/postProcessing';
+
+// Tone mapping operators by the toneMapping parameter
+const TONE_MAPPINGS = {
+  aces: THREE.ACESFilmicToneMapping,
+  agx: THREE.AgXToneMapping,
+  neutral: THREE.NeutralToneMapping,
+  reinhard: THREE.ReinhardToneMapping,
+  none: THREE.NoToneMapping
+};
+
+// Multisampling of the HDR targets, in place of the canvas's own
+// antialiasing, which only applies to drawing straight to the canvas
+const SAMPLES = 4;
+
+// Draws the canvas through a post-processing stack instead of straight to
+// the screen: the scene in HDR, the dust lanes of `dustPattern` (from
+// dustLanePattern, or null for none) in the frame of `galaxyRef`, bloom,
+// tone mapping and a finishing pass. Runs after every other frame callback,
+// so offline exports render through it too, and restores the renderer's
+// tone mapping when unmounted. Must be rendered inside the <Canvas>.
+function PostProcessing({
+  galaxyRef,
+  bloomStrength = 0.8,
+  bloomRadius = 0.4,
+  bloomThreshold = 0.7,
+  toneMapping = 'aces',
+  exposure = 1,
+  dustPattern = null,
+  dustOpacity = 1.5,
+  chromaticAberration = 0,
+  vignette = 0
+}) {
+  const gl = useThree((state) => state.gl);
+  const scene = useThree((state) => state.scene);
+
+  const stack = useMemo(() => {
+    const target = new THREE.WebGLRenderTarget(1, 1, { type: THREE.HalfFloatType, samples: SAMPLES });
+    const composer = new EffectComposer(gl, target);
+    composer.setPixelRatio(1);
+    const passes = {
+      render: new RenderPass(scene, null),
+      dust: new ShaderPass(DustLaneShader),
+      // Bloom settings are copied in every frame
+      bloom: new UnrealBloomPass(new THREE.Vector2(1, 1), 0, 0, 0),
+      output: new OutputPass(),
+      finish: new ShaderPass(FinishShader)
+    };
+    passes.bloom.materialHighPassFilter.fragmentShader = brightPassFragment;
+    Object.values(passes).forEach((pass) => composer.addPass(pass));
+    // `size` is the drawing buffer size the composer was last sized for
+    return { composer, passes, size: new THREE.Vector2(), drawingSize: new THREE.Vector2() };
+  }, [gl, scene]);
+
+  useEffect(() => () => {
+    Object.values(stack.passes).forEach((pass) => pass.dispose());
+    stack.composer.dispose();
+  }, [stack]);
+
+  // The composer renders many times a frame, so draw counts are reset once
+  // per frame here rather than on every render
+  useEffect(() => {
+    const { toneMapping: previousToneMapping, toneMappingExposure } = gl;
+    gl.info.autoReset = false;
+    return () => {
+      gl.toneMapping = previousToneMapping;
+      gl.toneMappingExposure = toneMappingExposure;
+      gl.info.autoReset = true;
+    };
+  }, [gl]);
+
+  useFrame(({ camera }, delta) => {
+    const { composer, passes, size, drawingSize } = stack;
+    gl.getDrawingBufferSize(drawingSize);
+    if (!drawingSize.equals(size)) {
+      size.copy(drawingSize);
+      composer.setSize(size.x, size.y);
+    }
+
+    passes.render.camera = camera;
+    gl.toneMapping = TONE_MAPPINGS[toneMapping];
+    gl.toneMappingExposure = exposure;
+
+    const galaxy = galaxyRef.current;
+    passes.dust.enabled = Boolean(dustPattern && galaxy) && dustOpacity > 0;
+    if (passes.dust.enabled) {
+      scene.updateMatrixWorld();
+      camera.updateMatrixWorld();
+      updateDustLaneUniforms(passes.dust.uniforms, dustPattern, dustOpacity, camera, galaxy);
+    }
+
+    passes.bloom.enabled = bloomStrength > 0;
+    passes.bloom.strength = bloomStrength;
+    passes.bloom.radius = bloomRadius;
+    passes.bloom.threshold = bloomThreshold;
+
+    const { uniforms } = passes.finish;
+    uniforms.uAberration.value = chromaticAberration;
+    uniforms.uVignette.value = vignette;
+    // Stills exported with a background clear to an opaque color
+    uniforms.uOpaque.value = gl.getClearAlpha() === 1;
+
+    gl.info.reset();
+    composer.render(delta);
+  }, 1);
+
+  return null;
+}
+
+export { PostProcessing };
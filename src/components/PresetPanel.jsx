@@ -0,0 +1,167 @@
+import React, { useState, useRef } from 'react';
+import {
+  BUILTIN_PRESETS,
+  PresetError,
+  parsePresets,
+  serializePresets,
+  loadUserPresets,
+  saveUserPresets,
+  upsertPreset
+} from '../core/presets';
+import { downloadFile, readFileAsText } from '../utils/download';
+import { hintStyle } from './ParamControls';
+
+// Built-in and user presets, with JSON import/export
+function PresetPanel({ params, onLoad }) {
+  // Saved presets that no longer validate are left out and listed once
+  const [stored] = useState(() => loadUserPresets());
+  const [userPresets, setUserPresets] = useState(stored.presets);
+  const [selected, setSelected] = useState('builtin:0');
+  const [name, setName] = useState('');
+  const [issues, setIssues] = useState(() => (stored.issues.length > 0
+    ? ['Some saved presets could not be loaded and will be dropped on the next save:', ...stored.issues]
+    : []));
+  const [message, setMessage] = useState('');
+  const fileInputRef = useRef();
+
+  const updateUserPresets = (next) => {
+    setUserPresets(next);
+    try {
+      saveUserPresets(next);
+    } catch (err) {
+      setIssues([`Could not save presets to this browser: ${err.message}`]);
+    }
+  };
+
+  const selectedPreset = () => {
+    const [group, index] = selected.split(':');
+    return (group === 'builtin' ? BUILTIN_PRESETS : userPresets)[Number(index)];
+  };
+
+  const report = (text) => {
+    setIssues([]);
+    setMessage(text);
+  };
+
+  const handleLoad = () => {
+    const preset = selectedPreset();
+    if (preset) {
+      onLoad(preset.params);
+      report(`Loaded "${preset.name}"`);
+    }
+  };
+
+  const handleSave = () => {
+    const trimmed = name.trim();
+    if (!trimmed) {
+      setIssues(['Enter a name for the preset']);
+      return;
+    }
+    const next = upsertPreset(userPresets, trimmed, params);
+    updateUserPresets(next);
+    setSelected(`user:${next.findIndex((p) => p.name === trimmed)}`);
+    setName('');
+    report(`Saved "${trimmed}"`);
+  };
+
+  const handleDelete = () => {
+    const [group, index] = selected.split(':');
+    if (group !== 'user') return;
+    const preset = userPresets[Number(index)];
+    updateUserPresets(userPresets.filter((_, i) => i !== Number(index)));
+    setSelected('builtin:0');
+    report(`Deleted "${preset.name}"`);
+  };
+
+  const handleExportCurrent = () => {
+    downloadFile('milky-way-preset.json', serializePresets([{ name: name.trim() || 'Current view', params }]), 'application/json');
+  };
+
+  const handleExportLibrary = () => {
+    downloadFile('milky-way-presets.json', serializePresets(userPresets), 'application/json');
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      const imported = parsePresets(await readFileAsText(file));
+      const next = imported.reduce((list, p) => upsertPreset(list, p.name, p.params), userPresets);
+      updateUserPresets(next);
+      if (imported.length === 1) {
+        onLoad(imported[0].params);
+        setSelected(`user:${next.findIndex((p) => p.name === imported[0].name)}`);
+      }
+      report(`Imported ${imported.length} preset${imported.length === 1 ? '' : 's'} from ${file.name}`);
+    } catch (err) {
+      setMessage('');
+      setIssues(err instanceof PresetError && err.issues.length > 0
+        ? [`${file.name} was not loaded:`, ...err.issues]
+        : [err.message]);
+    }
+  };
+
+  return (
+    <div className="param-section">
+      <h3>💾 Presets</h3>
+      <div className="param-group">
+        <div className="seed-controls">
+          <select value={selected} onChange={(e) => setSelected(e.target.value)}>
+            <optgroup label="Built-in">
+              {BUILTIN_PRESETS.map((p, i) => (
+                <option key={p.name} value={`builtin:${i}`}>{p.name}</option>
+              ))}
+            </optgroup>
+            {userPresets.length > 0 && (
+              <optgroup label="Saved">
+                {userPresets.map((p, i) => (
+                  <option key={p.name} value={`user:${i}`}>{p.name}</option>
+                ))}
+              </optgroup>
+            )}
+          </select>
+          <button className="param-btn" onClick={handleLoad}>Load</button>
+          <button className="param-btn" onClick={handleDelete} disabled={!selected.startsWith('user:')}>Delete</button>
+        </div>
+      </div>
+      <div className="param-group">
+        <div className="seed-controls">
+          <input
+            type="text"
+            placeholder="Preset name"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+          />
+          <button className="param-btn" onClick={handleSave}>Save current</button>
+        </div>
+      </div>
+      <div className="param-group">
+        <div className="seed-controls">
+          <button className="param-btn" onClick={handleExportCurrent}>Export current</button>
+          <button className="param-btn" onClick={handleExportLibrary} disabled={userPresets.length === 0}>Export saved</button>
+          <button className="param-btn" onClick={() => fileInputRef.current.click()}>Import…</button>
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept="application/json,.json"
+            style={{ display: 'none' }}
+            onChange={handleImport}
+          />
+        </div>
+        {message && <span style={hintStyle}>{message}</span>}
+      </div>
+      {issues.length > 0 && (
+        <div className="notice">
+          <ul>
+            {issues.map((issue) => <li key={issue}>{issue}</li>)}
+          </ul>
+          <button className="param-btn" onClick={() => setIssues([])}>Dismiss</button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default PresetPanel;
@@ -0,0 +1,18 @@
+import { useFrame } from '@react-three/fiber';
+import { sampleFrame } from '../core/quality';
+
+// Feeds each frame's duration to an adaptive quality governor and calls
+// `onLevelChange(level)` when it picks another tier. Exports render at
+// their own pace on the fixed-step `clock`, so their frames are skipped.
+// Must be rendered inside the <Canvas>.
+function QualityMonitor({ governor, clock, onLevelChange }) {
+  useFrame((state, delta) => {
+    if (!governor || (clock && clock.fixedStep !== null)) return;
+    const level = governor.level;
+    if (sampleFrame(governor, delta) !== level) onLevelChange(governor.level);
+  });
+
+  return null;
+}
+
+export { QualityMonitor };
@@ -0,0 +1,72 @@
+import React, { useState } from 'react';
+import { QUALITY_TIERS, TARGET_FPS_OPTIONS, saveQualitySettings } from '../core/quality';
+import { hintStyle } from './ParamControls';
+
+// Rendering quality: the tier, whether to adapt it to the frame rate, and
+// the performance HUD, kept in this browser. `level` is the index of the
+// tier being drawn.
+function QualityPanel({ settings, onChange, level }) {
+  const { tier, adaptive, targetFps, showHud } = settings;
+  const [error, setError] = useState('');
+  const update = (key, value) => {
+    const next = { ...settings, [key]: value };
+    onChange(next);
+    try {
+      saveQualitySettings(next);
+      setError('');
+    } catch (err) {
+      setError(`Could not save quality settings to this browser: ${err.message}`);
+    }
+  };
+  const drawn = QUALITY_TIERS[level];
+
+  return (
+    <div className="param-section">
+      <h3>⚡ Performance</h3>
+      <div className="param-group">
+        <label>{adaptive ? 'Highest Quality' : 'Quality'}</label>
+        <select value={tier} onChange={(e) => update('tier', e.target.value)}>
+          {QUALITY_TIERS.map((t) => (
+            <option key={t.name} value={t.name}>{t.label}</option>
+          ))}
+        </select>
+        <span style={hintStyle}>
+          Lower tiers draw fewer particles and wave field segments, at a lower pixel ratio. Ultra draws the parameters as set.
+        </span>
+      </div>
+      <div className="param-group">
+        <label>
+          <input type="checkbox" checked={adaptive} onChange={(e) => update('adaptive', e.target.checked)} />
+          Adapt to Hold Frame Rate
+        </label>
+      </div>
+      {adaptive && (
+        <div className="param-group">
+          <label>Target Frame Rate</label>
+          <select value={targetFps} onChange={(e) => update('targetFps', Number(e.target.value))}>
+            {TARGET_FPS_OPTIONS.map((fps) => (
+              <option key={fps} value={fps}>{fps} fps</option>
+            ))}
+          </select>
+          <span style={hintStyle}>
+            {drawn.name === tier ? `Drawing at ${drawn.label}` : `Lowered to ${drawn.label} to keep up`}
+          </span>
+        </div>
+      )}
+      <div className="param-group">
+        <label>
+          <input type="checkbox" checked={showHud} onChange={(e) => update('showHud', e.target.checked)} />
+          Show Performance HUD
+        </label>
+      </div>
+      {error && (
+        <div className="notice">
+          <p>{error}</p>
+          <button className="param-btn" onClick={() => setError('')}>Dismiss</button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default QualityPanel;
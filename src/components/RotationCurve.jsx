@@ -0,0 +1,59 @@
+import React, { useMemo } from 'react';
+import { createPotential, rotationCurve } from '../core/potential';
+
+const WIDTH = 240;
+const HEIGHT = 120;
+const PADDING = 4;
+const SAMPLES = 60;
+
+const SERIES = [
+  { key: 'bulge', label: 'Bulge', color: '#ffaa44' },
+  { key: 'disk', label: 'Disk', color: '#44ccff' },
+  { key: 'halo', label: 'Halo', color: '#9a7cff' },
+  { key: 'total', label: 'Total', color: '#ffffff' }
+];
+
+// Circular speed against radius for the current potential, split into its
+// bulge, disk and halo contributions. Takes the full parameter object, since
+// createPotential reads the parameters by name. `formatLength` labels a
+// length in scene units.
+function RotationCurve({ params, maxRadius, formatLength = (v) => `${v.toFixed(2)} units` }) {
+  const { paths, peak } = useMemo(() => {
+    const potential = createPotential(params);
+    const samples = [];
+    let peak = 0;
+    for (let i = 1; i <= SAMPLES; i++) {
+      const R = (i / SAMPLES) * maxRadius;
+      const v = rotationCurve(potential, R);
+      samples.push([R, v]);
+      peak = Math.max(peak, v.total);
+    }
+
+    const scaleX = (R) => PADDING + (R / maxRadius) * (WIDTH - 2 * PADDING);
+    const scaleY = (v) => HEIGHT - PADDING - (peak > 0 ? v / peak : 0) * (HEIGHT - 2 * PADDING);
+    const paths = SERIES.map(({ key }) => samples
+      .map(([R, v], i) => `${i === 0 ? 'M' : 'L'}${scaleX(R).toFixed(1)},${scaleY(v[key]).toFixed(1)}`)
+      .join(' '));
+
+    return { paths, peak };
+  }, [params, maxRadius]);
+
+  return (
+    <div className="param-group rotation-curve">
+      <label>Rotation Curve (peak {formatLength(peak)}/s at R ≤ {formatLength(maxRadius)})</label>
+      <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} width="100%" role="img" aria-label="Rotation curve">
+        <rect x="0" y="0" width={WIDTH} height={HEIGHT} fill="rgba(255, 255, 255, 0.04)" />
+        {SERIES.map(({ key, color }, i) => (
+          <path key={key} d={paths[i]} fill="none" stroke={color} strokeWidth={key === 'total' ? 2 : 1.2} />
+        ))}
+      </svg>
+      <div className="rotation-curve-legend">
+        {SERIES.map(({ key, label, color }) => (
+          <span key={key} style={{ color }}>■ {label}</span>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+export default RotationCurve;
@@ -0,0 +1,56 @@
+import React, { forwardRef, useImperativeHandle, useState } from 'react';
+import { useFrame } from '@react-three/fiber';
+import * as THREE from 'three';
+import { scaleBarLength } from '../core/units';
+
+// Longest the bar may get, in CSS pixels
+const MAX_WIDTH = 120;
+
+// Relative change in scale that's worth re-rendering the bar for
+const MIN_CHANGE = 0.005;
+
+const origin = new THREE.Vector3();
+
+// Scale bar overlay for the galactic plane. Call `update(unitsPerPixel)` as
+// the view changes; ScaleBarProbe does this from inside the <Canvas>.
+const ScaleBar = forwardRef(function ScaleBar({ units }, ref) {
+  const [unitsPerPixel, setUnitsPerPixel] = useState(null);
+
+  useImperativeHandle(ref, () => ({
+    update: (value) => setUnitsPerPixel((current) => (
+      current !== null && Math.abs(value - current) <= current * MIN_CHANGE ? current : value
+    ))
+  }), []);
+
+  if (!unitsPerPixel) return null;
+  const bar = scaleBarLength(MAX_WIDTH * unitsPerPixel, units);
+
+  return (
+    <div className="scale-bar" aria-label={`Scale: ${bar.label}`}>
+      <div className="scale-bar-line" style={{ width: `${bar.units / unitsPerPixel}px` }} />
+      <span>{bar.label}</span>
+    </div>
+  );
+});
+
+// Measures how many scene units one CSS pixel spans at the galaxy's center,
+// i.e. at the distance of the galaxy frame's origin from the camera, and
+// reports it to a ScaleBar. Must be rendered inside the <Canvas>.
+function ScaleBarProbe({ scaleBarRef, galaxyFrameRef }) {
+  useFrame(({ camera, size }) => {
+    const scaleBar = scaleBarRef.current;
+    if (!scaleBar || !camera.isPerspectiveCamera) return;
+    if (galaxyFrameRef && galaxyFrameRef.current) {
+      galaxyFrameRef.current.getWorldPosition(origin);
+    } else {
+      origin.set(0, 0, 0);
+    }
+    const distance = camera.position.distanceTo(origin);
+    const viewHeight = 2 * distance * Math.tan(THREE.MathUtils.degToRad(camera.fov) / 2) / camera.zoom;
+    scaleBar.update(viewHeight / size.height);
+  });
+
+  return null;
+}
+
+export { ScaleBar, ScaleBarProbe };
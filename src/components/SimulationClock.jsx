@@ -0,0 +1,34 @@
+import React, { createContext, useContext, useState } from 'react';
+import { useFrame } from '@react-three/fiber';
+import { createSimulationClock, advanceClock } from '../core/clock';
+
+const SimulationClockContext = createContext(null);
+
+// Provides the simulation clock to everything below it and advances it once
+// per rendered frame, before any other frame callback runs. Must be rendered
+// inside the <Canvas>. Pass `clock` to share one created outside the canvas,
+// e.g. with an exporter that switches it to a fixed timestep. A second
+// canvas sharing that clock passes `advance={false}`, so it isn't advanced
+// twice per frame.
+function SimulationClockProvider({ clock, advance = true, children }) {
+  const [ownClock] = useState(createSimulationClock);
+  const value = clock || ownClock;
+
+  useFrame((state, delta) => {
+    if (advance) advanceClock(value, delta);
+  }, -1);
+
+  return (
+    <SimulationClockContext.Provider value={value}>
+      {children}
+    </SimulationClockContext.Provider>
+  );
+}
+
+// The clock to read `time` and `delta` from in useFrame callbacks; null
+// outside a provider
+function useSimulationClock() {
+  return useContext(SimulationClockContext);
+}
+
+export { SimulationClockProvider, useSimulationClock };
@@ -0,0 +1,206 @@
+import React, { createContext, useContext, useEffect, useMemo, useRef, useState } from 'react';
+import { useFrame, useThree } from '@react-three/fiber';
+import { Billboard, Html } from '@react-three/drei';
+import * as THREE from 'three';
+import { describeStar } from '../core/starInfo';
+import { createUnitSystem } from '../core/units';
+import { useSimulationClock } from './SimulationClock';
+
+const StarPickingContext = createContext(null);
+
+// Frames between refreshes of a label's readout
+const REFRESH_FRAMES = 6;
+
+const starPosition = new THREE.Vector3();
+const DEFAULT_UNITS = createUnitSystem();
+
+const labelStyle = {
+  color: '#ffffff',
+  fontSize: '12px',
+  textShadow: '0 0 10px rgba(255,255,255,0.8)',
+  whiteSpace: 'nowrap',
+  pointerEvents: 'none'
+};
+
+function formatNumber(value, digits = 0) {
+  return value.toLocaleString('en-US', { minimumFractionDigits: digits, maximumFractionDigits: digits });
+}
+
+function formatSigned(value, digits = 0) {
+  return `${value >= 0 ? '+' : '−'}${formatNumber(Math.abs(value), digits)}`;
+}
+
+// Raycast for point clouds whose positions change every frame, such as
+// integrated orbits: the cached bounding sphere would miss stars that left it
+function raycastMovingPoints(raycaster, intersects) {
+  this.geometry.boundingSphere = null;
+  THREE.Points.prototype.raycast.call(this, raycaster, intersects);
+}
+
+// Raycast for point clouds displaced vertically on the GPU: a CPU copy of
+// `positions` with each star raised to `displacedY(index)` is raycast
+// instead, rebuilt only when the pointer moves
+function useDisplacedRaycast(positions, displacedY) {
+  const displacedYRef = useRef(displacedY);
+  displacedYRef.current = displacedY;
+
+  const proxy = useMemo(() => {
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(positions.length), 3));
+    return new THREE.Points(geometry);
+  }, [positions.length]);
+
+  useEffect(() => () => proxy.geometry.dispose(), [proxy]);
+
+  return useMemo(() => function raycastDisplaced(raycaster, intersects) {
+    const displaced = proxy.geometry.attributes.position.array;
+    for (let i = 0; i < displaced.length / 3; i++) {
+      displaced[i * 3] = positions[i * 3];
+      displaced[i * 3 + 1] = displacedYRef.current(i);
+      displaced[i * 3 + 2] = positions[i * 3 + 2];
+    }
+    proxy.geometry.boundingSphere = null;
+    proxy.matrixWorld.copy(this.matrixWorld);
+
+    const hits = [];
+    THREE.Points.prototype.raycast.call(proxy, raycaster, hits);
+    hits.forEach((hit) => intersects.push({ ...hit, object: this }));
+  }, [proxy, positions]);
+}
+
+// Pointer handlers that make a point cloud pickable. `describe(index)`
+// returns the star at `index` as described in core/starInfo.js, with its
+// position in the cloud's own frame, or null once it no longer exists.
+// Without a StarPickingProvider the cloud stays unpickable.
+function usePickHandlers(describe) {
+  const picking = useContext(StarPickingContext);
+  const describeRef = useRef(describe);
+  describeRef.current = describe;
+
+  return useMemo(() => {
+    if (!picking) return {};
+    const pickOf = (e) => ({ key: `${e.object.uuid}:${e.index}`, object: e.object, index: e.index, describeRef });
+    return {
+      // Only the nearest star under the pointer reacts
+      onPointerMove: (e) => {
+        e.stopPropagation();
+        picking.hover(pickOf(e));
+      },
+      onPointerOut: (e) => picking.unhover(e.object),
+      onClick: (e) => {
+        e.stopPropagation();
+        picking.pin(pickOf(e));
+      }
+    };
+  }, [picking]);
+}
+
+// Marker and readout that track a picked star as it moves
+function StarLabel({ pick, options, pinned = false, onClose }) {
+  const clock = useSimulationClock();
+  const groupRef = useRef();
+  const lastRefresh = useRef(-Infinity);
+  const [info, setInfo] = useState(null);
+
+  useFrame(() => {
+    const group = groupRef.current;
+    const star = pick.object.parent && pick.describeRef.current(pick.index);
+    if (!group || !star) {
+      if (info) setInfo(null);
+      return;
+    }
+
+    pick.object.updateWorldMatrix(true, false);
+    pick.object.localToWorld(starPosition.fromArray(star.position));
+    group.parent.worldToLocal(starPosition);
+    group.position.copy(starPosition);
+
+    if (clock.frame - lastRefresh.current >= REFRESH_FRAMES) {
+      lastRefresh.current = clock.frame;
+      setInfo(describeStar(star, { time: clock.time, ...options.current }));
+    }
+  });
+
+  return (
+    <group ref={groupRef} visible={info !== null} userData={{ dataExport: false }}>
+      <Billboard>
+        <mesh renderOrder={10}>
+          <ringGeometry args={[0.35, 0.45, 32]} />
+          <meshBasicMaterial color={pinned ? '#ffd54a' : '#ffffff'} transparent opacity={0.9} depthTest={false} />
+        </mesh>
+      </Billboard>
+      {info && (
+        <Html position={[0, 0.6, 0]} center={!pinned} style={pinned ? undefined : labelStyle}>
+          {pinned ? (
+            <StarInspector info={info} formatLength={options.current.units.format} onClose={onClose} />
+          ) : (
+            <span>{info.label} · {options.current.units.format(info.radius)}</span>
+          )}
+        </Html>
+      )}
+    </group>
+  );
+}
+
+function StarInspector({ info, formatLength, onClose }) {
+  return (
+    <div className="star-inspector">
+      <div className="star-inspector-header">
+        {info.zoneColor && <span className="star-inspector-swatch" style={{ background: info.zoneColor }} />}
+        <strong>{info.label}</strong>
+        <button className="star-inspector-close" onClick={onClose} title="Close">×</button>
+      </div>
+      <dl>
+        <dt>Galactocentric radius</dt>
+        <dd>{formatNumber(info.radiusKpc, 2)} kpc · {formatNumber(info.radiusLightYears)} ly</dd>
+        <dt>Height above plane</dt>
+        <dd>{formatSigned(info.heightLightYears)} ly</dd>
+        <dt>Great Wave displacement</dt>
+        <dd>{info.waveDisplacement === null ? 'Wave hidden' : `${formatSigned(info.waveDisplacement)} ly`}</dd>
+        <dt>Orbital velocity{info.circular ? ' (circular)' : ''}</dt>
+        <dd>
+          {info.speed === null ? '—' : `${formatLength(info.speed)}/s`}
+          {info.period !== null && ` · period ${formatNumber(info.period, 1)} s`}
+        </dd>
+      </dl>
+    </div>
+  );
+}
+
+// Hover highlight and click-to-pin inspector for every point cloud below it
+// that uses usePickHandlers. Must be rendered inside the <Canvas>.
+// `greatWave` ({ waveAmplitude, waveLength, waveSpeed }, or null while the
+// wave is hidden), `circularSpeed(R)` and the `units` system feed the
+// inspector's readouts.
+function StarPickingProvider({ greatWave = null, circularSpeed = null, units = DEFAULT_UNITS, children }) {
+  const canvas = useThree((state) => state.gl.domElement);
+  const [hovered, setHovered] = useState(null);
+  const [pinned, setPinned] = useState(null);
+  const options = useRef();
+  options.current = { greatWave, circularSpeed, units };
+
+  const value = useMemo(() => ({
+    hover: (pick) => setHovered((current) => (current && current.key === pick.key ? current : pick)),
+    unhover: (object) => setHovered((current) => (current && current.object === object ? null : current)),
+    // Clicking the pinned star again unpins it
+    pin: (pick) => setPinned((current) => (current && current.key === pick.key ? null : pick))
+  }), []);
+
+  useEffect(() => {
+    canvas.style.cursor = hovered ? 'pointer' : '';
+  }, [canvas, hovered]);
+
+  return (
+    <StarPickingContext.Provider value={value}>
+      {children}
+      {hovered && (!pinned || pinned.key !== hovered.key) && (
+        <StarLabel key={hovered.key} pick={hovered} options={options} />
+      )}
+      {pinned && (
+        <StarLabel key={pinned.key} pick={pinned} options={options} pinned onClose={() => setPinned(null)} />
+      )}
+    </StarPickingContext.Provider>
+  );
+}
+
+export { StarPickingProvider, usePickHandlers, raycastMovingPoints, useDisplacedRaycast };
@@ -0,0 +1,66 @@
+import React from 'react';
+import { PARAM_DEFS } from '../core/params';
+
+const AXES = ['x', 'y', 'z'];
+
+// Editable list of [x, y, z] control points for a 'path' parameter
+function TrajectoryEditor({ name, value, onChange }) {
+  const { minPoints, maxPoints, extent } = PARAM_DEFS[name];
+
+  const setCoordinate = (index, axis, text) => {
+    const number = Number(text);
+    if (text.trim() === '' || !Number.isFinite(number)) return;
+    const clamped = Math.max(-extent, Math.min(extent, number));
+    onChange(name, value.map((point, i) => (
+      i === index ? point.map((v, a) => (a === axis ? clamped : v)) : point
+    )));
+  };
+
+  const removePoint = (index) => {
+    onChange(name, value.filter((point, i) => i !== index));
+  };
+
+  // Continue the path in the direction of its last segment
+  const addPoint = () => {
+    const last = value[value.length - 1];
+    const previous = value[value.length - 2] || last;
+    const next = last.map((v, a) => Math.max(-extent, Math.min(extent, v + (v - previous[a]))));
+    onChange(name, [...value, next]);
+  };
+
+  return (
+    <div className="param-group trajectory-editor">
+      <label>Path Points</label>
+      {value.map((point, index) => (
+        // Points have no identity beyond their position in the list
+        <div className="seed-controls" key={index}>
+          {point.map((v, axis) => (
+            <input
+              key={AXES[axis]}
+              type="number"
+              aria-label={`Point ${index + 1} ${AXES[axis]}`}
+              value={v}
+              min={-extent}
+              max={extent}
+              step={1}
+              onChange={(e) => setCoordinate(index, axis, e.target.value)}
+            />
+          ))}
+          <button
+            className="param-btn"
+            onClick={() => removePoint(index)}
+            disabled={value.length <= minPoints}
+            aria-label={`Remove point ${index + 1}`}
+          >
+            ✕
+          </button>
+        </div>
+      ))}
+      <button className="param-btn" onClick={addPoint} disabled={value.length >= maxPoints}>
+        Add point
+      </button>
+    </div>
+  );
+}
+
+export default TrajectoryEditor;
@@ -0,0 +1,37 @@
+import React, { useMemo, useEffect } from 'react';
+import { Points, PointMaterial } from '@react-three/drei';
+import * as THREE from 'three';
+import { sampleTrajectory } from '../core/trajectory';
+
+// Dashed line along the galaxy's spline trajectory, with its control points
+function TrajectoryPath({ trajectory, color = '#66ddff' }) {
+  const geometry = useMemo(() => {
+    const positions = sampleTrajectory(trajectory);
+    if (!positions) return null;
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+    return geometry;
+  }, [trajectory]);
+
+  const controlPoints = useMemo(() => {
+    if (trajectory.model !== 'spline') return null;
+    return new Float32Array(trajectory.curve.points.flatMap((p) => [p.x, p.y, p.z]));
+  }, [trajectory]);
+
+  useEffect(() => () => geometry && geometry.dispose(), [geometry]);
+
+  if (!geometry) return null;
+
+  return (
+    <group>
+      <line geometry={geometry} onUpdate={(line) => line.computeLineDistances()}>
+        <lineDashedMaterial color={color} dashSize={1.5} gapSize={1} transparent opacity={0.6} />
+      </line>
+      <Points positions={controlPoints} stride={3}>
+        <PointMaterial color={color} size={0.8} sizeAttenuation={true} depthWrite={false} />
+      </Points>
+    </group>
+  );
+}
+
+export { TrajectoryPath };
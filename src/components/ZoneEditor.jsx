@@ -0,0 +1,84 @@
+import React from 'react';
+import { PARAM_DEFS } from '../core/params';
+import { nextZone, moveZone } from '../core/zones';
+
+// Narrowest a zone may get while its edges are dragged past each other
+const MIN_WIDTH = 0.01;
+
+// Editable list of orbital zones for a 'zones' parameter. `formatLength`
+// labels each zone's radii, which are fractions of `galaxyRadius`.
+function ZoneEditor({ name, value, onChange, galaxyRadius, formatLength = (v) => v.toFixed(1) }) {
+  const { maxZones, maxFraction, maxSpeed, maxNameLength } = PARAM_DEFS[name];
+
+  const update = (index, changes) => {
+    onChange(name, value.map((zone, i) => (i === index ? { ...zone, ...changes } : zone)));
+  };
+
+  const parse = (text, min, max) => {
+    const number = Number(text);
+    if (text.trim() === '' || !Number.isFinite(number)) return null;
+    return Math.max(min, Math.min(max, number));
+  };
+
+  // Moving one edge past the other pushes the other along
+  const setInner = (index, text) => {
+    const inner = parse(text, 0, maxFraction - MIN_WIDTH);
+    if (inner === null) return;
+    const { outerFraction } = value[index];
+    update(index, { innerFraction: inner, outerFraction: Math.max(outerFraction, inner + MIN_WIDTH) });
+  };
+
+  const setOuter = (index, text) => {
+    const outer = parse(text, MIN_WIDTH, maxFraction);
+    if (outer === null) return;
+    const { innerFraction } = value[index];
+    update(index, { outerFraction: outer, innerFraction: Math.min(innerFraction, outer - MIN_WIDTH) });
+  };
+
+  const setSpeed = (index, text) => {
+    const speed = parse(text, -maxSpeed, maxSpeed);
+    if (speed !== null) update(index, { speed });
+  };
+
+  return (
+    <div className="param-group zone-editor">
+      <label>Zones (radii as fractions of the galaxy radius)</label>
+      {value.map((zone, index) => (
+        // Zones have no identity beyond their place in the list
+        <div className="zone-editor-zone" key={index}>
+          <div className="seed-controls">
+            <input
+              type="color"
+              value={zone.color}
+              onChange={(e) => update(index, { color: e.target.value })}
+              aria-label={`Zone ${index + 1} color`}
+            />
+            <input
+              type="text"
+              value={zone.name}
+              maxLength={maxNameLength}
+              onChange={(e) => update(index, { name: e.target.value })}
+              aria-label={`Zone ${index + 1} name`}
+            />
+            <button className="param-btn" onClick={() => onChange(name, moveZone(value, index, -1))} disabled={index === 0} aria-label={`Move zone ${index + 1} up`}>↑</button>
+            <button className="param-btn" onClick={() => onChange(name, moveZone(value, index, 1))} disabled={index === value.length - 1} aria-label={`Move zone ${index + 1} down`}>↓</button>
+            <button className="param-btn" onClick={() => onChange(name, value.filter((_, i) => i !== index))} aria-label={`Remove zone ${index + 1}`}>✕</button>
+          </div>
+          <div className="seed-controls">
+            <input type="number" value={zone.innerFraction} min={0} max={maxFraction} step={0.01} onChange={(e) => setInner(index, e.target.value)} aria-label={`Zone ${index + 1} inner edge`} title="Inner edge" />
+            <input type="number" value={zone.outerFraction} min={0} max={maxFraction} step={0.01} onChange={(e) => setOuter(index, e.target.value)} aria-label={`Zone ${index + 1} outer edge`} title="Outer edge" />
+            <input type="number" value={zone.speed} min={-maxSpeed} max={maxSpeed} step={0.1} onChange={(e) => setSpeed(index, e.target.value)} aria-label={`Zone ${index + 1} speed`} title="Speed (× rotation)" />
+          </div>
+          <span className="zone-editor-radii">
+            {formatLength(zone.innerFraction * galaxyRadius)} – {formatLength(zone.outerFraction * galaxyRadius)} · {zone.speed}× rotation
+          </span>
+        </div>
+      ))}
+      <button className="param-btn" onClick={() => onChange(name, [...value, nextZone(value)])} disabled={value.length >= maxZones}>
+        Add zone
+      </button>
+    </div>
+  );
+}
+
+export default ZoneEditor;
@@ -0,0 +1,23 @@
+import React from 'react';
+
+// Overlay naming each orbital zone, with its color and radii
+function ZoneLegend({ zones, galaxyRadius, formatLength = (v) => v.toFixed(1) }) {
+  if (zones.length === 0) return null;
+
+  return (
+    <div className="zone-legend">
+      {zones.map((zone, index) => (
+        // Zones have no identity beyond their place in the list
+        <div className="zone-legend-entry" key={index}>
+          <span className="zone-legend-swatch" style={{ background: zone.color }} />
+          <span>{zone.name || `Zone ${index + 1}`}</span>
+          <span className="zone-legend-radii">
+            {formatLength(zone.innerFraction * galaxyRadius)} – {formatLength(zone.outerFraction * galaxyRadius)}
+          </span>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export { ZoneLegend };
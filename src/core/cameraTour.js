@@ -0,0 +1,49 @@
+import { CatmullRomCurve3, Vector3 } from 'three';
+
+// Scripted camera tours. A keyframe is six numbers,
+// [positionX, positionY, positionZ, targetX, targetY, targetZ], relative to
+// the galaxy frame so a tour keeps framing the galaxy while it moves.
+// Camera position and target each follow a centripetal Catmull-Rom spline,
+// reaching one keyframe every `segmentDuration` seconds. Tours of three or
+// more keyframes loop; two-keyframe tours run back and forth.
+
+export function createTour(keyframes) {
+  const positions = keyframes.map((k) => new Vector3(k[0], k[1], k[2]));
+  const targets = keyframes.map((k) => new Vector3(k[3], k[4], k[5]));
+  const closed = keyframes.length > 2;
+
+  return {
+    closed,
+    segments: closed ? keyframes.length : keyframes.length - 1,
+    positionCurve: new CatmullRomCurve3(positions, closed, 'centripetal'),
+    targetCurve: new CatmullRomCurve3(targets, closed, 'centripetal')
+  };
+}
+
+// Write the camera position and target `time` seconds into the tour
+export function tourView(tour, time, segmentDuration, position = new Vector3(), target = new Vector3()) {
+  const laps = time / (tour.segments * segmentDuration);
+  let u;
+  if (tour.closed) {
+    u = laps - Math.floor(laps);
+  } else {
+    const phase = laps - 2 * Math.floor(laps / 2);
+    u = phase <= 1 ? phase : 2 - phase;
+  }
+  // getPoint (not getPointAt) spaces keyframes evenly in time
+  tour.positionCurve.getPoint(u, position);
+  tour.targetCurve.getPoint(u, target);
+  return { position, target };
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+// Keyframe for a world-space camera view, relative to the galaxy frame origin
+export function keyframeFromView({ position, target }, origin = [0, 0, 0]) {
+  return [
+    ...position.map((v, i) => round(v - origin[i])),
+    ...target.map((v, i) => round(v - origin[i]))
+  ];
+}
@@ -0,0 +1,30 @@
+import { Vector3 } from 'three';
+import { createTour, tourView, keyframeFromView } from './cameraTour';
+
+describe('camera tours', () => {
+  const keyframes = [[0, 10, 40, 0, 0, 0], [40, 10, 0, 0, 0, 0], [0, 10, -40, 0, 5, 0]];
+
+  it('reaches each keyframe on schedule and loops', () => {
+    const tour = createTour(keyframes);
+    expect(tour.closed).toBe(true);
+    keyframes.forEach((k, i) => {
+      const { position, target } = tourView(tour, i * 5, 5);
+      expect(position.distanceTo(new Vector3(k[0], k[1], k[2]))).toBeLessThan(1e-6);
+      expect(target.distanceTo(new Vector3(k[3], k[4], k[5]))).toBeLessThan(1e-6);
+    });
+    expect(tourView(tour, 15, 5).position.distanceTo(new Vector3(0, 10, 40))).toBeLessThan(1e-6);
+  });
+
+  it('runs a two-keyframe tour back and forth', () => {
+    const tour = createTour(keyframes.slice(0, 2));
+    expect(tour.closed).toBe(false);
+    expect(tourView(tour, 5, 5).position.x).toBeCloseTo(40, 6);
+    expect(tourView(tour, 10, 5).position.x).toBeCloseTo(0, 6);
+  });
+
+  it('records views relative to the galaxy frame', () => {
+    const view = { position: [10.123, 20, 30], target: [5, 0, 5] };
+    expect(keyframeFromView(view, [5, 0, 5])).toEqual([5.12, 20, 25, 0, 0, 0]);
+    expect(keyframeFromView(view)).toEqual([10.12, 20, 30, 5, 0, 5]);
+  });
+});
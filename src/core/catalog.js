@@ -0,0 +1,291 @@
+import { SOLAR_RADIUS_KPC, SUN_AZIMUTH } from './units';
+
+// Star catalogs as a point layer. A catalog is a table of numeric columns
+// read from CSV or JSON, plus a mapping that says which columns hold the
+// coordinates and which one colors the stars. Coordinates are either
+//   equatorial      RA and Dec in degrees and parallax in milliarcseconds
+//                   (Gaia's ra, dec and parallax columns)
+//   galactocentric  X, Y, Z in kpc, with X from the Sun towards the galactic
+//                   center, Y towards l = 90° (the direction of rotation) and
+//                   Z towards the north galactic pole (astropy's
+//                   Galactocentric frame)
+
+export const MAX_CATALOG_STARS = 500000;
+
+export class CatalogError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CatalogError';
+  }
+}
+
+// Column names tried, in order, when guessing a mapping
+const COLUMN_GUESSES = {
+  ra: ['ra', 'ra_deg', 'raj2000', 'ra_icrs'],
+  dec: ['dec', 'dec_deg', 'dej2000', 'decj2000', 'de_icrs', 'dec_icrs'],
+  parallax: ['parallax', 'plx', 'parallax_mas'],
+  x: ['x', 'x_kpc', 'x_gc', 'xgc'],
+  y: ['y', 'y_kpc', 'y_gc', 'ygc'],
+  z: ['z', 'z_kpc', 'z_gc', 'zgc'],
+  color: ['bp_rp', 'bp-rp', 'bprp', 'vz', 'v_z', 'age', 'radial_velocity']
+};
+
+// ICRS to galactic rotation (Hipparcos, ESA 1997)
+const ICRS_TO_GALACTIC = [
+  [-0.0548755604, -0.8734370902, -0.4838350155],
+  [0.4941094279, -0.4448296300, 0.7469822445],
+  [-0.8676661490, -0.1980763734, 0.4559837762]
+];
+
+const DEG = Math.PI / 180;
+
+// Split CSV text into rows of fields. Handles quoted fields with embedded
+// commas, quotes and newlines; lines starting with # are comments (as in
+// Gaia's ECSV headers).
+function splitCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  let atLineStart = true;
+
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (c === '"') {
+        quoted = false;
+      } else {
+        field += c;
+      }
+      continue;
+    }
+
+    if (atLineStart && c === '#') {
+      while (i < text.length && text[i] !== '\n') i++;
+      continue;
+    }
+    atLineStart = false;
+
+    if (c === '"') {
+      quoted = true;
+    } else if (c === ',') {
+      row.push(field);
+      field = '';
+    } else if (c === '\n' || c === '\r') {
+      if (c === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      if (row.length > 1 || row[0].trim() !== '') rows.push(row);
+      row = [];
+      field = '';
+      atLineStart = true;
+    } else {
+      field += c;
+    }
+  }
+  row.push(field);
+  if (row.length > 1 || row[0].trim() !== '') rows.push(row);
+  return rows;
+}
+
+function toNumber(value) {
+  if (typeof value === 'number') return value;
+  if (typeof value !== 'string' || value.trim() === '') return NaN;
+  return Number(value);
+}
+
+function buildTable(columns, rowCount, valueAt) {
+  const values = columns.map((_, c) => {
+    const column = new Float64Array(rowCount);
+    for (let r = 0; r < rowCount; r++) column[r] = toNumber(valueAt(r, c));
+    return column;
+  });
+  return { columns, values, rowCount };
+}
+
+function parseCsvTable(text) {
+  const rows = splitCsv(text);
+  if (rows.length < 2) {
+    throw new CatalogError('CSV catalog needs a header row and at least one star');
+  }
+  const columns = rows[0].map((name) => name.trim());
+  return buildTable(columns, rows.length - 1, (r, c) => rows[r + 1][c]);
+}
+
+// JSON catalogs are an array of objects, or Gaia archive style
+// { metadata: [{ name }], data: [[...], ...] }, or { columns: [...], data: [[...], ...] }
+function parseJsonTable(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (err) {
+    throw new CatalogError(`Catalog is not valid JSON (${err.message})`);
+  }
+
+  if (Array.isArray(data)) {
+    if (data.length === 0 || !data.every((row) => row && typeof row === 'object')) {
+      throw new CatalogError('JSON catalog must be a non-empty array of objects');
+    }
+    const columns = Object.keys(data[0]);
+    return buildTable(columns, data.length, (r, c) => data[r][columns[c]]);
+  }
+
+  const columns = data && (Array.isArray(data.metadata) ? data.metadata.map((m) => m && m.name) : data.columns);
+  if (!Array.isArray(columns) || !columns.every((name) => typeof name === 'string') || !Array.isArray(data.data)) {
+    throw new CatalogError('JSON catalog must be an array of objects or have "columns" (or "metadata") and "data"');
+  }
+  if (data.data.length === 0) {
+    throw new CatalogError('JSON catalog has no stars');
+  }
+  return buildTable(columns, data.data.length, (r, c) => (Array.isArray(data.data[r]) ? data.data[r][c] : NaN));
+}
+
+// Parse catalog text into { columns, values (one Float64Array per column),
+// rowCount }. Values that aren't numbers become NaN. `format` is 'csv' or
+// 'json'; by default it's sniffed from the text.
+export function parseCatalog(text, format = /^\s*[[{]/.test(text) ? 'json' : 'csv') {
+  return format === 'json' ? parseJsonTable(text) : parseCsvTable(text);
+}
+
+function findColumn(columns, candidates) {
+  const lower = columns.map((name) => name.toLowerCase());
+  const index = candidates.map((name) => lower.indexOf(name)).find((i) => i >= 0);
+  return index === undefined ? '' : columns[index];
+}
+
+// Best guess at which columns hold what, by their names. Equatorial
+// coordinates win when both kinds are present; unmatched entries are ''.
+export function guessColumnMapping(columns) {
+  const mapping = Object.fromEntries(
+    Object.entries(COLUMN_GUESSES).map(([key, candidates]) => [key, findColumn(columns, candidates)])
+  );
+  const equatorial = mapping.ra && mapping.dec && mapping.parallax;
+  const galactocentric = mapping.x && mapping.y && mapping.z;
+  mapping.frame = equatorial || !galactocentric ? 'equatorial' : 'galactocentric';
+  return mapping;
+}
+
+// Galactic longitude and latitude, in radians, of a direction given by RA
+// and Dec in degrees
+export function equatorialToGalactic(ra, dec) {
+  const cosDec = Math.cos(dec * DEG);
+  const v = [cosDec * Math.cos(ra * DEG), cosDec * Math.sin(ra * DEG), Math.sin(dec * DEG)];
+  const [x, y, z] = ICRS_TO_GALACTIC.map((row) => row[0] * v[0] + row[1] * v[1] + row[2] * v[2]);
+  return { l: Math.atan2(y, x), b: Math.asin(Math.max(-1, Math.min(1, z))) };
+}
+
+// Heliocentric position of a star in kpc, in galactocentric axes (X towards
+// the galactic center, Y towards l = 90°, Z towards the north galactic pole)
+export function equatorialToHeliocentric(ra, dec, parallax) {
+  const { l, b } = equatorialToGalactic(ra, dec);
+  const distance = 1 / parallax;
+  return [distance * Math.cos(b) * Math.cos(l), distance * Math.cos(b) * Math.sin(l), distance * Math.sin(b)];
+}
+
+// Scene position of a galactocentric position in kpc. The Sun lands on the
+// Sun marker (SOLAR_RADIUS_KPC out at SUN_AZIMUTH) and +Y points along the
+// model's rotation. The model turns counter-clockwise seen from scene +y,
+// which is clockwise seen from -y, so -y is the north galactic pole.
+export function galactocentricToScene(x, y, z, units, out = [0, 0, 0]) {
+  const cos = Math.cos(SUN_AZIMUTH);
+  const sin = Math.sin(SUN_AZIMUTH);
+  out[0] = units.fromKpc(-x * cos + y * sin);
+  out[1] = units.fromKpc(-z);
+  out[2] = units.fromKpc(-x * sin - y * cos);
+  return out;
+}
+
+function columnOf(table, name) {
+  const index = table.columns.indexOf(name);
+  if (index < 0) throw new CatalogError(`Catalog has no column "${name}"`);
+  return table.values[index];
+}
+
+// Scene positions, and the color column's values, of every catalog star
+// whose coordinates are usable. Stars with missing coordinates or without a
+// positive parallax are skipped, as is everything past MAX_CATALOG_STARS.
+export function catalogToScene(table, mapping, units) {
+  const equatorial = mapping.frame === 'equatorial';
+  const sources = (equatorial ? ['ra', 'dec', 'parallax'] : ['x', 'y', 'z']).map((key) => {
+    if (!mapping[key]) throw new CatalogError(`Choose the catalog column for ${key}`);
+    return columnOf(table, mapping[key]);
+  });
+  const colorSource = mapping.color ? columnOf(table, mapping.color) : null;
+
+  const count = Math.min(table.rowCount, MAX_CATALOG_STARS);
+  const positions = new Float32Array(count * 3);
+  const values = new Float32Array(count);
+  const rows = new Uint32Array(count);
+  const point = [0, 0, 0];
+  let n = 0;
+
+  for (let r = 0; r < table.rowCount && n < count; r++) {
+    const [a, b, c] = sources.map((column) => column[r]);
+    if (!Number.isFinite(a) || !Number.isFinite(b) || !Number.isFinite(c)) continue;
+    if (equatorial) {
+      if (c <= 0) continue;
+      const [hx, hy, hz] = equatorialToHeliocentric(a, b, c);
+      galactocentricToScene(hx - SOLAR_RADIUS_KPC, hy, hz, units, point);
+    } else {
+      galactocentricToScene(a, b, c, units, point);
+    }
+    positions.set(point, n * 3);
+    values[n] = colorSource ? colorSource[r] : NaN;
+    rows[n] = r;
+    n++;
+  }
+
+  return {
+    positions: positions.subarray(0, n * 3),
+    values: values.subarray(0, n),
+    rows: rows.subarray(0, n),
+    count: n,
+    skipped: table.rowCount - n
+  };
+}
+
+// The 2nd to 98th percentile of the finite values, so a few outliers don't
+// wash out the color ramp. [0, 1] when there are no finite values.
+export function valueRange(values) {
+  const finite = Array.from(values).filter(Number.isFinite).sort((a, b) => a - b);
+  if (finite.length === 0) return [0, 1];
+  const at = (q) => finite[Math.min(finite.length - 1, Math.floor(q * (finite.length - 1)))];
+  return [at(0.02), at(0.98)];
+}
+
+// Blue through white to red, as for BP-RP color; values outside [min, max]
+// clamp to the ends and NaN is grey
+const RAMP = [
+  [0.35, 0.55, 1.0],
+  [1.0, 1.0, 1.0],
+  [1.0, 0.35, 0.25]
+];
+const MISSING_COLOR = [0.5, 0.5, 0.5];
+
+export function colorByValue(values, [min, max]) {
+  const colors = new Float32Array(values.length * 3);
+  const span = max - min;
+  for (let i = 0; i < values.length; i++) {
+    const v = values[i];
+    let color = MISSING_COLOR;
+    if (Number.isFinite(v)) {
+      const t = span > 0 ? Math.max(0, Math.min(1, (v - min) / span)) * (RAMP.length - 1) : 0;
+      const k = Math.min(RAMP.length - 2, Math.floor(t));
+      const f = t - k;
+      color = [0, 1, 2].map((j) => RAMP[k][j] + (RAMP[k + 1][j] - RAMP[k][j]) * f);
+    }
+    colors.set(color, i * 3);
+  }
+  return colors;
+}
+
+// Everything the scene draws for a catalog: the stars' scene positions and
+// colors, the color range used, and how many rows were skipped. `colorRange`
+// [min, max] overrides the percentile range of the color column.
+export function buildCatalogLayer({ table, mapping, colorRange = null }, units) {
+  const stars = catalogToScene(table, mapping, units);
+  const range = colorRange || valueRange(stars.values);
+  return { ...stars, colors: colorByValue(stars.values, range), colorRange: range };
+}
@@ -0,0 +1,118 @@
+import {
+  CatalogError,
+  parseCatalog,
+  guessColumnMapping,
+  equatorialToGalactic,
+  galactocentricToScene,
+  catalogToScene,
+  valueRange,
+  colorByValue
+} from './catalog';
+import { createUnitSystem, SOLAR_RADIUS_KPC, SUN_AZIMUTH } from './units';
+
+const units = createUnitSystem({ kpcPerUnit: 0.5 });
+
+// Sagittarius A*, and the north galactic pole
+const GALACTIC_CENTER = { ra: 266.40499, dec: -28.93617 };
+const NORTH_GALACTIC_POLE = { ra: 192.85948, dec: 27.12825 };
+
+describe('parseCatalog', () => {
+  it('reads CSV with comments, quoted fields and missing values', () => {
+    const table = parseCatalog('# ECSV header\nsource_id,ra,dec,parallax,name\n1,10.5,-3,2.5,"Star, A"\r\n2,,4,1,B\n');
+    expect(table.columns).toEqual(['source_id', 'ra', 'dec', 'parallax', 'name']);
+    expect(table.rowCount).toBe(2);
+    expect(Array.from(table.values[1])).toEqual([10.5, NaN]);
+    expect(Number.isNaN(table.values[4][0])).toBe(true);
+  });
+
+  it('reads JSON arrays of objects and Gaia archive tables', () => {
+    const objects = parseCatalog(JSON.stringify([{ x: 1, y: 2, z: 3 }, { x: 4, y: '5', z: null }]));
+    expect(objects.columns).toEqual(['x', 'y', 'z']);
+    expect(Array.from(objects.values[1])).toEqual([2, 5]);
+    expect(Number.isNaN(objects.values[2][1])).toBe(true);
+
+    const gaia = parseCatalog(JSON.stringify({ metadata: [{ name: 'ra' }, { name: 'dec' }], data: [[1, 2], [3, 4]] }));
+    expect(gaia.columns).toEqual(['ra', 'dec']);
+    expect(Array.from(gaia.values[0])).toEqual([1, 3]);
+  });
+
+  it('rejects files that are not catalogs', () => {
+    expect(() => parseCatalog('ra,dec\n')).toThrow(CatalogError);
+    expect(() => parseCatalog('{ nope')).toThrow(CatalogError);
+    expect(() => parseCatalog('{"stars": []}')).toThrow(/columns/);
+  });
+});
+
+describe('guessColumnMapping', () => {
+  it('finds Gaia column names and prefers equatorial coordinates', () => {
+    expect(guessColumnMapping(['source_id', 'RA', 'DEC', 'parallax', 'bp_rp'])).toEqual({
+      frame: 'equatorial', ra: 'RA', dec: 'DEC', parallax: 'parallax', x: '', y: '', z: '', color: 'bp_rp'
+    });
+    expect(guessColumnMapping(['x', 'y', 'z', 'age']).frame).toBe('galactocentric');
+  });
+});
+
+describe('coordinate transforms', () => {
+  it('puts the galactic center at l = b = 0 and the pole at b = 90°', () => {
+    const center = equatorialToGalactic(GALACTIC_CENTER.ra, GALACTIC_CENTER.dec);
+    expect(center.l).toBeCloseTo(0, 3);
+    expect(center.b).toBeCloseTo(0, 3);
+    expect(equatorialToGalactic(NORTH_GALACTIC_POLE.ra, NORTH_GALACTIC_POLE.dec).b).toBeCloseTo(Math.PI / 2, 3);
+  });
+
+  it('places the Sun on the Sun marker with +Y along the rotation', () => {
+    const sun = galactocentricToScene(-SOLAR_RADIUS_KPC, 0, 0, units);
+    const radius = SOLAR_RADIUS_KPC / 0.5;
+    expect(sun[0]).toBeCloseTo(Math.cos(SUN_AZIMUTH) * radius, 5);
+    expect(sun[1]).toBeCloseTo(0, 5);
+    expect(sun[2]).toBeCloseTo(Math.sin(SUN_AZIMUTH) * radius, 5);
+
+    // Rigid rotation moves a star at (x, z) along (z, -x)
+    const ahead = galactocentricToScene(-SOLAR_RADIUS_KPC, 1, 0, units);
+    expect((ahead[0] - sun[0]) * sun[2] - (ahead[2] - sun[2]) * sun[0]).toBeGreaterThan(0);
+  });
+});
+
+describe('catalogToScene', () => {
+  it('converts parallaxes to positions and skips unusable rows', () => {
+    const text = [
+      'ra,dec,parallax,bp_rp',
+      `${GALACTIC_CENTER.ra},${GALACTIC_CENTER.dec},${1 / SOLAR_RADIUS_KPC},0.8`,
+      '10,20,-0.5,1.2',
+      '10,,1,1.0',
+      `${NORTH_GALACTIC_POLE.ra},${NORTH_GALACTIC_POLE.dec},1,`
+    ].join('\n');
+    const table = parseCatalog(text);
+    const stars = catalogToScene(table, guessColumnMapping(table.columns), units);
+
+    expect(stars.count).toBe(2);
+    expect(stars.skipped).toBe(2);
+    expect(Array.from(stars.rows)).toEqual([0, 3]);
+    // A star at the galactic center's distance lands on the center
+    Array.from(stars.positions.slice(0, 3)).forEach((v) => expect(v).toBeCloseTo(0, 1));
+    // 1 kpc towards the north galactic pole is 2 units along -y
+    expect(stars.positions[4]).toBeCloseTo(-2, 3);
+    expect(stars.values[0]).toBeCloseTo(0.8, 5);
+    expect(Number.isNaN(stars.values[1])).toBe(true);
+  });
+
+  it('names columns the mapping is missing', () => {
+    const table = parseCatalog('x,y\n1,2\n');
+    expect(() => catalogToScene(table, guessColumnMapping(table.columns), units)).toThrow(/ra/);
+    expect(() => catalogToScene(table, { frame: 'galactocentric', x: 'x', y: 'y', z: 'w' }, units)).toThrow(/"w"/);
+  });
+});
+
+describe('coloring', () => {
+  it('ramps between the percentile range and greys out missing values', () => {
+    const spread = Float32Array.from({ length: 102 }, (_, i) => (i === 101 ? NaN : i));
+    expect(valueRange(spread)).toEqual([2, 98]);
+
+    const values = Float32Array.from([0, 1, 2, NaN]);
+    const colors = colorByValue(values, [0, 2]);
+    expect(Array.from(colors.slice(3, 6))).toEqual([1, 1, 1]);
+    expect(colors[0]).toBeLessThan(colors[2]);
+    expect(colors[6]).toBeGreaterThan(colors[8]);
+    expect(Array.from(colors.slice(9))).toEqual([0.5, 0.5, 0.5]);
+  });
+});
@@ -0,0 +1,52 @@
+// Virtual simulation clock shared by every animation in the scene.
+// Animations read `time` (seconds) and `delta` (seconds since the last
+// frame) from here rather than from the render loop's wall clock, so an
+// export can step the whole scene by a fixed timestep and get the same
+// result however long each frame takes to render.
+
+// Longest real-time step the clock takes in one frame, so returning to a
+// backgrounded tab doesn't jump the simulation ahead
+export const MAX_REALTIME_STEP = 0.1;
+
+export function createSimulationClock() {
+  return {
+    time: 0,
+    delta: 0,
+    frame: 0,
+    paused: false,
+    // Simulated seconds per real second; negative plays in reverse
+    speed: 1,
+    // Time to jump to on the next frame, set by seekClock
+    seekTo: null,
+    // Seconds per frame while exporting; null follows the wall clock
+    fixedStep: null
+  };
+}
+
+// Jump to `time` on the next frame. That frame's delta spans the whole jump,
+// so animations that integrate delta land where they would have by playing.
+export function seekClock(clock, time) {
+  clock.seekTo = Math.max(0, time);
+  return clock;
+}
+
+// Advance by one rendered frame that took `realDelta` wall-clock seconds.
+// Exports step by the fixed step at the playback speed even while paused.
+export function advanceClock(clock, realDelta) {
+  let step;
+  if (clock.seekTo !== null) {
+    step = clock.seekTo - clock.time;
+    clock.seekTo = null;
+  } else if (clock.fixedStep !== null) {
+    step = clock.fixedStep * clock.speed;
+  } else {
+    step = clock.paused ? 0 : Math.min(realDelta, MAX_REALTIME_STEP) * clock.speed;
+  }
+  // Reverse playback stops at the start of the timeline
+  step = Math.max(step, -clock.time);
+
+  clock.delta = step;
+  clock.time += step;
+  clock.frame += 1;
+  return clock;
+}
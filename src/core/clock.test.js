@@ -0,0 +1,63 @@
+import { createSimulationClock, advanceClock, seekClock, MAX_REALTIME_STEP } from './clock';
+
+describe('simulation clock', () => {
+  it('follows the wall clock, capping long frames', () => {
+    const clock = createSimulationClock();
+    advanceClock(clock, 0.016);
+    advanceClock(clock, 5);
+    expect(clock.delta).toBe(MAX_REALTIME_STEP);
+    expect(clock.time).toBeCloseTo(0.016 + MAX_REALTIME_STEP, 10);
+    expect(clock.frame).toBe(2);
+  });
+
+  it('uses the fixed step whatever the frame took', () => {
+    const clock = createSimulationClock();
+    clock.fixedStep = 1 / 30;
+    [0.5, 0.001, 2].forEach((realDelta) => advanceClock(clock, realDelta));
+    expect(clock.delta).toBeCloseTo(1 / 30, 12);
+    expect(clock.time).toBeCloseTo(0.1, 12);
+  });
+
+  it('stands still while paused and scales by the playback speed', () => {
+    const clock = createSimulationClock();
+    clock.paused = true;
+    advanceClock(clock, 0.05);
+    expect(clock.time).toBe(0);
+    expect(clock.delta).toBe(0);
+
+    clock.paused = false;
+    clock.speed = 4;
+    advanceClock(clock, 0.05);
+    expect(clock.delta).toBeCloseTo(0.2, 12);
+    expect(clock.time).toBeCloseTo(0.2, 12);
+  });
+
+  it('plays in reverse and stops at zero', () => {
+    const clock = createSimulationClock();
+    clock.time = 0.15;
+    clock.speed = -1;
+    advanceClock(clock, 0.1);
+    expect(clock.time).toBeCloseTo(0.05, 12);
+    advanceClock(clock, 0.1);
+    expect(clock.time).toBe(0);
+    expect(clock.delta).toBeCloseTo(-0.05, 12);
+  });
+
+  it('seeks on the next frame with a delta spanning the jump', () => {
+    const clock = createSimulationClock();
+    clock.paused = true;
+    clock.time = 10;
+    seekClock(clock, 4);
+    expect(clock.time).toBe(10);
+    advanceClock(clock, 0.016);
+    expect(clock.time).toBe(4);
+    expect(clock.delta).toBe(-6);
+    expect(clock.seekTo).toBeNull();
+    advanceClock(clock, 0.016);
+    expect(clock.delta).toBe(0);
+
+    seekClock(clock, -3);
+    advanceClock(clock, 0.016);
+    expect(clock.time).toBe(0);
+  });
+});
@@ -0,0 +1,38 @@
+import { PARAM_DEFS, formatParam } from './params';
+
+// Comparing two parameter sets, A and B, side by side or overlaid. B's
+// viewport follows A's camera, so the camera parameters belong to A alone.
+export const SHARED_PARAM_KEYS = ['cameraMode', 'flySpeed', 'tourKeyframes', 'tourSegmentDuration'];
+
+// `b` with the shared parameters taken from `a`
+export function withSharedParams(b, a) {
+  const params = { ...b };
+  SHARED_PARAM_KEYS.forEach((key) => {
+    params[key] = a[key];
+  });
+  return params;
+}
+
+// Every parameter whose values differ between `a` and `b`, in PARAM_DEFS
+// order, as { key, a, b }. Paths and zones compare by content.
+export function diffParams(a, b) {
+  return Object.keys(PARAM_DEFS)
+    .filter((key) => !SHARED_PARAM_KEYS.includes(key))
+    .filter((key) => formatParam(key, a[key]) !== formatParam(key, b[key]))
+    .map((key) => ({ key, a: a[key], b: b[key] }));
+}
+
+// 'galaxyParticleCount' -> 'Galaxy particle count'
+export function paramLabel(key) {
+  const words = key.replace(/([a-z0-9])([A-Z])/g, '$1 $2').toLowerCase();
+  return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+// A short readable value for the diff list
+export function describeParamValue(key, value) {
+  const def = PARAM_DEFS[key];
+  if (def && def.type === 'path') return `${value.length} points`;
+  if (def && def.type === 'zones') return value.length === 1 ? '1 zone' : `${value.length} zones`;
+  if (def && def.type === 'boolean') return value ? 'on' : 'off';
+  return String(value);
+}
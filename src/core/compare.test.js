@@ -0,0 +1,45 @@
+import { DEFAULT_PARAMS } from './params';
+import { diffParams, withSharedParams, paramLabel, describeParamValue } from './compare';
+
+describe('diffParams', () => {
+  it('finds nothing between equal sets', () => {
+    expect(diffParams(DEFAULT_PARAMS, { ...DEFAULT_PARAMS })).toEqual([]);
+  });
+
+  it('lists changed values in parameter order', () => {
+    const b = { ...DEFAULT_PARAMS, armCount: 2, seed: 7, showGrid: !DEFAULT_PARAMS.showGrid };
+    expect(diffParams(DEFAULT_PARAMS, b).map((entry) => entry.key)).toEqual(['seed', 'armCount', 'showGrid']);
+    expect(diffParams(DEFAULT_PARAMS, b)[1]).toEqual({ key: 'armCount', a: DEFAULT_PARAMS.armCount, b: 2 });
+  });
+
+  it('compares zones and paths by content and skips camera parameters', () => {
+    const copies = {
+      ...DEFAULT_PARAMS,
+      orbitalZones: DEFAULT_PARAMS.orbitalZones.map((zone) => ({ ...zone })),
+      trajectoryPath: DEFAULT_PARAMS.trajectoryPath.map((point) => point.slice()),
+      cameraMode: 'fly'
+    };
+    expect(diffParams(DEFAULT_PARAMS, copies)).toEqual([]);
+
+    copies.orbitalZones[0].speed = 3;
+    expect(diffParams(DEFAULT_PARAMS, copies).map((entry) => entry.key)).toEqual(['orbitalZones']);
+  });
+});
+
+describe('withSharedParams', () => {
+  it('takes the camera parameters from the other set', () => {
+    const a = { ...DEFAULT_PARAMS, cameraMode: 'tour', flySpeed: 30 };
+    const b = withSharedParams({ ...DEFAULT_PARAMS, armCount: 2 }, a);
+    expect(b).toMatchObject({ cameraMode: 'tour', flySpeed: 30, armCount: 2 });
+  });
+});
+
+describe('labels', () => {
+  it('spells out keys and values', () => {
+    expect(paramLabel('galaxyParticleCount')).toBe('Galaxy particle count');
+    expect(paramLabel('seed')).toBe('Seed');
+    expect(describeParamValue('showGrid', true)).toBe('on');
+    expect(describeParamValue('orbitalZones', DEFAULT_PARAMS.orbitalZones)).toBe(`${DEFAULT_PARAMS.orbitalZones.length} zones`);
+    expect(describeParamValue('armCount', 4)).toBe('4');
+  });
+});
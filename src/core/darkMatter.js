@@ -0,0 +1,178 @@
+import { createRandom, DEFAULT_SEED } from './random';
+import { sampleGamma } from './physicalGalaxy';
+
+// Dark matter halo density profiles. Radii are in scene units, masses in the
+// G = 1 units of potential.js. A halo is described by its scale radius rs,
+// its concentration c (virial radius = c·rs), the mass inside the virial
+// radius and a vertical flattening q: the profile is evaluated at the
+// ellipsoidal radius m = sqrt(x² + z² + y² / q²).
+//
+// - NFW: ρ ∝ 1 / ((r / rs)(1 + r / rs)²)
+// - Einasto: ρ ∝ exp(-(2 / α)((r / rs)^α - 1)), with rs the radius where the
+//   logarithmic slope is -2
+
+// ln Γ(x) (Lanczos approximation)
+const LANCZOS = [
+  676.5203681218851, -1259.1392167224028, 771.32342877765313, -176.61502916214059,
+  12.507343278686905, -0.13857109526572012, 9.9843695780195716e-6, 1.5056327351493116e-7
+];
+
+export function lnGamma(x) {
+  if (x < 0.5) {
+    return Math.log(Math.PI / Math.abs(Math.sin(Math.PI * x))) - lnGamma(1 - x);
+  }
+  const z = x - 1;
+  let sum = 0.99999999999980993;
+  for (let k = 0; k < LANCZOS.length; k++) sum += LANCZOS[k] / (z + k + 1);
+  const t = z + LANCZOS.length - 0.5;
+  return 0.5 * Math.log(2 * Math.PI) + (z + 0.5) * Math.log(t) - t + Math.log(sum);
+}
+
+// Regularized lower incomplete gamma P(a, x): series below a + 1, continued
+// fraction above (Numerical Recipes §6.2)
+export function gammaP(a, x) {
+  if (x <= 0) return 0;
+  const lnPrefix = a * Math.log(x) - x - lnGamma(a);
+
+  if (x < a + 1) {
+    let term = 1 / a;
+    let sum = term;
+    for (let n = 1; n < 500; n++) {
+      term *= x / (a + n);
+      sum += term;
+      if (Math.abs(term) < Math.abs(sum) * 1e-14) break;
+    }
+    return sum * Math.exp(lnPrefix);
+  }
+
+  const tiny = 1e-300;
+  let b = x + 1 - a;
+  let c = 1 / tiny;
+  let d = 1 / b;
+  let h = d;
+  for (let n = 1; n < 500; n++) {
+    const an = -n * (n - a);
+    b += 2;
+    d = an * d + b;
+    if (Math.abs(d) < tiny) d = tiny;
+    c = b + an / c;
+    if (Math.abs(c) < tiny) c = tiny;
+    d = 1 / d;
+    const delta = d * c;
+    h *= delta;
+    if (Math.abs(delta - 1) < 1e-14) break;
+  }
+  return 1 - Math.exp(lnPrefix) * h;
+}
+
+// Dimensionless NFW mass inside x = r / rs
+function nfwMass(x) {
+  return Math.log(1 + x) - x / (1 + x);
+}
+
+// Einasto radius r / rs as the Gamma variable s = (2 / α)(r / rs)^α
+function einastoS(x, alpha) {
+  return (2 / alpha) * Math.pow(x, alpha);
+}
+
+// Closed-over profile functions for a halo: `enclosedMass(m)` and
+// `potential(m)`, both spherical in the ellipsoidal radius m
+export function createHaloProfile({
+  profile = 'nfw',
+  mass = 400,
+  scaleRadius = 10,
+  concentration = 6,
+  flattening = 1,
+  alpha = 0.17
+} = {}) {
+  const rs = scaleRadius;
+
+  if (profile === 'einasto') {
+    const a3 = 3 / alpha;
+    const a2 = 2 / alpha;
+    // Normalize so the virial radius encloses `mass`
+    const totalMass = mass / gammaP(a3, einastoS(concentration, alpha));
+    // ∫ dM / r beyond r, in units of totalMass / rs
+    const outerScale = Math.exp(lnGamma(a2) - lnGamma(a3)) / Math.pow(alpha / 2, 1 / alpha);
+
+    return {
+      profile,
+      mass,
+      scaleRadius: rs,
+      concentration,
+      flattening,
+      alpha,
+      enclosedMass: (m) => totalMass * gammaP(a3, einastoS(m / rs, alpha)),
+      potential: (m) => {
+        const s = einastoS(m / rs, alpha);
+        const inner = m > 0 ? (totalMass * gammaP(a3, s)) / m : 0;
+        return -inner - (totalMass / rs) * outerScale * (1 - gammaP(a2, s));
+      },
+      // ρ(r) / ρ(rs)
+      density: (m) => Math.exp(-a2 * (Math.pow(m / rs, alpha) - 1))
+    };
+  }
+
+  const characteristicMass = mass / nfwMass(concentration);
+  return {
+    profile: 'nfw',
+    mass,
+    scaleRadius: rs,
+    concentration,
+    flattening,
+    alpha,
+    enclosedMass: (m) => characteristicMass * nfwMass(m / rs),
+    potential: (m) => (m > 0 ? (-characteristicMass * Math.log(1 + m / rs)) / m : -characteristicMass / rs),
+    density: (m) => {
+      const x = m / rs;
+      return 4 / (x * (1 + x) * (1 + x));
+    }
+  };
+}
+
+// Radius drawn from the halo's mass distribution, truncated at the virial radius
+function sampleHaloRadius(random, halo) {
+  const { profile, scaleRadius, concentration, alpha } = halo;
+
+  if (profile === 'einasto') {
+    const limit = einastoS(concentration, alpha);
+    for (let attempt = 0; attempt < 64; attempt++) {
+      const s = sampleGamma(random, 3 / alpha);
+      if (s <= limit) return scaleRadius * Math.pow((alpha * s) / 2, 1 / alpha);
+    }
+    return scaleRadius * concentration * random();
+  }
+
+  // Invert the NFW mass fraction by bisection
+  const target = random() * nfwMass(concentration);
+  let lo = 0;
+  let hi = concentration;
+  for (let k = 0; k < 40; k++) {
+    const mid = (lo + hi) / 2;
+    if (nfwMass(mid) < target) lo = mid;
+    else hi = mid;
+  }
+  return scaleRadius * (lo + hi) / 2;
+}
+
+// Halo particles out to the virial radius, squashed vertically by the flattening
+export function generateHaloParticles({
+  particleCount = 4000,
+  seed = DEFAULT_SEED,
+  ...profileParams
+} = {}) {
+  const halo = createHaloProfile(profileParams);
+  const random = createRandom(seed, `darkMatterHalo:${halo.profile}`);
+  const positions = new Float32Array(particleCount * 3);
+
+  for (let i = 0; i < particleCount; i++) {
+    const r = sampleHaloRadius(random, halo);
+    const phi = Math.acos(2 * random() - 1);
+    const theta = random() * Math.PI * 2;
+    positions[i * 3] = r * Math.sin(phi) * Math.cos(theta);
+    positions[i * 3 + 1] = r * Math.cos(phi) * halo.flattening;
+    positions[i * 3 + 2] = r * Math.sin(phi) * Math.sin(theta);
+  }
+
+  return { positions };
+}
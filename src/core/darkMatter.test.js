@@ -0,0 +1,62 @@
+import { lnGamma, gammaP, createHaloProfile, generateHaloParticles } from './darkMatter';
+
+describe('special functions', () => {
+  it('computes ln Γ', () => {
+    expect(lnGamma(1)).toBeCloseTo(0, 10);
+    expect(lnGamma(5)).toBeCloseTo(Math.log(24), 10);
+    expect(lnGamma(0.5)).toBeCloseTo(Math.log(Math.sqrt(Math.PI)), 10);
+  });
+
+  it('computes the regularized incomplete gamma function', () => {
+    // P(1, x) = 1 - e^-x on both sides of the series/fraction switch
+    [0.3, 1.5, 4, 12].forEach((x) => {
+      expect(gammaP(1, x)).toBeCloseTo(1 - Math.exp(-x), 10);
+    });
+    expect(gammaP(17.6, 0)).toBe(0);
+    expect(gammaP(17.6, 200)).toBeCloseTo(1, 10);
+  });
+});
+
+describe('createHaloProfile', () => {
+  it.each(['nfw', 'einasto'])('puts the halo mass inside the virial radius (%s)', (profile) => {
+    const halo = createHaloProfile({ profile, mass: 500, scaleRadius: 8, concentration: 5 });
+    expect(halo.enclosedMass(40)).toBeCloseTo(500, 6);
+    expect(halo.enclosedMass(4)).toBeLessThan(halo.enclosedMass(8));
+    expect(halo.density(8)).toBeCloseTo(1, 10);
+  });
+
+  it.each(['nfw', 'einasto'])('has a potential whose slope is M(r) / r² (%s)', (profile) => {
+    const halo = createHaloProfile({ profile });
+    const h = 1e-4;
+    [2, 10, 35].forEach((r) => {
+      const slope = (halo.potential(r + h) - halo.potential(r - h)) / (2 * h);
+      expect(slope).toBeCloseTo(halo.enclosedMass(r) / (r * r), 5);
+    });
+  });
+});
+
+describe('generateHaloParticles', () => {
+  it.each(['nfw', 'einasto'])('samples the enclosed mass profile (%s)', (profile) => {
+    const options = { profile, scaleRadius: 10, concentration: 6, flattening: 1, particleCount: 8000, seed: 3 };
+    const { positions } = generateHaloParticles(options);
+    const halo = createHaloProfile(options);
+    let inside = 0;
+    for (let i = 0; i < positions.length; i += 3) {
+      const r = Math.hypot(positions[i], positions[i + 1], positions[i + 2]);
+      expect(r).toBeLessThanOrEqual(60 + 1e-3);
+      if (r < 10) inside++;
+    }
+    expect(inside / 8000).toBeCloseTo(halo.enclosedMass(10) / halo.mass, 1);
+  });
+
+  it('flattens the halo vertically', () => {
+    const { positions } = generateHaloParticles({ flattening: 0.5, particleCount: 2000, seed: 4 });
+    let horizontal = 0;
+    let vertical = 0;
+    for (let i = 0; i < positions.length; i += 3) {
+      horizontal += Math.abs(positions[i]);
+      vertical += Math.abs(positions[i + 1]);
+    }
+    expect(vertical / horizontal).toBeCloseTo(0.5, 1);
+  });
+});
@@ -0,0 +1,86 @@
+import { LIGHT_YEARS_PER_KPC, SUN_AZIMUTH } from './units';
+
+// Vertical structure of the outer Milky Way disk, displacing the galaxy's
+// own stars. Three effects, each optional, over the region between
+// `innerLy` and `outerLy` light-years from the center (30,000-65,000 ly, as
+// observed for the Great Wave):
+//   warp         an S-shaped (integral sign) warp: the disk bends up on one
+//                side and down on the other, growing quadratically from the
+//                inner radius to `warpAmplitudeLy` at the outer one. The line
+//                of nodes, where it crosses the midplane, lies at
+//                galactocentric longitude `warpNodesAngle` degrees.
+//   flare        the disk thickens outwards: stars' heights grow by e every
+//                `flareScaleLengthLy` beyond the inner radius
+//   corrugation  a one-armed spiral ripple of `corrugationAmplitudeLy` and
+//                radial wavelength `corrugationWavelengthLy`, fading in and
+//                out over the region's first and last fifths and turning at
+//                `corrugationPatternSpeed` radians per simulated second, so
+//                its crests travel outwards
+// Positions are in the galaxy frame, whose azimuth decreases in the
+// direction of rotation (see core/units.js for longitudes).
+
+// Displacement model in scene units from the light-year parameters. Effects
+// that are off have zero amplitude.
+export function createDiskWave({
+  diskWarp = true,
+  diskFlare = true,
+  diskCorrugation = true,
+  diskWaveInnerLy = 30000,
+  diskWaveOuterLy = 65000,
+  warpAmplitudeLy = 5000,
+  warpNodesAngle = 0,
+  flareScaleLengthLy = 15000,
+  corrugationAmplitudeLy = 650,
+  corrugationWavelengthLy = 15000,
+  corrugationPatternSpeed = 0.05
+}, units) {
+  const fromLightYears = (ly) => units.fromKpc(ly / LIGHT_YEARS_PER_KPC);
+  const inner = fromLightYears(diskWaveInnerLy);
+  // An empty region would divide by zero
+  const outer = Math.max(fromLightYears(diskWaveOuterLy), inner + 1e-3);
+
+  return {
+    inner,
+    outer,
+    warpAmplitude: diskWarp ? fromLightYears(warpAmplitudeLy) : 0,
+    // Scene azimuth of the line of nodes
+    warpNodes: SUN_AZIMUTH - (warpNodesAngle * Math.PI) / 180,
+    flareScaleLength: diskFlare ? fromLightYears(flareScaleLengthLy) : 0,
+    corrugationAmplitude: diskCorrugation ? fromLightYears(corrugationAmplitudeLy) : 0,
+    corrugationWavelength: fromLightYears(corrugationWavelengthLy),
+    corrugationPatternSpeed
+  };
+}
+
+// Vertical displacement at time `t` of a star at (x, y, z) in the frame of
+// an object turned by `rotation` about +y within the galaxy frame, as a
+// rigidly rotating galaxy is. Only the flare depends on the height, so
+// surfaces pass y = 0.
+export function diskWaveDisplacement(x, y, z, t, wave, rotation = 0) {
+  const { inner, outer } = wave;
+  const radius = Math.hypot(x, z);
+  if (radius <= inner) return 0;
+
+  const azimuth = Math.atan2(z, x) - rotation;
+  const across = (radius - inner) / (outer - inner);
+  let dy = 0;
+
+  // sin(l - l_nodes) in longitude l, which increases as azimuth decreases
+  if (wave.warpAmplitude) {
+    dy += wave.warpAmplitude * across * across * Math.sin(wave.warpNodes - azimuth);
+  }
+
+  if (wave.flareScaleLength) {
+    dy += y * (Math.exp((radius - inner) / wave.flareScaleLength) - 1);
+  }
+
+  // Crests trail as a spiral; as the pattern turns they move outwards
+  if (wave.corrugationAmplitude && across < 1) {
+    const phase = (2 * Math.PI * (radius - inner)) / wave.corrugationWavelength
+      - azimuth - wave.corrugationPatternSpeed * t;
+    const envelope = Math.min(1, 5 * across, 5 * (1 - across));
+    dy += wave.corrugationAmplitude * envelope * Math.sin(phase);
+  }
+
+  return dy;
+}
@@ -0,0 +1,88 @@
+import { createDiskWave, diskWaveDisplacement } from './diskWave';
+import { createUnitSystem, LIGHT_YEARS_PER_KPC, SUN_AZIMUTH } from './units';
+
+// One scene unit per 1000 ly keeps the numbers readable
+const units = createUnitSystem({ kpcPerUnit: 1000 / LIGHT_YEARS_PER_KPC });
+const only = (effect) => createDiskWave({
+  diskWarp: effect === 'warp',
+  diskFlare: effect === 'flare',
+  diskCorrugation: effect === 'corrugation'
+}, units);
+
+// A point at `radius` and scene azimuth `azimuth`
+const at = (radius, azimuth) => [Math.cos(azimuth) * radius, Math.sin(azimuth) * radius];
+
+describe('createDiskWave', () => {
+  it('converts light-years to scene units', () => {
+    const wave = createDiskWave({}, units);
+    expect(wave.inner).toBeCloseTo(30);
+    expect(wave.outer).toBeCloseTo(65);
+    expect(wave.warpAmplitude).toBeCloseTo(5);
+    expect(wave.corrugationAmplitude).toBeCloseTo(0.65);
+    expect(only('flare').warpAmplitude).toBe(0);
+  });
+});
+
+describe('diskWaveDisplacement', () => {
+  it('leaves the inner disk alone', () => {
+    const wave = createDiskWave({}, units);
+    const [x, z] = at(25, 1);
+    expect(diskWaveDisplacement(x, 0.3, z, 10, wave)).toBe(0);
+  });
+
+  it('warps the disk into an S, zero along the line of nodes', () => {
+    const wave = only('warp');
+    const nodes = SUN_AZIMUTH;
+    const [nx, nz] = at(65, nodes);
+    expect(diskWaveDisplacement(nx, 0, nz, 0, wave)).toBeCloseTo(0, 10);
+
+    // Full amplitude at the outer radius, a quarter turn from the nodes, and
+    // the opposite on the far side
+    const [ax, az] = at(65, nodes - Math.PI / 2);
+    const [bx, bz] = at(65, nodes + Math.PI / 2);
+    expect(diskWaveDisplacement(ax, 0, az, 0, wave)).toBeCloseTo(5);
+    expect(diskWaveDisplacement(bx, 0, bz, 0, wave)).toBeCloseTo(-5);
+
+    // Quadratic rise from the inner radius
+    const [hx, hz] = at(47.5, nodes - Math.PI / 2);
+    expect(diskWaveDisplacement(hx, 0, hz, 0, wave)).toBeCloseTo(1.25);
+
+    // A rigidly turned galaxy carries its stars through the fixed warp
+    expect(diskWaveDisplacement(nx, 0, nz, 0, wave, Math.PI / 2)).toBeCloseTo(5);
+  });
+
+  it('flares the disk in proportion to height', () => {
+    const wave = only('flare');
+    const [x, z] = at(45, 2);
+    expect(diskWaveDisplacement(x, 0.2, z, 0, wave)).toBeCloseTo(0.2 * (Math.E - 1));
+    expect(diskWaveDisplacement(x, -0.2, z, 0, wave)).toBeCloseTo(-0.2 * (Math.E - 1));
+    expect(diskWaveDisplacement(x, 0, z, 0, wave)).toBe(0);
+  });
+
+  it('ripples within the region and travels with the pattern speed', () => {
+    const wave = only('corrugation');
+    const [x, z] = at(47.5, 0.4);
+    const heights = [0, 5, 10, 20].map((t) => diskWaveDisplacement(x, 0, z, t, wave));
+    heights.forEach((dy) => expect(Math.abs(dy)).toBeLessThanOrEqual(0.65 + 1e-9));
+    expect(new Set(heights.map((dy) => dy.toFixed(6))).size).toBe(4);
+
+    // The crest at one radius reaches a larger radius later
+    const crest = (t) => {
+      let best = 0;
+      let bestRadius = 0;
+      for (let r = 40; r < 55; r += 0.05) {
+        const [px, pz] = at(r, 0.4);
+        const dy = diskWaveDisplacement(px, 0, pz, t, wave);
+        if (dy > best) {
+          best = dy;
+          bestRadius = r;
+        }
+      }
+      return bestRadius;
+    };
+    expect(crest(10)).toBeGreaterThan(crest(0));
+
+    const [ox, oz] = at(70, 0.4);
+    expect(diskWaveDisplacement(ox, 0, oz, 3, wave)).toBe(0);
+  });
+});
@@ -0,0 +1,90 @@
+// Dust lanes of the spiral arms, for the post-processing dust pass
+// (shaders/postProcessing.js). The dust lies in a thin layer in the galaxy's
+// midplane, gathered into lanes along the inner (concave) edge of each arm,
+// where gas is compressed as it enters the arm, plus a thin diffuse share
+// between them. Both galaxy models lay their arms on logarithmic spirals
+//   θk(R) = 2πk / armCount + winding · ln(R / startRadius)
+// the stylized one winding by spiralTightness from the bulge's edge, the
+// physical one by 1 / tan(pitch) from the end of the bar. The lanes stay
+// fixed in the galaxy frame, so with integrated orbits they keep the arms'
+// starting pattern while the stars wind up.
+
+// Extinction per RGB channel relative to green: blue light is dimmed most,
+// so whatever shines through the lanes is reddened
+export const DUST_REDDENING = [0.75, 1, 1.3];
+
+// Longest path through the layer, in layer thicknesses, so views grazing
+// the disk darken without turning black
+export const MAX_DUST_PATH = 12;
+
+// Optical depth of the dust between the lanes, as a share of a lane's peak
+export const DIFFUSE_DUST = 0.15;
+
+// Spread of the stylized model's arms across their ridge, in scene units
+const STYLIZED_ARM_WIDTH = 0.5;
+
+// Lane layout for the galaxy drawn by these parameters. Lanes sit an arm's
+// width inside each ridge, half an arm's width wide; all lengths are in
+// scene units.
+export function dustLanePattern({
+  galaxyModel = 'stylized',
+  galaxyRadius = 25,
+  armCount = 4,
+  barLength = 8,
+  bulgeSize = 3,
+  spiralTightness = 0.5,
+  bulgeEffectiveRadius = 2,
+  pitchAngle = 12,
+  armWidth = 1.2
+}) {
+  const physical = galaxyModel === 'physical';
+  const width = physical ? armWidth : STYLIZED_ARM_WIDTH;
+  return {
+    armCount,
+    // As in generatePhysicalGalaxy and generateGalaxy
+    startRadius: physical ? Math.max(barLength, bulgeEffectiveRadius, 0.5) : bulgeSize,
+    winding: physical ? 1 / Math.tan((pitchAngle * Math.PI) / 180) : spiralTightness,
+    laneOffset: width,
+    laneWidth: width / 2,
+    outerRadius: galaxyRadius
+  };
+}
+
+const smoothstep = (edge0, edge1, x) => {
+  const t = Math.min(1, Math.max(0, (x - edge0) / (edge1 - edge0)));
+  return t * t * (3 - 2 * t);
+};
+
+// Face-on optical depth at (x, z) in the galaxy frame, peaking at `opacity`
+// on a lane. Fades in over the last 30% of the way to the arms' start and
+// out over the outer 20% of the disk.
+export function dustOpticalDepth(pattern, x, z, opacity) {
+  const { armCount, startRadius, winding, laneOffset, laneWidth, outerRadius } = pattern;
+  const radius = Math.hypot(x, z);
+  const envelope = smoothstep(startRadius * 0.7, startRadius, radius)
+    * (1 - smoothstep(outerRadius * 0.8, outerRadius, radius));
+  if (envelope === 0) return 0;
+
+  // Azimuth from the nearest arm's ridge, then as an arc length. The
+  // concave side, facing the center, is at larger azimuths than the ridge
+  // when winding is positive.
+  const spacing = (2 * Math.PI) / armCount;
+  const phase = Math.atan2(z, x) - winding * Math.log(radius / startRadius);
+  const fromRidge = (phase - Math.round(phase / spacing) * spacing) * radius;
+  const across = (fromRidge - Math.sign(winding) * laneOffset) / laneWidth;
+  const lane = Math.exp(-0.5 * across * across);
+  return opacity * envelope * (DIFFUSE_DUST + (1 - DIFFUSE_DUST) * lane);
+}
+
+// Optical depth along a line of sight whose direction has unit `cosine`
+// with the disk's normal, capped at MAX_DUST_PATH times the face-on depth
+export function lineOfSightDepth(depth, cosine) {
+  return depth / Math.max(Math.abs(cosine), 1 / MAX_DUST_PATH);
+}
+
+// Share of the light let through by a layer of `depth` with the stars mixed
+// evenly into the dust: (1 − e^−τ) / τ. Never reaches zero, as the stars on
+// the near side of the layer are barely dimmed.
+export function dustTransmission(depth) {
+  return depth < 1e-4 ? 1 : (1 - Math.exp(-depth)) / depth;
+}
@@ -0,0 +1,70 @@
+import { DEFAULT_PARAMS } from './params';
+import { logSpiralAngle } from './physicalGalaxy';
+import {
+  MAX_DUST_PATH,
+  dustLanePattern,
+  dustOpticalDepth,
+  lineOfSightDepth,
+  dustTransmission
+} from './dustLanes';
+
+const physical = dustLanePattern({ ...DEFAULT_PARAMS, galaxyModel: 'physical' });
+
+// Point `offset` scene units along the arc from arm `k`'s ridge at `radius`
+const nearArm = (pattern, radius, offset, k = 0) => {
+  const angle = logSpiralAngle(radius, k, pattern.armCount, pattern.startRadius, DEFAULT_PARAMS.pitchAngle)
+    + offset / radius;
+  return [Math.cos(angle) * radius, Math.sin(angle) * radius];
+};
+
+describe('dustLanePattern', () => {
+  it('follows each galaxy model\'s arms', () => {
+    expect(physical.startRadius).toBe(DEFAULT_PARAMS.barLength);
+    expect(physical.winding).toBeCloseTo(1 / Math.tan((DEFAULT_PARAMS.pitchAngle * Math.PI) / 180), 10);
+    expect(physical.laneOffset).toBe(DEFAULT_PARAMS.armWidth);
+
+    const stylized = dustLanePattern(DEFAULT_PARAMS);
+    expect(stylized.startRadius).toBe(DEFAULT_PARAMS.bulgeSize);
+    expect(stylized.winding).toBe(DEFAULT_PARAMS.spiralTightness);
+  });
+});
+
+describe('dustOpticalDepth', () => {
+  it('peaks on the inner edge of every arm, not on the ridge or outside it', () => {
+    const radius = 15;
+    for (let k = 0; k < physical.armCount; k++) {
+      const lane = dustOpticalDepth(physical, ...nearArm(physical, radius, physical.laneOffset, k), 2);
+      expect(lane).toBeCloseTo(2, 5);
+      expect(dustOpticalDepth(physical, ...nearArm(physical, radius, 0, k), 2)).toBeLessThan(lane * 0.5);
+      expect(dustOpticalDepth(physical, ...nearArm(physical, radius, -physical.laneOffset, k), 2)).toBeLessThan(lane * 0.2);
+    }
+
+    // The lane's side faces the center: a little further in along the same
+    // azimuth as the ridge is dustier than a little further out
+    const [x, z] = nearArm(physical, radius, 0);
+    const inside = dustOpticalDepth(physical, x * 0.97, z * 0.97, 2);
+    const outside = dustOpticalDepth(physical, x * 1.03, z * 1.03, 2);
+    expect(inside).toBeGreaterThan(outside);
+  });
+
+  it('clears the center and the edge, and scales with opacity', () => {
+    expect(dustOpticalDepth(physical, 1, 0, 2)).toBe(0);
+    expect(dustOpticalDepth(physical, DEFAULT_PARAMS.galaxyRadius + 1, 0, 2)).toBe(0);
+    const point = nearArm(physical, 12, 0.5);
+    expect(dustOpticalDepth(physical, ...point, 3)).toBeCloseTo(dustOpticalDepth(physical, ...point, 1) * 3, 10);
+    expect(dustOpticalDepth(physical, ...point, 0)).toBe(0);
+  });
+});
+
+describe('dust transmission', () => {
+  it('dims more with depth and with obliquity, but never to black', () => {
+    expect(dustTransmission(0)).toBe(1);
+    expect(dustTransmission(0.5)).toBeLessThan(1);
+    expect(dustTransmission(2)).toBeLessThan(dustTransmission(0.5));
+    expect(dustTransmission(50)).toBeGreaterThan(0);
+
+    expect(lineOfSightDepth(1, 1)).toBe(1);
+    expect(lineOfSightDepth(1, -0.5)).toBe(2);
+    expect(lineOfSightDepth(1, 0)).toBe(MAX_DUST_PATH);
+  });
+});
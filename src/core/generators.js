@@ -0,0 +1,368 @@
+import { Color } from 'three';
+import { createRandom, DEFAULT_SEED } from './random';
+import {
+  generatePhysicalGalaxy,
+  COMPONENT_BULGE,
+  COMPONENT_BAR,
+  COMPONENT_ARM
+} from './physicalGalaxy';
+
+// Pure geometry generators shared by the scene components.
+// Nothing in here touches React or a WebGL context, so every function can run
+// (and be tested) outside a canvas. All buffers are typed arrays.
+
+// Barred spiral galaxy particles. `galaxyModel: 'physical'` hands over to the
+// profile-based generator in physicalGalaxy.js. Both models tag each star
+// with its component (COMPONENT_* from physicalGalaxy.js) and arm index
+// (-1 outside the arms).
+export function generateGalaxy({
+  galaxyModel = 'stylized',
+  particleCount = 8000,
+  galaxyRadius = 25,
+  armCount = 4,
+  barLength = 8,
+  bulgeSize = 3,
+  spiralTightness = 0.5,
+  seed = DEFAULT_SEED,
+  ...physical
+} = {}) {
+  if (galaxyModel === 'physical') {
+    return generatePhysicalGalaxy({ particleCount, galaxyRadius, armCount, barLength, seed, ...physical });
+  }
+
+  const random = createRandom(seed, 'galaxy');
+  const count = particleCount;
+  const positions = new Float32Array(count * 3);
+  const colors = new Float32Array(count * 3);
+  const components = new Uint8Array(count);
+  const arms = new Int8Array(count).fill(-1);
+  const color = new Color();
+
+  for (let i = 0; i < count; i++) {
+    // Create barred spiral structure
+    const angle = random() * Math.PI * 2;
+    const radius = random() * galaxyRadius;
+
+    // Central bulge (dense core)
+    let x, y, z;
+    if (radius < bulgeSize) {
+      // Bulge: spherical distribution
+      const phi = Math.acos(2 * random() - 1);
+      const theta = random() * Math.PI * 2;
+      const r = radius * (0.3 + random() * 0.7);
+      x = r * Math.sin(phi) * Math.cos(theta);
+      y = r * Math.sin(phi) * Math.sin(theta) * 0.3; // Flattened
+      z = r * Math.cos(phi);
+      components[i] = COMPONENT_BULGE;
+    } else {
+      // Spiral arms with bar structure
+      const normalizedRadius = (radius - bulgeSize) / (galaxyRadius - bulgeSize);
+
+      // Bar structure in center
+      let barInfluence = 0;
+      if (radius < barLength) {
+        barInfluence = Math.cos(angle * 2) * (1 - normalizedRadius);
+      }
+
+      // Spiral arm structure (4 main arms like Milky Way)
+      const armIndex = Math.floor((angle / (Math.PI * 2)) * armCount);
+      const armAngle = (armIndex / armCount) * Math.PI * 2;
+      const spiralAngle = armAngle + Math.log(radius / bulgeSize) * spiralTightness;
+
+      if (radius < barLength) {
+        components[i] = COMPONENT_BAR;
+      } else {
+        components[i] = COMPONENT_ARM;
+        arms[i] = armIndex;
+      }
+
+      // Combine bar and spiral
+      const finalAngle = spiralAngle + barInfluence * 0.3;
+
+      x = Math.cos(finalAngle) * radius;
+      z = Math.sin(finalAngle) * radius;
+      y = (random() - 0.5) * 0.4 * (1 - normalizedRadius * 0.5); // Thinner at edges
+    }
+
+    // Add some randomness
+    x += (random() - 0.5) * 0.3;
+    y += (random() - 0.5) * 0.2;
+    z += (random() - 0.5) * 0.3;
+
+    positions[i * 3] = x;
+    positions[i * 3 + 1] = y;
+    positions[i * 3 + 2] = z;
+
+    // More realistic star colors
+    const distanceFromCenter = Math.sqrt(x * x + z * z);
+    const normalizedDistance = Math.min(distanceFromCenter / galaxyRadius, 1);
+
+    // Center: yellow/white (older stars), edges: blue/white (younger stars)
+    if (normalizedDistance < 0.3) {
+      // Bulge: yellow/orange (old stars)
+      color.setHSL(0.1 + random() * 0.05, 0.7 + random() * 0.2, 0.6 + random() * 0.3);
+    } else if (normalizedDistance < 0.6) {
+      // Mid: white/yellow
+      color.setHSL(0.08 + random() * 0.1, 0.3 + random() * 0.3, 0.7 + random() * 0.2);
+    } else {
+      // Outer arms: blue/white (young hot stars)
+      color.setHSL(0.55 + random() * 0.1, 0.6 + random() * 0.3, 0.5 + random() * 0.3);
+    }
+
+    colors[i * 3] = color.r;
+    colors[i * 3 + 1] = color.g;
+    colors[i * 3 + 2] = color.b;
+  }
+
+  return { positions, colors, components, arms };
+}
+
+// Indexed grid of (segments + 1)² vertices, used by the wave field and the
+// Great Wave surface. `vertexAt(i, j)` returns the [x, z] of each vertex.
+// Indices switch to 32 bits once the grid outgrows 16-bit vertex indices.
+function buildGrid(segments, vertexAt) {
+  const vertexCount = (segments + 1) * (segments + 1);
+  const positions = new Float32Array(vertexCount * 3);
+  const normals = new Float32Array(vertexCount * 3);
+  const IndexArray = vertexCount > 65535 ? Uint32Array : Uint16Array;
+  const indices = new IndexArray(segments * segments * 6);
+
+  let v = 0;
+  for (let i = 0; i <= segments; i++) {
+    for (let j = 0; j <= segments; j++) {
+      const [x, z] = vertexAt(i, j);
+      positions[v * 3] = x;
+      positions[v * 3 + 2] = z;
+      normals[v * 3 + 1] = 1;
+      v++;
+    }
+  }
+
+  let k = 0;
+  for (let i = 0; i < segments; i++) {
+    for (let j = 0; j < segments; j++) {
+      const a = i * (segments + 1) + j;
+      const b = a + segments + 1;
+
+      indices[k++] = a;
+      indices[k++] = b;
+      indices[k++] = a + 1;
+      indices[k++] = b;
+      indices[k++] = b + 1;
+      indices[k++] = a + 1;
+    }
+  }
+
+  return { positions, normals, indices };
+}
+
+// Flat square grid for the dark matter wave field
+export function buildWaveFieldGrid(segments = 60, size = 100) {
+  return buildGrid(segments, (i, j) => [
+    (i / segments - 0.5) * size,
+    (j / segments - 0.5) * size
+  ]);
+}
+
+// Height of the wave field at (x, z); `time` is already scaled by wave speed
+export function waveFieldHeight(x, z, time, waveIntensity = 0.5) {
+  const wave1 = Math.sin((x * 0.1) + time) * 2;
+  const wave2 = Math.sin((z * 0.1) + time * 0.6) * 2;
+  const wave3 = Math.sin((x * 0.05 + z * 0.05) + time * 0.8) * 3;
+  const wave4 = Math.sin(Math.sqrt(x * x + z * z) * 0.1 - time * 1.2) * 1.5;
+
+  return (wave1 + wave2 + wave3 + wave4) * waveIntensity;
+}
+
+// Analytic [dh/dx, dh/dz] of `waveFieldHeight`, used for the surface normals
+export function waveFieldGradient(x, z, time, waveIntensity = 0.5) {
+  const radius = Math.sqrt(x * x + z * z);
+  const diagonal = Math.cos((x * 0.05 + z * 0.05) + time * 0.8) * 0.15;
+  const radial = radius > 1e-6 ? Math.cos(radius * 0.1 - time * 1.2) * 0.15 / radius : 0;
+
+  return [
+    (Math.cos((x * 0.1) + time) * 0.2 + diagonal + radial * x) * waveIntensity,
+    (Math.cos((z * 0.1) + time * 0.6) * 0.2 + diagonal + radial * z) * waveIntensity
+  ];
+}
+
+// Dark matter particles scattered through the wave field
+export function generateWaveParticles({
+  count = 2000,
+  particleColor = '#4a4aff',
+  seed = DEFAULT_SEED
+} = {}) {
+  const random = createRandom(seed, 'waveParticles');
+  const positions = new Float32Array(count * 3);
+  const colors = new Float32Array(count * 3);
+  const hue = new Color(particleColor).getHSL({}).h;
+  const color = new Color();
+
+  for (let i = 0; i < count; i++) {
+    positions[i * 3] = (random() - 0.5) * 100;
+    positions[i * 3 + 1] = (random() - 0.5) * 30;
+    positions[i * 3 + 2] = (random() - 0.5) * 100;
+
+    // Use provided color with variation
+    color.setHSL(hue + (random() - 0.5) * 0.1, 0.8, 0.3 + random() * 0.2);
+    colors[i * 3] = color.r;
+    colors[i * 3 + 1] = color.g;
+    colors[i * 3 + 2] = color.b;
+  }
+
+  return { positions, colors };
+}
+
+// Vertical position of a wave particle; `time` is already scaled by wave speed
+export function waveParticleHeight(x, z, time, waveIntensity = 5) {
+  const wave1 = Math.sin((x * 0.1 + z * 0.1) + time) * waveIntensity;
+  const wave2 = Math.sin((x * 0.05 - z * 0.05) + time * 0.6) * (waveIntensity * 0.6);
+  const wave3 = Math.sin(Math.sqrt(x * x + z * z) * 0.1 - time * 0.8) * (waveIntensity * 0.4);
+
+  return wave1 + wave2 + wave3;
+}
+
+// Background star field filling a 200-unit cube
+export function generateStars({ count = 5000, seed = DEFAULT_SEED } = {}) {
+  const random = createRandom(seed, 'stars');
+  const positions = new Float32Array(count * 3);
+  for (let i = 0; i < count * 3; i++) {
+    positions[i] = (random() - 0.5) * 200;
+  }
+  return { positions };
+}
+
+// Particles of one orbital zone ring plus the velocity direction of each.
+// Zones are keyed by their radial band so each one draws its own stream.
+export function generateOrbitalZone({
+  color = '#ffffff',
+  minRadius,
+  maxRadius,
+  particleCount = 200,
+  seed = DEFAULT_SEED
+}) {
+  const random = createRandom(seed, `orbitalZone:${minRadius}:${maxRadius}`);
+  const positions = new Float32Array(particleCount * 3);
+  const colors = new Float32Array(particleCount * 3);
+  const directions = new Float32Array(particleCount * 3);
+  const colorObj = new Color(color);
+
+  for (let i = 0; i < particleCount; i++) {
+    const angle = random() * Math.PI * 2;
+    const radius = minRadius + random() * (maxRadius - minRadius);
+
+    positions[i * 3] = Math.cos(angle) * radius;
+    positions[i * 3 + 1] = (random() - 0.5) * 0.2;
+    positions[i * 3 + 2] = Math.sin(angle) * radius;
+
+    colors[i * 3] = colorObj.r;
+    colors[i * 3 + 1] = colorObj.g;
+    colors[i * 3 + 2] = colorObj.b;
+
+    // Orbital velocity direction (tangential + slight radial component)
+    const tangentAngle = angle + Math.PI / 2; // Perpendicular to radius
+    const radialComponent = (random() - 0.5) * 0.3; // Some radial motion
+    const tangential = 1 - Math.abs(radialComponent);
+
+    directions[i * 3] = Math.cos(tangentAngle) * tangential + Math.cos(angle) * radialComponent;
+    directions[i * 3 + 2] = Math.sin(tangentAngle) * tangential + Math.sin(angle) * radialComponent;
+  }
+
+  return { positions, colors, directions };
+}
+
+// Stars in the outer disk (0.6-1.3 galaxy radii) that ride the Great Wave.
+// The wave region spans 30,000-65,000 light-years horizontally.
+export function generateGreatWaveParticles({
+  particleCount = 2000,
+  galaxyRadius = 25,
+  seed = DEFAULT_SEED
+} = {}) {
+  const random = createRandom(seed, 'greatWave');
+  const positions = new Float32Array(particleCount * 3);
+  const colors = new Float32Array(particleCount * 3);
+  const color = new Color();
+
+  for (let i = 0; i < particleCount; i++) {
+    const angle = random() * Math.PI * 2;
+    const radius = (0.6 + random() * 0.7) * galaxyRadius; // Outer disk region
+
+    positions[i * 3] = Math.cos(angle) * radius;
+    positions[i * 3 + 2] = Math.sin(angle) * radius;
+
+    // Warm mix of colors to show the wave effect
+    color.setHSL(0.05 + random() * 0.1, 0.7, 0.5 + random() * 0.3);
+    colors[i * 3] = color.r;
+    colors[i * 3 + 1] = color.g;
+    colors[i * 3 + 2] = color.b;
+  }
+
+  return { positions, colors };
+}
+
+// Annulus covering the Great Wave region, for the wireframe surface
+export function buildGreatWaveSurface(segments = 100, galaxyRadius = 25) {
+  return buildGrid(segments, (i, j) => {
+    const angle = (i / segments) * Math.PI * 2;
+    const radius = (0.6 + (j / segments) * 0.7) * galaxyRadius;
+    return [Math.cos(angle) * radius, Math.sin(angle) * radius];
+  });
+}
+
+// Vertical displacement of the Great Wave at (x, z) and time `t` (seconds).
+// A radial traveling wave plus an angular term that makes it spiral-like.
+export function greatWaveDisplacement(x, z, t, {
+  waveAmplitude = 0.4,
+  waveLength = 30,
+  waveSpeed = 0.05
+} = {}) {
+  const distance = Math.sqrt(x * x + z * z);
+  const wavePhase = (distance / waveLength) - (t * waveSpeed);
+  const waveValue = Math.sin(wavePhase * Math.PI * 2) * waveAmplitude;
+
+  const angle = Math.atan2(z, x);
+  const angularWave = Math.sin(angle * 2 + t * waveSpeed * 0.5) * waveAmplitude * 0.3;
+
+  return waveValue + angularWave;
+}
+
+// Galactocentric polar grid in the galactic plane, as vertex pairs for
+// LineSegments: rings every `ringSpacing` out to `radius`, and `spokeCount`
+// spokes from the center, the first at azimuth `spokeOffset`
+export function buildPolarGrid({
+  radius,
+  ringSpacing,
+  spokeCount = 12,
+  spokeOffset = 0,
+  segments = 96
+}) {
+  const ringRadii = [];
+  for (let r = ringSpacing; r <= radius + 1e-9; r += ringSpacing) {
+    ringRadii.push(r);
+  }
+
+  const positions = new Float32Array((ringRadii.length * segments + spokeCount) * 6);
+  let p = 0;
+  const push = (x, z) => {
+    positions[p++] = x;
+    positions[p++] = 0;
+    positions[p++] = z;
+  };
+
+  ringRadii.forEach((r) => {
+    for (let i = 0; i < segments; i++) {
+      const a0 = (i / segments) * Math.PI * 2;
+      const a1 = ((i + 1) / segments) * Math.PI * 2;
+      push(Math.cos(a0) * r, Math.sin(a0) * r);
+      push(Math.cos(a1) * r, Math.sin(a1) * r);
+    }
+  });
+
+  for (let k = 0; k < spokeCount; k++) {
+    const angle = spokeOffset + (k / spokeCount) * Math.PI * 2;
+    push(0, 0);
+    push(Math.cos(angle) * radius, Math.sin(angle) * radius);
+  }
+
+  return { positions, ringRadii };
+}
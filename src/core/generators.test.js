@@ -0,0 +1,195 @@
+import {
+  generateGalaxy,
+  buildWaveFieldGrid,
+  waveFieldHeight,
+  waveFieldGradient,
+  generateWaveParticles,
+  generateStars,
+  generateOrbitalZone,
+  generateGreatWaveParticles,
+  buildGreatWaveSurface,
+  greatWaveDisplacement,
+  buildPolarGrid
+} from './generators';
+import { COMPONENT_BULGE, COMPONENT_BAR, COMPONENT_ARM } from './physicalGalaxy';
+
+function everyTriple(array, check) {
+  for (let i = 0; i < array.length; i += 3) {
+    if (!check(array[i], array[i + 1], array[i + 2])) return false;
+  }
+  return true;
+}
+
+describe('generateGalaxy', () => {
+  const params = { particleCount: 3000, galaxyRadius: 25, bulgeSize: 3, seed: 42 };
+
+  it('returns one position and color per particle', () => {
+    const { positions, colors } = generateGalaxy(params);
+    expect(positions).toBeInstanceOf(Float32Array);
+    expect(colors).toBeInstanceOf(Float32Array);
+    expect(positions).toHaveLength(3000 * 3);
+    expect(colors).toHaveLength(3000 * 3);
+  });
+
+  it('keeps particles inside the galaxy disk', () => {
+    const { positions } = generateGalaxy(params);
+    // Positional jitter adds at most 0.15 on each horizontal axis
+    const maxRadius = params.galaxyRadius + 0.25;
+    expect(everyTriple(positions, (x, y, z) => Math.sqrt(x * x + z * z) <= maxRadius)).toBe(true);
+    expect(everyTriple(positions, (x, y) => Math.abs(y) <= params.bulgeSize)).toBe(true);
+  });
+
+  it('produces colors in the [0, 1] range', () => {
+    const { colors } = generateGalaxy(params);
+    expect(colors.every((c) => c >= 0 && c <= 1)).toBe(true);
+  });
+
+  it('is deterministic for a given seed', () => {
+    const a = generateGalaxy(params);
+    const b = generateGalaxy(params);
+    expect(Buffer.from(a.positions.buffer).equals(Buffer.from(b.positions.buffer))).toBe(true);
+    expect(Buffer.from(a.colors.buffer).equals(Buffer.from(b.colors.buffer))).toBe(true);
+  });
+
+  it('changes with the seed', () => {
+    const a = generateGalaxy(params);
+    const b = generateGalaxy({ ...params, seed: 43 });
+    expect(a.positions).not.toEqual(b.positions);
+  });
+
+  it('tags each star with its component and arm', () => {
+    const { positions, components, arms } = generateGalaxy({ ...params, armCount: 4, barLength: 8 });
+    expect(components).toHaveLength(3000);
+    expect(arms).toHaveLength(3000);
+    for (let i = 0; i < 3000; i++) {
+      const radius = Math.hypot(positions[i * 3], positions[i * 3 + 1], positions[i * 3 + 2]);
+      if (components[i] === COMPONENT_BULGE) {
+        // Bulge stars sit within bulgeSize, plus jitter
+        expect(radius).toBeLessThan(params.bulgeSize + 0.3);
+      }
+      expect(arms[i] >= 0).toBe(components[i] === COMPONENT_ARM);
+      expect(arms[i]).toBeLessThan(4);
+    }
+    expect(new Set(components)).toEqual(new Set([COMPONENT_BULGE, COMPONENT_BAR, COMPONENT_ARM]));
+  });
+});
+
+describe('buildWaveFieldGrid', () => {
+  it('builds a (segments + 1)² grid spanning the field', () => {
+    const { positions, normals, indices } = buildWaveFieldGrid(10, 100);
+    expect(positions).toHaveLength(11 * 11 * 3);
+    expect(normals).toHaveLength(11 * 11 * 3);
+    expect(indices).toHaveLength(10 * 10 * 6);
+    expect(everyTriple(positions, (x, y, z) => Math.abs(x) <= 50 && y === 0 && Math.abs(z) <= 50)).toBe(true);
+    expect(Math.max(...indices)).toBe(11 * 11 - 1);
+  });
+
+  it('switches to 32-bit indices past 16-bit vertex counts', () => {
+    expect(buildWaveFieldGrid(100).indices).toBeInstanceOf(Uint16Array);
+    const { indices } = buildWaveFieldGrid(512);
+    expect(indices).toBeInstanceOf(Uint32Array);
+    expect(indices[indices.length - 2]).toBe(513 * 513 - 1);
+  });
+});
+
+describe('waveFieldHeight', () => {
+  it('is bounded by the summed wave amplitudes', () => {
+    for (let i = 0; i < 100; i++) {
+      const h = waveFieldHeight(i - 50, 50 - i, i * 0.37, 0.5);
+      expect(Math.abs(h)).toBeLessThanOrEqual(8.5 * 0.5);
+    }
+  });
+});
+
+describe('waveFieldGradient', () => {
+  it('matches a finite-difference gradient of the height', () => {
+    const h = 1e-4;
+    [[3, -7, 1.2], [-20, 15, 4.5], [40, 0.5, 10]].forEach(([x, z, t]) => {
+      const [dx, dz] = waveFieldGradient(x, z, t, 0.8);
+      const fx = (waveFieldHeight(x + h, z, t, 0.8) - waveFieldHeight(x - h, z, t, 0.8)) / (2 * h);
+      const fz = (waveFieldHeight(x, z + h, t, 0.8) - waveFieldHeight(x, z - h, t, 0.8)) / (2 * h);
+      expect(dx).toBeCloseTo(fx, 5);
+      expect(dz).toBeCloseTo(fz, 5);
+    });
+  });
+});
+
+describe('generateWaveParticles', () => {
+  it('fills the wave volume deterministically', () => {
+    const a = generateWaveParticles({ count: 500, seed: 7 });
+    const b = generateWaveParticles({ count: 500, seed: 7 });
+    expect(a.positions).toHaveLength(1500);
+    expect(a.positions).toEqual(b.positions);
+    expect(a.colors).toEqual(b.colors);
+    expect(everyTriple(a.positions, (x, y, z) => Math.abs(x) <= 50 && Math.abs(y) <= 15 && Math.abs(z) <= 50)).toBe(true);
+  });
+});
+
+describe('generateStars', () => {
+  it('fills a 200-unit cube', () => {
+    const { positions } = generateStars({ count: 1000, seed: 1 });
+    expect(positions).toHaveLength(3000);
+    expect(positions.every((v) => Math.abs(v) <= 100)).toBe(true);
+  });
+});
+
+describe('generateOrbitalZone', () => {
+  it('keeps particles within the zone band with unit-ish directions', () => {
+    const { positions, colors, directions } = generateOrbitalZone({
+      color: '#ff4444',
+      minRadius: 5,
+      maxRadius: 10,
+      particleCount: 150,
+      seed: 9
+    });
+    expect(positions).toHaveLength(450);
+    expect(everyTriple(positions, (x, y, z) => {
+      const r = Math.sqrt(x * x + z * z);
+      return r >= 5 - 1e-4 && r <= 10 + 1e-4;
+    })).toBe(true);
+    expect(colors.every((c) => c >= 0 && c <= 1)).toBe(true);
+    expect(everyTriple(directions, (x, y, z) => Math.hypot(x, y, z) > 0.5)).toBe(true);
+  });
+});
+
+describe('Great Wave', () => {
+  it('places wave particles in the outer disk', () => {
+    const { positions } = generateGreatWaveParticles({ particleCount: 500, galaxyRadius: 20, seed: 5 });
+    expect(everyTriple(positions, (x, y, z) => {
+      const r = Math.sqrt(x * x + z * z);
+      return r >= 12 - 1e-4 && r <= 26 + 1e-4;
+    })).toBe(true);
+  });
+
+  it('builds an annular surface grid', () => {
+    const { positions, indices } = buildGreatWaveSurface(20, 20);
+    expect(positions).toHaveLength(21 * 21 * 3);
+    expect(indices).toHaveLength(20 * 20 * 6);
+  });
+
+  it('displaces stars by at most 1.3 times the amplitude', () => {
+    const wave = { waveAmplitude: 0.65, waveLength: 30, waveSpeed: 0.05 };
+    for (let i = 0; i < 100; i++) {
+      const d = greatWaveDisplacement(i * 0.4, -i * 0.3, i, wave);
+      expect(Math.abs(d)).toBeLessThanOrEqual(0.65 * 1.3 + 1e-9);
+    }
+    expect(greatWaveDisplacement(10, 5, 3, { ...wave, waveAmplitude: 0 })).toBe(0);
+  });
+});
+
+describe('buildPolarGrid', () => {
+  it('draws rings at each spacing and spokes out to the radius', () => {
+    const { positions, ringRadii } = buildPolarGrid({ radius: 10, ringSpacing: 2.5, spokeCount: 4, spokeOffset: 0.3, segments: 16 });
+    expect(ringRadii).toEqual([2.5, 5, 7.5, 10]);
+    expect(positions).toHaveLength((4 * 16 + 4) * 6);
+    expect(everyTriple(positions, (x, y) => y === 0)).toBe(true);
+
+    // Ring vertices sit on their ring
+    expect(Math.hypot(positions[0], positions[2])).toBeCloseTo(2.5, 5);
+    // The first spoke starts at the center and points along spokeOffset
+    const spoke = 4 * 16 * 6;
+    expect(Array.from(positions.slice(spoke, spoke + 3))).toEqual([0, 0, 0]);
+    expect(positions[spoke + 3]).toBeCloseTo(Math.cos(0.3) * 10, 5);
+    expect(positions[spoke + 5]).toBeCloseTo(Math.sin(0.3) * 10, 5);
+  });
+});
@@ -0,0 +1,228 @@
+import { createRandom, DEFAULT_SEED } from './random';
+import { generateOrbitalZone } from './generators';
+import { zoneAt } from './zones';
+
+// Radial migration of orbital zone stars by churning (Sellwood & Binney
+// 2002). A spiral pattern trades angular momentum with stars near its
+// corotation radius, where they keep their place relative to the arms, and
+// moves them inwards or outwards while their orbits stay circular. Patterns
+// are transient: two overlapping families of episodes, half an episode apart,
+// each place a pattern with its own corotation radius and phase, so over many
+// episodes every star random-walks in radius.
+//
+// The drift depends only on each star's position and the simulation time,
+// so stepping backwards retraces the way forwards, up to integration error,
+// and seeking lands close to where playing would have.
+
+// Simulated seconds one spiral episode lasts
+export const EPISODE_LENGTH = 40;
+
+// Radial speed at full strength, as a fraction of the pattern's circular speed
+const CHURN_RATE = 0.05;
+
+// Width of the churning region around corotation, as a fraction of the galaxy radius
+const CHURN_WIDTH = 0.12;
+
+// Range migrating stars stay within, as fractions of the galaxy radius
+const MIN_FRACTION = 0.02;
+const MAX_FRACTION = 1.5;
+
+// Stars of every zone, starting where the static zones put them. Each keeps
+// its origin zone's index and color however far it migrates. `time` is the
+// simulation time the stars start from.
+export function createMigration({ zones, galaxyRadius, starsPerZone = 150, seed = DEFAULT_SEED, time = 0 }) {
+  const count = zones.length * starsPerZone;
+  const radius = new Float32Array(count);
+  const azimuth = new Float32Array(count);
+  const height = new Float32Array(count);
+  const origin = new Uint8Array(count);
+  const colors = new Float32Array(count * 3);
+
+  zones.forEach((zone, z) => {
+    const stars = generateOrbitalZone({
+      color: zone.color,
+      minRadius: zone.innerFraction * galaxyRadius,
+      maxRadius: zone.outerFraction * galaxyRadius,
+      particleCount: starsPerZone,
+      seed
+    });
+    for (let s = 0; s < starsPerZone; s++) {
+      const i = z * starsPerZone + s;
+      const x = stars.positions[s * 3];
+      const y = stars.positions[s * 3 + 1];
+      const zPos = stars.positions[s * 3 + 2];
+      radius[i] = Math.hypot(x, zPos);
+      azimuth[i] = Math.atan2(zPos, x);
+      height[i] = y;
+      origin[i] = z;
+    }
+    colors.set(stars.colors, z * starsPerZone * 3);
+  });
+
+  // Corotation radii fall within the zones
+  const innerEdge = zones.reduce((edge, zone) => Math.min(edge, zone.innerFraction), Infinity);
+  const outerEdge = zones.reduce((edge, zone) => Math.max(edge, zone.outerFraction), 0);
+
+  const state = {
+    count,
+    radius,
+    azimuth,
+    height,
+    origin,
+    colors,
+    radialVelocity: new Float32Array(count),
+    positions: new Float32Array(count * 3),
+    galaxyRadius,
+    innerEdge: count ? innerEdge * galaxyRadius : 0,
+    outerEdge: count ? outerEdge * galaxyRadius : 0,
+    seed,
+    time
+  };
+  updatePositions(state);
+  return state;
+}
+
+// The spiral pattern of one family at `time`: its corotation radius, angle,
+// and radial speed amplitude, which swells and fades over the episode.
+// `angularSpeed(R)` is the circular angular speed at radius R.
+export function churnPattern(state, family, time, angularSpeed) {
+  const phase = time / EPISODE_LENGTH + family / 2;
+  const episode = Math.floor(phase);
+  const random = createRandom(state.seed, `churn:${family}:${episode}`);
+  const corotation = state.innerEdge + random() * (state.outerEdge - state.innerEdge);
+  const patternSpeed = angularSpeed(corotation);
+  const envelope = Math.sin(Math.PI * (phase - episode)) ** 2;
+  return {
+    corotation,
+    // Patterns turn with the stars, towards decreasing azimuth
+    angle: random() * 2 * Math.PI - patternSpeed * time,
+    amplitude: CHURN_RATE * Math.abs(patternSpeed) * corotation * envelope
+  };
+}
+
+function updatePositions(state) {
+  const { count, radius, azimuth, height, positions } = state;
+  for (let i = 0; i < count; i++) {
+    positions[i * 3] = Math.cos(azimuth[i]) * radius[i];
+    positions[i * 3 + 1] = height[i];
+    positions[i * 3 + 2] = Math.sin(azimuth[i]) * radius[i];
+  }
+}
+
+// Advance the stars by `dt` (negative runs backwards), in substeps no longer
+// than `maxStep`. Each star turns at the circular angular speed of its
+// current radius and drifts radially under both patterns' churning, scaled
+// by `strength`; `armCount` is the patterns' number of arms.
+export function stepMigration(state, dt, { angularSpeed, strength = 1, armCount = 4, maxStep = 0.1 }) {
+  const { count, radius, azimuth, radialVelocity, galaxyRadius } = state;
+  const steps = Math.max(1, Math.ceil(Math.abs(dt) / maxStep));
+  const h = dt / steps;
+  const width = CHURN_WIDTH * galaxyRadius;
+  const minRadius = MIN_FRACTION * galaxyRadius;
+  const maxRadius = MAX_FRACTION * galaxyRadius;
+  const clamp = (r) => Math.min(maxRadius, Math.max(minRadius, r));
+
+  // Radial speed of a star at (r, azimuth) under both patterns
+  const churnDrift = (patterns, r, angle) => {
+    let drift = 0;
+    for (const pattern of patterns) {
+      const offset = (r - pattern.corotation) / width;
+      drift += pattern.amplitude * Math.exp(-offset * offset) * Math.sin(armCount * (angle - pattern.angle));
+    }
+    return drift * strength;
+  };
+
+  for (let s = 0; s < steps; s++) {
+    // Patterns at the middle of the substep
+    const mid = state.time + h / 2;
+    const patterns = [0, 1].map((family) => churnPattern(state, family, mid, angularSpeed));
+
+    // Half a drift either side of the turn keeps the step symmetric in time
+    for (let i = 0; i < count; i++) {
+      radius[i] = clamp(radius[i] + churnDrift(patterns, radius[i], azimuth[i]) * h / 2);
+      azimuth[i] -= angularSpeed(radius[i]) * h;
+      const drift = churnDrift(patterns, radius[i], azimuth[i]);
+      radius[i] = clamp(radius[i] + drift * h / 2);
+      radialVelocity[i] = drift;
+    }
+    state.time += h;
+  }
+
+  updatePositions(state);
+  return state;
+}
+
+// How the zones are populated now: counts[current][origin] stars of each
+// origin zone inside each zone, with a last row for stars between or beyond
+// every zone
+export function zonePopulations(state, zones) {
+  const counts = Array.from({ length: zones.length + 1 }, () => new Array(zones.length).fill(0));
+  for (let i = 0; i < state.count; i++) {
+    const current = zoneAt(zones, state.radius[i] / state.galaxyRadius);
+    counts[current === -1 ? zones.length : current][state.origin[i]] += 1;
+  }
+  return counts;
+}
+
+// Fading trails behind each star: the last `length` positions, sampled as
+// time passes. The newest segment ends at the star's current position.
+export function createTrails(count, length) {
+  return {
+    count,
+    length,
+    samples: new Float32Array(count * length * 3),
+    // Ring buffer slot of the newest sample, and how many slots hold one
+    head: -1,
+    filled: 0,
+    positions: new Float32Array(count * length * 2 * 3),
+    colors: new Float32Array(count * length * 2 * 3)
+  };
+}
+
+// Record the stars' current positions as the newest sample
+export function recordTrails(trails, positions) {
+  const { count, length, samples } = trails;
+  trails.head = (trails.head + 1) % length;
+  samples.set(positions.subarray(0, count * 3), trails.head * count * 3);
+  trails.filled = Math.min(length, trails.filled + 1);
+  return trails;
+}
+
+// Forget every sample, e.g. after a jump along the timeline
+export function clearTrails(trails) {
+  trails.head = -1;
+  trails.filled = 0;
+  return trails;
+}
+
+// Fill the trails' line segment buffers, newest segments first, fading from
+// each star's color to black over the trail's length. Returns the number of
+// vertices to draw.
+export function buildTrailSegments(trails, positions, colors) {
+  const { count, length, samples, head, filled } = trails;
+  const out = trails.positions;
+  const outColors = trails.colors;
+
+  // Ring buffer offset of the sample `age` samples older than the newest
+  const sampleOffset = (age) => (((head - age) % length + length) % length) * count * 3;
+
+  // Segment k runs from the current position (k = 0) or the kth newest
+  // sample to the next older sample
+  for (let k = 0; k < filled; k++) {
+    const from = k === 0 ? positions : samples;
+    const fromBase = k === 0 ? 0 : sampleOffset(k - 1);
+    const toBase = sampleOffset(k);
+    const fadeStart = 1 - k / length;
+    const fadeEnd = 1 - (k + 1) / length;
+    for (let i = 0; i < count; i++) {
+      const vertex = (k * count + i) * 6;
+      for (let c = 0; c < 3; c++) {
+        out[vertex + c] = from[fromBase + i * 3 + c];
+        out[vertex + 3 + c] = samples[toBase + i * 3 + c];
+        outColors[vertex + c] = colors[i * 3 + c] * fadeStart;
+        outColors[vertex + 3 + c] = colors[i * 3 + c] * fadeEnd;
+      }
+    }
+  }
+  return filled * count * 2;
+}
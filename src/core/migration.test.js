@@ -0,0 +1,79 @@
+import { DEFAULT_PARAMS } from './params';
+import {
+  createMigration,
+  stepMigration,
+  zonePopulations,
+  createTrails,
+  recordTrails,
+  clearTrails,
+  buildTrailSegments,
+  EPISODE_LENGTH
+} from './migration';
+
+const zones = DEFAULT_PARAMS.orbitalZones;
+const galaxyRadius = 25;
+const angularSpeed = () => 0.2;
+
+describe('createMigration', () => {
+  it('starts every star inside its origin zone', () => {
+    const state = createMigration({ zones, galaxyRadius, starsPerZone: 20 });
+    expect(state.count).toBe(120);
+    const counts = zonePopulations(state, zones);
+    zones.forEach((zone, z) => expect(counts[z][z]).toBe(20));
+    expect(counts[zones.length].every((n) => n === 0)).toBe(true);
+  });
+});
+
+describe('stepMigration', () => {
+  it('moves stars between zones and keeps their origin', () => {
+    const state = createMigration({ zones, galaxyRadius, starsPerZone: 50 });
+    const origin = state.origin.slice();
+    stepMigration(state, 4 * EPISODE_LENGTH, { angularSpeed, strength: 3 });
+
+    const counts = zonePopulations(state, zones);
+    const migrated = counts.reduce((sum, row, current) => sum + row.reduce((s, n, o) => s + (o === current ? 0 : n), 0), 0);
+    expect(migrated).toBeGreaterThan(0);
+    expect(Array.from(state.origin)).toEqual(Array.from(origin));
+
+    // Orbits stay circular and in the plane, with positions following the radii
+    const i = 7;
+    expect(Math.hypot(state.positions[i * 3], state.positions[i * 3 + 2])).toBeCloseTo(state.radius[i], 4);
+  });
+
+  it('retraces its steps when run backwards and does nothing at zero strength', () => {
+    const state = createMigration({ zones, galaxyRadius, starsPerZone: 20 });
+    const start = state.radius.slice();
+    for (let n = 0; n < 100; n++) stepMigration(state, 0.1, { angularSpeed });
+    for (let n = 0; n < 100; n++) stepMigration(state, -0.1, { angularSpeed });
+    state.radius.forEach((r, i) => expect(r).toBeCloseTo(start[i], 2));
+    expect(state.time).toBeCloseTo(0);
+
+    const still = createMigration({ zones, galaxyRadius, starsPerZone: 20 });
+    stepMigration(still, 50, { angularSpeed, strength: 0 });
+    expect(Array.from(still.radius)).toEqual(Array.from(start));
+  });
+});
+
+describe('trails', () => {
+  it('builds fading segments from the current position back through the samples', () => {
+    const trails = createTrails(1, 3);
+    const colors = Float32Array.from([1, 0.5, 0]);
+    expect(buildTrailSegments(trails, Float32Array.from([0, 0, 0]), colors)).toBe(0);
+
+    recordTrails(trails, Float32Array.from([1, 0, 0]));
+    recordTrails(trails, Float32Array.from([2, 0, 0]));
+    expect(buildTrailSegments(trails, Float32Array.from([3, 0, 0]), colors)).toBe(4);
+    expect(Array.from(trails.positions.slice(0, 12))).toEqual([3, 0, 0, 2, 0, 0, 2, 0, 0, 1, 0, 0]);
+    expect(trails.colors[0]).toBe(1);
+    expect(trails.colors[3]).toBeCloseTo(2 / 3);
+    expect(trails.colors[9]).toBeCloseTo(1 / 3);
+
+    // The oldest sample drops out once the buffer is full
+    recordTrails(trails, Float32Array.from([3, 0, 0]));
+    recordTrails(trails, Float32Array.from([4, 0, 0]));
+    expect(buildTrailSegments(trails, Float32Array.from([5, 0, 0]), colors)).toBe(6);
+    expect(trails.positions[15]).toBe(2);
+
+    expect(buildTrailSegments(clearTrails(trails), Float32Array.from([5, 0, 0]), colors)).toBe(0);
+  });
+});
@@ -0,0 +1,361 @@
+import { DEFAULT_SEED } from './random';
+
+// Every parameter accepted by MilkyWayVisualization, with its default and the
+// range of the slider that edits it. The panel, URL state and presets all
+// validate against this table.
+export const PARAM_DEFS = {
+  // Shared seed for every particle generator
+  seed: { type: 'integer', default: DEFAULT_SEED, min: 0, max: 4294967295 },
+
+  // Galaxy params
+  galaxyParticleCount: { type: 'number', default: 8000, min: 2000, max: 15000, step: 500 },
+  galaxyRadius: { type: 'number', default: 25, min: 10, max: 50, step: 1 },
+  galaxyRotationSpeed: { type: 'number', default: 0.2, min: 0, max: 1, step: 0.05 },
+  armCount: { type: 'number', default: 4, min: 2, max: 6, step: 1 },
+  barLength: { type: 'number', default: 8, min: 0, max: 15, step: 1 },
+  bulgeSize: { type: 'number', default: 3, min: 1, max: 8, step: 0.5 },
+  coreGlow: { type: 'number', default: 0.3, min: 0, max: 1, step: 0.05 },
+  spiralTightness: { type: 'number', default: 0.5, min: 0.1, max: 2, step: 0.1 },
+
+  // Physical galaxy model params (used when galaxyModel is 'physical')
+  galaxyModel: { type: 'enum', default: 'stylized', options: ['stylized', 'physical'] },
+  diskScaleLength: { type: 'number', default: 8, min: 2, max: 20, step: 0.5 },
+  diskScaleHeight: { type: 'number', default: 0.3, min: 0.05, max: 2, step: 0.05 },
+  bulgeEffectiveRadius: { type: 'number', default: 2, min: 0.5, max: 8, step: 0.25 },
+  sersicIndex: { type: 'number', default: 2, min: 0.5, max: 6, step: 0.5 },
+  bulgeFraction: { type: 'number', default: 0.15, min: 0, max: 0.6, step: 0.05 },
+  barFraction: { type: 'number', default: 0.1, min: 0, max: 0.4, step: 0.05 },
+  barAxisRatio: { type: 'number', default: 0.4, min: 0.1, max: 1, step: 0.05 },
+  barVerticalRatio: { type: 'number', default: 0.3, min: 0.1, max: 1, step: 0.05 },
+  barAngle: { type: 'number', default: 27, min: 0, max: 180, step: 1 },
+  pitchAngle: { type: 'number', default: 12, min: 5, max: 40, step: 1 },
+  armWidth: { type: 'number', default: 1.2, min: 0.2, max: 5, step: 0.1 },
+  armFraction: { type: 'number', default: 0.6, min: 0, max: 1, step: 0.05 },
+
+  // Stellar motion params: rigid rotation or orbits integrated in a
+  // bulge + disk + halo potential (G = 1, scene units)
+  motionModel: { type: 'enum', default: 'rigid', options: ['rigid', 'orbits'] },
+  bulgeMass: { type: 'number', default: 20, min: 0, max: 100, step: 1 },
+  bulgeScaleRadius: { type: 'number', default: 1, min: 0.2, max: 5, step: 0.1 },
+  diskMass: { type: 'number', default: 60, min: 0, max: 200, step: 5 },
+  diskPotentialLength: { type: 'number', default: 5, min: 1, max: 15, step: 0.5 },
+  diskPotentialHeight: { type: 'number', default: 0.3, min: 0.05, max: 3, step: 0.05 },
+  haloPotential: { type: 'enum', default: 'profile', options: ['profile', 'logarithmic'] },
+  haloVelocity: { type: 'number', default: 2, min: 0, max: 5, step: 0.1 },
+  haloCoreRadius: { type: 'number', default: 3, min: 0.5, max: 20, step: 0.5 },
+  velocityDispersion: { type: 'number', default: 0.08, min: 0, max: 0.5, step: 0.01 },
+  orbitTimeScale: { type: 'number', default: 1, min: 0, max: 5, step: 0.1 },
+
+  // Dark matter halo params (NFW or Einasto; also the 'profile' halo potential)
+  showDarkMatterHalo: { type: 'boolean', default: false },
+  haloProfile: { type: 'enum', default: 'nfw', options: ['nfw', 'einasto'] },
+  haloMass: { type: 'number', default: 400, min: 0, max: 2000, step: 10 },
+  haloScaleRadius: { type: 'number', default: 10, min: 2, max: 40, step: 0.5 },
+  haloConcentration: { type: 'number', default: 6, min: 2, max: 20, step: 0.5 },
+  haloFlattening: { type: 'number', default: 0.8, min: 0.3, max: 1, step: 0.05 },
+  einastoAlpha: { type: 'number', default: 0.17, min: 0.1, max: 0.5, step: 0.01 },
+  haloParticleCount: { type: 'number', default: 4000, min: 500, max: 20000, step: 500 },
+  haloColor: { type: 'color', default: '#7a5cff' },
+  haloOpacity: { type: 'number', default: 0.35, min: 0, max: 1, step: 0.05 },
+  showHaloShell: { type: 'boolean', default: false },
+  haloShellRadius: { type: 'number', default: 1, min: 0.25, max: 5, step: 0.25 },
+
+  // Wave field params
+  showWaveField: { type: 'boolean', default: true },
+  waveFieldSegments: { type: 'number', default: 60, min: 30, max: 1000, step: 5 },
+  waveIntensity: { type: 'number', default: 0.5, min: 0, max: 2, step: 0.1 },
+  waveSpeed: { type: 'number', default: 0.5, min: 0, max: 2, step: 0.1 },
+  waveColor: { type: 'color', default: '#1a1a3a' },
+  waveOpacity: { type: 'number', default: 0.6, min: 0, max: 1, step: 0.05 },
+
+  // Wave particles params
+  showWaveParticles: { type: 'boolean', default: true },
+  waveParticleCount: { type: 'number', default: 2000, min: 500, max: 5000, step: 100 },
+  connectionDistance: { type: 'number', default: 8, min: 3, max: 15, step: 1 },
+  maxConnections: { type: 'number', default: 500, min: 100, max: 1000, step: 50 },
+  particleWaveIntensity: { type: 'number', default: 5, min: 1, max: 15, step: 0.5 },
+  particleWaveSpeed: { type: 'number', default: 0.5, min: 0, max: 2, step: 0.1 },
+  particleColor: { type: 'color', default: '#4a4aff' },
+  connectionOpacity: { type: 'number', default: 0.15, min: 0, max: 1, step: 0.05 },
+  connectionRefreshInterval: { type: 'number', default: 1, min: 1, max: 30, step: 1 },
+
+  // Stars params
+  starCount: { type: 'number', default: 5000, min: 1000, max: 10000, step: 500 },
+  starColor: { type: 'color', default: '#ffffff' },
+
+  // Movement params: the galaxy frame follows a sinusoid with straight drift,
+  // or a spline through user-placed [x, y, z] points
+  movementSpeed: { type: 'number', default: 0.1, min: 0, max: 0.5, step: 0.01 },
+  enableMovement: { type: 'boolean', default: true },
+  trajectoryModel: { type: 'enum', default: 'sinusoid', options: ['sinusoid', 'spline'] },
+  trajectoryPath: {
+    type: 'path',
+    default: [[-30, 0, -20], [0, 0, -35], [30, 0, -10], [20, 0, 25], [-25, 0, 20]],
+    minPoints: 2,
+    maxPoints: 32,
+    extent: 100
+  },
+  trajectoryClosed: { type: 'boolean', default: true },
+  showTrajectory: { type: 'boolean', default: false },
+
+  // Camera params. Tour keyframes are [position, target] pairs relative to
+  // the galaxy frame.
+  cameraMode: { type: 'enum', default: 'orbit', options: ['orbit', 'follow', 'fly', 'tour'] },
+  flySpeed: { type: 'number', default: 15, min: 2, max: 60, step: 1 },
+  tourKeyframes: {
+    type: 'path',
+    pointSize: 6,
+    default: [[0, 15, 40, 0, 0, 0], [40, 20, 0, 0, 0, 0], [0, 45, -30, 0, 0, 0], [-35, 8, 10, 0, 0, 0]],
+    minPoints: 2,
+    maxPoints: 32,
+    extent: 200
+  },
+  tourSegmentDuration: { type: 'number', default: 6, min: 2, max: 30, step: 1 },
+
+  // Orbital zones params. Each zone is a ring of marker stars between
+  // innerFraction and outerFraction of the galaxy radius; `speed` multiplies
+  // the galaxy's rotation speed under rigid rotation, while integrated orbits
+  // turn each zone at the circular speed of its mid radius instead.
+  // Separators are drawn at every zone boundary.
+  showOrbitalZones: { type: 'boolean', default: true },
+  orbitalZones: {
+    type: 'zones',
+    default: [
+      { name: 'Bulge edge', color: '#ff4444', innerFraction: 0.12, outerFraction: 0.25, speed: 1.5 },
+      { name: 'Bar end', color: '#aa44ff', innerFraction: 0.25, outerFraction: 0.4, speed: 1.2 },
+      { name: 'Inner disk', color: '#ff44aa', innerFraction: 0.4, outerFraction: 0.55, speed: 1 },
+      { name: 'Solar circle', color: '#44ff44', innerFraction: 0.55, outerFraction: 0.7, speed: 0.9 },
+      { name: 'Outer disk', color: '#ffaa44', innerFraction: 0.7, outerFraction: 0.85, speed: 0.8 },
+      { name: 'Disk edge', color: '#ffff44', innerFraction: 0.85, outerFraction: 1, speed: 0.7 }
+    ],
+    maxZones: 12,
+    maxFraction: 1.5,
+    maxSpeed: 5,
+    maxNameLength: 40
+  },
+  showZoneSeparators: { type: 'boolean', default: true },
+  showZoneLegend: { type: 'boolean', default: true },
+  // Radial migration: zone stars churned by transient spiral patterns
+  // (core/migration.js), keeping their origin zone's color. Trails hold
+  // migrationTrailLength samples.
+  zoneMigration: { type: 'boolean', default: false },
+  migrationStrength: { type: 'number', default: 1, min: 0, max: 5, step: 0.1 },
+  showMigrationTrails: { type: 'boolean', default: true },
+  migrationTrailLength: { type: 'number', default: 20, min: 4, max: 60, step: 1 },
+  // Velocity field of the zones (core/velocityField.js): arrows or
+  // streamlines on a lattice of velocityFieldDensity rings per galaxy radius
+  showVelocityField: { type: 'boolean', default: true },
+  velocityFieldMode: { type: 'enum', default: 'arrows', options: ['arrows', 'streamlines'] },
+  velocityFieldDensity: { type: 'number', default: 12, min: 4, max: 30, step: 1 },
+  velocityColorBySpeed: { type: 'boolean', default: false },
+  showGalacticCenter: { type: 'boolean', default: true },
+  showSunMarker: { type: 'boolean', default: true },
+
+  // Great Wave params (from IFLScience article)
+  showGreatWave: { type: 'boolean', default: true },
+  greatWaveParticleCount: { type: 'number', default: 2000, min: 500, max: 150000, step: 500 },
+  greatWaveAmplitude: { type: 'number', default: 0.4, min: 0, max: 2, step: 0.05 },
+  greatWaveLength: { type: 'number', default: 30, min: 10, max: 50, step: 1 },
+  greatWaveSpeed: { type: 'number', default: 0.05, min: 0, max: 0.2, step: 0.005 },
+  showGreatWaveSurface: { type: 'boolean', default: false },
+  // 'ripple' is the stylized wave above; 'disk' displaces the galaxy's own
+  // outer disk by the warp, flare and corrugation model in core/diskWave.js,
+  // with lengths in light-years between the region's inner and outer radii
+  greatWaveModel: { type: 'enum', default: 'ripple', options: ['ripple', 'disk'] },
+  diskWaveInnerLy: { type: 'number', default: 30000, min: 10000, max: 80000, step: 1000 },
+  diskWaveOuterLy: { type: 'number', default: 65000, min: 20000, max: 120000, step: 1000 },
+  diskWarp: { type: 'boolean', default: true },
+  warpAmplitudeLy: { type: 'number', default: 5000, min: 0, max: 15000, step: 100 },
+  warpNodesAngle: { type: 'number', default: 0, min: 0, max: 360, step: 5 },
+  diskFlare: { type: 'boolean', default: true },
+  flareScaleLengthLy: { type: 'number', default: 15000, min: 5000, max: 60000, step: 1000 },
+  diskCorrugation: { type: 'boolean', default: true },
+  corrugationAmplitudeLy: { type: 'number', default: 650, min: 0, max: 3000, step: 50 },
+  corrugationWavelengthLy: { type: 'number', default: 15000, min: 5000, max: 60000, step: 1000 },
+  corrugationPatternSpeed: { type: 'number', default: 0.05, min: -0.5, max: 0.5, step: 0.01 },
+
+  // Units and overlays: one scene unit is kpcPerUnit kiloparsecs, and panel
+  // labels show lengths in distanceUnit. Grid rings are spaced in kpc.
+  kpcPerUnit: { type: 'number', default: 0.5, min: 0.1, max: 2, step: 0.05 },
+  distanceUnit: { type: 'enum', default: 'kpc', options: ['kpc', 'ly'] },
+  showGrid: { type: 'boolean', default: false },
+  gridRingSpacing: { type: 'number', default: 1, min: 0.5, max: 5, step: 0.5 },
+  showScaleBar: { type: 'boolean', default: true },
+
+  // Post-processing (components/PostProcessing.jsx): the scene is drawn in
+  // HDR, dimmed by the arms' dust lanes (core/dustLanes.js), bloomed, tone
+  // mapped at `exposure`, then given chromatic aberration and a vignette.
+  // Off by default, so the default look is unchanged; bloom, aberration and
+  // vignette are off at 0.
+  postProcessing: { type: 'boolean', default: false },
+  bloomStrength: { type: 'number', default: 0.8, min: 0, max: 3, step: 0.05 },
+  bloomRadius: { type: 'number', default: 0.4, min: 0, max: 1, step: 0.05 },
+  bloomThreshold: { type: 'number', default: 0.7, min: 0, max: 2, step: 0.05 },
+  toneMapping: { type: 'enum', default: 'aces', options: ['aces', 'agx', 'neutral', 'reinhard', 'none'] },
+  exposure: { type: 'number', default: 1, min: 0.1, max: 4, step: 0.05 },
+  dustLanes: { type: 'boolean', default: true },
+  dustOpacity: { type: 'number', default: 1.5, min: 0, max: 5, step: 0.1 },
+  chromaticAberration: { type: 'number', default: 0, min: 0, max: 1, step: 0.05 },
+  vignette: { type: 'number', default: 0, min: 0, max: 1, step: 0.05 }
+};
+
+export const PARAM_KEYS = Object.keys(PARAM_DEFS);
+
+export const DEFAULT_PARAMS = Object.fromEntries(
+  PARAM_KEYS.map((key) => [key, PARAM_DEFS[key].default])
+);
+
+const COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+
+// A zone from its URL form "name,#rrggbb,inner,outer,speed", with the name
+// URI-encoded; null when it doesn't have that shape
+function parseZone(text) {
+  const fields = text.split(',');
+  if (fields.length !== 5) return null;
+  let name;
+  try {
+    name = decodeURIComponent(fields[0]);
+  } catch (err) {
+    return null;
+  }
+  const [innerFraction, outerFraction, speed] = fields.slice(2).map((part) => (part.trim() === '' ? NaN : Number(part)));
+  return { name, color: fields[1], innerFraction, outerFraction, speed };
+}
+
+// What's wrong with one zone, or null
+function zoneProblem(zone, def) {
+  if (!zone || typeof zone !== 'object') {
+    return 'must be { name, color, innerFraction, outerFraction, speed }';
+  }
+  const { name, color, innerFraction, outerFraction, speed } = zone;
+  if (typeof name !== 'string' || name.length > def.maxNameLength) {
+    return `needs a name of at most ${def.maxNameLength} characters`;
+  }
+  if (typeof color !== 'string' || !COLOR_PATTERN.test(color)) {
+    return `needs a #rrggbb color, got ${JSON.stringify(color)}`;
+  }
+  const fractions = [innerFraction, outerFraction];
+  if (!fractions.every((f) => typeof f === 'number' && f >= 0 && f <= def.maxFraction)) {
+    return `fractions must be numbers between 0 and ${def.maxFraction}`;
+  }
+  if (innerFraction >= outerFraction) {
+    return 'must have innerFraction below outerFraction';
+  }
+  if (typeof speed !== 'number' || !(Math.abs(speed) <= def.maxSpeed)) {
+    return `speed must be a number between -${def.maxSpeed} and ${def.maxSpeed}`;
+  }
+  return null;
+}
+
+// Check a single value against its definition. Strings (as they come out of a
+// URL) are coerced to the parameter's type first. Returns `{ value }` when the
+// value is acceptable, `{ error }` otherwise.
+export function validateParam(key, raw) {
+  const def = PARAM_DEFS[key];
+  if (!def) {
+    return { error: `Unknown parameter "${key}"` };
+  }
+
+  switch (def.type) {
+    case 'boolean': {
+      if (typeof raw === 'boolean') return { value: raw };
+      if (raw === 'true' || raw === '1') return { value: true };
+      if (raw === 'false' || raw === '0') return { value: false };
+      return { error: `"${key}" must be true or false, got ${JSON.stringify(raw)}` };
+    }
+    case 'color': {
+      if (typeof raw === 'string' && COLOR_PATTERN.test(raw)) return { value: raw.toLowerCase() };
+      return { error: `"${key}" must be a #rrggbb color, got ${JSON.stringify(raw)}` };
+    }
+    case 'enum': {
+      if (def.options.includes(raw)) return { value: raw };
+      return { error: `"${key}" must be one of ${def.options.join(', ')}, got ${JSON.stringify(raw)}` };
+    }
+    case 'path': {
+      // URLs carry paths as "x,y,z;x,y,z;..."
+      const size = def.pointSize || 3;
+      const points = typeof raw === 'string'
+        ? raw.split(';').map((point) => point.split(',').map((part) => (part.trim() === '' ? NaN : Number(part))))
+        : raw;
+      if (!Array.isArray(points) || !points.every((p) => Array.isArray(p) && p.length === size && p.every(Number.isFinite))) {
+        const shape = size === 3 ? '[x, y, z] points' : `points of ${size} numbers`;
+        return { error: `"${key}" must be a list of ${shape}, got ${JSON.stringify(raw)}` };
+      }
+      if (points.length < def.minPoints || points.length > def.maxPoints) {
+        return { error: `"${key}" must have between ${def.minPoints} and ${def.maxPoints} points, got ${points.length}` };
+      }
+      if (points.some((p) => p.some((v) => Math.abs(v) > def.extent))) {
+        return { error: `"${key}" points must stay within ±${def.extent}` };
+      }
+      return { value: points.map((p) => p.slice()) };
+    }
+    case 'zones': {
+      // URLs carry zones as "name,#rrggbb,inner,outer,speed;..."
+      const zones = typeof raw === 'string' ? (raw === '' ? [] : raw.split(';').map(parseZone)) : raw;
+      if (!Array.isArray(zones)) {
+        return { error: `"${key}" must be a list of zones, got ${JSON.stringify(raw)}` };
+      }
+      if (zones.length > def.maxZones) {
+        return { error: `"${key}" can have at most ${def.maxZones} zones, got ${zones.length}` };
+      }
+      for (let i = 0; i < zones.length; i++) {
+        const problem = zoneProblem(zones[i], def);
+        if (problem) return { error: `"${key}" zone ${i + 1} ${problem}` };
+      }
+      return {
+        value: zones.map(({ name, color, innerFraction, outerFraction, speed }) => ({
+          name, color: color.toLowerCase(), innerFraction, outerFraction, speed
+        }))
+      };
+    }
+    case 'number':
+    case 'integer': {
+      const value = typeof raw === 'string' && raw.trim() !== '' ? Number(raw) : raw;
+      if (typeof value !== 'number' || !Number.isFinite(value)) {
+        return { error: `"${key}" must be a number, got ${JSON.stringify(raw)}` };
+      }
+      if (def.type === 'integer' && !Number.isInteger(value)) {
+        return { error: `"${key}" must be an integer, got ${value}` };
+      }
+      if (value < def.min || value > def.max) {
+        return { error: `"${key}" must be between ${def.min} and ${def.max}, got ${value}` };
+      }
+      return { value };
+    }
+    default:
+      return { error: `"${key}" has an unsupported type` };
+  }
+}
+
+// Text form of a value for the URL hash; the inverse of validateParam's
+// string coercion
+export function formatParam(key, value) {
+  const def = PARAM_DEFS[key];
+  if (def && def.type === 'path') {
+    return value.map((point) => point.join(',')).join(';');
+  }
+  if (def && def.type === 'zones') {
+    return value.map((zone) => [
+      encodeURIComponent(zone.name), zone.color, zone.innerFraction, zone.outerFraction, zone.speed
+    ].join(',')).join(';');
+  }
+  return String(value);
+}
+
+// Validate a partial parameter object. Valid entries are merged over
+// `base`; invalid or unknown ones are reported in `errors` and skipped.
+export function sanitizeParams(raw, base = DEFAULT_PARAMS) {
+  const params = { ...base };
+  const errors = [];
+
+  Object.keys(raw || {}).forEach((key) => {
+    const { value, error } = validateParam(key, raw[key]);
+    if (error) {
+      errors.push(error);
+    } else {
+      params[key] = value;
+    }
+  });
+
+  return { params, errors };
+}
@@ -0,0 +1,175 @@
+import { Color } from 'three';
+import { createRandom, DEFAULT_SEED } from './random';
+
+// Physically motivated alternative to the stylized galaxy generator:
+// an exponential disk (sech² vertical profile), a Sérsic bulge, a triaxial
+// bar and logarithmic spiral arms with a pitch angle in degrees.
+// Lengths are in scene units, like every other generator.
+
+export const COMPONENT_BULGE = 0;
+export const COMPONENT_BAR = 1;
+export const COMPONENT_DISK = 2;
+export const COMPONENT_ARM = 3;
+
+// Standard normal deviate (Box-Muller)
+function gaussian(random) {
+  const u = 1 - random();
+  const v = random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+// Gamma(shape, 1) deviate (Marsaglia-Tsang, boosted for shape < 1)
+export function sampleGamma(random, shape) {
+  if (shape < 1) {
+    return sampleGamma(random, shape + 1) * Math.pow(random(), 1 / shape);
+  }
+  const d = shape - 1 / 3;
+  const c = 1 / Math.sqrt(9 * d);
+  for (;;) {
+    let x;
+    let v;
+    do {
+      x = gaussian(random);
+      v = 1 + c * x;
+    } while (v <= 0);
+    v = v * v * v;
+    const u = random();
+    if (u < 1 - 0.0331 * x * x * x * x) return d * v;
+    if (Math.log(u) < 0.5 * x * x + d * (1 - v + Math.log(v))) return d * v;
+  }
+}
+
+// b_n such that the effective radius encloses half the Sérsic light
+// (Ciotti & Bertin 1999 expansion)
+export function sersicB(n) {
+  return 2 * n - 1 / 3 + 4 / (405 * n) + 46 / (25515 * n * n);
+}
+
+// Radius drawn from a Sérsic profile I(R) ∝ exp(-b_n (R / Re)^(1/n)).
+// With x = b_n (R / Re)^(1/n) the enclosed-light density is Gamma(2n).
+export function sampleSersicRadius(random, effectiveRadius, n) {
+  const x = sampleGamma(random, 2 * n);
+  return effectiveRadius * Math.pow(x / sersicB(n), n);
+}
+
+// Radius drawn from an exponential disk Σ(R) ∝ exp(-R / Rd), i.e. Gamma(2, Rd),
+// redrawn until it falls inside `maxRadius`
+export function sampleDiskRadius(random, scaleLength, maxRadius) {
+  for (let attempt = 0; attempt < 32; attempt++) {
+    const radius = -scaleLength * Math.log((1 - random()) * (1 - random()));
+    if (radius <= maxRadius) return radius;
+  }
+  return random() * maxRadius;
+}
+
+// Height above the plane from a sech²(z / hz) profile
+export function sampleSech2Height(random, scaleHeight) {
+  const u = Math.min(Math.max(random(), 1e-9), 1 - 1e-9);
+  return scaleHeight * Math.atanh(2 * u - 1);
+}
+
+// Azimuth of arm `k` at radius `radius` for a logarithmic spiral starting at
+// `startRadius`: θ = θk + ln(R / R0) / tan(pitch)
+export function logSpiralAngle(radius, k, armCount, startRadius, pitchAngle) {
+  const pitch = (pitchAngle * Math.PI) / 180;
+  return (k / armCount) * Math.PI * 2 + Math.log(radius / startRadius) / Math.tan(pitch);
+}
+
+export function generatePhysicalGalaxy({
+  particleCount = 8000,
+  galaxyRadius = 25,
+  armCount = 4,
+  barLength = 8,
+  diskScaleLength = 8,
+  diskScaleHeight = 0.3,
+  bulgeEffectiveRadius = 2,
+  sersicIndex = 2,
+  bulgeFraction = 0.15,
+  barFraction = 0.1,
+  barAxisRatio = 0.4,
+  barVerticalRatio = 0.3,
+  barAngle = 27,
+  pitchAngle = 12,
+  armWidth = 1.2,
+  armFraction = 0.6,
+  seed = DEFAULT_SEED
+} = {}) {
+  const random = createRandom(seed, 'physicalGalaxy');
+  const count = particleCount;
+  const positions = new Float32Array(count * 3);
+  const colors = new Float32Array(count * 3);
+  const components = new Uint8Array(count);
+  const arms = new Int8Array(count).fill(-1);
+  const color = new Color();
+
+  const barRotation = (barAngle * Math.PI) / 180;
+  const barCos = Math.cos(barRotation);
+  const barSin = Math.sin(barRotation);
+  // Arms start at the end of the bar
+  const armStart = Math.max(barLength, bulgeEffectiveRadius, 0.5);
+
+  for (let i = 0; i < count; i++) {
+    const pick = random();
+    let x, y, z;
+
+    if (pick < bulgeFraction) {
+      // Sérsic bulge, slightly flattened
+      const r = Math.min(sampleSersicRadius(random, bulgeEffectiveRadius, sersicIndex), galaxyRadius);
+      const phi = Math.acos(2 * random() - 1);
+      const theta = random() * Math.PI * 2;
+      x = r * Math.sin(phi) * Math.cos(theta);
+      y = r * Math.cos(phi) * 0.7;
+      z = r * Math.sin(phi) * Math.sin(theta);
+      components[i] = COMPONENT_BULGE;
+    } else if (pick < bulgeFraction + barFraction && barLength > 0) {
+      // Triaxial bar: Gaussian along each axis, rotated to the bar angle
+      const a = barLength * 0.45;
+      const u = Math.max(-barLength, Math.min(barLength, gaussian(random) * a));
+      const v = gaussian(random) * a * barAxisRatio;
+      y = gaussian(random) * a * barVerticalRatio;
+      x = u * barCos - v * barSin;
+      z = u * barSin + v * barCos;
+      components[i] = COMPONENT_BAR;
+    } else {
+      // Exponential disk, with a share of the stars gathered into the arms
+      const radius = sampleDiskRadius(random, diskScaleLength, galaxyRadius);
+      let angle;
+      if (radius > armStart && random() < armFraction) {
+        const k = Math.floor(random() * armCount);
+        // Offset across the arm, converted to an azimuthal offset at this radius
+        angle = logSpiralAngle(radius, k, armCount, armStart, pitchAngle) + (gaussian(random) * armWidth) / radius;
+        arms[i] = k;
+        components[i] = COMPONENT_ARM;
+      } else {
+        angle = random() * Math.PI * 2;
+        components[i] = COMPONENT_DISK;
+      }
+      x = Math.cos(angle) * radius;
+      z = Math.sin(angle) * radius;
+      y = sampleSech2Height(random, diskScaleHeight);
+    }
+
+    positions[i * 3] = x;
+    positions[i * 3 + 1] = y;
+    positions[i * 3 + 2] = z;
+
+    // Old populations in the bulge and bar, young blue stars in the arms
+    switch (components[i]) {
+      case COMPONENT_BULGE:
+      case COMPONENT_BAR:
+        color.setHSL(0.08 + random() * 0.05, 0.7 + random() * 0.2, 0.55 + random() * 0.3);
+        break;
+      case COMPONENT_ARM:
+        color.setHSL(0.55 + random() * 0.1, 0.6 + random() * 0.3, 0.5 + random() * 0.3);
+        break;
+      default:
+        color.setHSL(0.08 + random() * 0.1, 0.3 + random() * 0.3, 0.6 + random() * 0.25);
+    }
+
+    colors[i * 3] = color.r;
+    colors[i * 3 + 1] = color.g;
+    colors[i * 3 + 2] = color.b;
+  }
+
+  return { positions, colors, components, arms };
+}
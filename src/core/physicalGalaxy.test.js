@@ -0,0 +1,98 @@
+import { createRandom } from './random';
+import {
+  generatePhysicalGalaxy,
+  sampleGamma,
+  sampleDiskRadius,
+  sampleSech2Height,
+  logSpiralAngle,
+  COMPONENT_BULGE,
+  COMPONENT_BAR,
+  COMPONENT_ARM
+} from './physicalGalaxy';
+import { generateGalaxy } from './generators';
+
+function mean(values) {
+  return values.reduce((sum, v) => sum + v, 0) / values.length;
+}
+
+function draw(count, sample) {
+  return Array.from({ length: count }, sample);
+}
+
+describe('samplers', () => {
+  it('draws Gamma deviates with mean equal to the shape', () => {
+    const random = createRandom(1, 'test');
+    [0.7, 2, 5].forEach((shape) => {
+      expect(mean(draw(20000, () => sampleGamma(random, shape)))).toBeCloseTo(shape, 1);
+    });
+  });
+
+  it('draws exponential disk radii with mean 2 scale lengths', () => {
+    const random = createRandom(2, 'test');
+    const radii = draw(20000, () => sampleDiskRadius(random, 3, 1000));
+    expect(mean(radii) / 3).toBeCloseTo(2, 1);
+    expect(draw(1000, () => sampleDiskRadius(random, 10, 12)).every((r) => r <= 12)).toBe(true);
+  });
+
+  it('draws sech² heights with the expected spread', () => {
+    const random = createRandom(3, 'test');
+    const heights = draw(20000, () => sampleSech2Height(random, 0.5));
+    expect(Math.abs(mean(heights))).toBeLessThan(0.02);
+    // Mean |z| of a sech²(z / h) profile is h ln 2
+    expect(mean(heights.map(Math.abs))).toBeCloseTo(0.5 * Math.LN2, 1);
+  });
+
+  it('winds logarithmic spirals at the pitch angle', () => {
+    // Over one e-fold in radius the arm turns by 1 / tan(pitch)
+    const turn = logSpiralAngle(Math.E * 4, 0, 2, 4, 20) - logSpiralAngle(4, 0, 2, 4, 20);
+    expect(turn).toBeCloseTo(1 / Math.tan((20 * Math.PI) / 180), 10);
+    expect(logSpiralAngle(4, 1, 2, 4, 20)).toBeCloseTo(Math.PI, 10);
+  });
+});
+
+describe('generatePhysicalGalaxy', () => {
+  const params = { particleCount: 6000, galaxyRadius: 25, seed: 11 };
+
+  it('labels every particle with its component and arm', () => {
+    const { positions, colors, components, arms } = generatePhysicalGalaxy(params);
+    expect(positions).toHaveLength(6000 * 3);
+    expect(colors.every((c) => c >= 0 && c <= 1)).toBe(true);
+    for (let i = 0; i < components.length; i++) {
+      expect(arms[i] >= 0).toBe(components[i] === COMPONENT_ARM);
+    }
+    const bulge = components.filter((c) => c === COMPONENT_BULGE).length / 6000;
+    const bar = components.filter((c) => c === COMPONENT_BAR).length / 6000;
+    expect(bulge).toBeCloseTo(0.15, 1);
+    expect(bar).toBeCloseTo(0.1, 1);
+  });
+
+  it('concentrates stars toward the center', () => {
+    const { positions } = generatePhysicalGalaxy(params);
+    let inner = 0;
+    let outer = 0;
+    for (let i = 0; i < positions.length; i += 3) {
+      const r = Math.hypot(positions[i], positions[i + 2]);
+      if (r < 12.5) inner++;
+      else if (r <= 25) outer++;
+    }
+    // A uniform radius would put equal counts in each half
+    expect(inner).toBeGreaterThan(outer * 2);
+  });
+
+  it('keeps the disk thin', () => {
+    const { positions, components } = generatePhysicalGalaxy({ ...params, diskScaleHeight: 0.2 });
+    const heights = [];
+    components.forEach((c, i) => {
+      if (c >= 2) heights.push(Math.abs(positions[i * 3 + 1]));
+    });
+    expect(mean(heights)).toBeLessThan(0.2);
+  });
+
+  it('is reachable through generateGalaxy and deterministic', () => {
+    const a = generateGalaxy({ ...params, galaxyModel: 'physical' });
+    const b = generatePhysicalGalaxy(params);
+    expect(a.positions).toEqual(b.positions);
+    // The stylized generator stays the default
+    expect(generateGalaxy(params).positions).not.toEqual(b.positions);
+  });
+});
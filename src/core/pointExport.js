@@ -0,0 +1,123 @@
+// Point cloud files for other tools (Blender, notebooks, ParaView). A layer
+// is one point cloud from the scene:
+//   { name, positions: Float32Array (xyz), colors: Float32Array (rgb, 0-1),
+//     labels: string[] (one component label per point) }
+// Positions are in scene units relative to the galactic center. Every file
+// carries `metadata` (e.g. the parameters that generated it).
+
+export const POINT_EXPORT_FORMAT = 'milky-way-points';
+export const POINT_EXPORT_VERSION = 1;
+
+export const COORDINATES_NOTE = 'scene units (see params.kpcPerUnit) relative to the galactic center, y up';
+
+function header(metadata) {
+  return {
+    format: POINT_EXPORT_FORMAT,
+    version: POINT_EXPORT_VERSION,
+    coordinates: COORDINATES_NOTE,
+    ...metadata
+  };
+}
+
+function pointCount(layers) {
+  return layers.reduce((sum, layer) => sum + layer.positions.length / 3, 0);
+}
+
+function round(value) {
+  return Math.round(value * 1e4) / 1e4;
+}
+
+function csvField(text) {
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// One row per point, with the metadata as # comment lines up front
+export function pointsToCsv(layers, metadata = {}) {
+  const lines = Object.entries(header(metadata)).map(([key, value]) => `# ${key}: ${JSON.stringify(value)}`);
+  lines.push('layer,component,x,y,z,r,g,b');
+  layers.forEach(({ name, positions, colors, labels }) => {
+    for (let i = 0; i < positions.length / 3; i++) {
+      const values = [0, 1, 2].map((k) => round(positions[i * 3 + k]))
+        .concat([0, 1, 2].map((k) => round(colors[i * 3 + k])));
+      lines.push([csvField(name), csvField(labels[i]), ...values].join(','));
+    }
+  });
+  return `${lines.join('\n')}\n`;
+}
+
+// The metadata plus one object per point, which loads straight into a data
+// frame: pandas.DataFrame(json.load(f)['points'])
+export function pointsToJson(layers, metadata = {}) {
+  const points = [];
+  layers.forEach(({ name, positions, colors, labels }) => {
+    for (let i = 0; i < positions.length / 3; i++) {
+      points.push({
+        layer: name,
+        component: labels[i],
+        x: round(positions[i * 3]),
+        y: round(positions[i * 3 + 1]),
+        z: round(positions[i * 3 + 2]),
+        r: round(colors[i * 3]),
+        g: round(colors[i * 3 + 1]),
+        b: round(colors[i * 3 + 2])
+      });
+    }
+  });
+  return JSON.stringify({ ...header(metadata), pointCount: points.length, points });
+}
+
+// Binary little-endian PLY. Besides position and 8-bit color, each vertex
+// has a `layer` and `component` index; comment lines name the indices and
+// hold the metadata as JSON.
+export function pointsToPly(layers, metadata = {}) {
+  const components = [];
+  const componentIndex = new Map();
+  layers.forEach(({ labels }) => labels.forEach((label) => {
+    if (!componentIndex.has(label)) {
+      componentIndex.set(label, components.length);
+      components.push(label);
+    }
+  }));
+
+  const count = pointCount(layers);
+  const comments = [
+    ...Object.entries(header(metadata)).map(([key, value]) => `${key} ${JSON.stringify(value)}`),
+    ...layers.map(({ name }, i) => `layer ${i} ${name}`),
+    ...components.map((label, i) => `component ${i} ${label}`)
+  ];
+  const text = [
+    'ply',
+    'format binary_little_endian 1.0',
+    ...comments.map((comment) => `comment ${comment.replace(/[\r\n]+/g, ' ')}`),
+    `element vertex ${count}`,
+    'property float x',
+    'property float y',
+    'property float z',
+    'property uchar red',
+    'property uchar green',
+    'property uchar blue',
+    'property uchar layer',
+    'property ushort component',
+    'end_header',
+    ''
+  ].join('\n');
+
+  const head = new TextEncoder().encode(text);
+  const VERTEX_BYTES = 4 * 3 + 3 + 1 + 2;
+  const buffer = new ArrayBuffer(head.length + count * VERTEX_BYTES);
+  new Uint8Array(buffer).set(head);
+  const view = new DataView(buffer);
+  let offset = head.length;
+  const toByte = (value) => Math.max(0, Math.min(255, Math.round(value * 255)));
+
+  layers.forEach(({ positions, colors, labels }, layer) => {
+    for (let i = 0; i < positions.length / 3; i++) {
+      for (let k = 0; k < 3; k++) view.setFloat32(offset + k * 4, positions[i * 3 + k], true);
+      for (let k = 0; k < 3; k++) view.setUint8(offset + 12 + k, toByte(colors[i * 3 + k]));
+      view.setUint8(offset + 15, layer);
+      view.setUint16(offset + 16, componentIndex.get(labels[i]), true);
+      offset += VERTEX_BYTES;
+    }
+  });
+  return buffer;
+}
@@ -0,0 +1,71 @@
+/**
+ * @jest-environment node
+ */
+
+import { POINT_EXPORT_FORMAT, pointsToCsv, pointsToJson, pointsToPly } from './pointExport';
+import { parseCatalog } from './catalog';
+
+const layers = [
+  {
+    name: 'galaxy',
+    positions: Float32Array.from([1, 2, 3, -4.5, 0, 0.25]),
+    colors: Float32Array.from([1, 0.5, 0, 0, 0, 1]),
+    labels: ['Bulge', 'Spiral arm 1']
+  },
+  {
+    name: 'stars',
+    positions: Float32Array.from([10, 20, 30]),
+    colors: Float32Array.from([1, 1, 1]),
+    labels: ['Background star']
+  }
+];
+const metadata = { params: { seed: 7, starColor: '#ffffff' } };
+
+describe('pointsToCsv', () => {
+  it('writes one labeled row per point after commented metadata', () => {
+    const text = pointsToCsv(layers, metadata);
+    expect(text).toContain(`# format: "${POINT_EXPORT_FORMAT}"`);
+    expect(text).toContain('# params: {"seed":7,"starColor":"#ffffff"}');
+    expect(text).toContain('galaxy,Spiral arm 1,-4.5,0,0.25,0,0,1');
+
+    // The catalog importer reads it back, skipping the comments
+    const table = parseCatalog(text);
+    expect(table.columns).toEqual(['layer', 'component', 'x', 'y', 'z', 'r', 'g', 'b']);
+    expect(table.rowCount).toBe(3);
+    expect(Array.from(table.values[2])).toEqual([1, -4.5, 10]);
+  });
+});
+
+describe('pointsToJson', () => {
+  it('lists every point with its layer and component', () => {
+    const data = JSON.parse(pointsToJson(layers, metadata));
+    expect(data.params).toEqual(metadata.params);
+    expect(data.pointCount).toBe(3);
+    expect(data.points[0]).toEqual({ layer: 'galaxy', component: 'Bulge', x: 1, y: 2, z: 3, r: 1, g: 0.5, b: 0 });
+    expect(data.points[2].layer).toBe('stars');
+  });
+});
+
+describe('pointsToPly', () => {
+  it('writes a binary PLY with indexed layers and components', () => {
+    const buffer = pointsToPly(layers, metadata);
+    const bytes = new Uint8Array(buffer);
+    const text = new TextDecoder().decode(bytes);
+    const end = text.indexOf('end_header\n') + 'end_header\n'.length;
+    const head = text.slice(0, end);
+
+    expect(head).toMatch(/^ply\nformat binary_little_endian 1.0\n/);
+    expect(head).toContain('element vertex 3\n');
+    expect(head).toContain('comment layer 1 stars\n');
+    expect(head).toContain('comment component 2 Background star\n');
+    expect(head).toContain('comment params {"seed":7,"starColor":"#ffffff"}\n');
+
+    const headerBytes = new TextEncoder().encode(head).length;
+    expect(buffer.byteLength).toBe(headerBytes + 3 * 18);
+    const view = new DataView(buffer, headerBytes);
+    expect(view.getFloat32(18, true)).toBe(-4.5);
+    expect([view.getUint8(30), view.getUint8(31), view.getUint8(32)]).toEqual([0, 0, 255]);
+    expect(view.getUint8(36 + 15)).toBe(1);
+    expect(view.getUint16(36 + 16, true)).toBe(2);
+  });
+});
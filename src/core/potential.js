@@ -0,0 +1,197 @@
+import { createHaloProfile } from './darkMatter';
+
+// Axisymmetric galactic potential and a leapfrog orbit integrator.
+// Units: G = 1, lengths in scene units, time in animation seconds, so masses
+// are chosen to give circular speeds of a few scene units per second.
+// The disk lies in the x-z plane; y is the symmetry axis.
+//
+// Components:
+// - bulge: Hernquist sphere, Φ = -M / (r + a)
+// - disk: Miyamoto-Nagai, Φ = -M / sqrt(R² + (a + sqrt(y² + b²))²)
+// - halo, either
+//   - 'profile': the NFW or Einasto dark matter halo from darkMatter.js,
+//     flattened by evaluating it at m = sqrt(R² + y² / q²)
+//   - 'logarithmic': cored, Φ = ½ v0² ln(r² + rc²), flat at v0 far out
+
+export function createPotential({
+  bulgeMass = 20,
+  bulgeScaleRadius = 1,
+  diskMass = 60,
+  diskPotentialLength = 5,
+  diskPotentialHeight = 0.3,
+  haloPotential = 'profile',
+  haloVelocity = 2,
+  haloCoreRadius = 3,
+  haloProfile = 'nfw',
+  haloMass = 400,
+  haloScaleRadius = 10,
+  haloConcentration = 6,
+  haloFlattening = 0.8,
+  einastoAlpha = 0.17
+} = {}) {
+  const halo = haloPotential === 'logarithmic'
+    ? { type: 'logarithmic', v0: haloVelocity, rc: haloCoreRadius }
+    : {
+      type: 'profile',
+      ...createHaloProfile({
+        profile: haloProfile,
+        mass: haloMass,
+        scaleRadius: haloScaleRadius,
+        concentration: haloConcentration,
+        flattening: haloFlattening,
+        alpha: einastoAlpha
+      })
+    };
+
+  return {
+    bulge: { mass: bulgeMass, scale: bulgeScaleRadius },
+    disk: { mass: diskMass, a: diskPotentialLength, b: diskPotentialHeight },
+    halo
+  };
+}
+
+export function potentialAt(potential, x, y, z) {
+  const { bulge, disk, halo } = potential;
+  const r2 = x * x + y * y + z * z;
+  const R2 = x * x + z * z;
+  const zeta = disk.a + Math.sqrt(y * y + disk.b * disk.b);
+
+  const haloTerm = halo.type === 'logarithmic'
+    ? 0.5 * halo.v0 * halo.v0 * Math.log(r2 + halo.rc * halo.rc)
+    : halo.potential(Math.sqrt(R2 + (y * y) / (halo.flattening * halo.flattening)));
+
+  return -bulge.mass / (Math.sqrt(r2) + bulge.scale)
+    - disk.mass / Math.sqrt(R2 + zeta * zeta)
+    + haloTerm;
+}
+
+// Write the acceleration -∇Φ at (x, y, z) into out[offset..offset + 2]
+export function accelerationAt(potential, x, y, z, out, offset = 0) {
+  const { bulge, disk, halo } = potential;
+  const r2 = x * x + y * y + z * z;
+  const r = Math.sqrt(r2);
+
+  // Hernquist: |a| = M / (r + a)², pointing inward
+  const bulgeTerm = r > 0 ? bulge.mass / ((r + bulge.scale) * (r + bulge.scale) * r) : 0;
+
+  // Miyamoto-Nagai
+  const s = Math.sqrt(y * y + disk.b * disk.b);
+  const zeta = disk.a + s;
+  const d2 = x * x + z * z + zeta * zeta;
+  const diskTerm = disk.mass / (d2 * Math.sqrt(d2));
+  const diskVertical = s > 0 ? (diskTerm * zeta) / s : 0;
+
+  // Halo: a = -Φ'(m) ∇m, where Φ'(m) = M(m) / m² for the profile halos
+  let haloTerm;
+  let haloVertical;
+  if (halo.type === 'logarithmic') {
+    haloTerm = (halo.v0 * halo.v0) / (r2 + halo.rc * halo.rc);
+    haloVertical = haloTerm;
+  } else {
+    const q2 = halo.flattening * halo.flattening;
+    const m = Math.sqrt(x * x + z * z + (y * y) / q2);
+    haloTerm = m > 0 ? halo.enclosedMass(m) / (m * m * m) : 0;
+    haloVertical = haloTerm / q2;
+  }
+
+  const radial = bulgeTerm + diskTerm + haloTerm;
+  out[offset] = -radial * x;
+  out[offset + 1] = -(bulgeTerm + diskVertical + haloVertical) * y;
+  out[offset + 2] = -radial * z;
+  return out;
+}
+
+const scratch = new Float64Array(3);
+
+// Circular speed in the midplane at cylindrical radius R
+export function circularVelocity(potential, R) {
+  accelerationAt(potential, R, 0, 0, scratch);
+  return Math.sqrt(Math.max(0, -scratch[0] * R));
+}
+
+// Circular speed contributed by each component, for rotation curve plots
+export function rotationCurve(potential, R) {
+  const none = { mass: 0, scale: 1 };
+  const { bulge, disk, halo } = potential;
+  const only = (parts) => circularVelocity({
+    bulge: none,
+    disk: { mass: 0, a: 1, b: 1 },
+    halo: { type: 'logarithmic', v0: 0, rc: 1 },
+    ...parts
+  }, R);
+
+  return {
+    total: circularVelocity(potential, R),
+    bulge: only({ bulge }),
+    disk: only({ disk }),
+    halo: only({ halo })
+  };
+}
+
+// Angular speed Ω(R) = v_c / R of a circular orbit in the midplane
+export function angularVelocity(potential, R) {
+  return R > 0 ? circularVelocity(potential, R) / R : 0;
+}
+
+// Standard normal deviate (Box-Muller)
+function gaussian(random) {
+  const u = 1 - random();
+  const v = random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+// Orbit state for a flat [x0, y0, z0, x1, ...] position array. Each star
+// starts on the circular orbit through its position, rotating the same way
+// as the rigid galaxy (positive angle about +y), plus a random velocity of
+// `dispersion` times the local circular speed on each axis.
+export function createOrbitState(initialPositions, potential, { dispersion = 0, random = Math.random } = {}) {
+  const count = initialPositions.length / 3;
+  const positions = Float32Array.from(initialPositions);
+  const velocities = new Float32Array(count * 3);
+  const accelerations = new Float32Array(count * 3);
+
+  for (let i = 0; i < count; i++) {
+    const x = positions[i * 3];
+    const y = positions[i * 3 + 1];
+    const z = positions[i * 3 + 2];
+    accelerationAt(potential, x, y, z, accelerations, i * 3);
+
+    const R = Math.sqrt(x * x + z * z);
+    // Centripetal balance with the radial pull at the star's own height
+    const inward = R > 0 ? -(accelerations[i * 3] * x + accelerations[i * 3 + 2] * z) / R : 0;
+    const speed = Math.sqrt(Math.max(0, inward * R));
+    const omega = R > 0 ? speed / R : 0;
+    const sigma = dispersion * speed;
+
+    velocities[i * 3] = omega * z + gaussian(random) * sigma;
+    velocities[i * 3 + 1] = gaussian(random) * sigma;
+    velocities[i * 3 + 2] = -omega * x + gaussian(random) * sigma;
+  }
+
+  return { count, positions, velocities, accelerations, potential, time: 0 };
+}
+
+// Advance every orbit by `dt` with kick-drift-kick leapfrog (velocity
+// Verlet), split into substeps no longer than `maxStep`
+export function stepOrbits(state, dt, maxStep = 0.05) {
+  const { count, positions, velocities, accelerations, potential } = state;
+  const steps = Math.max(1, Math.ceil(Math.abs(dt) / maxStep));
+  const h = dt / steps;
+  const half = h / 2;
+
+  for (let s = 0; s < steps; s++) {
+    for (let k = 0; k < count * 3; k++) {
+      velocities[k] += accelerations[k] * half;
+      positions[k] += velocities[k] * h;
+    }
+    for (let i = 0; i < count; i++) {
+      accelerationAt(potential, positions[i * 3], positions[i * 3 + 1], positions[i * 3 + 2], accelerations, i * 3);
+    }
+    for (let k = 0; k < count * 3; k++) {
+      velocities[k] += accelerations[k] * half;
+    }
+  }
+
+  state.time += dt;
+  return state;
+}
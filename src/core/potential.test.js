@@ -0,0 +1,100 @@
+import { createRandom } from './random';
+import {
+  createPotential,
+  potentialAt,
+  rotationCurve,
+  accelerationAt,
+  circularVelocity,
+  angularVelocity,
+  createOrbitState,
+  stepOrbits
+} from './potential';
+
+describe('potential', () => {
+  const potential = createPotential();
+
+  it.each([
+    ['NFW', { haloProfile: 'nfw' }],
+    ['Einasto', { haloProfile: 'einasto' }],
+    ['logarithmic', { haloPotential: 'logarithmic' }]
+  ])('matches a finite-difference gradient with a %s halo', (name, options) => {
+    const model = createPotential(options);
+    const h = 1e-5;
+    const out = new Float64Array(3);
+    [[3, 0.4, -2], [12, -1, 7], [-20, 2, 0.5]].forEach(([x, y, z]) => {
+      accelerationAt(model, x, y, z, out);
+      expect(out[0]).toBeCloseTo(-(potentialAt(model, x + h, y, z) - potentialAt(model, x - h, y, z)) / (2 * h), 4);
+      expect(out[1]).toBeCloseTo(-(potentialAt(model, x, y + h, z) - potentialAt(model, x, y - h, z)) / (2 * h), 4);
+      expect(out[2]).toBeCloseTo(-(potentialAt(model, x, y, z + h) - potentialAt(model, x, y, z - h)) / (2 * h), 4);
+    });
+  });
+
+  it('adds the components of the rotation curve in quadrature', () => {
+    [2, 8, 20].forEach((R) => {
+      const { total, bulge, disk, halo } = rotationCurve(potential, R);
+      expect(total).toBeCloseTo(Math.sqrt(bulge * bulge + disk * disk + halo * halo), 10);
+    });
+  });
+
+  it('has a flat rotation curve far out', () => {
+    const haloOnly = createPotential({
+      bulgeMass: 0,
+      diskMass: 0,
+      haloPotential: 'logarithmic',
+      haloVelocity: 2,
+      haloCoreRadius: 1
+    });
+    expect(circularVelocity(haloOnly, 50)).toBeCloseTo(2, 2);
+    expect(circularVelocity(haloOnly, 100)).toBeCloseTo(2, 2);
+    // The full model flattens too: speeds vary by less than 15% from 10 to 25
+    const inner = circularVelocity(potential, 10);
+    const outer = circularVelocity(potential, 25);
+    expect(Math.abs(outer - inner) / inner).toBeLessThan(0.15);
+  });
+
+  it('rotates the inner disk faster than the outer disk', () => {
+    expect(angularVelocity(potential, 5)).toBeGreaterThan(angularVelocity(potential, 10));
+    expect(angularVelocity(potential, 10)).toBeGreaterThan(angularVelocity(potential, 20));
+    expect(angularVelocity(potential, 0)).toBe(0);
+  });
+});
+
+describe('orbit integration', () => {
+  const potential = createPotential();
+
+  function energy(state, i) {
+    const [x, y, z] = state.positions.subarray(i * 3, i * 3 + 3);
+    const [vx, vy, vz] = state.velocities.subarray(i * 3, i * 3 + 3);
+    return 0.5 * (vx * vx + vy * vy + vz * vz) + potentialAt(potential, x, y, z);
+  }
+
+  it('keeps cold midplane stars on circular orbits', () => {
+    const state = createOrbitState(new Float32Array([8, 0, 0, 0, 0, -15]), potential);
+    const period = (2 * Math.PI) / angularVelocity(potential, 8);
+    stepOrbits(state, period / 2, 0.02);
+    // Half an orbit later the star sits on the far side of the circle
+    expect(state.positions[0]).toBeCloseTo(-8, 1);
+    expect(Math.hypot(state.positions[3], state.positions[5])).toBeCloseTo(15, 1);
+    expect(state.positions[1]).toBeCloseTo(0, 5);
+  });
+
+  it('rotates in the same sense as the rigid galaxy', () => {
+    const state = createOrbitState(new Float32Array([10, 0, 0]), potential);
+    stepOrbits(state, 0.5);
+    // Positive rotation about +y carries +x toward -z
+    expect(state.positions[2]).toBeLessThan(0);
+  });
+
+  it('conserves energy for warm orbits', () => {
+    const random = createRandom(5, 'test');
+    const initial = new Float32Array(30);
+    for (let i = 0; i < initial.length; i++) initial[i] = (random() - 0.5) * 30;
+    const state = createOrbitState(initial, potential, { dispersion: 0.3, random });
+    const before = Array.from({ length: 10 }, (_, i) => energy(state, i));
+    stepOrbits(state, 40);
+    before.forEach((e, i) => {
+      expect(Math.abs((energy(state, i) - e) / e)).toBeLessThan(0.01);
+    });
+    expect(state.time).toBe(40);
+  });
+});
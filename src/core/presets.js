@@ -0,0 +1,161 @@
+import { DEFAULT_PARAMS, PARAM_KEYS, sanitizeParams } from './params';
+
+// Named parameter presets: a built-in library plus user presets kept in
+// localStorage, exchanged as versioned JSON files of the form
+//
+//   {
+//     "format": "milky-way-visualization/presets",
+//     "version": 1,
+//     "presets": [{ "name": "...", "params": { "galaxyRadius": 25, ... } }]
+//   }
+//
+// `params` may hold any key of PARAM_DEFS; missing keys take their defaults.
+
+export const PRESET_FORMAT = 'milky-way-visualization/presets';
+export const PRESET_SCHEMA_VERSION = 1;
+export const PRESET_STORAGE_KEY = 'milky-way-visualization:presets';
+
+export class PresetError extends Error {
+  constructor(message, issues = []) {
+    super(issues.length > 0 ? `${message}:\n${issues.join('\n')}` : message);
+    this.name = 'PresetError';
+    this.issues = issues;
+  }
+}
+
+function preset(name, overrides) {
+  return { name, builtIn: true, params: { ...DEFAULT_PARAMS, ...overrides } };
+}
+
+export const BUILTIN_PRESETS = [
+  preset('Textbook Milky Way', {}),
+  preset('Grand-design 2-arm', {
+    armCount: 2,
+    spiralTightness: 1.2,
+    barLength: 4,
+    bulgeSize: 2.5,
+    galaxyParticleCount: 12000,
+    coreGlow: 0.4
+  }),
+  preset('Great Wave emphasis', {
+    greatWaveAmplitude: 1.5,
+    greatWaveLength: 40,
+    greatWaveSpeed: 0.1,
+    showGreatWaveSurface: true,
+    showOrbitalZones: false,
+    showZoneSeparators: false,
+    waveOpacity: 0.3
+  }),
+  preset('No wave field', {
+    showWaveField: false,
+    showWaveParticles: false
+  })
+];
+
+// Full parameter set for a preset, in PARAM_DEFS order
+function completeParams(params) {
+  return Object.fromEntries(PARAM_KEYS.map((key) => [key, params[key]]));
+}
+
+export function serializePresets(presets) {
+  return JSON.stringify({
+    format: PRESET_FORMAT,
+    version: PRESET_SCHEMA_VERSION,
+    presets: presets.map(({ name, params }) => ({ name, params: completeParams(params) }))
+  }, null, 2);
+}
+
+// Validate one `{ name, params }` entry, collecting every problem found
+function validatePreset(entry, label, issues) {
+  if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+    issues.push(`${label}: must be an object with "name" and "params"`);
+    return null;
+  }
+  const name = typeof entry.name === 'string' ? entry.name.trim() : '';
+  if (!name) {
+    issues.push(`${label}: "name" must be a non-empty string`);
+  }
+  if (!entry.params || typeof entry.params !== 'object' || Array.isArray(entry.params)) {
+    issues.push(`${label}: "params" must be an object`);
+    return null;
+  }
+
+  const { params, errors } = sanitizeParams(entry.params);
+  errors.forEach((error) => issues.push(`${name ? `Preset "${name}"` : label}: ${error}`));
+  return name ? { name, params } : null;
+}
+
+// The entries of a preset file, unchecked. Throws a PresetError if the text
+// isn't a preset file this version can read.
+function readPresetEntries(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (err) {
+    throw new PresetError(`Preset file is not valid JSON (${err.message})`);
+  }
+
+  if (!data || typeof data !== 'object' || data.format !== PRESET_FORMAT) {
+    throw new PresetError(`Not a preset file: "format" must be "${PRESET_FORMAT}"`);
+  }
+  if (!Number.isInteger(data.version) || data.version < 1) {
+    throw new PresetError('Preset file has no valid "version"');
+  }
+  if (data.version > PRESET_SCHEMA_VERSION) {
+    throw new PresetError(
+      `Preset file version ${data.version} is newer than supported version ${PRESET_SCHEMA_VERSION}`
+    );
+  }
+  if (!Array.isArray(data.presets)) {
+    throw new PresetError('Preset file must contain a "presets" array');
+  }
+  return data.presets;
+}
+
+// The entries without problems, and every problem with the rest
+function validatePresets(entries) {
+  const presets = [];
+  const issues = [];
+  entries.forEach((entry, i) => {
+    const found = [];
+    const preset = validatePreset(entry, `Preset #${i + 1}`, found);
+    if (preset && found.length === 0) presets.push(preset);
+    issues.push(...found);
+  });
+  return { presets, issues };
+}
+
+// Parse the text of a preset file. Throws a PresetError listing every
+// unknown key, out-of-range value and structural problem in the file.
+export function parsePresets(text) {
+  const { presets, issues } = validatePresets(readPresetEntries(text));
+  if (issues.length > 0) {
+    throw new PresetError('Preset file was not loaded', issues);
+  }
+  return presets;
+}
+
+// User presets survive reloads in localStorage. Returns `{ presets, issues }`:
+// entries that no longer validate, e.g. after a parameter's range changed,
+// are left out and described in `issues` while the rest still load, and
+// unreadable storage gives an empty library.
+export function loadUserPresets(storage = window.localStorage) {
+  try {
+    const text = storage.getItem(PRESET_STORAGE_KEY);
+    return text ? validatePresets(readPresetEntries(text)) : { presets: [], issues: [] };
+  } catch (err) {
+    return { presets: [], issues: [err.message] };
+  }
+}
+
+export function saveUserPresets(presets, storage = window.localStorage) {
+  storage.setItem(PRESET_STORAGE_KEY, serializePresets(presets));
+}
+
+// Insert or replace a user preset by name
+export function upsertPreset(presets, name, params) {
+  const entry = { name, params: { ...params } };
+  const index = presets.findIndex((p) => p.name === name);
+  if (index === -1) return [...presets, entry];
+  return presets.map((p, i) => (i === index ? entry : p));
+}
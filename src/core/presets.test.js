@@ -0,0 +1,104 @@
+import { DEFAULT_PARAMS, PARAM_KEYS } from './params';
+import {
+  BUILTIN_PRESETS,
+  PRESET_FORMAT,
+  PRESET_STORAGE_KEY,
+  PresetError,
+  parsePresets,
+  serializePresets,
+  loadUserPresets,
+  saveUserPresets,
+  upsertPreset
+} from './presets';
+
+function file(presets, overrides = {}) {
+  return JSON.stringify({ format: PRESET_FORMAT, version: 1, presets, ...overrides });
+}
+
+function memoryStorage() {
+  const data = {};
+  return {
+    getItem: (key) => (key in data ? data[key] : null),
+    setItem: (key, value) => { data[key] = String(value); }
+  };
+}
+
+describe('built-in presets', () => {
+  it('cover every parameter with valid values', () => {
+    const parsed = parsePresets(serializePresets(BUILTIN_PRESETS));
+    expect(parsed.map((p) => p.name)).toEqual(BUILTIN_PRESETS.map((p) => p.name));
+    parsed.forEach((p) => expect(Object.keys(p.params).sort()).toEqual([...PARAM_KEYS].sort()));
+  });
+});
+
+describe('serializePresets / parsePresets', () => {
+  it('round-trips a preset and writes every key', () => {
+    const params = { ...DEFAULT_PARAMS, armCount: 2, waveColor: '#102030' };
+    const text = serializePresets([{ name: 'Mine', params }]);
+    expect(Object.keys(JSON.parse(text).presets[0].params)).toEqual(PARAM_KEYS);
+    expect(parsePresets(text)).toEqual([{ name: 'Mine', params }]);
+  });
+
+  it('fills missing keys with defaults', () => {
+    const [preset] = parsePresets(file([{ name: 'Partial', params: { armCount: 3 } }]));
+    expect(preset.params).toEqual({ ...DEFAULT_PARAMS, armCount: 3 });
+  });
+
+  it('lists every unknown and out-of-range key', () => {
+    let error;
+    try {
+      parsePresets(file([{ name: 'Broken', params: { armCount: 12, hyperdrive: true, bulgeSize: 3 } }]));
+    } catch (err) {
+      error = err;
+    }
+    expect(error).toBeInstanceOf(PresetError);
+    expect(error.issues).toEqual([
+      'Preset "Broken": "armCount" must be between 2 and 6, got 12',
+      'Preset "Broken": Unknown parameter "hyperdrive"'
+    ]);
+  });
+
+  it('rejects files that are not presets', () => {
+    expect(() => parsePresets('{')).toThrow(/not valid JSON/);
+    expect(() => parsePresets(JSON.stringify({ presets: [] }))).toThrow(/"format" must be/);
+    expect(() => parsePresets(file([], { version: 2 }))).toThrow(/newer than supported/);
+    expect(() => parsePresets(file('nope'))).toThrow(/"presets" array/);
+    expect(() => parsePresets(file([{ params: {} }]))).toThrow(/"name" must be/);
+  });
+});
+
+describe('user preset storage', () => {
+  it('saves and loads presets', () => {
+    const storage = memoryStorage();
+    const presets = upsertPreset([], 'A', { ...DEFAULT_PARAMS, seed: 5 });
+    saveUserPresets(presets, storage);
+    expect(loadUserPresets(storage)).toEqual({ presets, issues: [] });
+  });
+
+  it('treats corrupt storage as empty, reporting why', () => {
+    const storage = memoryStorage();
+    storage.setItem(PRESET_STORAGE_KEY, 'not json');
+    const { presets, issues } = loadUserPresets(storage);
+    expect(presets).toEqual([]);
+    expect(issues).toEqual([expect.stringMatching(/not valid JSON/)]);
+  });
+
+  it('keeps the valid presets when some no longer validate', () => {
+    const storage = memoryStorage();
+    storage.setItem(PRESET_STORAGE_KEY, file([
+      { name: 'Good', params: { seed: 5 } },
+      { name: 'Stale', params: { galaxyRadius: 9999 } },
+      { name: 'Also good', params: { armCount: 2 } }
+    ]));
+    const { presets, issues } = loadUserPresets(storage);
+    expect(presets.map((p) => p.name)).toEqual(['Good', 'Also good']);
+    expect(issues).toHaveLength(1);
+    expect(issues[0]).toMatch(/Stale/);
+  });
+
+  it('replaces presets by name', () => {
+    const first = upsertPreset([], 'A', { seed: 1 });
+    const second = upsertPreset(first, 'A', { seed: 2 });
+    expect(second).toEqual([{ name: 'A', params: { seed: 2 } }]);
+  });
+});
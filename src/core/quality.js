@@ -0,0 +1,149 @@
+// Rendering quality tiers and an adaptive governor that moves between them
+// to hold a target frame rate. Tiers scale the particle and segment counts
+// the parameters ask for, cap the device pixel ratio and refresh the wave
+// particles' connections less often; Ultra draws the parameters as set.
+
+export const QUALITY_TIERS = [
+  { name: 'low', label: 'Low', particleScale: 0.25, segmentScale: 0.4, maxDpr: 1, connectionInterval: 4 },
+  { name: 'medium', label: 'Medium', particleScale: 0.5, segmentScale: 0.6, maxDpr: 1.25, connectionInterval: 2 },
+  { name: 'high', label: 'High', particleScale: 0.75, segmentScale: 0.8, maxDpr: 1.5, connectionInterval: 1 },
+  { name: 'ultra', label: 'Ultra', particleScale: 1, segmentScale: 1, maxDpr: 2, connectionInterval: 1 }
+];
+
+export const TARGET_FPS_OPTIONS = [30, 45, 60];
+
+export const QUALITY_STORAGE_KEY = 'milky-way-visualization:quality';
+
+// Adapting is opt-in: it draws fewer particles than the parameters ask for,
+// so the scene no longer matches its shared link
+export const DEFAULT_QUALITY = { tier: 'ultra', adaptive: false, targetFps: 60, showHud: false };
+
+// Fewest wave field segments a tier leaves
+const MIN_SEGMENTS = 10;
+
+// Particle counts each tier scales
+const PARTICLE_KEYS = ['galaxyParticleCount', 'haloParticleCount', 'waveParticleCount', 'starCount', 'greatWaveParticleCount'];
+
+export function tierIndex(name) {
+  const index = QUALITY_TIERS.findIndex((tier) => tier.name === name);
+  return index === -1 ? QUALITY_TIERS.length - 1 : index;
+}
+
+// The parameters as drawn at `tier`; the same object at full quality
+export function applyQuality(params, tier) {
+  if (tier.particleScale === 1 && tier.segmentScale === 1 && tier.connectionInterval === 1) return params;
+  const scaled = { ...params };
+  PARTICLE_KEYS.forEach((key) => {
+    scaled[key] = Math.max(1, Math.round(params[key] * tier.particleScale));
+  });
+  scaled.waveFieldSegments = Math.max(
+    Math.min(MIN_SEGMENTS, params.waveFieldSegments),
+    Math.round(params.waveFieldSegments * tier.segmentScale)
+  );
+  scaled.connectionRefreshInterval = params.connectionRefreshInterval * tier.connectionInterval;
+  return scaled;
+}
+
+// Saved settings; a missing or corrupt entry gives the defaults
+export function loadQualitySettings(storage = window.localStorage) {
+  try {
+    const saved = JSON.parse(storage.getItem(QUALITY_STORAGE_KEY) || '{}');
+    return {
+      tier: QUALITY_TIERS[tierIndex(saved.tier)].name,
+      adaptive: typeof saved.adaptive === 'boolean' ? saved.adaptive : DEFAULT_QUALITY.adaptive,
+      targetFps: TARGET_FPS_OPTIONS.includes(saved.targetFps) ? saved.targetFps : DEFAULT_QUALITY.targetFps,
+      showHud: saved.showHud === true
+    };
+  } catch (err) {
+    return { ...DEFAULT_QUALITY };
+  }
+}
+
+export function saveQualitySettings(settings, storage = window.localStorage) {
+  storage.setItem(QUALITY_STORAGE_KEY, JSON.stringify(settings));
+}
+
+// Seconds of frames averaged into each decision
+export const GOVERNOR_WINDOW = 1;
+
+// Seconds ignored after a change, while new geometry is built and uploaded
+export const SETTLE_TIME = 2;
+
+// Windows at the target before trying the next tier up. Each time that tier
+// turns out too slow the wait doubles, up to MAX_PROBE_WINDOWS.
+const PROBE_WINDOWS = 5;
+const MAX_PROBE_WINDOWS = 120;
+
+// Average frame times above target * SLOW_MARGIN step down; at or below
+// target * STEADY_MARGIN count towards stepping up. A display's refresh rate
+// caps the frame rate, so a tier can't prove itself faster than the target.
+const SLOW_MARGIN = 1.15;
+const STEADY_MARGIN = 1.05;
+
+// Frames longer than this (a hidden tab, a breakpoint) say nothing about
+// the scene and restart the window
+const MAX_FRAME = 0.5;
+
+// Starts at `maxLevel`, the highest tier index it may use
+export function createQualityGovernor({ targetFps = 60, maxLevel = QUALITY_TIERS.length - 1 } = {}) {
+  return {
+    targetMs: 1000 / targetFps,
+    maxLevel,
+    level: maxLevel,
+    elapsed: 0,
+    frames: 0,
+    settle: SETTLE_TIME,
+    steadyWindows: 0,
+    probeWindows: PROBE_WINDOWS,
+    // Whether the current tier was stepped up to and hasn't yet held
+    probing: false
+  };
+}
+
+function changeLevel(governor, level) {
+  governor.level = level;
+  governor.settle = SETTLE_TIME;
+  governor.steadyWindows = 0;
+}
+
+// Record a frame that took `delta` seconds; returns the tier index to draw at
+export function sampleFrame(governor, delta) {
+  if (delta > MAX_FRAME) {
+    governor.elapsed = 0;
+    governor.frames = 0;
+    return governor.level;
+  }
+
+  governor.elapsed += delta;
+  governor.frames += 1;
+  if (governor.elapsed < GOVERNOR_WINDOW) return governor.level;
+
+  const frameMs = (governor.elapsed / governor.frames) * 1000;
+  const windowLength = governor.elapsed;
+  governor.elapsed = 0;
+  governor.frames = 0;
+
+  if (governor.settle > 0) {
+    governor.settle -= windowLength;
+    return governor.level;
+  }
+
+  if (frameMs > governor.targetMs * SLOW_MARGIN) {
+    if (governor.probing) {
+      governor.probeWindows = Math.min(MAX_PROBE_WINDOWS, governor.probeWindows * 2);
+    }
+    governor.probing = false;
+    if (governor.level > 0) changeLevel(governor, governor.level - 1);
+    governor.steadyWindows = 0;
+  } else if (frameMs <= governor.targetMs * STEADY_MARGIN) {
+    governor.probing = false;
+    governor.steadyWindows += 1;
+    if (governor.steadyWindows >= governor.probeWindows && governor.level < governor.maxLevel) {
+      changeLevel(governor, governor.level + 1);
+      governor.probing = true;
+    }
+  } else {
+    governor.steadyWindows = 0;
+  }
+  return governor.level;
+}
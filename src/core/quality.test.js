@@ -0,0 +1,94 @@
+import { DEFAULT_PARAMS } from './params';
+import {
+  QUALITY_TIERS,
+  DEFAULT_QUALITY,
+  GOVERNOR_WINDOW,
+  SETTLE_TIME,
+  applyQuality,
+  tierIndex,
+  loadQualitySettings,
+  saveQualitySettings,
+  createQualityGovernor,
+  sampleFrame
+} from './quality';
+
+function memoryStorage() {
+  const items = {};
+  return {
+    getItem: (key) => (key in items ? items[key] : null),
+    setItem: (key, value) => { items[key] = value; }
+  };
+}
+
+// Feed `seconds` of frames at `fps`, returning the last tier index
+function run(governor, fps, seconds) {
+  let level = governor.level;
+  for (let t = 0; t < seconds * fps; t++) level = sampleFrame(governor, 1 / fps);
+  return level;
+}
+
+describe('applyQuality', () => {
+  it('leaves the parameters alone at Ultra', () => {
+    expect(applyQuality(DEFAULT_PARAMS, QUALITY_TIERS[tierIndex('ultra')])).toBe(DEFAULT_PARAMS);
+  });
+
+  it('scales counts and segments and slows connection refreshes', () => {
+    const low = applyQuality({ ...DEFAULT_PARAMS, galaxyParticleCount: 15000, waveFieldSegments: 100 }, QUALITY_TIERS[0]);
+    expect(low.galaxyParticleCount).toBe(3750);
+    expect(low.waveFieldSegments).toBe(40);
+    expect(low.starCount).toBe(Math.round(DEFAULT_PARAMS.starCount / 4));
+    expect(low.connectionRefreshInterval).toBe(DEFAULT_PARAMS.connectionRefreshInterval * 4);
+    expect(low.armCount).toBe(DEFAULT_PARAMS.armCount);
+  });
+});
+
+describe('quality settings', () => {
+  it('round-trips through storage and falls back to the defaults', () => {
+    const storage = memoryStorage();
+    expect(loadQualitySettings(storage)).toEqual(DEFAULT_QUALITY);
+    const settings = { tier: 'medium', adaptive: false, targetFps: 30, showHud: true };
+    saveQualitySettings(settings, storage);
+    expect(loadQualitySettings(storage)).toEqual(settings);
+
+    storage.setItem('milky-way-visualization:quality', '{"tier":"extreme","targetFps":144}');
+    expect(loadQualitySettings(storage)).toEqual(DEFAULT_QUALITY);
+  });
+});
+
+describe('quality governor', () => {
+  it('steps down while frames are too slow, waiting for each change to settle', () => {
+    const governor = createQualityGovernor({ targetFps: 60 });
+    expect(governor.level).toBe(3);
+    // The first windows after starting are ignored
+    expect(run(governor, 30, SETTLE_TIME)).toBe(3);
+    expect(run(governor, 30, GOVERNOR_WINDOW + 0.1)).toBe(2);
+    expect(run(governor, 30, SETTLE_TIME + GOVERNOR_WINDOW + 0.1)).toBe(1);
+    expect(run(governor, 30, 30)).toBe(0);
+  });
+
+  it('holds a tier that meets the target and never exceeds the maximum', () => {
+    const governor = createQualityGovernor({ targetFps: 30, maxLevel: 2 });
+    expect(run(governor, 60, 60)).toBe(2);
+  });
+
+  it('probes the tier above and waits longer after a failed probe', () => {
+    const governor = createQualityGovernor({ targetFps: 60 });
+    run(governor, 30, SETTLE_TIME + GOVERNOR_WINDOW + 0.1);
+    expect(governor.level).toBe(2);
+
+    // Steady at the lower tier: tries Ultra again after a few windows
+    expect(run(governor, 60, SETTLE_TIME + 6.5)).toBe(3);
+    // Ultra is still too slow
+    expect(run(governor, 30, SETTLE_TIME + GOVERNOR_WINDOW + 0.1)).toBe(2);
+    // The next probe takes twice as long
+    expect(run(governor, 60, SETTLE_TIME + 6.5)).toBe(2);
+    expect(run(governor, 60, 6)).toBe(3);
+  });
+
+  it('skips long stalls', () => {
+    const governor = createQualityGovernor({ targetFps: 60 });
+    run(governor, 60, SETTLE_TIME + 0.5);
+    for (let i = 0; i < 10; i++) sampleFrame(governor, 2);
+    expect(governor.level).toBe(3);
+  });
+});
@@ -0,0 +1,34 @@
+// Deterministic pseudo-random numbers shared by every generator.
+// A given seed always produces the same sequence, so a seed plus a parameter
+// set always yields the same particle buffers.
+
+export const DEFAULT_SEED = 1337;
+
+// FNV-1a hash, used to turn a stream name into a 32-bit integer
+function hashString(value) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+// Mulberry32 generator returning floats in [0, 1)
+function mulberry32(state) {
+  let a = state >>> 0;
+  return function random() {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Each component draws from its own named stream, so changing one component's
+// particle count doesn't reshuffle every other component.
+export function createRandom(seed = DEFAULT_SEED, stream = '') {
+  const base = Math.floor(Number(seed) || 0) >>> 0;
+  return mulberry32(base ^ hashString(String(stream)));
+}
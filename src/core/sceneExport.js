@@ -0,0 +1,44 @@
+import * as THREE from 'three';
+
+// Standalone copies of drawn scene objects for the glTF data export
+// (components/DataExporter.jsx), detached from the live scene graph.
+
+// A copy of a drawable object with GPU displacements baked into its geometry
+// (through `userData.dataExport.bake`) and its transform relative to the
+// galaxy frame, given `toFrame` from world space into it. Instanced meshes
+// keep every instance's matrix and color.
+export function exportCopy(object, toFrame) {
+  const { dataExport } = object.userData;
+  let geometry = object.geometry;
+  if (dataExport && dataExport.bake) {
+    const baked = dataExport.bake();
+    geometry = geometry.clone();
+    geometry.setAttribute('position', new THREE.BufferAttribute(baked.position, 3));
+    if (baked.normal) {
+      geometry.setAttribute('normal', new THREE.BufferAttribute(baked.normal, 3));
+    } else if (geometry.attributes.normal) {
+      geometry.computeVertexNormals();
+    }
+  }
+
+  // The exporter can't describe shader materials; plain ones keep the color
+  const material = object.material.isShaderMaterial ? new THREE.MeshBasicMaterial() : object.material;
+  let copy;
+  if (object.isInstancedMesh) {
+    copy = new THREE.InstancedMesh(geometry, material, object.count);
+    copy.instanceMatrix.copy(object.instanceMatrix);
+    if (object.instanceColor) copy.instanceColor = object.instanceColor.clone();
+  } else {
+    const Type = object.isLineSegments ? THREE.LineSegments
+      : object.isLineLoop ? THREE.LineLoop
+        : object.isLine ? THREE.Line
+          : object.isPoints ? THREE.Points
+            : THREE.Mesh;
+    copy = new Type(geometry, material);
+  }
+  copy.name = (dataExport && dataExport.layer) || object.name || object.type;
+  new THREE.Matrix4()
+    .multiplyMatrices(toFrame, object.matrixWorld)
+    .decompose(copy.position, copy.quaternion, copy.scale);
+  return copy;
+}
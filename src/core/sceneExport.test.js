@@ -0,0 +1,52 @@
+import * as THREE from 'three';
+import { DEFAULT_PARAMS } from './params';
+import { createVelocityField, setFieldSpeeds, fieldColors, arrowPose } from './velocityField';
+import { exportCopy } from './sceneExport';
+
+const zones = DEFAULT_PARAMS.orbitalZones;
+
+// Arrows of a velocity field laid out as VelocityField draws them
+function arrowField() {
+  const field = setFieldSpeeds(createVelocityField({ zones, galaxyRadius: 25, density: 8 }), () => 0.2);
+  const colors = fieldColors(field, zones, false);
+  const arrows = new THREE.InstancedMesh(new THREE.BoxGeometry(), new THREE.MeshBasicMaterial(), field.count);
+  const matrix = new THREE.Matrix4();
+  const rotation = new THREE.Quaternion();
+  const color = new THREE.Color();
+  for (let i = 0; i < field.count; i++) {
+    const pose = arrowPose(field, i);
+    rotation.setFromAxisAngle(new THREE.Vector3(0, 1, 0), pose.heading);
+    matrix.compose(new THREE.Vector3(pose.x, 0, pose.z), rotation, new THREE.Vector3(pose.length, 1, 1));
+    arrows.setMatrixAt(i, matrix);
+    arrows.setColorAt(i, color.fromArray(colors, i * 3));
+  }
+  return arrows;
+}
+
+describe('exportCopy', () => {
+  it('keeps every arrow of a velocity field, with its matrix and color', () => {
+    const arrows = arrowField();
+    expect(arrows.count).toBeGreaterThan(1);
+    const frame = new THREE.Group();
+    frame.position.set(3, 0, -2);
+    frame.add(arrows);
+    frame.updateMatrixWorld();
+
+    const copy = exportCopy(arrows, frame.matrixWorld.clone().invert());
+    expect(copy.isInstancedMesh).toBe(true);
+    expect(copy.count).toBe(arrows.count);
+    expect(Array.from(copy.instanceMatrix.array)).toEqual(Array.from(arrows.instanceMatrix.array));
+    expect(Array.from(copy.instanceColor.array)).toEqual(Array.from(arrows.instanceColor.array));
+    // Buffers are copies, not shared with the scene
+    expect(copy.instanceMatrix).not.toBe(arrows.instanceMatrix);
+    expect(copy.position.length()).toBeCloseTo(0, 10);
+  });
+
+  it('copies plain meshes and lines as their own types', () => {
+    const line = new THREE.LineLoop(new THREE.BufferGeometry().setFromPoints([new THREE.Vector3(1, 0, 0)]));
+    line.updateMatrixWorld();
+    const copy = exportCopy(line, new THREE.Matrix4());
+    expect(copy.isLineLoop).toBe(true);
+    expect(copy.isInstancedMesh).toBeUndefined();
+  });
+});
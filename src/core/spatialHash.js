@@ -0,0 +1,159 @@
+// Uniform-grid spatial hash for fixed-radius neighbor queries.
+// Points are bucketed into cubic cells of `cellSize` by a counting sort, so a
+// rebuild is O(n) and a query only visits the 27 cells around a point.
+// Buffers are reused between rebuilds to keep per-frame garbage at zero.
+
+const PRIME_X = 73856093;
+const PRIME_Y = 19349663;
+const PRIME_Z = 83492791;
+
+function cellKey(cx, cy, cz, tableSize) {
+  return ((Math.imul(cx, PRIME_X) ^ Math.imul(cy, PRIME_Y) ^ Math.imul(cz, PRIME_Z)) >>> 0) % tableSize;
+}
+
+// Build (or rebuild in place, when `previous` fits) the hash for a flat
+// [x0, y0, z0, x1, ...] position array
+export function buildSpatialHash(positions, cellSize, previous = null) {
+  const count = positions.length / 3;
+  const tableSize = Math.max(1, count * 2);
+  const reuse = previous && previous.count === count;
+
+  const hash = reuse ? previous : {
+    count,
+    tableSize,
+    cellStart: new Uint32Array(tableSize + 1),
+    entries: new Uint32Array(count),
+    keys: new Uint32Array(count),
+    scanned: new Uint32Array(27)
+  };
+  hash.cellSize = cellSize;
+
+  const { cellStart, entries, keys } = hash;
+  cellStart.fill(0);
+
+  for (let i = 0; i < count; i++) {
+    const key = cellKey(
+      Math.floor(positions[i * 3] / cellSize),
+      Math.floor(positions[i * 3 + 1] / cellSize),
+      Math.floor(positions[i * 3 + 2] / cellSize),
+      tableSize
+    );
+    keys[i] = key;
+    cellStart[key + 1]++;
+  }
+
+  for (let k = 0; k < tableSize; k++) {
+    cellStart[k + 1] += cellStart[k];
+  }
+
+  // Fill back to front so each cell keeps its points in index order
+  for (let i = count - 1; i >= 0; i--) {
+    entries[--cellStart[keys[i] + 1]] = i;
+  }
+  // cellStart[k + 1] now holds the start of cell k; shift it back into place
+  for (let k = 0; k < tableSize; k++) {
+    cellStart[k] = cellStart[k + 1];
+  }
+  cellStart[tableSize] = count;
+
+  return hash;
+}
+
+// Call `visit(j, distanceSq)` for every point within `radius` of point `i`.
+// `radius` must not exceed the hash's cell size. Stops early when `visit`
+// returns false.
+export function forEachNeighbor(hash, positions, i, radius, visit) {
+  const { cellSize, cellStart, entries, tableSize, scanned } = hash;
+  const x = positions[i * 3];
+  const y = positions[i * 3 + 1];
+  const z = positions[i * 3 + 2];
+  const cx = Math.floor(x / cellSize);
+  const cy = Math.floor(y / cellSize);
+  const cz = Math.floor(z / cellSize);
+  const radiusSq = radius * radius;
+  // Distinct cells can collide in the table; skip keys already scanned
+  let scannedCount = 0;
+
+  for (let dx = -1; dx <= 1; dx++) {
+    for (let dy = -1; dy <= 1; dy++) {
+      for (let dz = -1; dz <= 1; dz++) {
+        const key = cellKey(cx + dx, cy + dy, cz + dz, tableSize);
+        let duplicate = false;
+        for (let s = 0; s < scannedCount; s++) {
+          if (scanned[s] === key) duplicate = true;
+        }
+        if (duplicate) continue;
+        scanned[scannedCount++] = key;
+
+        for (let e = cellStart[key]; e < cellStart[key + 1]; e++) {
+          const j = entries[e];
+          if (j === i) continue;
+          const ox = positions[j * 3] - x;
+          const oy = positions[j * 3 + 1] - y;
+          const oz = positions[j * 3 + 2] - z;
+          const distanceSq = ox * ox + oy * oy + oz * oz;
+          if (distanceSq < radiusSq && visit(j, distanceSq) === false) return;
+        }
+      }
+    }
+  }
+}
+
+// Link state for `updateNeighborLinks`. Points are visited in a seeded random
+// order, so when the link budget runs out the links still cover the whole
+// field instead of clustering among the lowest indices.
+export function createNeighborLinks(count, maxLinks, random) {
+  const order = new Uint32Array(count);
+  const rank = new Uint32Array(count);
+  for (let i = 0; i < count; i++) order[i] = i;
+  for (let i = count - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    const swap = order[i];
+    order[i] = order[j];
+    order[j] = swap;
+  }
+  for (let i = 0; i < count; i++) rank[order[i]] = i;
+
+  return {
+    order,
+    rank,
+    degree: new Uint16Array(count),
+    // Spread the budget evenly: no point takes more than its share of links,
+    // but every point may take two, so links still join up into chains
+    maxPerPoint: Math.max(2, Math.ceil((2 * maxLinks) / Math.max(count, 1))),
+    maxLinks,
+    pairs: new Uint32Array(maxLinks * 2),
+    linkCount: 0
+  };
+}
+
+// Rebuild links between points closer than `radius`, using a hash built with
+// a cell size of at least `radius`. Returns the number of links.
+export function updateNeighborLinks(links, positions, hash, radius) {
+  const { order, rank, degree, maxPerPoint, maxLinks, pairs } = links;
+  let linkCount = 0;
+  let i = 0;
+  degree.fill(0);
+
+  const visit = (j) => {
+    // Each pair is considered once, from whichever end is visited first
+    if (rank[j] < rank[i] || degree[j] >= maxPerPoint) return true;
+
+    pairs[linkCount * 2] = i;
+    pairs[linkCount * 2 + 1] = j;
+    degree[i]++;
+    degree[j]++;
+    linkCount++;
+    return degree[i] < maxPerPoint && linkCount < maxLinks;
+  };
+
+  for (let n = 0; n < order.length && linkCount < maxLinks; n++) {
+    i = order[n];
+    if (degree[i] < maxPerPoint) {
+      forEachNeighbor(hash, positions, i, radius, visit);
+    }
+  }
+
+  links.linkCount = linkCount;
+  return linkCount;
+}
@@ -0,0 +1,98 @@
+import { DEFAULT_PARAMS } from './params';
+import { createRandom } from './random';
+import { generateWaveParticles } from './generators';
+import {
+  buildSpatialHash,
+  forEachNeighbor,
+  createNeighborLinks,
+  updateNeighborLinks
+} from './spatialHash';
+
+function distance(positions, i, j) {
+  return Math.hypot(
+    positions[i * 3] - positions[j * 3],
+    positions[i * 3 + 1] - positions[j * 3 + 1],
+    positions[i * 3 + 2] - positions[j * 3 + 2]
+  );
+}
+
+describe('spatial hash', () => {
+  const { positions } = generateWaveParticles({ count: 800, seed: 11 });
+
+  it('finds exactly the neighbors a brute-force search finds', () => {
+    const hash = buildSpatialHash(positions, 6);
+    [0, 17, 400, 799].forEach((i) => {
+      const found = [];
+      forEachNeighbor(hash, positions, i, 6, (j) => { found.push(j); });
+      const expected = [];
+      for (let j = 0; j < 800; j++) {
+        if (j !== i && distance(positions, i, j) < 6) expected.push(j);
+      }
+      expect(found.sort((a, b) => a - b)).toEqual(expected);
+    });
+  });
+
+  it('reuses its buffers on rebuild', () => {
+    const first = buildSpatialHash(positions, 6);
+    const second = buildSpatialHash(positions, 8, first);
+    expect(second).toBe(first);
+    expect(second.cellSize).toBe(8);
+  });
+
+  it('stops when the visitor returns false', () => {
+    const hash = buildSpatialHash(positions, 15);
+    let visits = 0;
+    forEachNeighbor(hash, positions, 0, 15, () => {
+      visits++;
+      return false;
+    });
+    expect(visits).toBe(1);
+  });
+});
+
+describe('neighbor links', () => {
+  // The wave particles' default settings
+  const count = DEFAULT_PARAMS.waveParticleCount;
+  const radius = DEFAULT_PARAMS.connectionDistance;
+  const { positions } = generateWaveParticles({ count, seed: 2 });
+  const hash = buildSpatialHash(positions, radius);
+
+  function link(maxLinks) {
+    const links = createNeighborLinks(count, maxLinks, createRandom(1, 'links'));
+    updateNeighborLinks(links, positions, hash, radius);
+    return links;
+  }
+
+  it('links only pairs closer than the radius, within budget', () => {
+    const { pairs, linkCount } = link(500);
+    expect(linkCount).toBe(500);
+    for (let c = 0; c < linkCount; c++) {
+      expect(distance(positions, pairs[c * 2], pairs[c * 2 + 1])).toBeLessThan(radius);
+    }
+  });
+
+  it('spreads links across the whole field, in chains', () => {
+    const { pairs, linkCount, degree, maxPerPoint } = link(DEFAULT_PARAMS.maxConnections);
+    const linked = new Set(Array.from(pairs.subarray(0, linkCount * 2)));
+    expect(Math.max(...degree)).toBeLessThanOrEqual(maxPerPoint);
+    // Points join more than one link, so chains form rather than lone pairs
+    const joints = Array.from(degree).filter((d) => d >= 2).length;
+    expect(joints).toBeGreaterThan(linkCount * 0.1);
+    // Linked particles should cover every quadrant of the field
+    const quadrants = new Set();
+    linked.forEach((i) => quadrants.add(`${positions[i * 3] > 0}${positions[i * 3 + 2] > 0}`));
+    expect(quadrants.size).toBe(4);
+    // ...and not just the low particle indices
+    expect(Math.max(...linked)).toBeGreaterThan(count * 0.9);
+  });
+
+  it('never links a pair twice', () => {
+    const { pairs, linkCount } = link(1000);
+    const keys = new Set();
+    for (let c = 0; c < linkCount; c++) {
+      const [a, b] = [pairs[c * 2], pairs[c * 2 + 1]].sort((x, y) => x - y);
+      keys.add(`${a}-${b}`);
+    }
+    expect(keys.size).toBe(linkCount);
+  });
+});
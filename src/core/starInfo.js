@@ -0,0 +1,81 @@
+import { greatWaveDisplacement } from './generators';
+import { COMPONENT_BULGE, COMPONENT_BAR, COMPONENT_ARM } from './physicalGalaxy';
+import { createUnitSystem } from './units';
+
+// Readouts for the star inspector. A picked star is described by
+//   source    'galaxy', 'greatWave', 'zone' or 'catalog'
+//   position  [x, y, z] relative to the galactic center, as currently drawn
+//   component COMPONENT_* from physicalGalaxy.js (galaxy stars only)
+//   arm       arm index, -1 outside the arms (galaxy stars only)
+//   zoneName  the orbital zone's name (zone stars only)
+//   birthZoneName the zone a migrating star started in, if it has moved
+//   zoneColor the orbital zone's color (zone stars only)
+//   row       the star's row in its catalog file, from 0 (catalog stars only)
+//   velocity  [vx, vy, vz], or null for stars that don't orbit on their own
+//   waveDisplacement  vertical shift by the disk's warp, flare and
+//             corrugation included in `position`, if any (core/diskWave.js)
+
+export function componentLabel({ source, component, arm, row, zoneName, birthZoneName }) {
+  if (source === 'greatWave') return 'Great Wave star';
+  if (source === 'zone') {
+    if (birthZoneName && birthZoneName !== zoneName) {
+      return `Orbital zone: ${zoneName || 'between zones'} (migrated from ${birthZoneName})`;
+    }
+    return zoneName ? `Orbital zone: ${zoneName}` : 'Orbital zone star';
+  }
+  if (source === 'catalog') return `Catalog star, row ${row + 1}`;
+  switch (component) {
+    case COMPONENT_BULGE:
+      return 'Bulge';
+    case COMPONENT_BAR:
+      return 'Bar';
+    case COMPONENT_ARM:
+      return `Spiral arm ${arm + 1}`;
+    default:
+      return 'Disk';
+  }
+}
+
+// `greatWave` holds the stylized ripple's amplitude, length and speed when it
+// is shown, for the displacement of its own stars; stars displaced by the
+// disk wave model carry their own shift, and others have none.
+// `circularSpeed(R)` stands in for stars without a velocity of their own.
+// `units` (from createUnitSystem) converts lengths to kpc and light-years.
+export function describeStar(star, {
+  time = 0,
+  greatWave = null,
+  circularSpeed = null,
+  units = createUnitSystem()
+} = {}) {
+  const [x, y, z] = star.position;
+  const radius = Math.hypot(x, z);
+
+  let speed = null;
+  let tangentialSpeed = null;
+  if (star.velocity) {
+    const [vx, vy, vz] = star.velocity;
+    speed = Math.hypot(vx, vy, vz);
+    // Positive in the galaxy's sense of rotation, v = (Ωz, 0, -Ωx)
+    tangentialSpeed = radius > 0 ? (z * vx - x * vz) / radius : 0;
+  } else if (circularSpeed) {
+    speed = circularSpeed(radius);
+    tangentialSpeed = speed;
+  }
+
+  return {
+    label: componentLabel(star),
+    zoneColor: star.zoneColor || null,
+    radius,
+    radiusKpc: units.toKpc(radius),
+    radiusLightYears: units.toLightYears(radius),
+    height: y,
+    heightLightYears: units.toLightYears(y),
+    waveDisplacement: star.waveDisplacement !== undefined ? units.toLightYears(star.waveDisplacement)
+      : greatWave && star.source === 'greatWave' ? units.toLightYears(greatWaveDisplacement(x, z, time, greatWave)) : null,
+    speed,
+    tangentialSpeed,
+    // True when the speed is the circular speed at this radius
+    circular: !star.velocity && speed !== null,
+    period: tangentialSpeed > 0 ? (2 * Math.PI * radius) / tangentialSpeed : null
+  };
+}
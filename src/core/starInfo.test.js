@@ -0,0 +1,81 @@
+import { describeStar, componentLabel } from './starInfo';
+import { greatWaveDisplacement } from './generators';
+import { COMPONENT_BULGE, COMPONENT_BAR, COMPONENT_DISK, COMPONENT_ARM } from './physicalGalaxy';
+import { createUnitSystem, LIGHT_YEARS_PER_KPC } from './units';
+
+describe('componentLabel', () => {
+  it('names galaxy components, arms from 1', () => {
+    expect(componentLabel({ source: 'galaxy', component: COMPONENT_BULGE, arm: -1 })).toBe('Bulge');
+    expect(componentLabel({ source: 'galaxy', component: COMPONENT_BAR, arm: -1 })).toBe('Bar');
+    expect(componentLabel({ source: 'galaxy', component: COMPONENT_DISK, arm: -1 })).toBe('Disk');
+    expect(componentLabel({ source: 'galaxy', component: COMPONENT_ARM, arm: 2 })).toBe('Spiral arm 3');
+    expect(componentLabel({ source: 'greatWave' })).toBe('Great Wave star');
+    expect(componentLabel({ source: 'zone' })).toBe('Orbital zone star');
+    expect(componentLabel({ source: 'zone', zoneName: 'Solar circle' })).toBe('Orbital zone: Solar circle');
+    expect(componentLabel({ source: 'zone', zoneName: 'Solar circle', birthZoneName: 'Inner disk' }))
+      .toBe('Orbital zone: Solar circle (migrated from Inner disk)');
+    expect(componentLabel({ source: 'zone', zoneName: '', birthZoneName: 'Disk edge' }))
+      .toBe('Orbital zone: between zones (migrated from Disk edge)');
+    expect(componentLabel({ source: 'catalog', row: 41 })).toBe('Catalog star, row 42');
+  });
+});
+
+describe('describeStar', () => {
+  it('measures radius and height in scene units, kpc and light-years', () => {
+    const units = createUnitSystem({ kpcPerUnit: 0.5 });
+    const info = describeStar(
+      { source: 'galaxy', position: [3, 0.2, 4], component: COMPONENT_DISK, arm: -1, velocity: null },
+      { units }
+    );
+    expect(info.radius).toBeCloseTo(5, 10);
+    expect(info.radiusKpc).toBeCloseTo(2.5, 10);
+    expect(info.radiusLightYears).toBeCloseTo(2.5 * LIGHT_YEARS_PER_KPC, 6);
+    expect(info.heightLightYears).toBeCloseTo(0.1 * LIGHT_YEARS_PER_KPC, 6);
+    expect(info.speed).toBeNull();
+    expect(info.period).toBeNull();
+  });
+
+  it('splits out the tangential speed in the sense of rotation', () => {
+    // Rigid rotation at Ω = 0.5: v = (Ωz, 0, -Ωx)
+    const omega = 0.5;
+    const info = describeStar({ source: 'zone', position: [6, 0, 8], zoneColor: '#ff0000', velocity: [omega * 8, 0, -omega * 6] });
+    expect(info.speed).toBeCloseTo(5, 10);
+    expect(info.tangentialSpeed).toBeCloseTo(5, 10);
+    expect(info.period).toBeCloseTo((2 * Math.PI) / omega, 10);
+    expect(info.circular).toBe(false);
+    expect(info.zoneColor).toBe('#ff0000');
+
+    const radial = describeStar({ source: 'galaxy', position: [10, 0, 0], velocity: [1, 0, 0] });
+    expect(radial.speed).toBeCloseTo(1, 10);
+    expect(radial.tangentialSpeed).toBeCloseTo(0, 10);
+  });
+
+  it('falls back to the circular speed and reports the Great Wave displacement', () => {
+    const greatWave = { waveAmplitude: 0.65, waveLength: 30, waveSpeed: 0.05 };
+    const info = describeStar(
+      { source: 'greatWave', position: [20, 0.4, -5], velocity: null },
+      { time: 12, greatWave, circularSpeed: (R) => 0.1 * R, units: createUnitSystem({ kpcPerUnit: 1 }) }
+    );
+    expect(info.circular).toBe(true);
+    expect(info.speed).toBeCloseTo(0.1 * Math.hypot(20, 5), 10);
+    // Reported in light-years
+    expect(info.waveDisplacement).toBeCloseTo(greatWaveDisplacement(20, -5, 12, greatWave) * LIGHT_YEARS_PER_KPC, 6);
+    expect(describeStar({ source: 'greatWave', position: [20, 0, -5], velocity: null }).waveDisplacement).toBeNull();
+  });
+
+  it("reports a disk-wave star's own displacement", () => {
+    const info = describeStar(
+      { source: 'galaxy', position: [20, 0.5, 0], velocity: null, waveDisplacement: 0.5 },
+      { greatWave: { waveAmplitude: 0.65, waveLength: 30, waveSpeed: 0.05 }, units: createUnitSystem({ kpcPerUnit: 1 }) }
+    );
+    expect(info.waveDisplacement).toBeCloseTo(0.5 * LIGHT_YEARS_PER_KPC, 6);
+  });
+
+  it('leaves other stars without a wave displacement when the Great Wave is shown', () => {
+    const info = describeStar(
+      { source: 'galaxy', position: [20, 0.4, -5], velocity: null },
+      { time: 12, greatWave: { waveAmplitude: 0.65, waveLength: 30, waveSpeed: 0.05 } }
+    );
+    expect(info.waveDisplacement).toBeNull();
+  });
+});
@@ -0,0 +1,60 @@
+import { CatmullRomCurve3, Vector3 } from 'three';
+
+// Where the galaxy frame sits at a given travel time. Both models advance
+// `movementSpeed * 5` units per second along their path:
+// - 'sinusoid': straight drift along +z with a ±10 unit sideways sway
+// - 'spline': a centripetal Catmull-Rom spline through the user's points,
+//   looping when closed and running back and forth when open
+
+export function createTrajectory({
+  trajectoryModel = 'sinusoid',
+  trajectoryPath = [],
+  trajectoryClosed = true
+} = {}) {
+  if (trajectoryModel !== 'spline' || trajectoryPath.length < 2) {
+    return { model: 'sinusoid' };
+  }
+
+  const points = trajectoryPath.map(([x, y, z]) => new Vector3(x, y, z));
+  // A closed curve needs at least three points to enclose anything
+  const closed = trajectoryClosed && points.length > 2;
+  const curve = new CatmullRomCurve3(points, closed, 'centripetal');
+
+  return { model: 'spline', curve, closed, length: curve.getLength() };
+}
+
+// Write the frame position after `time` seconds of travel into `target`
+// (a Vector3, e.g. a group's position)
+export function trajectoryPosition(trajectory, time, movementSpeed, target = new Vector3()) {
+  const distance = time * movementSpeed * 5;
+
+  if (trajectory.model !== 'spline') {
+    return target.set(Math.sin(time * movementSpeed) * 10, 0, distance);
+  }
+
+  const { curve, closed, length } = trajectory;
+  if (length === 0) return target.copy(curve.points[0]);
+
+  const laps = distance / length;
+  let u;
+  if (closed) {
+    u = laps - Math.floor(laps);
+  } else {
+    // Ping-pong: forward on even laps, backward on odd ones
+    const phase = laps - 2 * Math.floor(laps / 2);
+    u = phase <= 1 ? phase : 2 - phase;
+  }
+  return curve.getPointAt(u, target);
+}
+
+// Evenly spaced points along the trajectory, for drawing it
+export function sampleTrajectory(trajectory, segments = 200) {
+  if (trajectory.model !== 'spline') return null;
+  const positions = new Float32Array((segments + 1) * 3);
+  const point = new Vector3();
+  for (let i = 0; i <= segments; i++) {
+    trajectory.curve.getPointAt(i / segments, point);
+    point.toArray(positions, i * 3);
+  }
+  return positions;
+}
@@ -0,0 +1,62 @@
+import { Vector3 } from 'three';
+import { createTrajectory, trajectoryPosition, sampleTrajectory } from './trajectory';
+
+describe('sinusoid trajectory', () => {
+  it('drifts along +z while swaying sideways', () => {
+    const trajectory = createTrajectory();
+    const position = trajectoryPosition(trajectory, 10, 0.1);
+    expect(position.x).toBeCloseTo(Math.sin(1) * 10, 10);
+    expect(position.y).toBe(0);
+    expect(position.z).toBeCloseTo(5, 10);
+  });
+
+  it('is used when a spline has too few points', () => {
+    expect(createTrajectory({ trajectoryModel: 'spline', trajectoryPath: [[1, 2, 3]] }).model).toBe('sinusoid');
+  });
+});
+
+describe('spline trajectory', () => {
+  const square = [[-10, 0, -10], [10, 0, -10], [10, 0, 10], [-10, 0, 10]];
+
+  it('passes through every control point', () => {
+    const trajectory = createTrajectory({ trajectoryModel: 'spline', trajectoryPath: square });
+    const samples = sampleTrajectory(trajectory, 400);
+    square.forEach(([x, y, z]) => {
+      let best = Infinity;
+      for (let i = 0; i < samples.length; i += 3) {
+        best = Math.min(best, Math.hypot(samples[i] - x, samples[i + 1] - y, samples[i + 2] - z));
+      }
+      expect(best).toBeLessThan(0.5);
+    });
+  });
+
+  it('loops a closed path and travels at the movement speed', () => {
+    const trajectory = createTrajectory({ trajectoryModel: 'spline', trajectoryPath: square });
+    const lap = trajectory.length / (0.1 * 5);
+    const start = trajectoryPosition(trajectory, 0, 0.1);
+    expect(start.distanceTo(new Vector3(-10, 0, -10))).toBeLessThan(1e-6);
+    expect(trajectoryPosition(trajectory, lap, 0.1).distanceTo(start)).toBeLessThan(1e-3);
+    // One second later the frame has moved about half a unit along the curve
+    expect(trajectoryPosition(trajectory, 1, 0.1).distanceTo(start)).toBeCloseTo(0.5, 2);
+  });
+
+  it('runs back and forth along an open path', () => {
+    const trajectory = createTrajectory({
+      trajectoryModel: 'spline',
+      trajectoryPath: [[0, 0, 0], [20, 0, 0]],
+      trajectoryClosed: false
+    });
+    expect(trajectory.length).toBeCloseTo(20, 6);
+    // 2 units per second: out in 10 s, halfway back at 15 s, home at 20 s
+    expect(trajectoryPosition(trajectory, 10, 0.4).x).toBeCloseTo(20, 3);
+    expect(trajectoryPosition(trajectory, 15, 0.4).x).toBeCloseTo(10, 3);
+    expect(trajectoryPosition(trajectory, 20, 0.4).x).toBeCloseTo(0, 3);
+  });
+
+  it('writes into the given target', () => {
+    const target = new Vector3();
+    const trajectory = createTrajectory({ trajectoryModel: 'spline', trajectoryPath: square });
+    expect(trajectoryPosition(trajectory, 3, 0.2, target)).toBe(target);
+    expect(sampleTrajectory(createTrajectory())).toBeNull();
+  });
+});
@@ -0,0 +1,48 @@
+import { DEFAULT_PARAMS } from './params';
+import { createUnitSystem, scaleBarLength, LIGHT_YEARS_PER_KPC, SOLAR_RADIUS_KPC } from './units';
+
+describe('createUnitSystem', () => {
+  it('converts scene units to kpc and light-years and back', () => {
+    const units = createUnitSystem({ kpcPerUnit: 0.5 });
+    expect(units.toKpc(16.4)).toBeCloseTo(SOLAR_RADIUS_KPC, 10);
+    expect(units.fromKpc(SOLAR_RADIUS_KPC)).toBeCloseTo(16.4, 10);
+    expect(units.toLightYears(2)).toBeCloseTo(LIGHT_YEARS_PER_KPC, 6);
+  });
+
+  it('displays and parses lengths in the chosen unit', () => {
+    const kpc = createUnitSystem({ kpcPerUnit: 0.5, distanceUnit: 'kpc' });
+    expect(kpc.toDisplay(10)).toBeCloseTo(5, 10);
+    expect(kpc.fromDisplay(5)).toBeCloseTo(10, 10);
+    expect(kpc.format(25)).toBe('12.5 kpc');
+    expect(kpc.format(0.3)).toBe('0.15 kpc');
+
+    const ly = createUnitSystem({ kpcPerUnit: 0.5, distanceUnit: 'ly' });
+    expect(ly.fromDisplay(ly.toDisplay(7))).toBeCloseTo(7, 10);
+    expect(ly.format(16.4)).toBe('26,700 ly');
+    expect(ly.format(0.4)).toBe('652 ly');
+  });
+
+  it('sizes the default Great Wave as observed', () => {
+    const units = createUnitSystem({ kpcPerUnit: DEFAULT_PARAMS.kpcPerUnit });
+    expect(units.toLightYears(DEFAULT_PARAMS.greatWaveAmplitude)).toBeCloseTo(650, -1);
+    const length = units.toLightYears(DEFAULT_PARAMS.greatWaveLength);
+    expect(length).toBeGreaterThan(30000);
+    expect(length).toBeLessThan(65000);
+  });
+});
+
+describe('scaleBarLength', () => {
+  it('picks the longest 1-2-5 length that fits', () => {
+    const kpc = createUnitSystem({ kpcPerUnit: 0.5 });
+    // 30 units = 15 kpc, so the bar is 10 kpc long
+    expect(scaleBarLength(30, kpc)).toEqual({ units: 20, label: '10 kpc' });
+    // 7 units = 3.5 kpc
+    expect(scaleBarLength(7, kpc)).toEqual({ units: 4, label: '2 kpc' });
+    expect(scaleBarLength(1.5, kpc).label).toBe('0.5 kpc');
+
+    const ly = createUnitSystem({ kpcPerUnit: 0.5, distanceUnit: 'ly' });
+    const { units, label } = scaleBarLength(30, ly);
+    expect(label).toBe('20,000 ly');
+    expect(ly.toLightYears(units)).toBeCloseTo(20000, 6);
+  });
+});
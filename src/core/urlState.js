@@ -0,0 +1,80 @@
+import { PARAM_KEYS, DEFAULT_PARAMS, sanitizeParams, formatParam } from './params';
+
+// Encodes the full visualization state (parameters plus camera pose) into a
+// URL hash such as `#v=1&seed=1337&galaxyRadius=25&...&cam=0,15,40,0,0,0`,
+// so a link reopens exactly the same view.
+
+export const URL_STATE_VERSION = 1;
+
+export const DEFAULT_CAMERA = {
+  position: [0, 15, 40],
+  target: [0, 0, 0]
+};
+
+// Keep hashes short without visibly moving the camera
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+export function encodeCamera({ position, target }) {
+  return [...position, ...target].map(round).join(',');
+}
+
+export function decodeCamera(value) {
+  const numbers = String(value).split(',').map((part) => (part.trim() === '' ? NaN : Number(part)));
+  if (numbers.length !== 6 || !numbers.every(Number.isFinite)) {
+    return { error: `"cam" must be six comma-separated numbers, got "${value}"` };
+  }
+  return {
+    camera: {
+      position: numbers.slice(0, 3),
+      target: numbers.slice(3, 6)
+    }
+  };
+}
+
+export function encodeState({ params = DEFAULT_PARAMS, camera } = {}) {
+  const search = new URLSearchParams();
+  search.set('v', String(URL_STATE_VERSION));
+  PARAM_KEYS.forEach((key) => {
+    if (params[key] !== undefined) {
+      search.set(key, formatParam(key, params[key]));
+    }
+  });
+  if (camera) {
+    search.set('cam', encodeCamera(camera));
+  }
+  return search.toString();
+}
+
+// Parse a hash produced by `encodeState`. Every value is validated against
+// the slider ranges; rejected values are listed in `errors` and fall back to
+// `base`. `camera` is null when the hash carries no valid pose.
+export function decodeState(hash, base = DEFAULT_PARAMS) {
+  const search = new URLSearchParams(String(hash || '').replace(/^#/, ''));
+  const raw = {};
+  const errors = [];
+  let camera = null;
+
+  const version = search.get('v');
+  if (version !== null && Number(version) !== URL_STATE_VERSION) {
+    errors.push(`Unsupported URL state version ${version}`);
+  }
+
+  search.forEach((value, key) => {
+    if (key === 'v') return;
+    if (key === 'cam') {
+      const result = decodeCamera(value);
+      if (result.error) {
+        errors.push(result.error);
+      } else {
+        camera = result.camera;
+      }
+      return;
+    }
+    raw[key] = value;
+  });
+
+  const { params, errors: paramErrors } = sanitizeParams(raw, base);
+  return { params, camera, errors: errors.concat(paramErrors) };
+}
@@ -0,0 +1,115 @@
+import { DEFAULT_PARAMS, PARAM_KEYS, validateParam, sanitizeParams, formatParam } from './params';
+import { encodeState, decodeState, DEFAULT_CAMERA } from './urlState';
+
+describe('validateParam', () => {
+  it('coerces strings from the URL to the parameter type', () => {
+    expect(validateParam('galaxyRadius', '30')).toEqual({ value: 30 });
+    expect(validateParam('enableMovement', 'false')).toEqual({ value: false });
+    expect(validateParam('waveColor', '#ABCDEF')).toEqual({ value: '#abcdef' });
+    expect(validateParam('galaxyModel', 'physical')).toEqual({ value: 'physical' });
+  });
+
+  it('parses paths from their URL form', () => {
+    const path = [[1.5, 0, -2], [3, 4, 5]];
+    expect(formatParam('trajectoryPath', path)).toBe('1.5,0,-2;3,4,5');
+    expect(validateParam('trajectoryPath', '1.5,0,-2;3,4,5')).toEqual({ value: path });
+    expect(formatParam('galaxyRadius', 30)).toBe('30');
+  });
+
+  it('round-trips zones through their URL form, names included', () => {
+    const zones = [
+      { name: 'Ring; A, "one"', color: '#ABCDEF', innerFraction: 0.1, outerFraction: 0.3, speed: -1.5 },
+      { name: '', color: '#000000', innerFraction: 0.3, outerFraction: 1.2, speed: 0 }
+    ];
+    const text = formatParam('orbitalZones', zones);
+    expect(text.split(';')).toHaveLength(2);
+    expect(validateParam('orbitalZones', text).value).toEqual([
+      { ...zones[0], color: '#abcdef' },
+      zones[1]
+    ]);
+    expect(validateParam('orbitalZones', '')).toEqual({ value: [] });
+  });
+
+  it('rejects malformed zones, naming the zone', () => {
+    const zone = { name: 'A', color: '#ff0000', innerFraction: 0.2, outerFraction: 0.4, speed: 1 };
+    expect(validateParam('orbitalZones', [zone, { ...zone, outerFraction: 0.1 }]).error).toMatch(/zone 2 must have innerFraction below/);
+    expect(validateParam('orbitalZones', [{ ...zone, color: 'red' }]).error).toMatch(/zone 1 needs a #rrggbb color/);
+    expect(validateParam('orbitalZones', [{ ...zone, outerFraction: 2 }]).error).toMatch(/between 0 and 1.5/);
+    expect(validateParam('orbitalZones', [{ ...zone, speed: 9 }]).error).toMatch(/speed/);
+    expect(validateParam('orbitalZones', 'A,#ff0000,0.2').error).toMatch(/zone 1 must be/);
+    expect(validateParam('orbitalZones', Array(13).fill(zone)).error).toMatch(/at most 12 zones/);
+  });
+
+  it('rejects values outside the slider range', () => {
+    expect(validateParam('galaxyRadius', 51).error).toMatch(/between 10 and 50/);
+    expect(validateParam('armCount', '1').error).toMatch(/between 2 and 6/);
+  });
+
+  it('rejects malformed and unknown values', () => {
+    expect(validateParam('galaxyRadius', 'wide').error).toMatch(/must be a number/);
+    expect(validateParam('seed', 1.5).error).toMatch(/integer/);
+    expect(validateParam('showSunMarker', 'maybe').error).toMatch(/true or false/);
+    expect(validateParam('waveColor', 'blue').error).toMatch(/#rrggbb/);
+    expect(validateParam('galaxyModel', 'elliptical').error).toMatch(/one of stylized, physical/);
+    expect(validateParam('trajectoryPath', '1,2,3;4,5').error).toMatch(/\[x, y, z\] points/);
+    expect(validateParam('trajectoryPath', [[1, 2, 3]]).error).toMatch(/between 2 and 32 points/);
+    expect(validateParam('trajectoryPath', [[0, 0, 0], [500, 0, 0]]).error).toMatch(/±100/);
+    expect(validateParam('tourKeyframes', [[0, 0, 0], [1, 1, 1]]).error).toMatch(/points of 6 numbers/);
+    expect(validateParam('warpDrive', 1).error).toMatch(/Unknown parameter/);
+  });
+
+  it('accepts every default', () => {
+    PARAM_KEYS.forEach((key) => {
+      expect(validateParam(key, DEFAULT_PARAMS[key])).toEqual({ value: DEFAULT_PARAMS[key] });
+    });
+  });
+});
+
+describe('sanitizeParams', () => {
+  it('keeps valid values and reports the rest', () => {
+    const { params, errors } = sanitizeParams({ galaxyRadius: 40, armCount: 9 });
+    expect(params.galaxyRadius).toBe(40);
+    expect(params.armCount).toBe(DEFAULT_PARAMS.armCount);
+    expect(errors).toHaveLength(1);
+  });
+});
+
+describe('URL state', () => {
+  const camera = { position: [1.23456, 20, -35], target: [0, 0.5, 2] };
+
+  it('round-trips the full parameter set and camera pose', () => {
+    const params = {
+      ...DEFAULT_PARAMS,
+      seed: 99,
+      galaxyRadius: 42,
+      enableMovement: false,
+      starColor: '#ffeedd',
+      trajectoryPath: [[-10, 1, 0], [10, -1, 5.5], [0, 0, 20]]
+    };
+    const decoded = decodeState(`#${encodeState({ params, camera })}`);
+    expect(decoded.errors).toEqual([]);
+    expect(decoded.params).toEqual(params);
+    expect(decoded.camera).toEqual({ position: [1.235, 20, -35], target: [0, 0.5, 2] });
+  });
+
+  it('encodes every parameter', () => {
+    const search = new URLSearchParams(encodeState({ params: DEFAULT_PARAMS }));
+    PARAM_KEYS.forEach((key) => expect(search.has(key)).toBe(true));
+  });
+
+  it('falls back to defaults for an empty hash', () => {
+    const decoded = decodeState('');
+    expect(decoded.params).toEqual(DEFAULT_PARAMS);
+    expect(decoded.camera).toBeNull();
+    expect(decoded.errors).toEqual([]);
+    expect(DEFAULT_CAMERA.position).toEqual([0, 15, 40]);
+  });
+
+  it('drops out-of-range values and malformed cameras', () => {
+    const decoded = decodeState('#v=1&galaxyParticleCount=999999&bulgeSize=2&cam=1,2,3');
+    expect(decoded.params.galaxyParticleCount).toBe(DEFAULT_PARAMS.galaxyParticleCount);
+    expect(decoded.params.bulgeSize).toBe(2);
+    expect(decoded.camera).toBeNull();
+    expect(decoded.errors).toHaveLength(2);
+  });
+});
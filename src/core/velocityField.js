@@ -0,0 +1,137 @@
+import { Color } from 'three';
+import { colorByValue } from './catalog';
+
+// Velocity field of the orbital zones: sites on a polar lattice over every
+// zone, each circling the center at its angular speed, drawn as arrows or
+// as streamlines trailing behind each site. Positions are in the galaxy
+// frame, whose azimuth decreases in the direction of rotation, so a site at
+// azimuth a moves with velocity speed * (sin a, 0, -cos a).
+
+// Fraction of the lattice spacing the fastest arrow spans
+const ARROW_LENGTH = 0.85;
+
+// Shortest arrow, as a fraction of the spacing, so still sites stay visible
+const MIN_ARROW_LENGTH = 0.08;
+
+// Arc length of the fastest streamline, in lattice spacings
+const STREAMLINE_LENGTH = 1.6;
+
+// Line segments per streamline
+export const STREAMLINE_SEGMENTS = 8;
+
+// Sites in rings `galaxyRadius / density` apart, with about that much room
+// between neighbors along each ring; every zone gets at least its middle ring.
+// Alternate rings are staggered.
+export function createVelocityField({ zones, galaxyRadius, density }) {
+  const spacing = galaxyRadius / density;
+  const sites = [];
+  zones.forEach((zone, z) => {
+    const inner = zone.innerFraction * galaxyRadius;
+    const outer = zone.outerFraction * galaxyRadius;
+    const rings = Math.max(1, Math.floor((outer - inner) / spacing));
+    const gap = (outer - inner) / rings;
+    for (let k = 0; k < rings; k++) {
+      const radius = inner + (k + 0.5) * gap;
+      const perRing = Math.max(3, Math.round((2 * Math.PI * radius) / spacing));
+      for (let j = 0; j < perRing; j++) {
+        sites.push([z, radius, ((j + (k % 2) * 0.5) / perRing) * 2 * Math.PI]);
+      }
+    }
+  });
+
+  const count = sites.length;
+  const field = {
+    count,
+    spacing,
+    zone: new Uint16Array(count),
+    radius: new Float32Array(count),
+    azimuth: new Float32Array(count),
+    angularSpeed: new Float32Array(count),
+    speed: new Float32Array(count),
+    maxSpeed: 0
+  };
+  sites.forEach(([z, radius, azimuth], i) => {
+    field.zone[i] = z;
+    field.radius[i] = radius;
+    field.azimuth[i] = azimuth;
+  });
+  return field;
+}
+
+// Set every site's angular speed from `angularSpeed(R, zoneIndex)`, and its
+// orbital speed |angular speed| * R
+export function setFieldSpeeds(field, angularSpeed) {
+  field.maxSpeed = 0;
+  for (let i = 0; i < field.count; i++) {
+    const omega = angularSpeed(field.radius[i], field.zone[i]);
+    field.angularSpeed[i] = omega;
+    field.speed[i] = Math.abs(omega) * field.radius[i];
+    field.maxSpeed = Math.max(field.maxSpeed, field.speed[i]);
+  }
+  return field;
+}
+
+// Turn every site by `dt` simulated seconds (negative runs backwards)
+export function advanceField(field, dt) {
+  for (let i = 0; i < field.count; i++) {
+    field.azimuth[i] -= field.angularSpeed[i] * dt;
+  }
+  return field;
+}
+
+// Colors per site: each zone's color, or by orbital speed from blue (still)
+// through white to red (fastest)
+export function fieldColors(field, zones, bySpeed) {
+  if (bySpeed) return colorByValue(field.speed, [0, field.maxSpeed || 1]);
+  const zoneColors = zones.map((zone) => new Color(zone.color));
+  const colors = new Float32Array(field.count * 3);
+  for (let i = 0; i < field.count; i++) {
+    const color = zoneColors[field.zone[i]];
+    colors[i * 3] = color.r;
+    colors[i * 3 + 1] = color.g;
+    colors[i * 3 + 2] = color.b;
+  }
+  return colors;
+}
+
+// Where the arrow of site `i` sits and points: its center, its heading as
+// a turn about +y that takes +x onto the velocity, and its length, which
+// grows with the site's speed
+export function arrowPose(field, i) {
+  const radius = field.radius[i];
+  const azimuth = field.azimuth[i];
+  const direction = field.angularSpeed[i] < 0 ? -1 : 1;
+  const share = field.maxSpeed > 0 ? field.speed[i] / field.maxSpeed : 0;
+  return {
+    x: Math.cos(azimuth) * radius,
+    z: Math.sin(azimuth) * radius,
+    heading: (direction * Math.PI) / 2 - azimuth,
+    length: field.spacing * Math.max(MIN_ARROW_LENGTH, ARROW_LENGTH * share)
+  };
+}
+
+// Fill line segment buffers with each site's streamline: the arc it has
+// just traveled along, as long as the speed makes it, fading from `colors`
+// at the site to black at the tail. Returns the number of vertices.
+export function buildStreamlines(field, colors, positions, lineColors) {
+  if (field.maxSpeed === 0) return 0;
+  // Seconds of travel the fastest streamline covers
+  const duration = (STREAMLINE_LENGTH * field.spacing) / field.maxSpeed;
+  let v = 0;
+  for (let i = 0; i < field.count; i++) {
+    const radius = field.radius[i];
+    const sweep = field.angularSpeed[i] * duration;
+    for (let s = 0; s < STREAMLINE_SEGMENTS; s++) {
+      for (let end = 0; end < 2; end++) {
+        const along = (s + end) / STREAMLINE_SEGMENTS;
+        const azimuth = field.azimuth[i] + sweep * along;
+        positions[v * 3] = Math.cos(azimuth) * radius;
+        positions[v * 3 + 1] = 0;
+        positions[v * 3 + 2] = Math.sin(azimuth) * radius;
+        for (let c = 0; c < 3; c++) lineColors[v * 3 + c] = colors[i * 3 + c] * (1 - along);
+        v += 1;
+      }
+    }
+  }
+  return v;
+}
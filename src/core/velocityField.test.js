@@ -0,0 +1,86 @@
+import { Color } from 'three';
+import { DEFAULT_PARAMS } from './params';
+import {
+  STREAMLINE_SEGMENTS,
+  createVelocityField,
+  setFieldSpeeds,
+  advanceField,
+  fieldColors,
+  arrowPose,
+  buildStreamlines
+} from './velocityField';
+
+const zones = DEFAULT_PARAMS.orbitalZones;
+
+describe('createVelocityField', () => {
+  it('lays sites inside their zones, denser with higher density', () => {
+    const field = createVelocityField({ zones, galaxyRadius: 25, density: 12 });
+    expect(field.count).toBeGreaterThan(0);
+    for (let i = 0; i < field.count; i++) {
+      const zone = zones[field.zone[i]];
+      expect(field.radius[i]).toBeGreaterThan(zone.innerFraction * 25);
+      expect(field.radius[i]).toBeLessThan(zone.outerFraction * 25);
+    }
+    expect(createVelocityField({ zones, galaxyRadius: 25, density: 24 }).count).toBeGreaterThan(field.count * 3);
+    // Every zone gets sites, however narrow
+    const narrow = createVelocityField({ zones: [{ ...zones[0], innerFraction: 0.5, outerFraction: 0.51 }], galaxyRadius: 25, density: 4 });
+    expect(narrow.count).toBeGreaterThanOrEqual(3);
+  });
+});
+
+describe('velocity field motion', () => {
+  it('turns sites at their speed, with arrows along the velocity and longer when faster', () => {
+    const field = setFieldSpeeds(
+      createVelocityField({ zones, galaxyRadius: 25, density: 12 }),
+      (R, zone) => zones[zone].speed * 0.2
+    );
+    const i = field.count - 1;
+    const start = arrowPose(field, i);
+    advanceField(field, 0.01);
+    const end = arrowPose(field, i);
+
+    // The site moved along the heading the arrow points in: +x turned by heading
+    const dx = end.x - start.x;
+    const dz = end.z - start.z;
+    const moved = Math.hypot(dx, dz);
+    expect(moved).toBeCloseTo(field.speed[i] * 0.01, 4);
+    expect(dx / moved).toBeCloseTo(Math.cos(start.heading), 2);
+    expect(dz / moved).toBeCloseTo(-Math.sin(start.heading), 2);
+
+    const fastest = field.speed.indexOf(field.maxSpeed);
+    const slowest = field.speed.indexOf(Math.min(...field.speed));
+    expect(arrowPose(field, fastest).length).toBeGreaterThan(arrowPose(field, slowest).length);
+  });
+
+  it('points arrows the other way for reversed zones', () => {
+    const field = setFieldSpeeds(createVelocityField({ zones, galaxyRadius: 25, density: 8 }), () => -0.2);
+    const pose = arrowPose(field, 0);
+    advanceField(field, 0.01);
+    const next = arrowPose(field, 0);
+    expect((next.x - pose.x) * Math.cos(pose.heading) - (next.z - pose.z) * Math.sin(pose.heading)).toBeGreaterThan(0);
+  });
+});
+
+describe('fieldColors and buildStreamlines', () => {
+  it('colors by zone or speed and draws trailing arcs on each site\'s circle', () => {
+    const field = setFieldSpeeds(createVelocityField({ zones, galaxyRadius: 25, density: 8 }), () => 0.2);
+    const byZone = fieldColors(field, zones, false);
+    const first = new Color(zones[0].color);
+    expect(Array.from(byZone.subarray(0, 3))).toEqual([first.r, first.g, first.b].map(Math.fround));
+    const bySpeed = fieldColors(field, zones, true);
+    expect(bySpeed).toHaveLength(field.count * 3);
+
+    const vertices = field.count * STREAMLINE_SEGMENTS * 2;
+    const positions = new Float32Array(vertices * 3);
+    const colors = new Float32Array(vertices * 3);
+    expect(buildStreamlines(field, byZone, positions, colors)).toBe(vertices);
+    // First vertex at the site, in full color; the tail stays on its ring
+    const head = arrowPose(field, 0);
+    expect(positions[0]).toBeCloseTo(head.x, 4);
+    expect(positions[2]).toBeCloseTo(head.z, 4);
+    expect(colors[0]).toBeCloseTo(byZone[0], 5);
+    const tail = (STREAMLINE_SEGMENTS * 2 - 1) * 3;
+    expect(Math.hypot(positions[tail], positions[tail + 2])).toBeCloseTo(field.radius[0], 3);
+    expect(colors[tail]).toBeCloseTo(0, 5);
+  });
+});
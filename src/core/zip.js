@@ -0,0 +1,101 @@
+// Minimal ZIP writer for packaging image sequences. Entries are stored
+// uncompressed (PNG data doesn't deflate further), and there is no ZIP64, so
+// an archive must stay under 4 GiB.
+// The writer only produces the header bytes; callers keep each entry's data
+// themselves (e.g. as a Blob) and interleave the parts:
+//   header(a), data(a), header(b), data(b), ..., finish()
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+export function crc32(bytes) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+// MS-DOS time and date fields
+function dosDateTime(date) {
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  };
+}
+
+export function createZipWriter({ date = new Date() } = {}) {
+  const encoder = new TextEncoder();
+  const stamp = dosDateTime(date);
+  const entries = [];
+  let offset = 0;
+
+  return {
+    // Returns the local header to write immediately before `data`
+    addFile(name, data) {
+      const nameBytes = encoder.encode(name);
+      const entry = { nameBytes, crc: crc32(data), size: data.length, offset };
+      entries.push(entry);
+
+      const header = new Uint8Array(30 + nameBytes.length);
+      const view = new DataView(header.buffer);
+      view.setUint32(0, 0x04034b50, true);
+      view.setUint16(4, 20, true); // version needed
+      view.setUint16(6, 0x0800, true); // UTF-8 names
+      view.setUint16(8, 0, true); // stored
+      view.setUint16(10, stamp.time, true);
+      view.setUint16(12, stamp.date, true);
+      view.setUint32(14, entry.crc, true);
+      view.setUint32(18, entry.size, true);
+      view.setUint32(22, entry.size, true);
+      view.setUint16(26, nameBytes.length, true);
+      view.setUint16(28, 0, true);
+      header.set(nameBytes, 30);
+
+      offset += header.length + data.length;
+      return header;
+    },
+
+    // Central directory and end record, written after the last entry
+    finish() {
+      const directorySize = entries.reduce((sum, e) => sum + 46 + e.nameBytes.length, 0);
+      const bytes = new Uint8Array(directorySize + 22);
+      const view = new DataView(bytes.buffer);
+      let p = 0;
+
+      entries.forEach((entry) => {
+        view.setUint32(p, 0x02014b50, true);
+        view.setUint16(p + 4, 20, true); // version made by
+        view.setUint16(p + 6, 20, true); // version needed
+        view.setUint16(p + 8, 0x0800, true);
+        view.setUint16(p + 10, 0, true);
+        view.setUint16(p + 12, stamp.time, true);
+        view.setUint16(p + 14, stamp.date, true);
+        view.setUint32(p + 16, entry.crc, true);
+        view.setUint32(p + 20, entry.size, true);
+        view.setUint32(p + 24, entry.size, true);
+        view.setUint16(p + 28, entry.nameBytes.length, true);
+        // Extra field, comment, disk number and attributes stay zero
+        view.setUint32(p + 42, entry.offset, true);
+        bytes.set(entry.nameBytes, p + 46);
+        p += 46 + entry.nameBytes.length;
+      });
+
+      view.setUint32(p, 0x06054b50, true);
+      view.setUint16(p + 8, entries.length, true);
+      view.setUint16(p + 10, entries.length, true);
+      view.setUint32(p + 12, directorySize, true);
+      view.setUint32(p + 16, offset, true);
+      return bytes;
+    }
+  };
+}
@@ -0,0 +1,56 @@
+/**
+ * @jest-environment node
+ */
+
+import { crc32, createZipWriter } from './zip';
+
+function concat(parts) {
+  const out = new Uint8Array(parts.reduce((sum, p) => sum + p.length, 0));
+  let offset = 0;
+  parts.forEach((p) => {
+    out.set(p, offset);
+    offset += p.length;
+  });
+  return out;
+}
+
+describe('crc32', () => {
+  it('matches known checksums', () => {
+    expect(crc32(new TextEncoder().encode('hello'))).toBe(0x3610a686);
+    expect(crc32(new Uint8Array(0))).toBe(0);
+  });
+});
+
+describe('createZipWriter', () => {
+  it('writes a stored archive whose directory points at each entry', () => {
+    const files = [['frame_0000.png', new Uint8Array([1, 2, 3])], ['frame_0001.png', new Uint8Array([4, 5])]];
+    const zip = createZipWriter({ date: new Date(2024, 0, 2, 3, 4, 6) });
+    const parts = [];
+    files.forEach(([name, data]) => parts.push(zip.addFile(name, data), data));
+    parts.push(zip.finish());
+    const bytes = concat(parts);
+    const view = new DataView(bytes.buffer);
+
+    // End of central directory record
+    const end = bytes.length - 22;
+    expect(view.getUint32(end, true)).toBe(0x06054b50);
+    expect(view.getUint16(end + 10, true)).toBe(2);
+    const directoryOffset = view.getUint32(end + 16, true);
+    expect(directoryOffset + view.getUint32(end + 12, true)).toBe(end);
+
+    let p = directoryOffset;
+    files.forEach(([name, data]) => {
+      expect(view.getUint32(p, true)).toBe(0x02014b50);
+      expect(view.getUint32(p + 16, true)).toBe(crc32(data));
+      const nameLength = view.getUint16(p + 28, true);
+      expect(new TextDecoder().decode(bytes.subarray(p + 46, p + 46 + nameLength))).toBe(name);
+
+      // The local header sits where the directory says, followed by the data
+      const local = view.getUint32(p + 42, true);
+      expect(view.getUint32(local, true)).toBe(0x04034b50);
+      const start = local + 30 + view.getUint16(local + 26, true);
+      expect(Array.from(bytes.subarray(start, start + data.length))).toEqual(Array.from(data));
+      p += 46 + nameLength;
+    });
+  });
+});
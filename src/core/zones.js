@@ -0,0 +1,62 @@
+import { PARAM_DEFS } from './params';
+
+// Helpers for the orbitalZones parameter: a list of
+// { name, color, innerFraction, outerFraction, speed } (see core/params.js)
+
+// Colors offered to new zones, in turn
+const ZONE_PALETTE = ['#ff4444', '#aa44ff', '#ff44aa', '#44ff44', '#ffaa44', '#ffff44', '#44ccff', '#ffffff'];
+
+// Width of a new zone, as a fraction of the galaxy radius
+const NEW_ZONE_WIDTH = 0.15;
+
+// Every distinct zone boundary, inner and outer, in increasing order. Zones
+// that share a boundary share its separator.
+export function zoneBoundaries(zones) {
+  const edges = zones.flatMap((zone) => [zone.innerFraction, zone.outerFraction]).sort((a, b) => a - b);
+  return edges.filter((edge, i) => i === 0 || edge - edges[i - 1] > 1e-9);
+}
+
+// A zone to append: just outside the outermost zone while there's room,
+// otherwise over the outermost stretch of the allowed range
+export function nextZone(zones) {
+  const { maxFraction } = PARAM_DEFS.orbitalZones;
+  const outer = zones.reduce((edge, zone) => Math.max(edge, zone.outerFraction), 0);
+  const innerFraction = Math.min(outer, maxFraction - NEW_ZONE_WIDTH);
+  return {
+    name: `Zone ${zones.length + 1}`,
+    color: ZONE_PALETTE[zones.length % ZONE_PALETTE.length],
+    innerFraction: Math.round(innerFraction * 100) / 100,
+    outerFraction: Math.round((innerFraction + NEW_ZONE_WIDTH) * 100) / 100,
+    speed: 1
+  };
+}
+
+// The list with the zone at `index` moved by `offset` places, clamped to the ends
+export function moveZone(zones, index, offset) {
+  const target = Math.max(0, Math.min(zones.length - 1, index + offset));
+  const next = zones.slice();
+  const [zone] = next.splice(index, 1);
+  next.splice(target, 0, zone);
+  return next;
+}
+
+// Index of the first zone containing `fraction` of the galaxy radius, or -1
+// between and beyond the zones
+export function zoneAt(zones, fraction) {
+  return zones.findIndex((zone) => fraction >= zone.innerFraction && fraction < zone.outerFraction);
+}
+
+// Speed multiplier at `fraction` of the galaxy radius: that of the zone
+// containing it, otherwise of the nearest zone edge; 1 without zones
+export function zoneSpeedAt(zones, fraction) {
+  let speed = 1;
+  let nearest = Infinity;
+  for (const zone of zones) {
+    const distance = Math.max(zone.innerFraction - fraction, fraction - zone.outerFraction, 0);
+    if (distance < nearest) {
+      nearest = distance;
+      speed = zone.speed;
+    }
+  }
+  return speed;
+}
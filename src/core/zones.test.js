@@ -0,0 +1,49 @@
+import { DEFAULT_PARAMS, validateParam } from './params';
+import { zoneBoundaries, nextZone, moveZone, zoneAt, zoneSpeedAt } from './zones';
+
+const zone = (innerFraction, outerFraction, name = 'Z') => ({ name, color: '#ffffff', innerFraction, outerFraction, speed: 1 });
+
+describe('zoneBoundaries', () => {
+  it('puts one separator at every distinct boundary', () => {
+    expect(zoneBoundaries(DEFAULT_PARAMS.orbitalZones)).toEqual([0.12, 0.25, 0.4, 0.55, 0.7, 0.85, 1]);
+    expect(zoneBoundaries([zone(0.5, 0.8), zone(0.1, 0.3), zone(0.3, 0.5)])).toEqual([0.1, 0.3, 0.5, 0.8]);
+    expect(zoneBoundaries([])).toEqual([]);
+  });
+});
+
+describe('nextZone', () => {
+  it('continues outwards from the outermost zone with a valid zone', () => {
+    const next = nextZone(DEFAULT_PARAMS.orbitalZones);
+    expect(next).toMatchObject({ name: 'Zone 7', innerFraction: 1, outerFraction: 1.15 });
+    expect(validateParam('orbitalZones', [...DEFAULT_PARAMS.orbitalZones, next]).error).toBeUndefined();
+    expect(nextZone([])).toMatchObject({ innerFraction: 0, outerFraction: 0.15 });
+  });
+
+  it('stays within the allowed range', () => {
+    const next = nextZone([zone(1, 1.5)]);
+    expect(next.outerFraction).toBeCloseTo(1.5);
+    expect(next.innerFraction).toBeLessThan(next.outerFraction);
+  });
+});
+
+describe('moveZone', () => {
+  it('reorders without touching the original list', () => {
+    const zones = [zone(0, 0.1, 'a'), zone(0.1, 0.2, 'b'), zone(0.2, 0.3, 'c')];
+    expect(moveZone(zones, 2, -1).map((z) => z.name)).toEqual(['a', 'c', 'b']);
+    expect(moveZone(zones, 0, -1).map((z) => z.name)).toEqual(['a', 'b', 'c']);
+    expect(zones.map((z) => z.name)).toEqual(['a', 'b', 'c']);
+  });
+});
+
+describe('zoneAt and zoneSpeedAt', () => {
+  it('find the zone containing a radius, or the nearest one', () => {
+    const zones = [{ ...zone(0.2, 0.4), speed: 2 }, { ...zone(0.6, 0.8), speed: 0.5 }];
+    expect(zoneAt(zones, 0.3)).toBe(0);
+    expect(zoneAt(zones, 0.6)).toBe(1);
+    expect(zoneAt(zones, 0.5)).toBe(-1);
+    expect(zoneSpeedAt(zones, 0.7)).toBe(0.5);
+    expect(zoneSpeedAt(zones, 0.45)).toBe(2);
+    expect(zoneSpeedAt(zones, 1.2)).toBe(0.5);
+    expect(zoneSpeedAt([], 0.5)).toBe(1);
+  });
+});
@@ -0,0 +1,102 @@
+// GPU version of `diskWaveDisplacement` from core/diskWave.js, for the
+// galaxy's stars, the outer-disk Great Wave stars and the wave surface.
+// Materials are patched through onBeforeCompile like the Great Wave's.
+
+export function createDiskWaveUniforms() {
+  return {
+    uDiskWaveTime: { value: 0 },
+    uDiskWaveRotation: { value: 0 },
+    uDiskWaveInner: { value: 1 },
+    uDiskWaveOuter: { value: 2 },
+    uWarpAmplitude: { value: 0 },
+    uWarpNodes: { value: 0 },
+    uFlareScaleLength: { value: 0 },
+    uCorrugationAmplitude: { value: 0 },
+    uCorrugationWavelength: { value: 1 },
+    uCorrugationPatternSpeed: { value: 0 }
+  };
+}
+
+// Copy the model from createDiskWave into the uniforms, called once per
+// frame. `rotation` is how far the drawn object has turned about +y within
+// the galaxy frame; a null wave leaves the stars where they are.
+export function updateDiskWaveUniforms(uniforms, wave, time, rotation = 0) {
+  uniforms.uDiskWaveTime.value = time;
+  uniforms.uDiskWaveRotation.value = rotation;
+  uniforms.uWarpAmplitude.value = wave ? wave.warpAmplitude : 0;
+  uniforms.uFlareScaleLength.value = wave ? wave.flareScaleLength : 0;
+  uniforms.uCorrugationAmplitude.value = wave ? wave.corrugationAmplitude : 0;
+  if (wave) {
+    uniforms.uDiskWaveInner.value = wave.inner;
+    uniforms.uDiskWaveOuter.value = wave.outer;
+    uniforms.uWarpNodes.value = wave.warpNodes;
+    uniforms.uCorrugationWavelength.value = wave.corrugationWavelength;
+    uniforms.uCorrugationPatternSpeed.value = wave.corrugationPatternSpeed;
+  }
+}
+
+const diskWaveFunctions = /* glsl */ `
+uniform float uDiskWaveTime;
+uniform float uDiskWaveRotation;
+uniform float uDiskWaveInner;
+uniform float uDiskWaveOuter;
+uniform float uWarpAmplitude;
+uniform float uWarpNodes;
+uniform float uFlareScaleLength;
+uniform float uCorrugationAmplitude;
+uniform float uCorrugationWavelength;
+uniform float uCorrugationPatternSpeed;
+
+// Warp, flare and corrugation at p, in the object's own frame
+float diskWaveDisplacement(vec3 p) {
+  float radius = length(p.xz);
+  if (radius <= uDiskWaveInner) return 0.0;
+
+  float azimuth = atan(p.z, p.x) - uDiskWaveRotation;
+  float across = (radius - uDiskWaveInner) / (uDiskWaveOuter - uDiskWaveInner);
+  float dy = uWarpAmplitude * across * across * sin(uWarpNodes - azimuth);
+
+  if (uFlareScaleLength > 0.0) {
+    dy += p.y * (exp((radius - uDiskWaveInner) / uFlareScaleLength) - 1.0);
+  }
+
+  if (across < 1.0) {
+    float phase = 6.283185307 * (radius - uDiskWaveInner) / uCorrugationWavelength
+      - azimuth - uCorrugationPatternSpeed * uDiskWaveTime;
+    float envelope = min(1.0, min(5.0 * across, 5.0 * (1.0 - across)));
+    dy += uCorrugationAmplitude * envelope * sin(phase);
+  }
+  return dy;
+}
+
+// Normal of the displaced midplane y = diskWaveDisplacement(x, 0, z), by
+// central differences rather than differentiating all three effects
+vec3 diskWaveNormal(vec2 p) {
+  const float h = 0.05;
+  float dx = diskWaveDisplacement(vec3(p.x + h, 0.0, p.y)) - diskWaveDisplacement(vec3(p.x - h, 0.0, p.y));
+  float dz = diskWaveDisplacement(vec3(p.x, 0.0, p.y + h)) - diskWaveDisplacement(vec3(p.x, 0.0, p.y - h));
+  return normalize(vec3(-dx / (2.0 * h), 1.0, -dz / (2.0 * h)));
+}
+`;
+
+// Patch a compiled material shader. `normals` also replaces the vertex normal
+// with that of the displaced midplane, for lit meshes.
+export function patchDiskWaveShader(shader, uniforms, { normals = false } = {}) {
+  Object.assign(shader.uniforms, uniforms);
+
+  let vertex = shader.vertexShader
+    .replace('#include <common>', `#include <common>\n${diskWaveFunctions}`)
+    .replace(
+      '#include <begin_vertex>',
+      '#include <begin_vertex>\ntransformed.y += diskWaveDisplacement(position);'
+    );
+
+  if (normals) {
+    vertex = vertex.replace(
+      '#include <beginnormal_vertex>',
+      '#include <beginnormal_vertex>\nobjectNormal = diskWaveNormal(position.xz);'
+    );
+  }
+
+  shader.vertexShader = vertex;
+}
@@ -0,0 +1,76 @@
+// GPU version of `greatWaveDisplacement` from core/generators.js. Materials are
+// patched through onBeforeCompile so they keep their normal look (round
+// points, standard lighting) and only gain the vertical displacement.
+
+export function createGreatWaveUniforms() {
+  return {
+    uGreatWaveTime: { value: 0 },
+    uGreatWaveAmplitude: { value: 0.4 },
+    uGreatWaveLength: { value: 30 },
+    uGreatWaveSpeed: { value: 0.05 }
+  };
+}
+
+// Copy component props into the uniforms, called once per frame
+export function updateGreatWaveUniforms(uniforms, time, { waveAmplitude, waveLength, waveSpeed }) {
+  uniforms.uGreatWaveTime.value = time;
+  uniforms.uGreatWaveAmplitude.value = waveAmplitude;
+  uniforms.uGreatWaveLength.value = waveLength;
+  uniforms.uGreatWaveSpeed.value = waveSpeed;
+}
+
+const greatWaveFunctions = /* glsl */ `
+uniform float uGreatWaveTime;
+uniform float uGreatWaveAmplitude;
+uniform float uGreatWaveLength;
+uniform float uGreatWaveSpeed;
+
+// Radial traveling wave plus an angular term that makes it spiral-like
+float greatWaveDisplacement(vec2 p) {
+  float radius = length(p);
+  float wavePhase = radius / uGreatWaveLength - uGreatWaveTime * uGreatWaveSpeed;
+  float waveValue = sin(wavePhase * 6.283185307) * uGreatWaveAmplitude;
+
+  float angle = radius > 1e-4 ? atan(p.y, p.x) : 0.0;
+  float angularWave = sin(angle * 2.0 + uGreatWaveTime * uGreatWaveSpeed * 0.5) * uGreatWaveAmplitude * 0.3;
+
+  return waveValue + angularWave;
+}
+
+// Analytic normal of the displaced surface y = greatWaveDisplacement(x, z)
+vec3 greatWaveNormal(vec2 p) {
+  float r2 = max(dot(p, p), 1e-8);
+  float r = sqrt(r2);
+  float wavePhase = r / uGreatWaveLength - uGreatWaveTime * uGreatWaveSpeed;
+  float angle = atan(p.y, p.x);
+
+  float dRadius = cos(wavePhase * 6.283185307) * uGreatWaveAmplitude * 6.283185307 / uGreatWaveLength;
+  float dAngle = cos(angle * 2.0 + uGreatWaveTime * uGreatWaveSpeed * 0.5) * uGreatWaveAmplitude * 0.6;
+
+  float dx = dRadius * p.x / r - dAngle * p.y / r2;
+  float dz = dRadius * p.y / r + dAngle * p.x / r2;
+  return normalize(vec3(-dx, 1.0, -dz));
+}
+`;
+
+// Patch a compiled material shader. `normals` also replaces the vertex normal
+// with the analytic one, for lit meshes.
+export function patchGreatWaveShader(shader, uniforms, { normals = false } = {}) {
+  Object.assign(shader.uniforms, uniforms);
+
+  let vertex = shader.vertexShader
+    .replace('#include <common>', `#include <common>\n${greatWaveFunctions}`)
+    .replace(
+      '#include <begin_vertex>',
+      '#include <begin_vertex>\ntransformed.y += greatWaveDisplacement(position.xz);'
+    );
+
+  if (normals) {
+    vertex = vertex.replace(
+      '#include <beginnormal_vertex>',
+      '#include <beginnormal_vertex>\nobjectNormal = greatWaveNormal(position.xz);'
+    );
+  }
+
+  shader.vertexShader = vertex;
+}
@@ -0,0 +1,169 @@
+import { Matrix4, Vector3 } from 'three';
+import { DIFFUSE_DUST, DUST_REDDENING, MAX_DUST_PATH } from '../core/dustLanes';
+
+// Full-screen shaders for the post-processing stack in
+// components/PostProcessing.jsx, in three's ShaderPass format.
+
+const fullScreenVertex = /* glsl */ `
+varying vec2 vUv;
+
+void main() {
+  vUv = uv;
+  gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+}
+`;
+
+// GPU version of the dust layer in core/dustLanes.js, run on the linear HDR
+// image before bloom. Each pixel's view ray is followed to the galaxy's
+// midplane, and whatever the pixel shows is dimmed by the dust there as if
+// mixed into the layer, more steeply the more obliquely the ray crosses it.
+export const DustLaneShader = {
+  name: 'DustLaneShader',
+
+  uniforms: {
+    tDiffuse: { value: null },
+    uProjectionInverse: { value: new Matrix4() },
+    uViewToGalaxy: { value: new Matrix4() },
+    uDustOpacity: { value: 0 },
+    uArmCount: { value: 4 },
+    uStartRadius: { value: 1 },
+    uWinding: { value: 0 },
+    uLaneOffset: { value: 0 },
+    uLaneWidth: { value: 1 },
+    uOuterRadius: { value: 1 },
+    uReddening: { value: new Vector3(...DUST_REDDENING) }
+  },
+
+  vertexShader: fullScreenVertex,
+
+  fragmentShader: /* glsl */ `
+uniform sampler2D tDiffuse;
+uniform mat4 uProjectionInverse;
+uniform mat4 uViewToGalaxy;
+uniform float uDustOpacity;
+uniform float uArmCount;
+uniform float uStartRadius;
+uniform float uWinding;
+uniform float uLaneOffset;
+uniform float uLaneWidth;
+uniform float uOuterRadius;
+uniform vec3 uReddening;
+
+varying vec2 vUv;
+
+float dustOpticalDepth(vec2 p) {
+  float radius = length(p);
+  float envelope = smoothstep(uStartRadius * 0.7, uStartRadius, radius)
+    * (1.0 - smoothstep(uOuterRadius * 0.8, uOuterRadius, radius));
+  if (envelope == 0.0) return 0.0;
+
+  float spacing = 6.283185307 / uArmCount;
+  float phase = atan(p.y, p.x) - uWinding * log(radius / uStartRadius);
+  float fromRidge = (phase - floor(phase / spacing + 0.5) * spacing) * radius;
+  float across = (fromRidge - sign(uWinding) * uLaneOffset) / uLaneWidth;
+  float lane = exp(-0.5 * across * across);
+  return uDustOpacity * envelope * mix(${DIFFUSE_DUST.toFixed(3)}, 1.0, lane);
+}
+
+// The point of this pixel's ray at clip depth z, in the galaxy frame
+vec3 galaxyPoint(float z) {
+  vec4 view = uProjectionInverse * vec4(vUv * 2.0 - 1.0, z, 1.0);
+  return (uViewToGalaxy * vec4(view.xyz / view.w, 1.0)).xyz;
+}
+
+void main() {
+  vec4 texel = texture2D(tDiffuse, vUv);
+  vec3 near = galaxyPoint(-1.0);
+  vec3 ray = galaxyPoint(1.0) - near;
+
+  // Only where the ray meets the midplane in front of the camera
+  float along = abs(ray.y) > 1e-6 ? -near.y / ray.y : -1.0;
+  if (uDustOpacity > 0.0 && along > 0.0) {
+    vec3 hit = near + along * ray;
+    float depth = dustOpticalDepth(hit.xz) / max(abs(normalize(ray).y), 1.0 / ${MAX_DUST_PATH.toFixed(1)});
+    vec3 channels = max(depth * uReddening, vec3(1e-4));
+    texel.rgb *= (1.0 - exp(-channels)) / channels;
+  }
+  gl_FragColor = texel;
+}
+`
+};
+
+// Copy the lane layout from dustLanePattern and the current view into the
+// dust pass's uniforms, called once per frame after the scene's matrices
+// are updated. `galaxy` is the object whose frame holds the disk.
+export function updateDustLaneUniforms(uniforms, pattern, opacity, camera, galaxy) {
+  uniforms.uDustOpacity.value = opacity;
+  uniforms.uArmCount.value = pattern.armCount;
+  uniforms.uStartRadius.value = pattern.startRadius;
+  uniforms.uWinding.value = pattern.winding;
+  uniforms.uLaneOffset.value = pattern.laneOffset;
+  uniforms.uLaneWidth.value = pattern.laneWidth;
+  uniforms.uOuterRadius.value = pattern.outerRadius;
+  uniforms.uProjectionInverse.value.copy(camera.projectionMatrixInverse);
+  uniforms.uViewToGalaxy.value.copy(galaxy.matrixWorld).invert().multiply(camera.matrixWorld);
+}
+
+// Bloom's bright pass, keyed on a pixel's brightest channel rather than its
+// luminance, so saturated blue arm stars bloom as readily as the yellow
+// bulge. A drop-in for LuminosityHighPassShader's fragment shader.
+export const brightPassFragment = /* glsl */ `
+uniform sampler2D tDiffuse;
+uniform vec3 defaultColor;
+uniform float defaultOpacity;
+uniform float luminosityThreshold;
+uniform float smoothWidth;
+
+varying vec2 vUv;
+
+void main() {
+  vec4 texel = texture2D(tDiffuse, vUv);
+  float peak = max(texel.r, max(texel.g, texel.b));
+  float alpha = smoothstep(luminosityThreshold, luminosityThreshold + smoothWidth, peak);
+  gl_FragColor = mix(vec4(defaultColor, defaultOpacity), texel, alpha);
+}
+`;
+
+// Last pass, on the tone-mapped image: chromatic aberration splits red and
+// blue apart towards the edges, and the vignette darkens the corners. The
+// canvas is transparent over the page's backdrop, which bloom's alpha
+// can't be trusted to preserve, so alpha is rebuilt from the color as
+// premultiplied additive light, unless the frame clears to an opaque color.
+export const FinishShader = {
+  name: 'FinishShader',
+
+  uniforms: {
+    tDiffuse: { value: null },
+    uAberration: { value: 0 },
+    uVignette: { value: 0 },
+    uOpaque: { value: false }
+  },
+
+  vertexShader: fullScreenVertex,
+
+  fragmentShader: /* glsl */ `
+uniform sampler2D tDiffuse;
+uniform float uAberration;
+uniform float uVignette;
+uniform bool uOpaque;
+
+varying vec2 vUv;
+
+void main() {
+  vec2 fromCenter = vUv - 0.5;
+  // Up to 1% of the frame apart at the edges
+  vec2 shift = fromCenter * uAberration * 0.02;
+  vec3 color = vec3(
+    texture2D(tDiffuse, vUv + shift).r,
+    texture2D(tDiffuse, vUv).g,
+    texture2D(tDiffuse, vUv - shift).b
+  );
+
+  // 0 at the center to 1 in the corners
+  float edge = smoothstep(0.1, 1.0, 2.0 * dot(fromCenter, fromCenter));
+  color = clamp(color * (1.0 - uVignette * edge), 0.0, 1.0);
+
+  gl_FragColor = vec4(color, uOpaque ? 1.0 : max(color.r, max(color.g, color.b)));
+}
+`
+};
@@ -0,0 +1,58 @@
+// GPU version of `waveFieldHeight` and `waveFieldGradient` from
+// core/generators.js. The wave field's standard material is patched through
+// onBeforeCompile so it keeps its lighting and only gains the displacement.
+
+export function createWaveFieldUniforms() {
+  return {
+    uWaveFieldTime: { value: 0 },
+    uWaveFieldIntensity: { value: 0.5 }
+  };
+}
+
+// `time` is already scaled by the wave speed
+export function updateWaveFieldUniforms(uniforms, time, waveIntensity) {
+  uniforms.uWaveFieldTime.value = time;
+  uniforms.uWaveFieldIntensity.value = waveIntensity;
+}
+
+const waveFieldFunctions = /* glsl */ `
+uniform float uWaveFieldTime;
+uniform float uWaveFieldIntensity;
+
+// Four summed sines: along x, along z, diagonal and radial
+float waveFieldHeight(vec2 p) {
+  float t = uWaveFieldTime;
+  float wave1 = sin(p.x * 0.1 + t) * 2.0;
+  float wave2 = sin(p.y * 0.1 + t * 0.6) * 2.0;
+  float wave3 = sin((p.x * 0.05 + p.y * 0.05) + t * 0.8) * 3.0;
+  float wave4 = sin(length(p) * 0.1 - t * 1.2) * 1.5;
+  return (wave1 + wave2 + wave3 + wave4) * uWaveFieldIntensity;
+}
+
+// Normal of the surface y = waveFieldHeight(x, z) from its analytic gradient
+vec3 waveFieldNormal(vec2 p) {
+  float t = uWaveFieldTime;
+  float radius = length(p);
+  float diagonal = cos((p.x * 0.05 + p.y * 0.05) + t * 0.8) * 0.15;
+  float radial = radius > 1e-6 ? cos(radius * 0.1 - t * 1.2) * 0.15 / radius : 0.0;
+
+  float dx = (cos(p.x * 0.1 + t) * 0.2 + diagonal + radial * p.x) * uWaveFieldIntensity;
+  float dz = (cos(p.y * 0.1 + t * 0.6) * 0.2 + diagonal + radial * p.y) * uWaveFieldIntensity;
+  return normalize(vec3(-dx, 1.0, -dz));
+}
+`;
+
+export function patchWaveFieldShader(shader, uniforms) {
+  Object.assign(shader.uniforms, uniforms);
+
+  shader.vertexShader = shader.vertexShader
+    .replace('#include <common>', `#include <common>\n${waveFieldFunctions}`)
+    .replace(
+      '#include <beginnormal_vertex>',
+      '#include <beginnormal_vertex>\nobjectNormal = waveFieldNormal(position.xz);'
+    )
+    .replace(
+      '#include <begin_vertex>',
+      '#include <begin_vertex>\ntransformed.y = waveFieldHeight(position.xz);'
+    );
+}